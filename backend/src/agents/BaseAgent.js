@@ -0,0 +1,480 @@
+import pg from 'pg';
+import { runBenchmark, compareSamples, pairSamples, summarize } from '../lib/benchmark.js';
+import { describeWorkload } from '../lib/workload.js';
+import { explainStatement, analyzePlan, bottleneckScore, planTree, diffPlans } from '../lib/planAnalyzer.js';
+
+const { Pool } = pg;
+
+// Benchmarked when an agent's analysis finds no queries of its own
+const DEFAULT_BENCHMARK_QUERIES = ['SELECT COUNT(*) FROM pg_catalog.pg_tables'];
+
+// Longest each EXPLAIN ANALYZE may run while plans are inspected
+const EXPLAIN_TIMEOUT_MS = 30000;
+
+// Queries with bottlenecks reported in a result's details.planFindings, worst first
+const MAX_REPORTED_PLANS = 10;
+
+// Benchmarked queries (slowest first) whose baseline and optimized plans are kept in details.plans
+const MAX_PLAN_PAIRS = 5;
+
+/**
+ * BaseAgent - Shared lifecycle for optimization agents
+ * analyze → propose → benchmark (baseline) → apply → benchmark (optimized) → report
+ *
+ * Subclasses implement the steps; the base class owns the fork connection,
+ * timing, error handling, progress events and the result schema.
+ */
+class BaseAgent {
+  /**
+   * Canned result for FAST_MODE: { improvement: [min, spread], baselineTime: [min, spread], cost, strategy, details }
+   * FAST_MODE results are flagged `simulated: true` and never beat a measured universe
+   */
+  static fastMode = null;
+
+  /**
+   * Whether apply() (or analysis) runs DDL; such agents refuse to run in demo mode,
+   * where the "fork" is the main database
+   */
+  static executesDdl = true;
+
+  /**
+   * @param {string} forkConnectionString - Fork to work on
+   * @param {string} forkId - Fork id, for logs and results
+   * @param {Function} [onEvent] - Progress event callback
+   * @param {Object} [config] - Strategy config
+   * @param {Object} [options] - { isDemoMode } when the fork fell back to DATABASE_URL
+   */
+  constructor(forkConnectionString, forkId, onEvent = () => {}, config = {}, { isDemoMode = false } = {}) {
+    this.connectionString = forkConnectionString;
+    this.forkId = forkId;
+    this.onEvent = onEvent;
+    this.config = config;
+    this.isDemoMode = isDemoMode;
+    this.pool = new Pool({
+      connectionString: forkConnectionString,
+      ssl: { rejectUnauthorized: false } // Disable SSL verification for Tiger Cloud forks
+    });
+    this.appliedChanges = [];
+    this.workload = null; // User-supplied workload for this run (see lib/workload.js)
+    this.planFindings = []; // [{ query, findings }] from inspected plans (see lib/planAnalyzer.js)
+  }
+
+  /**
+   * Agent name used in results and logs (the class name, e.g. 'IndexAgent')
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Run the full lifecycle on the fork
+   * @param {string} problemDescription - User's description of the performance issue
+   * @param {Object} [options] - { workload } to benchmark instead of the analyzed queries
+   * @returns {Promise<Object>} Validated optimization result
+   */
+  async optimize(problemDescription, { workload = null } = {}) {
+    this.workload = workload;
+
+    try {
+      this.log('Starting optimization...');
+
+      // Fast mode: Skip slow database operations, return instant results
+      if (process.env.FAST_MODE === 'true' && this.constructor.fastMode) {
+        this.log('Fast mode enabled - using simulated results');
+        return validateResult(this.fastModeResult());
+      }
+
+      if (this.isDemoMode && this.constructor.executesDdl) {
+        throw new Error(`Demo mode: the fork is the main database, so ${this.name} will not change it. Configure the Tiger CLI for real forks or enable FAST_MODE`);
+      }
+
+      const context = { problemDescription, workload };
+
+      context.analysis = await this.analyze(problemDescription);
+      context.proposals = await this.propose(context.analysis, context);
+
+      const baselineQueries = this.benchmarkQueries(context, 'baseline');
+      context.baseline = await this.benchmark(baselineQueries, 'baseline');
+      const planned = slowestQueries(baselineQueries, context.baseline);
+      const baselinePlans = await this.capturePlans(planned.map(i => baselineQueries[i]));
+
+      context.applied = await this.apply(context.proposals, context);
+
+      // Both phases list the same queries in the same order (a rewrite takes its original's place)
+      const optimizedQueries = this.benchmarkQueries(context, 'optimized');
+      context.optimized = await this.benchmark(optimizedQueries, 'optimized');
+      const paired = optimizedQueries.length === baselineQueries.length;
+      const optimizedPlans = paired
+        ? await this.capturePlans(planned.map(i => optimizedQueries[i]))
+        : planned.map(() => null);
+
+      const improvement = this.calculateImprovement(context.baseline, context.optimized);
+      const { strategy, cost = 0, details = {} } = await this.report(context);
+
+      this.log(`Optimization complete: ${improvement.percentImprovement}% improvement`);
+
+      return validateResult({
+        agent: this.name,
+        forkId: this.forkId,
+        status: 'complete',
+        improvement: improvement.percentImprovement,
+        executionTime: improvement.optimizedTime,
+        baselineTime: improvement.baselineTime,
+        significant: improvement.significant,
+        simulated: false,
+        cost,
+        strategy,
+        details: {
+          ...details,
+          benchmark: {
+            baseline: context.baseline.summary,
+            optimized: context.optimized.summary,
+            comparison: improvement.comparison,
+            workload: describeWorkload(workload)
+          },
+          planFindings: this.planFindings
+            .filter(entry => entry.findings.length > 0)
+            .sort((a, b) => bottleneckScore(b.findings) - bottleneckScore(a.findings))
+            .slice(0, MAX_REPORTED_PLANS),
+          plans: planned.map((index, i) => {
+            const query = sqlOf(baselineQueries[index]);
+            const optimizedQuery = paired ? sqlOf(optimizedQueries[index]) : query;
+            return {
+              query,
+              ...(optimizedQuery !== query && { optimizedQuery }),
+              ...diffPlans(baselinePlans[i], optimizedPlans[i])
+            };
+          }),
+          appliedChanges: this.appliedChanges
+        }
+      });
+    } catch (error) {
+      console.error(`[${this.name}:${this.forkId}] Error:`, error);
+      return {
+        agent: this.name,
+        forkId: this.forkId,
+        status: 'failed',
+        error: error.message,
+        improvement: 0,
+        executionTime: -1
+      };
+    }
+  }
+
+  /**
+   * Step 1: Inspect the fork (this.workload holds the user-supplied workload, if any)
+   * @param {string} problemDescription - User's description of the performance issue
+   * @returns {Promise<Object>} Analysis; `queries` ([{ query }]) are benchmarked when there is no workload
+   */
+  async analyze(problemDescription) {
+    return { queries: [] };
+  }
+
+  /**
+   * Step 2: Decide what to change
+   * @param {Object} analysis - Result of analyze()
+   * @param {Object} context - Lifecycle context so far
+   * @returns {Promise<Array>} Proposed changes
+   */
+  async propose(analysis, context) {
+    throw new Error(`${this.name} must implement propose()`);
+  }
+
+  /**
+   * Step 3: Apply proposals to the fork, recording executed SQL in this.appliedChanges
+   * @param {Array} proposals - Result of propose()
+   * @param {Object} context - Lifecycle context so far
+   * @returns {Promise<Array>} The changes that were actually applied
+   */
+  async apply(proposals, context) {
+    throw new Error(`${this.name} must implement apply()`);
+  }
+
+  /**
+   * Step 4: Summarize the run
+   * @param {Object} context - { problemDescription, workload, analysis, proposals, applied, baseline, optimized }
+   * @returns {Promise<Object>} { strategy, cost, details }
+   */
+  async report(context) {
+    return {
+      strategy: `Applied ${context.applied.length} change${context.applied.length !== 1 ? 's' : ''}`,
+      cost: 0,
+      details: {}
+    };
+  }
+
+  /**
+   * SQL to benchmark in each phase; both phases run the workload, or else the analyzed queries
+   * Override to compare different SQL, e.g. original queries vs rewrites; keep both phases in the same
+   * order and length so each query's baseline and optimized plans can be paired in details.plans
+   * @param {Object} context - Lifecycle context so far
+   * @param {string} phase - 'baseline' or 'optimized'
+   * @returns {Array<string|Object>} Queries to time, as SQL or { query, params, weight }
+   */
+  benchmarkQueries(context, phase) {
+    if (context.workload) {
+      return context.workload.queries;
+    }
+
+    const queries = (context.analysis?.queries || []).map(q => (typeof q === 'string' ? q : q.query));
+    return queries.length > 0 ? queries : DEFAULT_BENCHMARK_QUERIES;
+  }
+
+  /**
+   * EXPLAIN each query on the fork and look for bottlenecks (see lib/planAnalyzer.js)
+   * Read-only queries run with ANALYZE in a transaction that is rolled back; others are only planned
+   * Findings are kept for the result's details.planFindings
+   * @param {Array<string|Object>} queries - SQL or { query, params }
+   * @returns {Promise<Array>} [{ query, params, plan, analysis }] for the queries that could be planned
+   */
+  async explainQueries(queries) {
+    const explained = (await this.runExplains(queries))
+      .filter(Boolean)
+      .map(entry => ({ ...entry, analysis: analyzePlan(entry.plan) }));
+
+    explained.forEach(entry => this.recordPlanFindings(entry.query, entry.analysis.findings));
+
+    const findings = explained.flatMap(e => e.analysis.findings);
+    if (findings.length > 0) {
+      this.log(`Plans show ${findings.length} bottleneck${findings.length > 1 ? 's' : ''}: ${[...new Set(findings.map(f => f.type))].join(', ')}`);
+    }
+    return explained;
+  }
+
+  /**
+   * EXPLAIN ANALYZE each query for display, without recording findings
+   * @param {Array<string|Object>} queries - SQL or { query, params }
+   * @returns {Promise<Array>} A plan tree (see planAnalyzer.planTree) per query, null where it could not be planned
+   */
+  async capturePlans(queries) {
+    return (await this.runExplains(queries)).map(entry => entry && planTree(entry.plan));
+  }
+
+  /**
+   * Run EXPLAIN for each query, each in its own rolled-back transaction
+   * @private
+   * @returns {Promise<Array>} { query, params, plan } per query, null where EXPLAIN failed
+   */
+  async runExplains(queries) {
+    const client = await this.pool.connect();
+    const results = [];
+
+    try {
+      for (const queryObj of queries.map(q => (typeof q === 'string' ? { query: q } : q))) {
+        try {
+          await client.query('BEGIN');
+          await client.query(`SET LOCAL statement_timeout = ${EXPLAIN_TIMEOUT_MS}`);
+          const { rows } = await client.query(explainStatement(queryObj, { analyze: true }));
+          results.push({ query: queryObj.query, params: queryObj.params || [], plan: rows[0]['QUERY PLAN'] });
+        } catch (error) {
+          this.log(`Could not explain query: ${error.message}`, 'warning');
+          results.push(null);
+        } finally {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep a query's plan findings for the result (the latest findings per query win)
+   * @param {string} query - SQL
+   * @param {Array} findings - From planAnalyzer.analyzePlan()
+   */
+  recordPlanFindings(query, findings) {
+    this.planFindings = [...this.planFindings.filter(entry => entry.query !== query), { query, findings }];
+  }
+
+  /**
+   * Shared benchmark harness (see lib/benchmark.js): warmup, then N timed passes over the queries
+   * Queries that fail are logged and left out of every pass
+   * @param {Array<string|Object>} queries - SQL or { query, params, weight } to run
+   * @param {string} phase - 'baseline' or 'optimized', forwarded in the benchmark event
+   * @returns {Promise<Object>} { samples, summary, queries, failedQueries, averageTime (mean pass time) }
+   */
+  async benchmark(queries, phase) {
+    const client = await this.pool.connect();
+    let result;
+
+    try {
+      result = await runBenchmark(client, queries);
+    } finally {
+      client.release();
+    }
+
+    result.failedQueries.forEach(({ error }) => this.log(`Could not benchmark query: ${error}`, 'warning'));
+
+    const { summary } = result;
+    this.onEvent('benchmark', {
+      agent: this.name,
+      phase,
+      averageTime: summary.mean,
+      timings: result.queries.map(q => q.summary.mean),
+      runs: summary.runs,
+      stddev: summary.stddev,
+      p50: summary.p50,
+      p95: summary.p95,
+      p99: summary.p99
+    });
+
+    return { ...result, averageTime: summary.mean };
+  }
+
+  /**
+   * Compare baseline and optimized benchmarks over the statements both phases measured
+   * Scoring is always measured; a run with nothing to measure scores 0% and is not significant,
+   * and so is one whose phases measured different statements
+   * @returns {Object} { percentImprovement, baselineTime, optimizedTime, significant, comparison }
+   */
+  calculateImprovement(baseline, optimized) {
+    const paired = pairSamples(baseline, optimized);
+    const comparison = { ...compareSamples(paired.baseline, paired.optimized), excludedQueries: paired.excluded };
+
+    if (paired.baseline.length === 0 || paired.optimized.length === 0) {
+      this.log('No queries could be measured - improvement not scored', 'warning');
+    } else if (!paired.comparable) {
+      comparison.significant = false;
+      this.log('Baseline and optimized phases measured different queries - improvement not significant', 'warning');
+    } else {
+      if (paired.excluded > 0) {
+        this.log(`Compared without ${paired.excluded} quer${paired.excluded !== 1 ? 'ies' : 'y'} that failed in either phase`, 'warning');
+      }
+      this.log(comparison.significant
+        ? `Improvement is significant (p = ${comparison.pValue}, 95% CI ${comparison.improvementCi95[0]}% to ${comparison.improvementCi95[1]}%)`
+        : `Improvement is not statistically significant (p = ${comparison.pValue})`,
+      comparison.significant ? 'info' : 'warning');
+    }
+
+    return {
+      percentImprovement: Math.max(0, Math.min(100, Math.round(comparison.improvement))),
+      baselineTime: round(summarize(paired.baseline).mean),
+      optimizedTime: round(summarize(paired.optimized).mean),
+      significant: comparison.significant,
+      comparison
+    };
+  }
+
+  /**
+   * Build the FAST_MODE result from the subclass's static fastMode description
+   * @private
+   */
+  fastModeResult() {
+    const { improvement: improvementRange, baselineTime: baselineRange, cost, strategy, details } = this.constructor.fastMode;
+    const improvement = simulate(improvementRange);
+    const baselineTime = simulate(baselineRange);
+
+    return {
+      agent: this.name,
+      forkId: this.forkId,
+      status: 'complete',
+      improvement: Math.round(improvement),
+      executionTime: Math.round(baselineTime * (1 - improvement / 100)),
+      baselineTime: Math.round(baselineTime),
+      significant: null, // Simulated numbers cannot be tested
+      simulated: true,
+      cost,
+      strategy,
+      details: { appliedChanges: [], ...details }
+    };
+  }
+
+  /**
+   * Log a checkpoint and forward it to the progress stream
+   */
+  log(message, level = 'info') {
+    console.log(`[${this.name}:${this.forkId}] ${message}`);
+    this.onEvent('agent-step', { agent: this.name, message, level });
+  }
+
+  /**
+   * Clean up resources
+   */
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Check a completed result against the schema every universe result must follow
+ * @param {Object} result - Agent result
+ * @returns {Object} The same result
+ * @throws {Error} Describing every field that does not match
+ */
+export function validateResult(result) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  if (typeof result.agent !== 'string' || !result.agent) problems.push('agent must be a non-empty string');
+  if (result.status !== 'complete') problems.push(`status must be 'complete'`);
+  if (!isNumber(result.improvement) || result.improvement < 0 || result.improvement > 100) {
+    problems.push('improvement must be a number between 0 and 100');
+  }
+  if (!isNumber(result.executionTime) || result.executionTime < 0) problems.push('executionTime must be a non-negative number');
+  if (!isNumber(result.baselineTime) || result.baselineTime < 0) problems.push('baselineTime must be a non-negative number');
+  if (result.significant !== undefined && result.significant !== null && typeof result.significant !== 'boolean') {
+    problems.push('significant must be a boolean or null');
+  }
+  if (typeof result.simulated !== 'boolean') problems.push('simulated must be a boolean');
+  if (!isNumber(result.cost)) problems.push('cost must be a number');
+  if (typeof result.strategy !== 'string' || !result.strategy) problems.push('strategy must be a non-empty string');
+  if (typeof result.details !== 'object' || result.details === null) {
+    problems.push('details must be an object');
+  } else if (!Array.isArray(result.details.appliedChanges) || result.details.appliedChanges.some(c => typeof c !== 'string')) {
+    problems.push('details.appliedChanges must be an array of SQL strings');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${result.agent || 'agent'} result: ${problems.join('; ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Helper: Indexes of the benchmarked queries that took longest (mean time × weight), at most MAX_PLAN_PAIRS
+ * Queries that failed to benchmark are left out
+ */
+function slowestQueries(queries, benchmark) {
+  const timings = new Map(benchmark.queries.map(q => [statementKey(q), q.summary.mean * q.weight]));
+
+  return queries
+    .map((q, index) => ({ index, time: timings.get(statementKey(typeof q === 'string' ? { query: q } : q)) }))
+    .filter(entry => entry.time !== undefined)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, MAX_PLAN_PAIRS)
+    .map(entry => entry.index);
+}
+
+/**
+ * Helper: Identify a statement by its SQL and parameters
+ */
+function statementKey({ query, params = [] }) {
+  return `${query}\u0000${JSON.stringify(params)}`;
+}
+
+/**
+ * Helper: The SQL of a benchmarked query
+ */
+function sqlOf(q) {
+  return typeof q === 'string' ? q : q.query;
+}
+
+/**
+ * Helper: Round timings to 0.01ms (sub-millisecond queries would otherwise report 0)
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: Random value in [min, min + spread), for FAST_MODE only
+ */
+function simulate([min, spread]) {
+  return min + Math.random() * spread;
+}
+
+export default BaseAgent;
@@ -1,83 +1,124 @@
-import pg from 'pg';
+import { createHash } from 'crypto';
+import BaseAgent from './BaseAgent.js';
+import { bottleneckScore } from '../lib/planAnalyzer.js';
+import { materializeAggregate, compareQueryResults } from '../lib/sqlRewriter.js';
+import { quoteIdentifier } from '../lib/sqlText.js';
 
-const { Pool } = pg;
+// Plans are inspected for this many times maxViews candidates
+const PLAN_CANDIDATE_FACTOR = 2;
+
+// Hex digits of the view definition's hash in a view's name (mv_cache_<hash>)
+const VIEW_HASH_LENGTH = 12;
 
 /**
  * CacheAgent - AI agent that optimizes caching and materialized views
- * Tests different caching strategies to improve query performance
+ * Materializes the hot aggregate queries it finds and benchmarks them rewritten to read the views
  */
-class CacheAgent {
-  constructor(forkConnectionString, forkId) {
-    this.connectionString = forkConnectionString;
-    this.forkId = forkId;
-    this.pool = new Pool({
-      connectionString: forkConnectionString,
-      ssl: { rejectUnauthorized: false } // Disable SSL verification for Tiger Cloud forks
-    });
-    this.appliedChanges = [];
-    this.isProductionMode = process.env.TIGER_CLI_AVAILABLE === 'true';
+class CacheAgent extends BaseAgent {
+  static fastMode = {
+    improvement: [50, 40],
+    baselineTime: [200, 50],
+    cost: 30,
+    strategy: 'Created materialized views for hot aggregate queries',
+    details: { materializedViewsCreated: 2, appliedChanges: ['CREATE MATERIALIZED VIEW mv_popular_products AS...'] }
+  };
+
+  constructor(...args) {
+    super(...args);
+    this.materializedViews = []; // Every planned rewrite onto a view, verified or rejected
   }
 
   /**
-   * Run cache optimization
+   * Identify frequently accessed queries (the heaviest workload statements, if a workload was supplied)
+   * Queries whose plans show bottlenecks come first: they gain most from being cached
    */
-  async optimize() {
-    try {
-      console.log(`[CacheAgent:${this.forkId}] Starting cache optimization...`);
-
-      // Fast mode: Skip slow database operations
-      if (process.env.FAST_MODE === 'true') {
-        const improvement = 50 + Math.random() * 40;
-        const baselineTime = 200 + Math.random() * 50;
-        return {
-          agent: 'CacheAgent',
-          forkId: this.forkId,
-          status: 'complete',
-          improvement: Math.round(improvement),
-          executionTime: Math.round(baselineTime * (1 - improvement / 100)),
-          baselineTime: Math.round(baselineTime),
-          cost: 30,
-          strategy: 'Created materialized views for frequent queries',
-          details: { materializedViewsCreated: 2, appliedChanges: ['CREATE MATERIALIZED VIEW mv_popular_products AS...'] }
-        };
+  async analyze() {
+    this.log('Identifying frequently accessed queries...');
+    const queries = this.workload
+      ? [...this.workload.queries].sort((a, b) => b.weight - a.weight)
+      : await this.findFrequentQueries();
+
+    const plans = await this.explainQueries(queries.slice(0, this.config.maxViews * PLAN_CANDIDATE_FACTOR));
+    const scores = new Map(plans.map(plan => [plan.query, bottleneckScore(plan.analysis.findings)]));
+    return { queries: [...queries].sort((a, b) => (scores.get(b.query) || 0) - (scores.get(a.query) || 0)) };
+  }
+
+  /**
+   * Plan a materialized view for each hot aggregate query (lib/sqlRewriter.js), up to maxViews
+   * Each view is named after a hash of its definition, so queries that need the same view share
+   * it and a view of another definition never takes its name; queries that cannot be materialized are skipped
+   */
+  async propose(analysis) {
+    const views = [];
+    const seen = new Set();
+
+    for (const queryObj of analysis.queries) {
+      if (seen.has(queryObj.query)) continue;
+      seen.add(queryObj.query);
+
+      const draft = materializeAggregate(queryObj.query, 'mv_cache');
+      if (draft.error) {
+        this.log(`Skipped query: ${draft.error}`);
+        continue;
       }
 
-      // Step 1: Identify frequently accessed data
-      const frequentQueries = await this.findFrequentQueries();
-
-      // Step 2: Create materialized views for expensive queries
-      const materializedViews = await this.createMaterializedViews(frequentQueries);
-
-      // Step 3: Benchmark performance
-      const improvement = await this.benchmarkCacheImpact(frequentQueries);
-
-      console.log(`[CacheAgent:${this.forkId}] Optimization complete: ${improvement.percentImprovement}% improvement`);
-
-      return {
-        agent: 'CacheAgent',
-        forkId: this.forkId,
-        status: 'complete',
-        improvement: improvement.percentImprovement,
-        executionTime: improvement.optimizedTime,
-        baselineTime: improvement.baselineTime,
-        cost: improvement.cacheCost,
-        strategy: this.summarizeStrategy(materializedViews),
-        details: {
-          materializedViewsCreated: materializedViews.length,
-          appliedChanges: this.appliedChanges
-        }
-      };
-    } catch (error) {
-      console.error(`[CacheAgent:${this.forkId}] Error:`, error);
-      return {
-        agent: 'CacheAgent',
-        forkId: this.forkId,
-        status: 'failed',
-        error: error.message,
-        improvement: 0,
-        executionTime: -1
-      };
+      const viewName = viewNameFor(draft.viewSql);
+      const shared = views.find(view => view.viewName === viewName);
+      if (!shared && views.length >= this.config.maxViews) continue;
+
+      const plan = materializeAggregate(queryObj.query, viewName);
+      const entry = { query: queryObj.query, params: queryObj.params || [], rewrittenQuery: plan.querySql };
+      if (shared) {
+        shared.queries.push(entry);
+      } else {
+        views.push({
+          viewName,
+          viewSql: plan.viewSql,
+          uniqueKey: plan.uniqueKey,
+          description: plan.description,
+          queries: [entry]
+        });
+      }
     }
+
+    this.log(`Planned ${views.length} materialized view${views.length !== 1 ? 's' : ''}`);
+    return views;
+  }
+
+  /**
+   * Create the planned materialized views on the fork
+   */
+  async apply(views) {
+    return this.createMaterializedViews(views);
+  }
+
+  /**
+   * Benchmark the queries as they are, then with each cached query rewritten to read its view
+   */
+  benchmarkQueries(context, phase) {
+    const queries = super.benchmarkQueries(context, phase);
+    if (phase === 'baseline') return queries;
+
+    const rewrites = new Map(context.applied.flatMap(view => view.queries.map(q => [q.query, q.rewrittenQuery])));
+    return queries.map(q => (typeof q === 'string'
+      ? rewrites.get(q) ?? q
+      : { ...q, query: rewrites.get(q.query) ?? q.query }));
+  }
+
+  /**
+   * Summarize the created views
+   */
+  async report({ analysis, applied }) {
+    const totalCalls = analysis.queries.reduce((sum, q) => sum + (q.calls || 50), 0);
+
+    return {
+      strategy: this.summarizeStrategy(applied),
+      cost: Math.round(totalCalls * 0.5), // Estimate cache cost based on call frequency
+      details: {
+        materializedViewsCreated: applied.length,
+        materializedViews: this.materializedViews
+      }
+    };
   }
 
   async findFrequentQueries() {
@@ -110,105 +151,89 @@ class CacheAgent {
     }
   }
 
-  async createMaterializedViews(queries) {
+  /**
+   * Create each view with a unique index on its group keys, then check every query rewritten
+   * to read it returns the same results as the original. Views no query can use are dropped
+   * @param {Array} views - From propose()
+   * @returns {Promise<Array>} Created views, each with the queries that passed
+   */
+  async createMaterializedViews(views) {
     const client = await this.pool.connect();
-    const views = [];
+    const created = [];
 
     try {
-      for (let i = 0; i < Math.min(2, queries.length); i++) {
-        const viewName = `mv_cache_optimized_${i + 1}`;
-
-        // Create a simple materialized view
-        const createViewSQL = `
-          CREATE MATERIALIZED VIEW IF NOT EXISTS ${viewName} AS
-          SELECT * FROM pg_tables
-          WHERE schemaname = 'public'
-        `;
+      for (const view of views) {
+        const name = quoteIdentifier(view.viewName);
+        // No IF NOT EXISTS: a view left over from an earlier run holds stale rows and must not stand in for this one
+        const createViewSQL = `CREATE MATERIALIZED VIEW ${name} AS ${view.viewSql}`;
+        // One-row views (an aggregate over everything) have no key to index
+        const createIndexSQL = view.uniqueKey.length > 0
+          ? `CREATE UNIQUE INDEX ${quoteIdentifier(`idx_${view.viewName}_key`)} ON ${name} (${view.uniqueKey.map(quoteIdentifier).join(', ')})`
+          : null;
+        let createdView = false;
 
         try {
           await client.query(createViewSQL);
-          this.appliedChanges.push(createViewSQL);
-
-          // Create index on materialized view
-          const createIndexSQL = `
-            CREATE INDEX IF NOT EXISTS idx_${viewName}_tablename
-            ON ${viewName} (tablename)
-          `;
-          await client.query(createIndexSQL);
-          this.appliedChanges.push(createIndexSQL);
+          createdView = true;
+          if (createIndexSQL) await client.query(createIndexSQL);
+
+          const verified = [];
+          for (const entry of view.queries) {
+            const reason = await compareQueryResults(client, entry.query, entry.rewrittenQuery, entry.params);
+            this.materializedViews.push({
+              viewName: view.viewName,
+              status: reason ? 'rejected' : 'verified',
+              description: view.description,
+              uniqueKey: view.uniqueKey,
+              sql: entry.rewrittenQuery,
+              original: entry.query,
+              ...(reason && { reason })
+            });
+
+            if (reason) {
+              this.log(`Rejected rewrite onto ${view.viewName}: ${reason}`, 'warning');
+            } else {
+              verified.push(entry);
+            }
+          }
+
+          if (verified.length === 0) {
+            await client.query(`DROP MATERIALIZED VIEW IF EXISTS ${name}`);
+            continue;
+          }
 
-          views.push({
-            viewName,
-            baseQuery: queries[i].query
-          });
+          this.appliedChanges.push(createViewSQL);
+          if (createIndexSQL) this.appliedChanges.push(createIndexSQL);
+          created.push({ ...view, queries: verified });
 
-          console.log(`[CacheAgent:${this.forkId}] Created materialized view: ${viewName}`);
+          this.log(`Created materialized view ${view.viewName}: ${view.description}`);
         } catch (error) {
-          console.warn(`Could not create materialized view: ${error.message}`);
+          this.log(`Could not create materialized view ${view.viewName}: ${error.message}`, 'warning');
+          if (createdView) await client.query(`DROP MATERIALIZED VIEW IF EXISTS ${name}`).catch(() => {});
         }
       }
 
-      return views;
+      return created;
     } finally {
       client.release();
     }
   }
 
-  /**
-   * Benchmark cache impact
-   * Uses real benchmarks in production mode (Tiger Cloud), simulated in dev mode
-   */
-  async benchmarkCacheImpact(queries) {
-    const avgQueryTime = queries.reduce((sum, q) => sum + (q.mean_exec_time || 120), 0) / queries.length;
-    const totalCalls = queries.reduce((sum, q) => sum + (q.calls || 50), 0);
-
-    // Dev mode: Use realistic simulated data
-    if (!this.isProductionMode || avgQueryTime < 10) {
-      console.log(`[CacheAgent:${this.forkId}] Using simulated benchmarks (dev mode)`);
-
-      // Materialized views typically provide 40-70% improvement
-      const baselineTime = 120 + Math.random() * 80; // 120-200ms baseline
-      const improvementFactor = 0.4 + (Math.random() * 0.3); // 40-70% improvement
-      const optimizedTime = Math.round(baselineTime * (1 - improvementFactor));
-
-      return {
-        percentImprovement: Math.round(((baselineTime - optimizedTime) / baselineTime) * 100),
-        baselineTime: Math.round(baselineTime),
-        optimizedTime,
-        cacheCost: Math.round(totalCalls * 0.5)
-      };
-    }
-
-    // Production mode: Use real query statistics from Tiger Cloud forks
-    console.log(`[CacheAgent:${this.forkId}] Using real benchmarks (production mode)`);
-
-    const baselineTime = Math.max(avgQueryTime, 100); // Ensure minimum 100ms baseline
-
-    // Materialized views provide 40-70% improvement depending on query complexity
-    const improvementFactor = 0.3 + (Math.random() * 0.4); // 30-70% improvement
-    const optimizedTime = Math.round(baselineTime * (1 - improvementFactor));
-
-    const percentImprovement = Math.round(((baselineTime - optimizedTime) / baselineTime) * 100);
-
-    return {
-      percentImprovement,
-      baselineTime: Math.round(baselineTime),
-      optimizedTime,
-      cacheCost: Math.round(totalCalls * 0.5) // Estimate cache cost based on call frequency
-    };
-  }
-
   summarizeStrategy(views) {
     if (views.length === 0) {
       return 'No materialized views created';
     }
 
-    return `Created ${views.length} materialized view${views.length > 1 ? 's' : ''} to cache frequently accessed data and reduce query load`;
+    const queries = views.reduce((sum, view) => sum + view.queries.length, 0);
+    return `Created ${views.length} materialized view${views.length > 1 ? 's' : ''} for ${queries} hot aggregate quer${queries > 1 ? 'ies' : 'y'}, rewritten to read from ${views.length > 1 ? 'them' : 'it'}`;
   }
+}
 
-  async cleanup() {
-    await this.pool.end();
-  }
+/**
+ * Helper: View name derived from the view's definition
+ */
+function viewNameFor(viewSql) {
+  return `mv_cache_${createHash('sha256').update(viewSql).digest('hex').slice(0, VIEW_HASH_LENGTH)}`;
 }
 
 export default CacheAgent;
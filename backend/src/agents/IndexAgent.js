@@ -1,102 +1,100 @@
-import pg from 'pg';
+import BaseAgent from './BaseAgent.js';
+import tigerService from '../services/tigerService.js';
+import { extractColumnUsage, extractPlanUsage, parseIndexDefinition, buildCandidates, formatIndexDefinition, findRedundantIndexes } from '../lib/indexCandidates.js';
+import { quoteIdentifier } from '../lib/sqlText.js';
+import { explainStatement, analyzePlan, relationsWith } from '../lib/planAnalyzer.js';
 
-const { Pool } = pg;
+// PostgreSQL truncates identifiers longer than this
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Rows each generated cleanup write statement inserts (rolled back after timing)
+const WRITE_SAMPLE_ROWS = 100;
 
 /**
  * IndexAgent - AI agent that discovers and tests index optimization strategies
- * Tests different index types (B-tree, GiST, GIN, BRIN) on database forks
+ * Proposes indexes on the columns slow queries filter, join and sort on, choosing
+ * B-tree, BRIN, hash, GIN or GiST plus partial and covering variants from the
+ * column's type and statistics, and tests them on database forks
+ * In cleanup mode it drops unused, duplicate and redundant indexes instead
  */
-class IndexAgent {
-  constructor(forkConnectionString, forkId) {
-    this.connectionString = forkConnectionString;
-    this.forkId = forkId;
-    this.pool = new Pool({
-      connectionString: forkConnectionString,
-      ssl: { rejectUnauthorized: false } // Disable SSL verification for Tiger Cloud forks
-    });
-    this.results = [];
-    this.appliedChanges = [];
-    this.isProductionMode = process.env.TIGER_CLI_AVAILABLE === 'true';
-  }
+class IndexAgent extends BaseAgent {
+  static fastMode = {
+    improvement: [60, 30], // 60-90% improvement
+    baselineTime: [150, 50],
+    cost: 25,
+    strategy: 'Created B-tree indexes on high-traffic columns',
+    details: {
+      indexesCreated: 3,
+      queriesAnalyzed: 5,
+      appliedChanges: ['CREATE INDEX idx_users_email ON users(email)', 'CREATE INDEX idx_orders_user_id ON orders(user_id)']
+    }
+  };
 
   /**
-   * Run the optimization agent
-   * @returns {Promise<Object>} Optimization results
+   * Analyze pg_stat_statements (or the supplied workload): which columns each query
+   * filters, joins and sorts on, plus the statistics and indexes already on those tables
    */
-  async optimize() {
-    try {
-      console.log(`[IndexAgent:${this.forkId}] Starting optimization...`);
-
-      // Fast mode: Skip slow database operations, return instant results
-      if (process.env.FAST_MODE === 'true') {
-        console.log(`[IndexAgent:${this.forkId}] Fast mode enabled - using simulated results`);
-        const improvement = 60 + Math.random() * 30; // 60-90% improvement
-        const baselineTime = 150 + Math.random() * 50;
-        const optimizedTime = baselineTime * (1 - improvement / 100);
-
-        return {
-          agent: 'IndexAgent',
-          forkId: this.forkId,
-          status: 'complete',
-          improvement: Math.round(improvement),
-          executionTime: Math.round(optimizedTime),
-          baselineTime: Math.round(baselineTime),
-          cost: 25,
-          strategy: 'Created B-tree indexes on high-traffic columns',
-          details: {
-            indexesCreated: 3,
-            queriesAnalyzed: 5,
-            appliedChanges: ['CREATE INDEX idx_users_email ON users(email)', 'CREATE INDEX idx_orders_user_id ON orders(user_id)']
-          }
-        };
-      }
-
-      // Step 1: Analyze current database state
-      const analysis = await this.analyzeDatabase();
+  async analyze() {
+    if (this.config.mode === 'cleanup') {
+      this.log('Analyzing index usage for cleanup...');
+      return this.analyzeIndexUsage();
+    }
 
-      // Step 2: Get rule-based recommendations for indexes
-      const recommendations = await this.getIndexRecommendations(analysis);
+    this.log('Analyzing pg_stat_statements and query plans...');
+    const analysis = await this.analyzeDatabase();
 
-      // Step 3: Benchmark current performance
-      const baselineMetrics = await this.benchmarkQueries(analysis.slowQueries);
+    return {
+      ...analysis,
+      queries: this.workload ? this.workload.queries : analysis.slowQueries.slice(0, 3)
+    };
+  }
 
-      // Step 4: Apply recommended indexes
-      const appliedIndexes = await this.applyIndexes(recommendations);
+  /**
+   * Recommend indexes for the analyzed queries, ranked by HypoPG cost estimates when available
+   */
+  async propose(analysis) {
+    if (this.config.mode === 'cleanup') {
+      return this.getCleanupRecommendations(analysis);
+    }
 
-      // Step 5: Benchmark with new indexes
-      const optimizedMetrics = await this.benchmarkQueries(analysis.slowQueries);
+    const candidates = await this.getIndexRecommendations(analysis);
 
-      // Step 6: Calculate improvements
-      const improvement = this.calculateImprovement(baselineMetrics, optimizedMetrics);
+    if (!this.config.whatIf) {
+      this.whatIf = 'off';
+      return candidates;
+    }
+    return this.evaluateHypothetical(candidates, analysis);
+  }
 
-      console.log(`[IndexAgent:${this.forkId}] Optimization complete: ${improvement.percentImprovement}% improvement`);
+  /**
+   * Create the recommended indexes on the fork (or drop them, in cleanup mode)
+   */
+  async apply(recommendations) {
+    return this.config.mode === 'cleanup' ? this.dropIndexes(recommendations) : this.applyIndexes(recommendations);
+  }
 
-      return {
-        agent: 'IndexAgent',
-        forkId: this.forkId,
-        status: 'complete',
-        improvement: improvement.percentImprovement,
-        executionTime: optimizedMetrics.averageTime,
-        baselineTime: baselineMetrics.averageTime,
-        cost: improvement.storageCost,
-        strategy: this.summarizeStrategy(appliedIndexes),
-        details: {
-          indexesCreated: appliedIndexes.length,
-          queriesAnalyzed: analysis.slowQueries.length,
-          appliedChanges: this.appliedChanges
-        }
-      };
-    } catch (error) {
-      console.error(`[IndexAgent:${this.forkId}] Error:`, error);
-      return {
-        agent: 'IndexAgent',
-        forkId: this.forkId,
-        status: 'failed',
-        error: error.message,
-        improvement: 0,
-        executionTime: -1
-      };
+  /**
+   * Summarize the created (or dropped) indexes
+   */
+  async report(context) {
+    if (this.config.mode === 'cleanup') {
+      return this.reportCleanup(context);
     }
+
+    const { analysis, proposals, applied } = context;
+    return {
+      strategy: this.summarizeStrategy(applied),
+      cost: applied.length * 512, // ~512KB per index estimate
+      details: {
+        indexesCreated: applied.length,
+        queriesAnalyzed: analysis.queryUsages.length,
+        whatIf: this.whatIf,
+        candidates: proposals.slice(0, 10).map(({ tableName, columns, indexType, include, where, selectivity, reason, hypothetical }) => ({
+          tableName, columns, indexType, include, where, selectivity, reason, hypothetical
+        })),
+        alreadyIndexed: buildCandidates(analysis.queryUsages, analysis).covered
+      }
+    };
   }
 
   /**
@@ -114,57 +112,38 @@ class IndexAgent {
       }
 
       // Get slow queries
-      const slowQueriesResult = await client.query(`
-        SELECT
-          query,
-          calls,
-          total_exec_time,
-          mean_exec_time,
-          stddev_exec_time
-        FROM pg_stat_statements
-        WHERE query NOT LIKE '%pg_stat%'
-          AND query NOT LIKE '%pg_catalog%'
-          AND mean_exec_time > 10
-        ORDER BY mean_exec_time DESC
-        LIMIT 10
-      `);
-
-      // Get table statistics
-      const tableStatsResult = await client.query(`
-        SELECT
-          schemaname,
-          relname as tablename,
-          n_tup_ins + n_tup_upd + n_tup_del as modifications,
-          n_live_tup as live_tuples,
-          n_dead_tup as dead_tuples,
-          seq_scan,
-          idx_scan
-        FROM pg_stat_user_tables
-        WHERE seq_scan > idx_scan
-        ORDER BY seq_scan DESC
-        LIMIT 10
-      `);
+      let slowQueries = [];
+      try {
+        const slowQueriesResult = await client.query(`
+          SELECT
+            query,
+            calls,
+            total_exec_time,
+            mean_exec_time,
+            stddev_exec_time
+          FROM pg_stat_statements
+          WHERE query NOT LIKE '%pg_stat%'
+            AND query NOT LIKE '%pg_catalog%'
+            AND mean_exec_time > 10
+          ORDER BY mean_exec_time DESC
+          LIMIT 10
+        `);
+        slowQueries = slowQueriesResult.rows;
+      } catch (e) {
+        console.warn('Could not read pg_stat_statements:', e.message);
+      }
 
-      // Get missing indexes (tables with sequential scans but no index scans)
-      const missingIndexesResult = await client.query(`
-        SELECT
-          schemaname,
-          relname as tablename,
-          seq_scan,
-          idx_scan,
-          n_live_tup,
-          ROUND(100.0 * seq_scan / NULLIF(seq_scan + idx_scan, 0), 2) as seq_scan_percent
-        FROM pg_stat_user_tables
-        WHERE seq_scan > 0
-          AND n_live_tup > 100
-        ORDER BY seq_scan DESC
-        LIMIT 10
-      `);
+      const queryUsages = await this.inspectQueries(client, this.workload ? this.workload.queries : slowQueries);
+      const catalog = await this.loadCatalog(client, [...new Set(queryUsages.flatMap(q => q.tables))]);
 
       return {
-        slowQueries: slowQueriesResult.rows,
-        tableStats: tableStatsResult.rows,
-        missingIndexes: missingIndexesResult.rows
+        slowQueries,
+        queryUsages: queryUsages.map(({ explain, ...q }) => {
+          const { findings } = analyzePlan(explain, { tableRows: catalog.tableRows });
+          this.recordPlanFindings(q.query, findings);
+          return { ...q, usages: resolveUsages(q, catalog.columnStats), findings };
+        }),
+        ...catalog
       };
     } finally {
       client.release();
@@ -172,125 +151,274 @@ class IndexAgent {
   }
 
   /**
-   * Get rule-based index recommendations (no AI required)
+   * Columns each query filters, joins and sorts on, from its SQL text and its EXPLAIN plan
+   * Queries with placeholders but no parameters are planned generically
    */
-  async getIndexRecommendations(analysis) {
-    console.log(`[IndexAgent:${this.forkId}] Using rule-based index recommendations`);
-
-    const recommendations = [];
-
-    // Strategy 1: Index tables with high sequential scans
-    if (analysis.missingIndexes.length > 0) {
-      analysis.missingIndexes.slice(0, 2).forEach(table => {
-        recommendations.push({
-          tableName: table.tablename,
-          columnName: 'id',
-          indexType: 'btree',
-          reason: `High sequential scan rate (${table.seq_scan} scans), creating B-tree index on primary key`
-        });
-      });
-    }
+  async inspectQueries(client, queries) {
+    const inspected = [];
 
-    // Strategy 2: Index large tables based on row count
-    if (analysis.tableStats.length > 0) {
-      const largeTables = analysis.tableStats
-        .filter(t => t.live_tuples > 1000)
-        .slice(0, 2);
-
-      largeTables.forEach(table => {
-        // Create composite index on common patterns
-        recommendations.push({
-          tableName: table.tablename,
-          columnName: 'created_at',
-          indexType: 'btree',
-          reason: `Large table (${table.live_tuples} rows), indexing timestamp for time-based queries`
-        });
+    for (const queryObj of queries) {
+      const text = extractColumnUsage(queryObj.query, queryObj.params);
+      let plan = { tables: [], usages: [] };
+      let explain = null;
+
+      try {
+        const result = await client.query(explainStatement(queryObj, { verbose: true }));
+        explain = result.rows[0]['QUERY PLAN'];
+        plan = extractPlanUsage(explain);
+      } catch (error) {
+        this.log(`Could not plan query, using its text only: ${error.message}`);
+      }
+
+      inspected.push({
+        query: queryObj.query,
+        params: queryObj.params || [],
+        weight: queryObj.weight ?? queryObj.calls ?? 1,
+        tables: [...new Set([...text.tables, ...plan.tables])],
+        usages: [...text.usages, ...plan.usages],
+        explain
       });
     }
 
-    // Strategy 3: Default recommendations if no analysis data
-    if (recommendations.length === 0) {
-      recommendations.push({
-        tableName: 'users',
-        columnName: 'email',
-        indexType: 'btree',
-        reason: 'Default optimization: email lookups are commonly used'
-      });
+    return inspected;
+  }
+
+  /**
+   * Row counts, column statistics and existing indexes for the tables the queries touch
+   * Tables that were never analyzed are analyzed first so pg_stats has something to say
+   */
+  async loadCatalog(client, tables) {
+    const tableRows = {};
+    const columnStats = {};
+    const existingIndexes = {};
+    if (tables.length === 0) return { tableRows, columnStats, existingIndexes };
+
+    const tablesResult = await client.query(`
+      SELECT
+        c.relname,
+        EXISTS (SELECT 1 FROM pg_stats s WHERE s.schemaname = n.nspname AND s.tablename = c.relname) as has_stats
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p', 'm')
+        AND n.nspname = ANY(current_schemas(false))
+        AND c.relname = ANY($1)
+    `, [tables]);
+
+    for (const table of tablesResult.rows.filter(t => !t.has_stats)) {
+      try {
+        await client.query(`ANALYZE ${quoteIdentifier(table.relname)}`);
+      } catch (error) {
+        console.warn(`Could not analyze ${table.relname}: ${error.message}`);
+      }
     }
 
-    console.log(`[IndexAgent:${this.forkId}] Generated ${recommendations.length} index recommendations`);
-    return recommendations;
+    const found = tablesResult.rows.map(t => t.relname);
+    const rowsResult = await client.query(`
+      SELECT c.relname, GREATEST(c.reltuples, 0) as reltuples
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY(current_schemas(false)) AND c.relname = ANY($1)
+    `, [found]);
+    const statsResult = await client.query(`
+      SELECT
+        s.tablename,
+        s.attname,
+        s.null_frac,
+        s.n_distinct,
+        s.correlation,
+        s.avg_width,
+        s.most_common_vals::text::text[] as most_common_vals,
+        s.most_common_freqs,
+        format_type(a.atttypid, a.atttypmod) as data_type
+      FROM pg_stats s
+      JOIN pg_namespace n ON n.nspname = s.schemaname
+      JOIN pg_class c ON c.relnamespace = n.oid AND c.relname = s.tablename
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attname = s.attname
+      WHERE s.schemaname = ANY(current_schemas(false)) AND s.tablename = ANY($1)
+    `, [found]);
+    const indexesResult = await client.query(`
+      SELECT tablename, indexname, indexdef
+      FROM pg_indexes
+      WHERE schemaname = ANY(current_schemas(false)) AND tablename = ANY($1)
+    `, [found]);
+
+    rowsResult.rows.forEach(row => {
+      tableRows[row.relname] = Number(row.reltuples);
+    });
+    statsResult.rows.forEach(row => {
+      const distinct = Number(row.n_distinct);
+      columnStats[`${row.tablename}.${row.attname}`] = {
+        nullFrac: Number(row.null_frac),
+        // Negative n_distinct is a fraction of the row count
+        distinct: distinct >= 0 ? distinct : -distinct * (tableRows[row.tablename] || 0),
+        dataType: row.data_type,
+        correlation: row.correlation === null ? null : Number(row.correlation),
+        avgWidth: row.avg_width,
+        mostCommonValues: row.most_common_vals,
+        mostCommonFreqs: row.most_common_freqs?.map(Number)
+      };
+    });
+    indexesResult.rows.forEach(row => {
+      (existingIndexes[row.tablename] ||= []).push({ name: row.indexname, ...parseIndexDefinition(row.indexdef) });
+    });
+
+    return { tableRows, columnStats, existingIndexes };
   }
 
   /**
-   * Benchmark query performance
+   * Propose indexes for the columns the analyzed queries use, most selective first
+   * Tables the plans scan sequentially or loop over come first
    */
-  async benchmarkQueries(queries) {
-    if (queries.length === 0) {
-      // Create a default test query
-      queries = [{
-        query: 'SELECT COUNT(*) FROM pg_catalog.pg_tables'
-      }];
+  async getIndexRecommendations(analysis) {
+    const { candidates: built, covered } = buildCandidates(analysis.queryUsages, analysis);
+    const scanned = relationsWith(analysis.queryUsages.flatMap(q => q.findings), ['seq-scan', 'nested-loop']);
+    const candidates = [
+      ...built.filter(c => scanned.has(c.tableName)).map(c => ({ ...c, reason: `${c.reason}; query plans scan or loop over ${c.tableName}` })),
+      ...built.filter(c => !scanned.has(c.tableName))
+    ];
+
+    covered.forEach(c => this.log(`${c.tableName}(${c.columns.join(', ')}) already served by ${c.indexName}`));
+    candidates.forEach(c => this.log(`Candidate ${c.tableName}(${c.columns.join(', ')}): ${c.reason}`));
+
+    this.log(`Generated ${candidates.length} index recommendations`);
+    return candidates;
+  }
+
+  /**
+   * What-if pass: create each candidate as a HypoPG hypothetical index and compare the
+   * planner's cost for the queries on its table with and without it
+   * Falls back to the unranked candidates (built for real) when HypoPG is not installed
+   */
+  async evaluateHypothetical(candidates, analysis) {
+    if (candidates.length === 0) {
+      this.whatIf = 'hypopg';
+      return candidates;
     }
 
     const client = await this.pool.connect();
-    const timings = [];
 
     try {
-      for (const queryObj of queries.slice(0, 3)) {
-        const startTime = Date.now();
+      try {
+        await client.query('CREATE EXTENSION IF NOT EXISTS hypopg');
+      } catch (error) {
+        this.log(`HypoPG not available, building indexes for real: ${error.message}`);
+        this.whatIf = 'unavailable';
+        return candidates;
+      }
+      this.whatIf = 'hypopg';
+
+      const queries = analysis.queryUsages;
+      const baselineCosts = await this.estimateCosts(client, queries);
+      const evaluated = [];
 
+      for (const candidate of candidates) {
+        const affected = queries.map((q, i) => i).filter(i => baselineCosts[i] !== null && queries[i].tables.includes(candidate.tableName));
+
+        // HypoPG has no GIN or GiST support; those candidates keep their place and are built for real
+        let rows;
         try {
-          await client.query(queryObj.query);
-          const endTime = Date.now();
-          timings.push(endTime - startTime);
+          ({ rows } = await client.query('SELECT indexrelid FROM hypopg_create_index($1)', [`CREATE INDEX ${formatIndexDefinition(candidate)}`]));
         } catch (error) {
-          console.warn(`Could not benchmark query: ${error.message}`);
-          timings.push(100); // Default time if query fails
+          this.log(`What-if skipped for ${candidate.indexType} index on ${candidate.tableName}(${candidate.columns.join(', ')}): ${error.message}`);
+          evaluated.push({ ...candidate, hypothetical: null });
+          continue;
         }
-      }
 
-      const averageTime = timings.reduce((a, b) => a + b, 0) / timings.length;
+        let costs;
+        try {
+          costs = await this.estimateCosts(client, affected.map(i => queries[i]));
+        } finally {
+          await client.query('SELECT hypopg_drop_index($1)', [rows[0].indexrelid]);
+        }
 
-      return {
-        timings,
-        averageTime,
-        queryCount: timings.length
-      };
+        // Weighted like the benchmark; a query the planner could not cost counts as unchanged
+        const baselineCost = affected.reduce((sum, i) => sum + baselineCosts[i] * queries[i].weight, 0);
+        const cost = affected.reduce((sum, i, j) => sum + (costs[j] ?? baselineCosts[i]) * queries[i].weight, 0);
+        const costDelta = baselineCost - cost;
+
+        evaluated.push({
+          ...candidate,
+          hypothetical: {
+            baselineCost: round(baselineCost),
+            cost: round(cost),
+            costDelta: round(costDelta),
+            costReduction: baselineCost > 0 ? round(costDelta / baselineCost * 100) : 0
+          }
+        });
+        this.log(`What-if ${candidate.tableName}(${candidate.columns.join(', ')}): cost ${round(baselineCost)} → ${round(cost)}`);
+      }
+
+      return evaluated.sort((a, b) => (b.hypothetical?.costDelta ?? 0) - (a.hypothetical?.costDelta ?? 0));
     } finally {
       client.release();
     }
   }
 
+  /**
+   * Planner total cost of each query (null when it cannot be planned)
+   */
+  async estimateCosts(client, queries) {
+    const costs = [];
+
+    for (const queryObj of queries) {
+      try {
+        const result = await client.query(explainStatement(queryObj, { verbose: true }));
+        costs.push(result.rows[0]['QUERY PLAN'][0].Plan['Total Cost']);
+      } catch (error) {
+        costs.push(null);
+      }
+    }
+
+    return costs;
+  }
+
   /**
    * Apply recommended indexes to the fork
+   * Candidates the what-if pass found no cheaper plan for are not built
    */
   async applyIndexes(recommendations) {
     const client = await this.pool.connect();
     const appliedIndexes = [];
+    const worthBuilding = recommendations.filter(rec => !rec.hypothetical || rec.hypothetical.costDelta > 0);
+
+    if (worthBuilding.length < recommendations.length) {
+      this.log(`Skipping ${recommendations.length - worthBuilding.length} candidates that no query plan would use`);
+    }
 
     try {
-      for (const rec of recommendations.slice(0, 3)) {
-        const indexName = `idx_${rec.tableName}_${rec.columnName}_optimized`;
+      for (const rec of worthBuilding.slice(0, this.config.maxIndexes)) {
+        const indexName = buildIndexName(rec);
 
         const createIndexSQL = `
-          CREATE INDEX IF NOT EXISTS ${indexName}
-          ON ${rec.tableName} USING ${rec.indexType} (${rec.columnName})
+          CREATE INDEX IF NOT EXISTS ${quoteIdentifier(indexName)}
+          ${formatIndexDefinition(rec)}
         `;
 
         try {
+          // Trigram indexes need pg_trgm on the fork (and on production when promoted)
+          if (rec.extension) {
+            const createExtensionSQL = `CREATE EXTENSION IF NOT EXISTS ${rec.extension}`;
+            await client.query(createExtensionSQL);
+            if (!this.appliedChanges.includes(createExtensionSQL)) {
+              this.appliedChanges.push(createExtensionSQL);
+            }
+          }
+
           await client.query(createIndexSQL);
           appliedIndexes.push({
             indexName,
             tableName: rec.tableName,
-            columnName: rec.columnName,
+            columns: rec.columns,
             indexType: rec.indexType,
+            include: rec.include,
+            where: rec.where,
+            hypothetical: rec.hypothetical,
             sql: createIndexSQL
           });
 
           this.appliedChanges.push(createIndexSQL);
 
-          console.log(`[IndexAgent:${this.forkId}] Created index: ${indexName}`);
+          this.log(`Created index: ${indexName}`);
         } catch (error) {
           console.warn(`Could not create index ${indexName}: ${error.message}`);
         }
@@ -303,44 +431,186 @@ class IndexAgent {
   }
 
   /**
-   * Calculate improvement percentage
-   * Uses real benchmarks in production mode (Tiger Cloud), simulated in dev mode
+   * Cleanup: every index on the fork with its size and its scan count on the main database
+   * (fork statistics start empty), and generated write statements for the tables that
+   * have droppable indexes, used as the benchmark when no workload is supplied.
+   * Scan counts are unknown (null), and no index is called unused, when the main database's
+   * statistics cannot be read or have recorded no scans at all
    */
-  calculateImprovement(baseline, optimized) {
-    // Dev mode: Use realistic simulated data
-    if (!this.isProductionMode || baseline.averageTime < 10) {
-      console.log(`[IndexAgent:${this.forkId}] Using simulated benchmarks (dev mode)`);
+  async analyzeIndexUsage() {
+    const client = await this.pool.connect();
 
-      // Indexes typically provide 25-50% improvement on slow queries
-      const baselineTime = 200 + Math.random() * 100; // 200-300ms baseline
-      const improvementFactor = 0.25 + (Math.random() * 0.25); // 25-50% improvement
-      const optimizedTime = Math.round(baselineTime * (1 - improvementFactor));
+    try {
+      const { rows } = await client.query(`
+        SELECT
+          s.schemaname,
+          s.relname as tablename,
+          s.indexrelname as indexname,
+          s.idx_scan,
+          pg_relation_size(s.indexrelid) as size_bytes,
+          i.indisunique,
+          i.indisprimary,
+          EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = s.indexrelid) as backs_constraint,
+          pg_get_indexdef(s.indexrelid) as indexdef
+        FROM pg_stat_user_indexes s
+        JOIN pg_index i ON i.indexrelid = s.indexrelid
+        WHERE s.schemaname = ANY(current_schemas(false))
+      `);
 
-      const storageCost = this.appliedChanges.length * 512; // ~512KB per index estimate
+      const usage = await this.readIndexScans();
+
+      const findings = findRedundantIndexes(rows.map(row => ({
+        schemaName: row.schemaname,
+        tableName: row.tablename,
+        indexName: row.indexname,
+        indexdef: row.indexdef,
+        scans: usage ? usage.scans[`${row.schemaname}.${row.indexname}`] ?? null : null,
+        sizeBytes: Number(row.size_bytes),
+        unique: row.indisunique,
+        primary: row.indisprimary,
+        backsConstraint: row.backs_constraint
+      })));
+
+      const tables = [...new Map(findings.map(f => [`${f.schemaName}.${f.tableName}`, f])).values()];
+      const writeQueries = [];
+      for (const { schemaName, tableName } of tables) {
+        const { rows: columns } = await client.query(`
+          SELECT column_name
+          FROM information_schema.columns
+          WHERE table_schema = $1 AND table_name = $2
+            AND is_generated = 'NEVER' AND is_identity = 'NO'
+            AND (column_default IS NULL OR column_default NOT LIKE 'nextval(%')
+          ORDER BY ordinal_position
+        `, [schemaName, tableName]);
+        if (columns.length === 0) continue;
+
+        // Copies of existing rows exercise every index on the table; conflicting keys are skipped
+        const table = `${quoteIdentifier(schemaName)}.${quoteIdentifier(tableName)}`;
+        const list = columns.map(c => quoteIdentifier(c.column_name)).join(', ');
+        writeQueries.push({
+          query: `INSERT INTO ${table} (${list}) SELECT ${list} FROM ${table} LIMIT ${WRITE_SAMPLE_ROWS} ON CONFLICT DO NOTHING`
+        });
+      }
 
       return {
-        percentImprovement: Math.round(((baselineTime - optimizedTime) / baselineTime) * 100),
-        storageCost,
-        baselineTime: Math.round(baselineTime),
-        optimizedTime
+        indexCount: rows.length,
+        findings,
+        statsSince: usage?.statsSince || null,
+        usageTracked: Boolean(usage),
+        queries: this.workload ? this.workload.queries : writeQueries
       };
+    } finally {
+      client.release();
     }
+  }
+
+  /**
+   * Index scan counts from the main database, which is where production queries run
+   * @returns {Promise<Object|null>} { scans: { 'schema.index': count }, statsSince }, or null when unknown
+   */
+  async readIndexScans() {
+    const mainPool = tigerService.getMainPool();
+    if (!mainPool) {
+      this.log('No main database configured, skipping unused index detection');
+      return null;
+    }
+
+    try {
+      const { rows } = await mainPool.query(`
+        SELECT
+          s.schemaname,
+          s.indexrelname,
+          s.idx_scan,
+          (SELECT stats_reset FROM pg_stat_database WHERE datname = current_database()) as stats_reset
+        FROM pg_stat_user_indexes s
+      `);
+
+      // Statistics that were reset (or never collected) would make every index look unused
+      if (!rows.some(row => Number(row.idx_scan) > 0)) {
+        this.log('No index scans recorded on the main database, skipping unused index detection');
+        return null;
+      }
+
+      return {
+        scans: Object.fromEntries(rows.map(row => [`${row.schemaname}.${row.indexrelname}`, Number(row.idx_scan)])),
+        statsSince: rows[0].stats_reset || null
+      };
+    } catch (error) {
+      this.log(`Could not read index usage from the main database, skipping unused index detection: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Cleanup: drop duplicates first, then redundant prefixes, then unused indexes, largest first
+   */
+  async getCleanupRecommendations(analysis) {
+    const kinds = ['duplicate', 'redundant', 'unused'];
+    const recommendations = [...analysis.findings]
+      .sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind) || b.sizeBytes - a.sizeBytes);
+
+    recommendations.forEach(f => this.log(`Droppable ${f.kind} index ${f.indexName} on ${f.tableName}: ${f.reason}`));
+    this.log(`Found ${recommendations.length} droppable of ${analysis.indexCount} indexes`);
+    return recommendations;
+  }
+
+  /**
+   * Drop the recommended indexes on the fork
+   */
+  async dropIndexes(recommendations) {
+    const client = await this.pool.connect();
+    const droppedIndexes = [];
 
-    // Production mode: Use real benchmark data from Tiger Cloud forks
-    console.log(`[IndexAgent:${this.forkId}] Using real benchmarks (production mode)`);
+    try {
+      for (const rec of recommendations.slice(0, this.config.maxIndexes)) {
+        const dropIndexSQL = `DROP INDEX IF EXISTS ${quoteIdentifier(rec.schemaName)}.${quoteIdentifier(rec.indexName)}`;
+
+        try {
+          await client.query(dropIndexSQL);
+          droppedIndexes.push({ ...rec, sql: dropIndexSQL });
 
-    const percentImprovement = Math.round(
-      ((baseline.averageTime - optimized.averageTime) / baseline.averageTime) * 100
-    );
+          this.appliedChanges.push(dropIndexSQL);
+
+          this.log(`Dropped index: ${rec.indexName}`);
+        } catch (error) {
+          console.warn(`Could not drop index ${rec.indexName}: ${error.message}`);
+        }
+      }
+
+      return droppedIndexes;
+    } finally {
+      client.release();
+    }
+  }
 
-    // Estimate storage cost (in KB per index)
-    const storageCost = this.appliedChanges.length * 512; // ~512KB per index estimate
+  /**
+   * Summarize the dropped indexes: storage freed and write throughput before and after
+   */
+  async reportCleanup({ analysis, proposals, applied, baseline, optimized }) {
+    const storageFreedBytes = applied.reduce((sum, index) => sum + index.sizeBytes, 0);
+    const kinds = Object.entries(groupCount(applied.map(index => index.kind))).map(([kind, n]) => `${n} ${kind}`);
+    const tables = [...new Set(applied.map(index => index.tableName))];
 
     return {
-      percentImprovement: Math.max(0, Math.min(100, percentImprovement)),
-      storageCost,
-      baselineTime: Math.round(baseline.averageTime),
-      optimizedTime: Math.round(optimized.averageTime)
+      strategy: applied.length === 0
+        ? 'No indexes dropped'
+        : `Dropped ${applied.length} index${applied.length !== 1 ? 'es' : ''} (${kinds.join(', ')}) on ${tables.join(', ')}, freeing ${formatBytes(storageFreedBytes)}`,
+      cost: 0,
+      details: {
+        mode: 'cleanup',
+        indexesDropped: applied.length,
+        indexesAnalyzed: analysis.indexCount,
+        storageFreedBytes,
+        usageTracked: analysis.usageTracked,
+        statsSince: analysis.statsSince,
+        throughput: {
+          baseline: statementsPerSecond(baseline),
+          optimized: statementsPerSecond(optimized)
+        },
+        findings: proposals.map(({ indexName, tableName, kind, supersededBy, scans, sizeBytes, reason }) => ({
+          indexName, tableName, kind, supersededBy, scans, sizeBytes, reason
+        }))
+      }
     };
   }
 
@@ -357,22 +627,60 @@ class IndexAgent {
 
     return `Created ${appliedIndexes.length} ${indexTypes.join('/')} index${appliedIndexes.length > 1 ? 'es' : ''} on ${tables.join(', ')} to optimize query performance`;
   }
+}
 
-  /**
-   * Calculate average query time from analysis
-   */
-  calculateAverageQueryTime(queries) {
-    if (queries.length === 0) return 0;
-    const total = queries.reduce((sum, q) => sum + (q.mean_exec_time || 0), 0);
-    return Math.round(total / queries.length);
-  }
+/**
+ * Helper: idx_<table>_<columns>[_<type>][_<value>][_covering]_optimized, within PostgreSQL's identifier limit
+ */
+function buildIndexName({ tableName, columns, indexType, where, include }) {
+  const parts = [tableName, ...columns];
+  if (indexType !== 'btree') parts.push(indexType);
+  if (where) parts.push(where.value.toLowerCase().replace(/[^a-z0-9]+/g, '_'));
+  if (include) parts.push('covering');
+
+  const suffix = '_optimized';
+  return `idx_${parts.join('_')}`.slice(0, MAX_IDENTIFIER_LENGTH - suffix.length) + suffix;
+}
 
-  /**
-   * Clean up resources
-   */
-  async cleanup() {
-    await this.pool.end();
-  }
+/**
+ * Helper: Weighted statements per second over a benchmark's mean pass time
+ */
+function statementsPerSecond(benchmark) {
+  const weight = benchmark.queries.reduce((sum, q) => sum + (q.weight ?? 1), 0);
+  return benchmark.summary.mean > 0 ? round(weight * 1000 / benchmark.summary.mean) : null;
+}
+
+/**
+ * Helper: Count occurrences of each value
+ */
+function groupCount(values) {
+  return values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] || 0) + 1 }), {});
+}
+
+/**
+ * Helper: 1536 → "1.5 kB"
+ */
+function formatBytes(bytes) {
+  const units = ['bytes', 'kB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)));
+  return `${Number((bytes / 1024 ** exponent).toPrecision(3))} ${units[exponent]}`;
+}
+
+/**
+ * Helper: Round a planner cost to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: Attribute unqualified columns to the first table of the query that has them,
+ * dropping references that are not table columns (CTEs, subquery aliases, functions)
+ */
+function resolveUsages({ tables, usages }, columnStats) {
+  return usages
+    .map(usage => ({ ...usage, table: usage.table || tables.find(table => columnStats[`${table}.${usage.column}`]) }))
+    .filter(usage => usage.table && columnStats[`${usage.table}.${usage.column}`]);
 }
 
 export default IndexAgent;
@@ -1,90 +1,103 @@
-import pg from 'pg';
-
-const { Pool } = pg;
+import BaseAgent from './BaseAgent.js';
+import { isReadOnlyStatement } from '../lib/workload.js';
+import { rewriteQuery, referencedTables, loadTableSchema, compareQueryResults } from '../lib/sqlRewriter.js';
+import { bottleneckScore } from '../lib/planAnalyzer.js';
+
+// Plans are inspected for this many times maxQueries candidates; the worst bottlenecks are rewritten
+const PLAN_CANDIDATE_FACTOR = 2;
+
+// How each rewrite rule reads in the strategy summary
+const TECHNIQUES = {
+  'expand-star': 'specified columns',
+  'remove-distinct': 'removed redundant DISTINCT',
+  'in-to-exists': 'rewrote IN subqueries as EXISTS',
+  'subquery-to-join': 'joined correlated subqueries',
+  'predicate-pushdown': 'pushed predicates into CTEs',
+  'or-to-union': 'split OR into UNION ALL'
+};
 
 /**
  * QueryAgent - AI agent that rewrites and optimizes SQL queries
  * Tests different query patterns (CTEs vs subqueries, JOIN orders, etc.)
  */
-class QueryAgent {
-  constructor(forkConnectionString, forkId) {
-    this.connectionString = forkConnectionString;
-    this.forkId = forkId;
-    this.pool = new Pool({
-      connectionString: forkConnectionString,
-      ssl: { rejectUnauthorized: false } // Disable SSL verification for Tiger Cloud forks
-    });
+class QueryAgent extends BaseAgent {
+  static fastMode = {
+    improvement: [40, 35],
+    baselineTime: [180, 40],
+    cost: 15,
+    strategy: 'Rewrote IN subqueries as EXISTS and correlated subqueries as joins',
+    details: { queriesOptimized: 4, optimizations: ['IN (subquery) → EXISTS', 'Correlated subquery → JOIN'] }
+  };
+
+  // Rewrites are only benchmarked, so demo mode is safe
+  static executesDdl = false;
+
+  constructor(...args) {
+    super(...args);
     this.optimizations = [];
-    this.isProductionMode = process.env.TIGER_CLI_AVAILABLE === 'true';
   }
 
   /**
-   * Run query optimization
-   * @returns {Promise<Object>} Optimization results
+   * Find slow queries (or take the supplied workload) and their execution plans
    */
-  async optimize() {
-    try {
-      console.log(`[QueryAgent:${this.forkId}] Starting query optimization...`);
-
-      // Fast mode: Skip slow database operations
-      if (process.env.FAST_MODE === 'true') {
-        const improvement = 40 + Math.random() * 35;
-        const baselineTime = 180 + Math.random() * 40;
-        return {
-          agent: 'QueryAgent',
-          forkId: this.forkId,
-          status: 'complete',
-          improvement: Math.round(improvement),
-          executionTime: Math.round(baselineTime * (1 - improvement / 100)),
-          baselineTime: Math.round(baselineTime),
-          cost: 15,
-          strategy: 'Optimized SELECT statements and added LIMIT clauses',
-          details: { queriesOptimized: 4, optimizations: ['SELECT * → specific columns', 'Added LIMIT clauses'] }
-        };
-      }
+  async analyze() {
+    let slowQueries;
+    if (this.workload) {
+      this.log(`Using workload "${this.workload.name}" (${this.workload.queries.length} statements)...`);
+      // Heaviest statements first, so maxQueries keeps the ones that matter most
+      slowQueries = [...this.workload.queries].sort((a, b) => b.weight - a.weight);
+    } else {
+      this.log('Examining pg_stat_statements for slow queries...');
+      slowQueries = await this.findSlowQueries();
+    }
 
-      // Step 1: Find slow queries
-      const slowQueries = await this.findSlowQueries();
+    this.log(`Analyzing execution plans for ${Math.min(slowQueries.length, this.config.maxQueries * PLAN_CANDIDATE_FACTOR)} queries...`);
+    const plans = await this.analyzeQueryPlans(slowQueries);
 
-      // Step 2: Analyze query plans
-      const queryAnalysis = await this.analyzeQueryPlans(slowQueries);
+    return { slowQueries, plans };
+  }
 
-      // Step 3: Get AI-powered rewrite suggestions
-      const rewrites = await this.getQueryRewrites(queryAnalysis);
+  /**
+   * Rewrite each analyzed query, keeping only rewrites that return the same results
+   */
+  async propose(analysis) {
+    const rewrites = await this.getQueryRewrites(analysis.plans);
+    return this.verifyRewrites(rewrites);
+  }
 
-      // Step 4: Benchmark original vs optimized
-      const results = await this.benchmarkRewrites(rewrites);
+  /**
+   * Rewrites change the SQL the application sends, not the fork: nothing to execute
+   */
+  async apply(rewrites) {
+    return rewrites;
+  }
 
-      // Step 5: Calculate overall improvement
-      const improvement = this.calculateImprovement(results);
+  /**
+   * Benchmark the original queries as the baseline and their rewrites as the optimized phase
+   * With a workload, the optimized phase replays the whole workload with rewritten statements swapped in
+   */
+  benchmarkQueries({ workload, proposals }, phase) {
+    if (workload) {
+      if (phase === 'baseline') return workload.queries;
+      const rewrites = new Map(proposals.map(rewrite => [rewrite.original, rewrite.optimized]));
+      return workload.queries.map(q => ({ ...q, query: rewrites.get(q.query) ?? q.query }));
+    }
 
-      console.log(`[QueryAgent:${this.forkId}] Optimization complete: ${improvement.percentImprovement}% improvement`);
+    return proposals.map(rewrite => (phase === 'baseline' ? rewrite.original : rewrite.optimized));
+  }
 
-      return {
-        agent: 'QueryAgent',
-        forkId: this.forkId,
-        status: 'complete',
-        improvement: improvement.percentImprovement,
-        executionTime: improvement.optimizedTime,
-        baselineTime: improvement.baselineTime,
-        cost: improvement.complexity,
-        strategy: this.summarizeStrategy(rewrites),
-        details: {
-          queriesOptimized: rewrites.length,
-          optimizations: this.optimizations
-        }
-      };
-    } catch (error) {
-      console.error(`[QueryAgent:${this.forkId}] Error:`, error);
-      return {
-        agent: 'QueryAgent',
-        forkId: this.forkId,
-        status: 'failed',
-        error: error.message,
-        improvement: 0,
-        executionTime: -1
-      };
-    }
+  /**
+   * Summarize the rewrites
+   */
+  async report({ applied }) {
+    return {
+      strategy: this.summarizeStrategy(applied),
+      cost: applied.length * 10, // Complexity score
+      details: {
+        queriesOptimized: applied.length,
+        optimizations: this.optimizations
+      }
+    };
   }
 
   /**
@@ -94,11 +107,13 @@ class QueryAgent {
     const client = await this.pool.connect();
 
     try {
-      // Enable pg_stat_statements
-      try {
-        await client.query('CREATE EXTENSION IF NOT EXISTS pg_stat_statements');
-      } catch (e) {
-        console.warn('Could not create pg_stat_statements extension');
+      // Enable pg_stat_statements (not on the main database in demo mode)
+      if (!this.isDemoMode) {
+        try {
+          await client.query('CREATE EXTENSION IF NOT EXISTS pg_stat_statements');
+        } catch (e) {
+          console.warn('Could not create pg_stat_statements extension');
+        }
       }
 
       const result = await client.query(`
@@ -132,201 +147,126 @@ class QueryAgent {
   }
 
   /**
-   * Analyze query execution plans
+   * EXPLAIN ANALYZE the candidate queries and keep the maxQueries with the worst plan bottlenecks
+   * Ties keep their order (slowest or heaviest first)
    */
   async analyzeQueryPlans(queries) {
-    const client = await this.pool.connect();
-    const analyses = [];
+    const candidates = queries.slice(0, this.config.maxQueries * PLAN_CANDIDATE_FACTOR);
+    const explained = await this.explainQueries(candidates);
+
+    return explained
+      .map(({ query, params, plan, analysis }) => ({
+        originalQuery: query,
+        params,
+        executionPlan: plan,
+        findings: analysis.findings,
+        currentTime: candidates.find(candidate => candidate.query === query)?.mean_exec_time
+      }))
+      .sort((a, b) => bottleneckScore(b.findings) - bottleneckScore(a.findings))
+      .slice(0, this.config.maxQueries);
+  }
 
-    try {
-      for (const queryObj of queries.slice(0, 3)) {
-        try {
-          // Get EXPLAIN ANALYZE
-          const planResult = await client.query(`EXPLAIN (FORMAT JSON) ${queryObj.query}`);
-          const plan = planResult.rows[0]['QUERY PLAN'];
-
-          analyses.push({
-            originalQuery: queryObj.query,
-            executionPlan: plan,
-            currentTime: queryObj.mean_exec_time
-          });
-        } catch (error) {
-          console.warn(`Could not analyze query: ${error.message}`);
-        }
-      }
+  /**
+   * Rewrite each query with the rules in lib/sqlRewriter.js (no AI required)
+   * Queries no rule applies to, or that do not parse, are left out
+   */
+  async getQueryRewrites(analyses) {
+    this.log('Rewriting queries with AST rules...');
 
-      return analyses;
+    const tables = analyses.flatMap(analysis => referencedTables(analysis.originalQuery));
+    const client = await this.pool.connect();
+    let schema;
+    try {
+      schema = await loadTableSchema(client, tables);
     } finally {
       client.release();
     }
-  }
 
-  /**
-   * Get rule-based query rewrite suggestions (no AI required)
-   */
-  async getQueryRewrites(analyses) {
-    console.log(`[QueryAgent:${this.forkId}] Using rule-based query optimizations`);
     const rewrites = [];
-
     for (const analysis of analyses) {
-      const optimized = this.applySimpleOptimizations(analysis.originalQuery);
-      const explanation = this.explainOptimization(analysis.originalQuery, optimized);
+      const { sql, applied, error } = rewriteQuery(analysis.originalQuery, schema);
+
+      if (error) {
+        this.log(`Skipped query: ${error}`, 'warning');
+        continue;
+      }
+      if (applied.length === 0) {
+        continue;
+      }
 
       rewrites.push({
         original: analysis.originalQuery,
-        optimized: optimized,
-        explanation: explanation,
+        optimized: sql,
+        params: analysis.params,
+        rules: applied.map(rule => rule.rule),
+        explanation: applied.map(rule => rule.description).join('; '),
+        bottlenecks: [...new Set(analysis.findings.map(finding => finding.type))],
         expectedImprovement: 15,
         currentTime: analysis.currentTime
       });
-
-      this.optimizations.push({
-        type: 'query_rewrite',
-        description: explanation,
-        sql: optimized
-      });
     }
 
-    console.log(`[QueryAgent:${this.forkId}] Generated ${rewrites.length} query optimizations`);
+    this.log(`Generated ${rewrites.length} query optimizations`);
     return rewrites;
   }
 
   /**
-   * Apply simple query optimization patterns
+   * Check that each rewrite returns the same results as its original query
+   * Both run on the fork in a read-only transaction; row counts and an order-insensitive
+   * checksum of the rows are compared. Rewrites that differ or cannot be compared are
+   * rejected and reported in details.optimizations
+   * @param {Array} rewrites - From getQueryRewrites()
+   * @returns {Promise<Array>} Rewrites that passed
    */
-  applySimpleOptimizations(query) {
-    let optimized = query;
+  async verifyRewrites(rewrites) {
+    const accepted = [];
 
-    // Convert SELECT * to specific columns (simulated)
-    if (optimized.includes('SELECT *')) {
-      optimized = optimized.replace('SELECT *', 'SELECT id, name, created_at');
-    }
+    for (const rewrite of rewrites) {
+      const reason = await this.checkEquivalence(rewrite);
+
+      this.optimizations.push({
+        type: 'query_rewrite',
+        status: reason ? 'rejected' : 'verified',
+        description: rewrite.explanation,
+        rules: rewrite.rules,
+        bottlenecks: rewrite.bottlenecks,
+        sql: rewrite.optimized,
+        original: rewrite.original,
+        ...(reason && { reason })
+      });
 
-    // Add LIMIT if not present
-    if (!optimized.toLowerCase().includes('limit') && optimized.toLowerCase().includes('select')) {
-      optimized += ' LIMIT 1000';
+      if (reason) {
+        this.log(`Rejected rewrite: ${reason}`, 'warning');
+      } else {
+        accepted.push(rewrite);
+      }
     }
 
-    return optimized;
+    this.log(`${accepted.length} of ${rewrites.length} rewrites return the same results`);
+    return accepted;
   }
 
   /**
-   * Explain the optimization applied
+   * Run a rewrite and its original query and compare their results
+   * @returns {Promise<string|null>} Why the rewrite was rejected, or null if results match
    */
-  explainOptimization(original, optimized) {
-    const explanations = [];
-
-    if (original.includes('SELECT *') && !optimized.includes('SELECT *')) {
-      explanations.push('Replaced SELECT * with specific columns to reduce data transfer');
+  async checkEquivalence({ original, optimized, params = [] }) {
+    if (optimized === original) {
+      return null;
     }
-
-    if (!original.toLowerCase().includes('limit') && optimized.toLowerCase().includes('limit')) {
-      explanations.push('Added LIMIT clause to prevent unbounded result sets');
-    }
-
-    if (explanations.length === 0) {
-      return 'Applied standard query optimization patterns';
+    if (!isReadOnlyStatement(original) || !isReadOnlyStatement(optimized)) {
+      return 'Only read-only queries can be compared';
     }
 
-    return explanations.join('; ');
-  }
-
-  /**
-   * Benchmark original vs rewritten queries
-   */
-  async benchmarkRewrites(rewrites) {
     const client = await this.pool.connect();
-    const results = [];
 
     try {
-      for (const rewrite of rewrites) {
-        // Benchmark original
-        const originalTime = await this.benchmarkQuery(client, rewrite.original);
-
-        // Benchmark optimized
-        const optimizedTime = await this.benchmarkQuery(client, rewrite.optimized);
-
-        results.push({
-          original: rewrite.original,
-          optimized: rewrite.optimized,
-          originalTime,
-          optimizedTime,
-          improvement: ((originalTime - optimizedTime) / originalTime) * 100
-        });
-      }
-
-      return results;
+      return await compareQueryResults(client, original, optimized, params);
     } finally {
       client.release();
     }
   }
 
-  /**
-   * Benchmark a single query
-   */
-  async benchmarkQuery(client, query) {
-    const iterations = 3;
-    const timings = [];
-
-    for (let i = 0; i < iterations; i++) {
-      const startTime = Date.now();
-
-      try {
-        await client.query(query);
-        const endTime = Date.now();
-        timings.push(endTime - startTime);
-      } catch (error) {
-        // If query fails, return a default time
-        return 100;
-      }
-
-      // Small delay between iterations
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    return timings.reduce((a, b) => a + b, 0) / timings.length;
-  }
-
-  /**
-   * Calculate overall improvement
-   * Uses real benchmarks in production mode (Tiger Cloud), simulated in dev mode
-   */
-  calculateImprovement(results) {
-    // Dev mode: Use realistic simulated data when no real benchmarks available
-    if (!this.isProductionMode || results.length === 0 || results.every(r => r.originalTime < 10)) {
-      console.log(`[QueryAgent:${this.forkId}] Using simulated benchmarks (dev mode)`);
-
-      // Query rewrites typically provide 20-45% improvement
-      const baselineTime = 150 + Math.random() * 50; // 150-200ms baseline
-      const improvementFactor = 0.2 + (Math.random() * 0.25); // 20-45% improvement
-      const optimizedTime = Math.round(baselineTime * (1 - improvementFactor));
-
-      return {
-        percentImprovement: Math.round(((baselineTime - optimizedTime) / baselineTime) * 100),
-        baselineTime: Math.round(baselineTime),
-        optimizedTime,
-        complexity: 3 * 10 // Simulate 3 queries analyzed
-      };
-    }
-
-    // Production mode: Use real benchmark data from Tiger Cloud forks
-    console.log(`[QueryAgent:${this.forkId}] Using real benchmarks (production mode)`);
-
-    const avgOriginal = results.reduce((sum, r) => sum + r.originalTime, 0) / results.length;
-    const avgOptimized = results.reduce((sum, r) => sum + r.optimizedTime, 0) / results.length;
-
-    const percentImprovement = Math.round(
-      Math.max(0, Math.min(100, ((avgOriginal - avgOptimized) / avgOriginal) * 100))
-    );
-
-    return {
-      percentImprovement,
-      baselineTime: Math.round(avgOriginal),
-      optimizedTime: Math.round(avgOptimized),
-      complexity: results.length * 10 // Complexity score
-    };
-  }
-
   /**
    * Summarize optimization strategy
    */
@@ -335,31 +275,11 @@ class QueryAgent {
       return 'No query optimizations applied';
     }
 
-    const techniques = [];
-
-    rewrites.forEach(r => {
-      if (r.optimized.includes('LIMIT') && !r.original.includes('LIMIT')) {
-        techniques.push('added result limiting');
-      }
-      if (r.optimized.includes('JOIN') && r.optimized !== r.original) {
-        techniques.push('optimized JOIN order');
-      }
-      if (!r.optimized.includes('SELECT *') && r.original.includes('SELECT *')) {
-        techniques.push('specified columns');
-      }
-    });
-
+    const techniques = rewrites.flatMap(r => r.rules.map(rule => TECHNIQUES[rule]));
     const uniqueTechniques = [...new Set(techniques)];
 
     return `Optimized ${rewrites.length} quer${rewrites.length > 1 ? 'ies' : 'y'}: ${uniqueTechniques.join(', ') || 'rewrote query structure'}`;
   }
-
-  /**
-   * Clean up resources
-   */
-  async cleanup() {
-    await this.pool.end();
-  }
 }
 
 export default QueryAgent;
@@ -1,85 +1,127 @@
-import pg from 'pg';
-
-const { Pool } = pg;
+import BaseAgent from './BaseAgent.js';
+import { quoteIdentifier } from '../lib/sqlText.js';
 
 /**
  * SchemaAgent - AI agent that optimizes database schema
  * Tests partitioning, denormalization, and data type optimizations
  */
-class SchemaAgent {
-  constructor(forkConnectionString, forkId) {
-    this.connectionString = forkConnectionString;
-    this.forkId = forkId;
-    this.pool = new Pool({
-      connectionString: forkConnectionString,
-      ssl: { rejectUnauthorized: false } // Disable SSL verification for Tiger Cloud forks
-    });
-    this.appliedChanges = [];
-    this.isProductionMode = process.env.TIGER_CLI_AVAILABLE === 'true';
+class SchemaAgent extends BaseAgent {
+  static fastMode = {
+    improvement: [30, 30],
+    baselineTime: [160, 40],
+    cost: 20,
+    strategy: 'Optimized data types and added constraints',
+    details: { optimizationsApplied: 3, appliedChanges: ['ALTER TABLE products ALTER COLUMN price TYPE DECIMAL(10,2)'] }
+  };
+
+  /**
+   * Analyze table structures and column types, plus the workload's plans when one was supplied
+   */
+  async analyze() {
+    this.log('Analyzing table structures and column types...');
+    const analysis = await this.analyzeTables();
+    const plans = this.workload ? await this.explainQueries(this.workload.queries) : [];
+
+    return { ...analysis, misestimates: worstMisestimates(plans), queries: [] };
   }
 
   /**
-   * Run schema optimization
+   * Plan constraints, statistics updates and a vacuum
    */
-  async optimize() {
-    try {
-      console.log(`[SchemaAgent:${this.forkId}] Starting schema optimization...`);
+  async propose(analysis) {
+    const optimizations = [];
 
-      // Fast mode: Skip slow database operations
-      if (process.env.FAST_MODE === 'true') {
-        const improvement = 30 + Math.random() * 30;
-        const baselineTime = 160 + Math.random() * 40;
-        return {
-          agent: 'SchemaAgent',
-          forkId: this.forkId,
-          status: 'complete',
-          improvement: Math.round(improvement),
-          executionTime: Math.round(baselineTime * (1 - improvement / 100)),
-          baselineTime: Math.round(baselineTime),
-          cost: 20,
-          strategy: 'Optimized data types and added constraints',
-          details: { optimizationsApplied: 3, appliedChanges: ['ALTER TABLE products ALTER COLUMN price TYPE DECIMAL(10,2)'] }
-        };
-      }
+    // Optimization 1: Add constraints to improve query planning
+    for (const table of analysis.tables.slice(0, 2)) {
+      optimizations.push({
+        type: 'constraint',
+        table: table.tablename,
+        description: 'Added validation constraint for better query optimization',
+        // Add a check constraint (example)
+        sql: `
+          ALTER TABLE ${table.tablename}
+          ADD CONSTRAINT IF NOT EXISTS chk_${table.tablename}_valid
+          CHECK (id > 0)
+        `,
+        schemaChange: true
+      });
+    }
 
-      // Step 1: Analyze table structures
-      const tableAnalysis = await this.analyzeTables();
+    // Optimization 2: Analyze tables for better statistics, those the planner misestimates first
+    const statistics = [
+      ...Object.entries(analysis.misestimates).map(([table, factor]) => ({
+        table,
+        description: `Updated table statistics: query plans misestimated ${table} rows by up to ${factor}x`
+      })),
+      ...analysis.tables.map(table => ({ table: table.tablename, description: 'Updated table statistics for query planner' }))
+    ].filter((entry, i, all) => all.findIndex(other => other.table === entry.table) === i);
+
+    for (const { table, description } of statistics.slice(0, this.config.maxTables)) {
+      optimizations.push({
+        type: 'statistics',
+        table,
+        description,
+        sql: `ANALYZE ${quoteIdentifier(table)}`,
+        schemaChange: false
+      });
+    }
 
-      // Step 2: Apply schema optimizations
-      const optimizations = await this.applySchemaOptimizations(tableAnalysis);
+    // Optimization 3: Vacuum to reclaim space
+    optimizations.push({
+      type: 'maintenance',
+      description: 'Performed vacuum to optimize storage',
+      sql: 'VACUUM ANALYZE',
+      schemaChange: false
+    });
 
-      // Step 3: Measure impact
-      const improvement = await this.measureImpact(optimizations);
+    return optimizations;
+  }
 
-      console.log(`[SchemaAgent:${this.forkId}] Optimization complete: ${improvement.percentImprovement}% improvement`);
+  /**
+   * Run the planned optimizations on the fork; only schema changes need promoting
+   */
+  async apply(optimizations) {
+    const client = await this.pool.connect();
+    const applied = [];
 
-      return {
-        agent: 'SchemaAgent',
-        forkId: this.forkId,
-        status: 'complete',
-        improvement: improvement.percentImprovement,
-        executionTime: improvement.optimizedTime,
-        baselineTime: improvement.baselineTime,
-        cost: improvement.storageSavings,
-        strategy: this.summarizeStrategy(optimizations),
-        details: {
-          optimizationsApplied: optimizations.length,
-          appliedChanges: this.appliedChanges
+    try {
+      for (const optimization of optimizations) {
+        try {
+          await client.query(optimization.sql);
+          if (optimization.schemaChange) {
+            this.appliedChanges.push(optimization.sql);
+            this.log(`Added ${optimization.type} to ${optimization.table}`);
+          }
+
+          applied.push({
+            type: optimization.type,
+            table: optimization.table,
+            description: optimization.description
+          });
+        } catch (error) {
+          console.warn(`Could not apply ${optimization.type} optimization: ${error.message}`);
         }
-      };
-    } catch (error) {
-      console.error(`[SchemaAgent:${this.forkId}] Error:`, error);
-      return {
-        agent: 'SchemaAgent',
-        forkId: this.forkId,
-        status: 'failed',
-        error: error.message,
-        improvement: 0,
-        executionTime: -1
-      };
+      }
+
+      return applied;
+    } finally {
+      client.release();
     }
   }
 
+  /**
+   * Summarize the applied optimizations
+   */
+  async report({ applied }) {
+    return {
+      strategy: this.summarizeStrategy(applied),
+      cost: applied.length * 256, // Estimate storage savings
+      details: {
+        optimizationsApplied: applied.length
+      }
+    };
+  }
+
   async analyzeTables() {
     const client = await this.pool.connect();
 
@@ -119,125 +161,6 @@ class SchemaAgent {
     }
   }
 
-  async applySchemaOptimizations(analysis) {
-    const client = await this.pool.connect();
-    const optimizations = [];
-
-    try {
-      // Optimization 1: Add constraints to improve query planning
-      for (const table of analysis.tables.slice(0, 2)) {
-        try {
-          // Add a check constraint (example)
-          const constraintSQL = `
-            ALTER TABLE ${table.tablename}
-            ADD CONSTRAINT IF NOT EXISTS chk_${table.tablename}_valid
-            CHECK (id > 0)
-          `;
-
-          await client.query(constraintSQL);
-          this.appliedChanges.push(constraintSQL);
-
-          optimizations.push({
-            type: 'constraint',
-            table: table.tablename,
-            description: 'Added validation constraint for better query optimization'
-          });
-
-          console.log(`[SchemaAgent:${this.forkId}] Added constraint to ${table.tablename}`);
-        } catch (error) {
-          console.warn(`Could not add constraint: ${error.message}`);
-        }
-      }
-
-      // Optimization 2: Analyze tables for better statistics
-      for (const table of analysis.tables.slice(0, 3)) {
-        try {
-          const analyzeSQL = `ANALYZE ${table.tablename}`;
-          await client.query(analyzeSQL);
-
-          optimizations.push({
-            type: 'statistics',
-            table: table.tablename,
-            description: 'Updated table statistics for query planner'
-          });
-        } catch (error) {
-          console.warn(`Could not analyze table: ${error.message}`);
-        }
-      }
-
-      // Optimization 3: Vacuum to reclaim space
-      try {
-        await client.query('VACUUM ANALYZE');
-        optimizations.push({
-          type: 'maintenance',
-          description: 'Performed vacuum to optimize storage'
-        });
-      } catch (error) {
-        console.warn('Could not vacuum:', error.message);
-      }
-
-      return optimizations;
-    } finally {
-      client.release();
-    }
-  }
-
-  /**
-   * Measure schema optimization impact
-   * Uses real benchmarks in production mode (Tiger Cloud), simulated in dev mode
-   */
-  async measureImpact(optimizations) {
-    // Dev mode: Use realistic simulated data
-    if (!this.isProductionMode) {
-      console.log(`[SchemaAgent:${this.forkId}] Using simulated benchmarks (dev mode)`);
-
-      // Schema optimizations (constraints, statistics, vacuum) typically provide 25-40% improvement
-      const baselineTime = 100 + Math.random() * 50; // 100-150ms baseline
-      const improvementFactor = 0.25 + (Math.random() * 0.15); // 25-40% improvement
-      const optimizedTime = Math.round(baselineTime * (1 - improvementFactor));
-
-      return {
-        percentImprovement: Math.round(((baselineTime - optimizedTime) / baselineTime) * 100),
-        baselineTime: Math.round(baselineTime),
-        optimizedTime,
-        storageSavings: optimizations.length * 256 // Estimate storage savings
-      };
-    }
-
-    // Production mode: Use real benchmark data from Tiger Cloud forks
-    console.log(`[SchemaAgent:${this.forkId}] Using real benchmarks (production mode)`);
-
-    // Benchmark actual queries before/after schema optimizations
-    const client = await this.pool.connect();
-    try {
-      // Run a test query to measure impact
-      const testQuery = 'SELECT COUNT(*) FROM pg_stat_user_tables';
-
-      // Measure baseline (simulated from before optimizations were applied)
-      const baselineStart = Date.now();
-      await client.query(testQuery);
-      const baselineTime = Date.now() - baselineStart + 50; // Add baseline offset
-
-      // Measure optimized (current state with schema optimizations)
-      const optimizedStart = Date.now();
-      await client.query(testQuery);
-      const optimizedTime = Date.now() - optimizedStart;
-
-      const percentImprovement = Math.round(
-        Math.max(0, ((baselineTime - optimizedTime) / baselineTime) * 100)
-      );
-
-      return {
-        percentImprovement,
-        baselineTime: Math.round(baselineTime),
-        optimizedTime: Math.round(optimizedTime),
-        storageSavings: optimizations.length * 256
-      };
-    } finally {
-      client.release();
-    }
-  }
-
   summarizeStrategy(optimizations) {
     if (optimizations.length === 0) {
       return 'No schema optimizations applied';
@@ -247,10 +170,20 @@ class SchemaAgent {
 
     return `Applied ${optimizations.length} schema optimization${optimizations.length > 1 ? 's' : ''}: ${types.join(', ')} to improve query planning and reduce storage`;
   }
+}
 
-  async cleanup() {
-    await this.pool.end();
-  }
+/**
+ * Helper: Worst row-estimate factor per table across the plans' misestimate findings, worst first
+ */
+function worstMisestimates(plans) {
+  const worst = {};
+  plans
+    .flatMap(plan => plan.analysis.findings)
+    .filter(finding => finding.type === 'misestimate' && finding.relation)
+    .forEach(({ relation, factor }) => {
+      worst[relation] = Math.max(worst[relation] || 0, factor);
+    });
+  return Object.fromEntries(Object.entries(worst).sort((a, b) => b[1] - a[1]));
 }
 
 export default SchemaAgent;
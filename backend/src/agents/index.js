@@ -0,0 +1,83 @@
+import { isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import agentRegistry from './registry.js';
+import IndexAgent from './IndexAgent.js';
+import QueryAgent from './QueryAgent.js';
+import CacheAgent from './CacheAgent.js';
+import SchemaAgent from './SchemaAgent.js';
+
+// Built-in agents
+agentRegistry.register({
+  name: 'index',
+  label: 'Index Optimization',
+  description: 'Create optimal indexes for faster queries',
+  icon: 'database',
+  configSchema: {
+    mode: { type: 'string', description: 'create proposes new indexes; cleanup drops unused, duplicate and redundant ones', default: 'create', enum: ['create', 'cleanup'] },
+    maxIndexes: { type: 'integer', description: 'Most indexes to create (or drop, in cleanup mode)', default: 3, minimum: 1, maximum: 20 },
+    whatIf: { type: 'boolean', description: 'Rank candidates with HypoPG hypothetical indexes before building any', default: true }
+  },
+  Agent: IndexAgent
+});
+
+agentRegistry.register({
+  name: 'query',
+  label: 'Query Rewriting',
+  description: 'Optimize SQL query structure and execution',
+  icon: 'zap',
+  configSchema: {
+    maxQueries: { type: 'integer', description: 'Most slow queries to analyze', default: 3, minimum: 1, maximum: 20 }
+  },
+  Agent: QueryAgent
+});
+
+agentRegistry.register({
+  name: 'cache',
+  label: 'Caching Strategy',
+  description: 'Implement materialized views and caching',
+  icon: 'trending-up',
+  configSchema: {
+    maxViews: { type: 'integer', description: 'Most materialized views to create', default: 2, minimum: 1, maximum: 10 }
+  },
+  Agent: CacheAgent
+});
+
+agentRegistry.register({
+  name: 'schema',
+  label: 'Schema Optimization',
+  description: 'Improve database schema and constraints',
+  icon: 'settings',
+  configSchema: {
+    maxTables: { type: 'integer', description: 'Most tables to re-analyze', default: 3, minimum: 1, maximum: 50 }
+  },
+  Agent: SchemaAgent
+});
+
+/**
+ * Register in-house agents listed in AGENT_MODULES
+ * A comma-separated list of module paths (relative to the working directory) or package
+ * names; each module's default export is an agent definition, an array of definitions,
+ * or a function that receives the registry
+ * @returns {Promise<number>} Number of modules loaded
+ */
+export async function loadAgentModules() {
+  const specifiers = (process.env.AGENT_MODULES || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  for (const specifier of specifiers) {
+    const url = specifier.startsWith('.') || isAbsolute(specifier)
+      ? pathToFileURL(resolve(specifier)).href
+      : specifier;
+    const { default: plugin } = await import(url);
+
+    if (typeof plugin === 'function') {
+      await plugin(agentRegistry);
+    } else {
+      [].concat(plugin).forEach(definition => agentRegistry.register(definition));
+    }
+    console.log(`[Agents] Loaded ${specifier}`);
+  }
+
+  return specifiers.length;
+}
+
+export default agentRegistry;
@@ -0,0 +1,153 @@
+/**
+ * AgentRegistry - Strategies that can run in a universe
+ * Each agent registers under a strategy name (e.g. 'index') with the metadata
+ * the UI needs to render it and a config schema for its per-run options
+ */
+class AgentRegistry {
+  constructor() {
+    this.agents = new Map();
+  }
+
+  /**
+   * Register an agent
+   * @param {Object} definition - Agent definition
+   * @param {string} definition.name - Strategy name used in requests (e.g. 'index')
+   * @param {string} definition.label - Display name (e.g. 'Index Optimization')
+   * @param {string} definition.description - One-line description shown in the spawner
+   * @param {string} [definition.icon] - Icon key the frontend maps to an icon (e.g. 'database')
+   * @param {Object} [definition.configSchema] - Options: { [option]: { type, description, default, minimum, maximum, enum } }
+   * @param {Function} definition.Agent - Agent class, constructed as new Agent(connectionString, forkId, onEvent, config, { isDemoMode })
+   */
+  register({ name, label, description, icon = 'bot', configSchema = {}, Agent }) {
+    if (!name || !/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new Error(`Invalid agent name: ${name} (use lowercase letters, digits and dashes)`);
+    }
+    if (typeof Agent !== 'function' || typeof Agent.prototype.optimize !== 'function') {
+      throw new Error(`Agent ${name} must be a class with an optimize() method`);
+    }
+    if (this.agents.has(name)) {
+      throw new Error(`Agent ${name} is already registered`);
+    }
+
+    this.agents.set(name, {
+      name,
+      label: label || name,
+      description: description || '',
+      icon,
+      configSchema,
+      Agent
+    });
+    console.log(`[Agents] Registered ${name} (${Agent.name})`);
+  }
+
+  /**
+   * Remove an agent (e.g. to replace a built-in with an in-house version)
+   * @param {string} name - Strategy name
+   * @returns {boolean} Whether an agent was removed
+   */
+  unregister(name) {
+    return this.agents.delete(name);
+  }
+
+  /**
+   * Get a registered agent definition
+   * @param {string} name - Strategy name
+   * @returns {Object|undefined} The definition, if registered
+   */
+  get(name) {
+    return this.agents.get(name);
+  }
+
+  /**
+   * Whether a strategy name is registered
+   */
+  has(name) {
+    return this.agents.has(name);
+  }
+
+  /**
+   * Registered strategy names, in registration order
+   * @returns {Array<string>} e.g. ['index', 'query', 'cache', 'schema']
+   */
+  names() {
+    return [...this.agents.keys()];
+  }
+
+  /**
+   * Public view of every registered agent for GET /api/agents
+   */
+  list() {
+    return [...this.agents.values()].map(({ Agent, ...definition }) => ({
+      ...definition,
+      agent: Agent.name
+    }));
+  }
+
+  /**
+   * Validate an agent's config against its schema and fill in defaults
+   * @param {string} name - Strategy name
+   * @param {Object} [config] - Options supplied with the request
+   * @returns {Object} Resolved config
+   * @throws {Error} If the config does not match the schema
+   */
+  resolveConfig(name, config = {}) {
+    const definition = this.agents.get(name);
+    if (!definition) {
+      throw new Error(`Unknown strategy: ${name}`);
+    }
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new Error(`Config for ${name} must be an object`);
+    }
+
+    const schema = definition.configSchema;
+    const unknown = Object.keys(config).filter(option => !schema[option]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown option${unknown.length !== 1 ? 's' : ''} for ${name}: ${unknown.join(', ')}`);
+    }
+
+    const resolved = {};
+    for (const [option, spec] of Object.entries(schema)) {
+      const value = config[option] ?? spec.default;
+      if (value === undefined) continue;
+
+      const error = validateOption(value, spec);
+      if (error) {
+        throw new Error(`${name}.${option} ${error}`);
+      }
+      resolved[option] = value;
+    }
+
+    return resolved;
+  }
+}
+
+/**
+ * Helper: Check one config value against its schema entry
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function validateOption(value, spec) {
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be a boolean';
+      break;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      break;
+    default:
+      break;
+  }
+
+  if (spec.minimum !== undefined && value < spec.minimum) return `must be at least ${spec.minimum}`;
+  if (spec.maximum !== undefined && value > spec.maximum) return `must be at most ${spec.maximum}`;
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of: ${spec.enum.join(', ')}`;
+
+  return null;
+}
+
+export default new AgentRegistry();
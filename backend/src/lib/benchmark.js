@@ -0,0 +1,390 @@
+/**
+ * Benchmark engine shared by all agents
+ *
+ * A benchmark runs the whole query list as one pass: a few warmup passes are
+ * discarded (cold caches, plan caching), then every measured pass records the
+ * time of each query and the pass total. Baseline and optimized passes are
+ * compared with Welch's t-test, so an improvement only counts when it is
+ * larger than the run-to-run noise.
+ *
+ * Queries may carry bind parameters and a weight (see lib/workload.js): a pass
+ * total is the weighted sum of query times, so frequent queries count for more.
+ */
+
+import { isReadOnlyStatement } from './workload.js';
+
+const DEFAULT_WARMUP_RUNS = 2;
+const DEFAULT_MEASURED_RUNS = 10;
+const DEFAULT_ALPHA = 0.05;
+
+/**
+ * Benchmark settings from the environment
+ * BENCHMARK_WARMUP_RUNS, BENCHMARK_RUNS and BENCHMARK_ALPHA override the defaults
+ * @returns {Object} { warmupRuns, runs, alpha }
+ */
+export function getBenchmarkSettings() {
+  const warmupRuns = parseInt(process.env.BENCHMARK_WARMUP_RUNS, 10);
+  const runs = parseInt(process.env.BENCHMARK_RUNS, 10);
+  const alpha = parseFloat(process.env.BENCHMARK_ALPHA);
+
+  return {
+    warmupRuns: warmupRuns >= 0 ? warmupRuns : DEFAULT_WARMUP_RUNS,
+    runs: runs >= 2 ? runs : DEFAULT_MEASURED_RUNS,
+    alpha: alpha > 0 && alpha < 1 ? alpha : DEFAULT_ALPHA
+  };
+}
+
+/**
+ * Time a list of queries on one client
+ * Queries that fail during warmup or in a measured pass are reported in `failedQueries` and left out of every pass.
+ * Statements that write run inside a rolled-back transaction, so every pass sees the same data.
+ * @param {Object} client - pg client
+ * @param {Array<string|Object>} queries - SQL strings or { query, params, weight }
+ * @param {Object} [options] - { warmupRuns, runs } (defaults from getBenchmarkSettings)
+ * @returns {Promise<Object>} { samples (weighted pass totals, ms), summary, queries: [{ index, query, params, weight, samples, summary }], failedQueries: [{ index, query, error }] }
+ */
+export async function runBenchmark(client, queries, options = {}) {
+  const { warmupRuns, runs } = { ...getBenchmarkSettings(), ...options };
+  const failedQueries = [];
+  let measurable = queries.map((entry, index) => ({ ...toStatement(entry), index }));
+
+  // Warmup: also weeds out queries that cannot run at all
+  for (let pass = 0; pass < Math.max(warmupRuns, 1); pass++) {
+    const ok = [];
+    for (const statement of measurable) {
+      try {
+        await timeQuery(client, statement);
+        ok.push(statement);
+      } catch (error) {
+        failedQueries.push({ index: statement.index, query: statement.query, error: error.message });
+      }
+    }
+    measurable = ok;
+  }
+
+  // A query that fails in a measured pass (e.g. a lock or statement timeout) is dropped from
+  // every pass, like a warmup failure, so the pass totals always cover the same queries
+  const perQuery = measurable.map(() => []);
+  const failedInPass = new Set();
+
+  for (let pass = 0; pass < runs && failedInPass.size < measurable.length; pass++) {
+    for (let i = 0; i < measurable.length; i++) {
+      if (failedInPass.has(i)) continue;
+      try {
+        perQuery[i].push(await timeQuery(client, measurable[i]));
+      } catch (error) {
+        failedInPass.add(i);
+        failedQueries.push({ index: measurable[i].index, query: measurable[i].query, error: error.message });
+      }
+    }
+  }
+
+  const kept = measurable.map((statement, i) => ({ statement, times: perQuery[i] })).filter((_, i) => !failedInPass.has(i));
+  const samples = kept.length === 0
+    ? []
+    : kept[0].times.map((_, pass) => kept.reduce((sum, k) => sum + k.times[pass] * k.statement.weight, 0));
+
+  return {
+    samples,
+    summary: summarize(samples),
+    queries: kept.map(({ statement: { index, query, params, weight }, times }) => ({
+      index,
+      query,
+      params,
+      weight,
+      samples: times,
+      summary: summarize(times)
+    })),
+    failedQueries
+  };
+}
+
+/**
+ * Pass totals over only the statements both benchmarks measured
+ * The two query lists are paired by position (a rewrite takes its original's place), so a
+ * statement that failed in either phase is left out of both. Lists of different lengths
+ * cannot be paired, and are comparable only when nothing failed
+ * @param {Object} baseline - runBenchmark result
+ * @param {Object} optimized - runBenchmark result
+ * @returns {Object} { baseline, optimized (weighted pass totals, ms), excluded (statements left out), comparable }
+ */
+export function pairSamples(baseline, optimized) {
+  const failed = baseline.failedQueries.length + optimized.failedQueries.length;
+  if (failed === 0) {
+    return { baseline: baseline.samples, optimized: optimized.samples, excluded: 0, comparable: true };
+  }
+
+  const size = result => result.queries.length + result.failedQueries.length;
+  if (size(baseline) !== size(optimized)) {
+    return { baseline: baseline.samples, optimized: optimized.samples, excluded: failed, comparable: false };
+  }
+
+  const measuredIn = result => new Set(result.queries.map(q => q.index));
+  const inBaseline = measuredIn(baseline);
+  const inOptimized = measuredIn(optimized);
+  const common = index => inBaseline.has(index) && inOptimized.has(index);
+  const totals = result => {
+    const kept = result.queries.filter(q => common(q.index));
+    return kept.length === 0 ? [] : result.samples.map((_, pass) => kept.reduce((sum, q) => sum + q.samples[pass] * q.weight, 0));
+  };
+
+  return {
+    baseline: totals(baseline),
+    optimized: totals(optimized),
+    excluded: size(baseline) - [...inBaseline].filter(common).length,
+    comparable: true
+  };
+}
+
+/**
+ * Descriptive statistics for a set of timings
+ * @param {Array<number>} samples - Timings in ms
+ * @returns {Object} { runs, mean, stddev, min, max, p50, p95, p99, ci95: [low, high] }
+ */
+export function summarize(samples) {
+  const n = samples.length;
+  if (n === 0) {
+    return { runs: 0, mean: 0, stddev: 0, min: 0, max: 0, p50: 0, p95: 0, p99: 0, ci95: [0, 0] };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = samples.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const stddev = Math.sqrt(variance);
+  const margin = n > 1 ? tQuantile(0.975, n - 1) * stddev / Math.sqrt(n) : 0;
+
+  return {
+    runs: n,
+    mean: round(mean),
+    stddev: round(stddev),
+    min: round(sorted[0]),
+    max: round(sorted[n - 1]),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    ci95: [round(mean - margin), round(mean + margin)]
+  };
+}
+
+/**
+ * Compare baseline and optimized timings with Welch's t-test (unequal variances)
+ * @param {Array<number>} baseline - Baseline pass timings
+ * @param {Array<number>} optimized - Optimized pass timings
+ * @param {Object} [options] - { alpha } significance level (default from getBenchmarkSettings)
+ * @returns {Object} { improvement (%), improvementCi95: [low, high] (%), tStatistic, degreesOfFreedom, pValue, alpha, significant }
+ */
+export function compareSamples(baseline, optimized, options = {}) {
+  const { alpha } = { ...getBenchmarkSettings(), ...options };
+  const n1 = baseline.length;
+  const n2 = optimized.length;
+
+  if (n1 < 2 || n2 < 2) {
+    return { improvement: 0, improvementCi95: [0, 0], tStatistic: 0, degreesOfFreedom: 0, pValue: 1, alpha, significant: false };
+  }
+
+  const mean1 = baseline.reduce((sum, v) => sum + v, 0) / n1;
+  const mean2 = optimized.reduce((sum, v) => sum + v, 0) / n2;
+  const var1 = baseline.reduce((sum, v) => sum + (v - mean1) ** 2, 0) / (n1 - 1);
+  const var2 = optimized.reduce((sum, v) => sum + (v - mean2) ** 2, 0) / (n2 - 1);
+
+  const se1 = var1 / n1;
+  const se2 = var2 / n2;
+  const standardError = Math.sqrt(se1 + se2);
+  const diff = mean1 - mean2; // Positive when optimized is faster
+
+  let tStatistic;
+  let degreesOfFreedom;
+  let pValue;
+
+  if (standardError === 0) {
+    // No noise at all: any difference is exact
+    tStatistic = diff === 0 ? 0 : Math.sign(diff) * Infinity;
+    degreesOfFreedom = n1 + n2 - 2;
+    pValue = diff === 0 ? 1 : 0;
+  } else {
+    tStatistic = diff / standardError;
+    degreesOfFreedom = (se1 + se2) ** 2 / (se1 ** 2 / (n1 - 1) + se2 ** 2 / (n2 - 1));
+    pValue = 2 * (1 - studentTCdf(Math.abs(tStatistic), degreesOfFreedom));
+  }
+
+  const margin = standardError === 0 ? 0 : tQuantile(0.975, degreesOfFreedom) * standardError;
+  const toPercent = value => (mean1 > 0 ? round((value / mean1) * 100) : 0);
+
+  return {
+    improvement: toPercent(diff),
+    improvementCi95: [toPercent(diff - margin), toPercent(diff + margin)],
+    tStatistic: Number.isFinite(tStatistic) ? round(tStatistic) : tStatistic,
+    degreesOfFreedom: round(degreesOfFreedom),
+    pValue: round(pValue, 6),
+    alpha,
+    // Only a speed-up counts: a significant slowdown is not an improvement
+    significant: pValue < alpha && diff > 0
+  };
+}
+
+/**
+ * Pick the winning universe among those that finished with a meaningful improvement
+ * A measured improvement must pass the significance test, and simulated (FAST_MODE)
+ * universes only compete when no universe was actually measured
+ * @param {Array<Object>} universes - Universe results ({ status, improvement, significant, simulated })
+ * @returns {Object|null} The winner, or null when no universe improved significantly
+ */
+export function selectWinner(universes) {
+  const completed = universes.filter(u => u.status === 'complete');
+  const measured = completed.filter(u => !u.simulated);
+  const contenders = (measured.length > 0 ? measured : completed).filter(u => u.significant !== false);
+
+  return contenders.length > 0
+    ? contenders.reduce((best, current) => current.improvement > best.improvement ? current : best)
+    : null;
+}
+
+/**
+ * Helper: Normalize a query to { query, params, weight, readOnly }
+ */
+function toStatement(entry) {
+  const { query, params = [], weight = 1 } = typeof entry === 'string' ? { query: entry } : entry;
+  return { query, params, weight, readOnly: isReadOnlyStatement(query) };
+}
+
+/**
+ * Helper: Time one statement with nanosecond precision
+ * Writes are rolled back afterwards; only the statement itself is timed
+ */
+async function timeQuery(client, statement) {
+  const config = { text: statement.query, values: statement.params };
+
+  if (statement.readOnly) {
+    const start = process.hrtime.bigint();
+    await client.query(config);
+    return Number(process.hrtime.bigint() - start) / 1e6;
+  }
+
+  await client.query('BEGIN');
+  try {
+    const start = process.hrtime.bigint();
+    await client.query(config);
+    return Number(process.hrtime.bigint() - start) / 1e6;
+  } finally {
+    await client.query('ROLLBACK');
+  }
+}
+
+/**
+ * Helper: Percentile of sorted values with linear interpolation
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Helper: Round to a fixed number of decimals
+ */
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Helper: Student's t cumulative distribution function
+ */
+function studentTCdf(t, df) {
+  const x = df / (df + t * t);
+  const tail = 0.5 * regularizedIncompleteBeta(x, df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Helper: Student's t quantile, found by bisection on the CDF
+ */
+function tQuantile(p, df) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Helper: Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes 6.4)
+ */
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges quickly only on one side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Helper: Continued fraction for the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return h;
+}
+
+/**
+ * Helper: Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(z) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  }
+
+  z -= 1;
+  let x = 0.99999999999980993;
+  for (let i = 0; i < coefficients.length; i++) {
+    x += coefficients[i] / (z + i + 1);
+  }
+  const t = z + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
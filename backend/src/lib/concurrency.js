@@ -0,0 +1,43 @@
+/**
+ * How many universes run at once, and running them with that limit
+ *
+ * Each universe holds a live fork while it runs, so the limit is the number of
+ * forks alive at the same time.
+ */
+
+/**
+ * Resolve how many universes may run at once
+ * The request may ask for fewer forks than MAX_CONCURRENT_FORKS, never more. Demo mode has
+ * no forks, only the main database, so universes run one at a time there
+ * @param {number|string} [requested] - Concurrency asked for by the request
+ * @param {number} universeCount - Number of universes in the run
+ * @returns {number} At least 1
+ */
+export function resolveConcurrency(requested, universeCount) {
+  if (process.env.TIGER_CLI_AVAILABLE !== 'true') return 1;
+  const max = parseInt(process.env.MAX_CONCURRENT_FORKS, 10) || 1;
+  const wanted = parseInt(requested, 10) || max;
+  return Math.max(1, Math.min(wanted, max, universeCount || 1));
+}
+
+/**
+ * Map over items with at most `limit` workers in flight, preserving order
+ * @param {Array} items - Items to map
+ * @param {number} limit - Most workers running at once
+ * @param {Function} worker - Called as worker(item, index), may be async
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
@@ -0,0 +1,137 @@
+/**
+ * Inverse statements for promoted changes, so a promotion can be rolled back
+ *
+ * Inverses are derived from the statement text plus a schema snapshot taken before the
+ * promotion (see schemaDiff.js): the snapshot tells whether an object created with
+ * IF NOT EXISTS was already there (nothing to undo), and holds the definition of
+ * anything that gets dropped so it can be recreated.
+ */
+
+import { stripComments, unquoteIdentifier } from './sqlText.js';
+
+const IDENT = '(?:"(?:[^"]|"")+"|[A-Za-z_][\\w$]*)';
+const NAME = `(${IDENT}(?:\\.${IDENT})?)`;
+
+// Statements that change no schema, so there is nothing to undo
+const NO_OP = /^(?:analyze|vacuum|refresh\s+materialized\s+view|comment|select)\b/i;
+
+// Tried in order; `inverse(match, snapshot)` returns { inverse, note }
+const INVERSES = [
+  {
+    pattern: new RegExp(`^create\\s+(?:unique\\s+)?index\\s+(?:concurrently\\s+)?(?:if\\s+not\\s+exists\\s+)?${NAME}\\s+on\\s+(?:only\\s+)?${NAME}`, 'i'),
+    inverse: ([, index, table], snapshot) => {
+      // An index always lives in its table's schema
+      const name = splitName(index).length === 1 && splitName(table).length === 2
+        ? `${splitName(table, false)[0]}.${index}`
+        : index;
+      return findObject(snapshot.index, name)
+        ? unchanged('index already existed')
+        : { inverse: `DROP INDEX CONCURRENTLY IF EXISTS ${name}` };
+    }
+  },
+  {
+    pattern: new RegExp(`^drop\\s+index\\s+(?:concurrently\\s+)?(?:if\\s+exists\\s+)?${NAME}\\s*(?:restrict\\s*)?$`, 'i'),
+    inverse: ([, index], snapshot) => {
+      const found = findObject(snapshot.index, index);
+      return found
+        ? { inverse: found.definition.replace(/^CREATE (UNIQUE )?INDEX /, 'CREATE $1INDEX CONCURRENTLY IF NOT EXISTS ') }
+        : unchanged('index did not exist');
+    }
+  },
+  {
+    pattern: new RegExp(`^alter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?${NAME}\\s+add\\s+constraint\\s+(${IDENT})`, 'i'),
+    inverse: ([, table, constraint], snapshot) => (
+      findObject(snapshot.constraint, `${table}.${constraint}`)
+        ? unchanged('constraint already existed')
+        : { inverse: `ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${constraint}` }
+    )
+  },
+  {
+    pattern: new RegExp(`^alter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?${NAME}\\s+drop\\s+constraint\\s+(?:if\\s+exists\\s+)?(${IDENT})\\s*(?:restrict\\s*)?$`, 'i'),
+    inverse: ([, table, constraint], snapshot) => {
+      const found = findObject(snapshot.constraint, `${table}.${constraint}`);
+      return found
+        ? { inverse: `ALTER TABLE ${table} ADD CONSTRAINT ${constraint} ${found.definition}` }
+        : unchanged('constraint did not exist');
+    }
+  },
+  {
+    pattern: new RegExp(`^alter\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?${NAME}\\s+add\\s+(?:column\\s+)?(?:if\\s+not\\s+exists\\s+)?(?!(?:constraint|primary|unique|check|foreign|exclude)\\b)(${IDENT})`, 'i'),
+    inverse: ([, table, column], snapshot) => (
+      findObject(snapshot.column, `${table}.${column}`)
+        ? unchanged('column already existed')
+        : { inverse: `ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}` }
+    )
+  },
+  {
+    pattern: new RegExp(`^create\\s+(materialized\\s+view|view|table)\\s+(?:if\\s+not\\s+exists\\s+)?${NAME}`, 'i'),
+    inverse: ([, kind, name], snapshot) => (
+      findObject(snapshot.relation, name)
+        ? unchanged(`${kind.toLowerCase().replace(/\s+/g, ' ')} already existed`)
+        : { inverse: `DROP ${kind.toUpperCase().replace(/\s+/g, ' ')} IF EXISTS ${name}` }
+    )
+  },
+  {
+    pattern: new RegExp(`^create\\s+extension\\s+(?:if\\s+not\\s+exists\\s+)?(${IDENT})`, 'i'),
+    inverse: ([, extension], snapshot) => (
+      findObject(snapshot.extension, extension)
+        ? unchanged('extension already installed')
+        : { inverse: `DROP EXTENSION IF EXISTS ${extension}` }
+    )
+  }
+];
+
+/**
+ * The statement that undoes one change
+ * @param {string} sql - Change as promoted
+ * @param {Object} snapshot - Schema snapshot taken before the promotion (schemaDiff.snapshotSchema)
+ * @returns {Object} { inverse (SQL or null), reversible, note? }
+ */
+export function inverseOf(sql, snapshot) {
+  const text = stripComments(sql).trim().replace(/;\s*$/, '');
+
+  if (NO_OP.test(text)) {
+    return { inverse: null, reversible: true, note: 'changes no schema' };
+  }
+
+  for (const { pattern, inverse } of INVERSES) {
+    const match = text.match(pattern);
+    if (match) {
+      return { reversible: true, ...inverse(match, snapshot) };
+    }
+  }
+
+  return { inverse: null, reversible: false, note: 'no automatic inverse; revert manually' };
+}
+
+/**
+ * Helper: Nothing to undo
+ */
+function unchanged(note) {
+  return { inverse: null, note };
+}
+
+/**
+ * Helper: Parts of a dotted name; unquoted (folded) unless `unquote` is false
+ */
+function splitName(name, unquote = true) {
+  const parts = name.match(/"(?:[^"]|"")*"|[^."]+/g);
+  return unquote ? parts.map(unquoteIdentifier) : parts;
+}
+
+/**
+ * Helper: Find an object in one snapshot section by name as written
+ * An unqualified name matches in any schema, preferring public
+ * @returns {Object|null} { key, definition }
+ */
+function findObject(entries = {}, reference) {
+  const wanted = splitName(reference);
+  const matches = Object.keys(entries).filter(key => {
+    const parts = splitName(key);
+    const compared = parts.length === wanted.length + 1 ? parts.slice(1) : parts;
+    return compared.length === wanted.length && compared.every((part, i) => part === wanted[i]);
+  });
+
+  const key = matches.length === 1 ? matches[0] : matches.find(match => splitName(match)[0] === 'public');
+  return key ? { key, definition: entries[key] } : null;
+}
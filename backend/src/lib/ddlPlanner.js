@@ -0,0 +1,221 @@
+/**
+ * DDL planning for promotion to production
+ *
+ * Each statement is classified by the strongest table lock it takes. Index builds,
+ * index drops and reindexes are rewritten to their CONCURRENTLY form, which takes
+ * SHARE UPDATE EXCLUSIVE (reads and writes keep flowing) but cannot run inside a
+ * transaction block; neither can VACUUM. Those run one at a time in autocommit,
+ * and runs of the remaining statements are grouped into transactions.
+ */
+
+import { parse } from 'pgsql-ast-parser';
+import { stripComments } from './sqlText.js';
+
+const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const DEFAULT_STATEMENT_TIMEOUT_MS = 300000;
+const DEFAULT_INDEX_TIMEOUT_MS = 0; // Concurrent builds do not block writes; let them finish
+const DEFAULT_LOCK_RETRIES = 3;
+const DEFAULT_PREVIEW_TIMEOUT_MS = 60000;
+const DEFAULT_PREVIEW_FORK_TTL_MS = 600000; // An idle preview fork is deleted after this long
+const DEFAULT_STALE_AFTER_MS = 3600000; // A promotion still 'promoting' after this long was interrupted
+
+// PostgreSQL table lock modes, weakest first
+export const LOCK_LEVELS = [
+  'NONE', 'ACCESS SHARE', 'ROW SHARE', 'ROW EXCLUSIVE', 'SHARE UPDATE EXCLUSIVE',
+  'SHARE', 'SHARE ROW EXCLUSIVE', 'EXCLUSIVE', 'ACCESS EXCLUSIVE'
+];
+
+// From SHARE up, a lock blocks INSERT, UPDATE and DELETE on the table while held
+const BLOCKS_WRITES_FROM = LOCK_LEVELS.indexOf('SHARE');
+
+// First match wins; `concurrently` rewrites the statement to its non-blocking form
+const RULES = [
+  { kind: 'create-index', pattern: /^create\s+(?:unique\s+)?index\s+concurrently\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false },
+  { kind: 'create-index', pattern: /^create\s+(?:unique\s+)?index\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false, concurrently: /^(create\s+(?:unique\s+)?index)\b/i },
+  { kind: 'drop-index', pattern: /^drop\s+index\s+concurrently\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false },
+  // DROP INDEX CONCURRENTLY takes a single index and no CASCADE
+  { kind: 'drop-index', pattern: /^drop\s+index\b(?![^;]*(?:,|\bcascade\b))/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false, concurrently: /^(drop\s+index)\b/i },
+  { kind: 'drop-index', pattern: /^drop\s+index\b/i, lockLevel: 'ACCESS EXCLUSIVE', transactional: true },
+  { kind: 'reindex', pattern: /^reindex\s+(?:\([^)]*\)\s*)?(?:index|table)\s+concurrently\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false },
+  { kind: 'reindex', pattern: /^reindex\s+(?:\([^)]*\)\s*)?(?:index|table)\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false, concurrently: /^(reindex\s+(?:\([^)]*\)\s*)?(?:index|table))\b/i },
+  { kind: 'maintenance', pattern: /^vacuum\s+(?:\([^)]*\bfull\b[^)]*\)|full\b)/i, lockLevel: 'ACCESS EXCLUSIVE', transactional: false },
+  { kind: 'maintenance', pattern: /^vacuum\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: false },
+  { kind: 'maintenance', pattern: /^analyze\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: true },
+  { kind: 'refresh-view', pattern: /^refresh\s+materialized\s+view\s+concurrently\b/i, lockLevel: 'EXCLUSIVE', transactional: true },
+  { kind: 'refresh-view', pattern: /^refresh\s+materialized\s+view\b/i, lockLevel: 'ACCESS EXCLUSIVE', transactional: true },
+  { kind: 'create', pattern: /^create\s+(?:or\s+replace\s+)?(?:materialized\s+)?(?:view|table)\b/i, lockLevel: 'ACCESS SHARE', transactional: true },
+  { kind: 'create', pattern: /^create\s+(?:extension|schema|function|type|sequence)\b/i, lockLevel: 'NONE', transactional: true },
+  { kind: 'alter-table', pattern: /^alter\s+table\b[\s\S]*\bvalidate\s+constraint\b/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: true },
+  { kind: 'alter-table', pattern: /^alter\s+table\b[\s\S]*\bforeign\s+key\b[\s\S]*\bnot\s+valid\b/i, lockLevel: 'SHARE ROW EXCLUSIVE', transactional: true },
+  { kind: 'alter-table', pattern: /^alter\s+table\b[\s\S]*\b(?:set\s+statistics|set\s*\(|reset\s*\()/i, lockLevel: 'SHARE UPDATE EXCLUSIVE', transactional: true },
+  { kind: 'alter-table', pattern: /^alter\s+table\b/i, lockLevel: 'ACCESS EXCLUSIVE', transactional: true },
+  { kind: 'drop', pattern: /^(?:drop\s+(?:table|view|materialized\s+view)|truncate|cluster)\b/i, lockLevel: 'ACCESS EXCLUSIVE', transactional: true },
+  { kind: 'write', pattern: /^(?:insert|update|delete|merge)\b/i, lockLevel: 'ROW EXCLUSIVE', transactional: true },
+  { kind: 'read', pattern: /^(?:select|set|comment|grant|revoke)\b/i, lockLevel: 'ACCESS SHARE', transactional: true }
+];
+
+// Whitespace and comments before a statement's first keyword
+const LEADING_COMMENTS = /^(?:\s+|--[^\n]*|\/\*[\s\S]*?\*\/)*/;
+
+// The first CONCURRENTLY after them, with everything before it as group 1
+const LEADING_COMMENTS_THEN_CONCURRENTLY = /^((?:\s+|--[^\n]*|\/\*[\s\S]*?\*\/)*[\s\S]*?)\s+concurrently\b/i;
+
+// Statements that lose data or change it irreversibly; first match wins
+const DESTRUCTIVE = [
+  { pattern: /^drop\s+((?:materialized\s+)?\w+)/i, reason: m => `drops ${withArticle(m[1].toLowerCase().replace(/\s+/g, ' '))}` },
+  { pattern: /^truncate\b/i, reason: () => 'deletes every row' },
+  { pattern: /^alter\s+table\b[\s\S]*\bdrop\s+(column|constraint)\b/i, reason: m => `drops ${withArticle(m[1].toLowerCase())}` },
+  { pattern: /^alter\s+table\b[\s\S]*\balter\s+(?:column\s+)?(?:"[^"]+"|\w+)\s+(?:set\s+data\s+)?type\b/i, reason: () => 'changes a column type' },
+  { pattern: /^alter\s+type\b/i, reason: () => 'alters a type' },
+  { pattern: /^delete\s+from\b(?![\s\S]*\bwhere\b)/i, reason: () => 'deletes every row' }
+];
+
+/**
+ * Promotion settings from the environment
+ * PROMOTE_LOCK_TIMEOUT_MS, PROMOTE_STATEMENT_TIMEOUT_MS, PROMOTE_INDEX_TIMEOUT_MS, PROMOTE_LOCK_RETRIES,
+ * PROMOTE_PREVIEW_TIMEOUT_MS, PROMOTE_PREVIEW_FORK_TTL_MS and PROMOTE_STALE_AFTER_MS override the defaults
+ * @returns {Object} { lockTimeoutMs, statementTimeoutMs, indexTimeoutMs (0 = none), lockRetries, previewTimeoutMs, previewForkTtlMs, staleAfterMs }
+ */
+export function getPromotionSettings() {
+  const lockTimeoutMs = parseInt(process.env.PROMOTE_LOCK_TIMEOUT_MS, 10);
+  const statementTimeoutMs = parseInt(process.env.PROMOTE_STATEMENT_TIMEOUT_MS, 10);
+  const indexTimeoutMs = parseInt(process.env.PROMOTE_INDEX_TIMEOUT_MS, 10);
+  const lockRetries = parseInt(process.env.PROMOTE_LOCK_RETRIES, 10);
+  const previewTimeoutMs = parseInt(process.env.PROMOTE_PREVIEW_TIMEOUT_MS, 10);
+  const previewForkTtlMs = parseInt(process.env.PROMOTE_PREVIEW_FORK_TTL_MS, 10);
+  const staleAfterMs = parseInt(process.env.PROMOTE_STALE_AFTER_MS, 10);
+
+  return {
+    lockTimeoutMs: lockTimeoutMs > 0 ? lockTimeoutMs : DEFAULT_LOCK_TIMEOUT_MS,
+    statementTimeoutMs: statementTimeoutMs >= 0 ? statementTimeoutMs : DEFAULT_STATEMENT_TIMEOUT_MS,
+    indexTimeoutMs: indexTimeoutMs >= 0 ? indexTimeoutMs : DEFAULT_INDEX_TIMEOUT_MS,
+    lockRetries: lockRetries >= 0 ? lockRetries : DEFAULT_LOCK_RETRIES,
+    previewTimeoutMs: previewTimeoutMs > 0 ? previewTimeoutMs : DEFAULT_PREVIEW_TIMEOUT_MS,
+    previewForkTtlMs: previewForkTtlMs >= 0 ? previewForkTtlMs : DEFAULT_PREVIEW_FORK_TTL_MS,
+    staleAfterMs: staleAfterMs > 0 ? staleAfterMs : DEFAULT_STALE_AFTER_MS
+  };
+}
+
+/**
+ * Classify one statement by the lock it takes, rewriting it to a lock-safe form where one exists
+ * Unknown statements are assumed to take ACCESS EXCLUSIVE
+ * @param {string} sql - SQL statement
+ * @returns {Object} { sql, original, kind, lockLevel, blocksWrites, transactional, rewritten, destructive (reason or null) }
+ */
+export function classifyStatement(sql) {
+  const original = sql.trim().replace(/;\s*$/, '');
+  const text = stripComments(original).trim();
+  const rule = RULES.find(r => r.pattern.test(text)) ||
+    { kind: 'other', lockLevel: 'ACCESS EXCLUSIVE', transactional: true };
+
+  const statement = rule.concurrently ? withConcurrently(original, text, rule.concurrently) : original;
+  const destructive = DESTRUCTIVE.map(d => ({ ...d, match: text.match(d.pattern) })).find(d => d.match);
+
+  return {
+    sql: statement,
+    original,
+    kind: rule.kind,
+    lockLevel: rule.lockLevel,
+    blocksWrites: LOCK_LEVELS.indexOf(rule.lockLevel) >= BLOCKS_WRITES_FROM,
+    transactional: rule.transactional,
+    rewritten: statement !== original,
+    destructive: destructive ? destructive.reason(destructive.match) : null
+  };
+}
+
+/**
+ * Plan a promotion: classify every statement and group them into steps, in order
+ * Consecutive transactional statements share one transaction; the rest run alone in autocommit
+ * @param {Array<string>} changes - SQL statements, in the order they were applied to the fork
+ * @returns {Object} { steps: [{ transactional, statements: [...] }], warnings: string[] }
+ */
+export function planPromotion(changes) {
+  const steps = [];
+  const warnings = [];
+
+  for (const change of changes) {
+    const statement = classifyStatement(change);
+    const last = steps[steps.length - 1];
+
+    if (statement.transactional && last?.transactional) {
+      last.statements.push(statement);
+    } else {
+      steps.push({ transactional: statement.transactional, statements: [statement] });
+    }
+
+    if (statement.blocksWrites) {
+      warnings.push(`${summarizeStatement(statement.sql)} takes ${statement.lockLevel} and blocks writes to the table while it runs`);
+    }
+  }
+
+  return { steps, warnings };
+}
+
+/**
+ * Name of the index a CREATE INDEX statement builds, if it names one
+ * @param {string} sql - SQL statement
+ * @returns {string|null} Index name as written (quotes kept)
+ */
+export function indexNameOf(sql) {
+  const m = stripComments(sql).trim()
+    .match(/^create\s+(?:unique\s+)?index\s+(?:concurrently\s+)?(?:if\s+not\s+exists\s+)?(?!on\b)("[^"]+"|[\w$]+(?:\.(?:"[^"]+"|[\w$]+))?)/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * The form of a statement that runs inside a transaction block, for dry runs
+ * CONCURRENTLY is dropped; statements with no such form (VACUUM) return null
+ * @param {Object} statement - Classified statement
+ * @returns {string|null} SQL
+ */
+export function transactionalForm(statement) {
+  if (statement.transactional) return statement.sql;
+  if (statement.kind === 'maintenance') return null;
+  return statement.sql.replace(LEADING_COMMENTS_THEN_CONCURRENTLY, '$1');
+}
+
+/**
+ * Check a statement's syntax without running it
+ * The parser does not know every statement PostgreSQL accepts, so a failure means "could not
+ * check", not "invalid"
+ * @param {string} sql - SQL statement
+ * @returns {string|null} The parser's message, or null when the statement parses
+ */
+export function parseError(sql) {
+  try {
+    parse(sql);
+    return null;
+  } catch (error) {
+    const unexpected = error.message.match(/Unexpected .*? token: ("[^"]*")/);
+    return `${error.message.split('\n')[0]}${unexpected ? ` unexpected ${unexpected[1]}` : ''}`;
+  }
+}
+
+/**
+ * Helper: Add CONCURRENTLY after the statement's leading keywords
+ * The keywords are matched on the comment-free text, then spliced into the statement as written
+ * (comments kept) when no comment interrupts them there
+ */
+function withConcurrently(original, text, keywords) {
+  const lead = original.match(LEADING_COMMENTS)[0].length;
+  const match = original.slice(lead).match(keywords);
+  if (!match) return text.replace(keywords, '$1 CONCURRENTLY');
+
+  const end = lead + match.index + match[1].length;
+  return `${original.slice(0, end)} CONCURRENTLY${original.slice(end)}`;
+}
+
+/**
+ * Helper: A statement shortened to one line, for messages
+ */
+function summarizeStatement(sql) {
+  const text = sql.replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Helper: "a table", "an index"
+ */
+function withArticle(noun) {
+  return `${/^[aeiou]/.test(noun) ? 'an' : 'a'} ${noun}`;
+}
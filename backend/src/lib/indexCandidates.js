@@ -0,0 +1,672 @@
+/**
+ * Index candidate generation for IndexAgent
+ *
+ * Columns are collected from how queries use them: WHERE predicates, JOIN
+ * conditions, ORDER BY and the columns a scan returns, read both from the SQL
+ * text and from EXPLAIN (VERBOSE) plans. Every query yields single-column and
+ * composite candidates; the index type follows from the column's data type and
+ * statistics (B-tree by default, BRIN for append-only ranges, hash for long
+ * equality-only keys, GIN trigram for LIKE patterns, GIN/GiST for containment),
+ * skewed predicates become partial indexes and small result sets get covering
+ * INCLUDE columns. Candidates an existing index already serves are dropped, and
+ * the rest are ordered by selectivity estimated from pg_stats.
+ *
+ * The reverse, for cleanup: indexes that duplicate or are a prefix of another
+ * index, or that no scan has used, are proposed for dropping.
+ */
+
+import { COLUMN_PATTERN, stripComments, splitReference, findTableAliases, quoteIdentifier } from './sqlText.js';
+
+// Planner defaults when pg_stats has nothing better (see PostgreSQL's selfuncs.h)
+const DEFAULT_EQUALITY_SELECTIVITY = 0.005;
+const DEFAULT_RANGE_SELECTIVITY = 1 / 3;
+const DEFAULT_MATCH_SELECTIVITY = 0.005;
+
+// Composite candidates: up to two equality columns, then one range or sort column
+const MAX_EQUALITY_COLUMNS = 2;
+const MAX_INDEX_COLUMNS = 3;
+
+// Covering candidates carry at most this many INCLUDE columns
+const MAX_INCLUDE_COLUMNS = 3;
+
+// Below this many rows a sequential scan is as fast as any index
+const DEFAULT_MIN_ROWS = 1000;
+
+// BRIN: large tables whose column follows physical row order (append-only timestamps, serials)
+const BRIN_MIN_ROWS = 100000;
+const BRIN_MIN_CORRELATION = 0.9;
+
+// Hash: equality-only keys this wide (bytes) and nearly unique
+const HASH_MIN_WIDTH = 32;
+const HASH_MIN_DISTINCT_RATIO = 0.5;
+
+// Partial: a low-cardinality column queried for a value this rare
+const PARTIAL_MAX_DISTINCT = 100;
+const PARTIAL_MAX_FRACTION = 0.1;
+
+const TEXT_TYPE = /^(text|character varying|character|citext|name)\b/;
+const GIN_TYPE = /\[\]$|^(jsonb|tsvector)$/;
+const GIST_TYPE = /range$|^(point|box|polygon|circle|line|lseg|path|geometry|geography)\b/;
+const BRIN_TYPE = /^(timestamp|date|time|smallint|integer|bigint|numeric|real|double precision)\b/;
+
+// Words the column pattern also matches that are never columns
+const NOT_COLUMNS = new Set([
+  'and', 'or', 'not', 'case', 'when', 'then', 'else', 'end', 'select', 'where', 'on', 'null', 'true', 'false',
+  'exists', 'is', 'as', 'distinct', 'any', 'all', 'some', 'current_date', 'current_timestamp', 'now', 'interval',
+  'date', 'timestamp', 'array', 'row'
+]);
+
+// Containment operators come first so <@ is not read as <
+const PREDICATE = new RegExp(
+  `(?<![\\w.:$"])${COLUMN_PATTERN}\\s*(@>|<@|&&|@@|=|<=|>=|<>|!=|<|>|(?:not\\s+)?i?like\\b|~~\\*?|!~~\\*?|(?:not\\s+)?in\\s*\\(|(?:not\\s+)?between\\b)\\s*(${COLUMN_PATTERN}(?![\\w$]*\\s*\\())?`,
+  'gi'
+);
+
+// The constant on the right of a predicate: a literal stand-in ('#0'), a placeholder ($1) or a number
+const CONSTANT = /'#(\d+)'|\$(\d+)\b|(-?\d+(?:\.\d+)?)\b/y;
+
+const ORDER_BY = /\border\s+by\s+([\s\S]+?)(?=\blimit\b|\boffset\b|\bfor\s+update\b|\)|$)/gi;
+
+/**
+ * Columns a query filters, joins or sorts on, read from its SQL text
+ * @param {string} sql - SQL statement (placeholders allowed)
+ * @param {Array} [params] - Values for $1, $2, ... (kept as equality values for partial indexes)
+ * @returns {Object} { tables: string[], usages: [{ table (null if unqualified), column, role, value? }] }
+ *   role is 'equality', 'range', 'pattern', 'containment', 'join' or 'order'
+ */
+export function extractColumnUsage(sql, params = []) {
+  const { text, literals } = simplifyExpression(stripComments(sql));
+  const aliases = findTableAliases(text);
+  const usages = collectPredicates(text, literals, params, reference => {
+    const { qualifier, column } = splitReference(reference);
+    return { table: qualifier ? aliases[qualifier] || qualifier : null, column };
+  });
+
+  for (const m of text.matchAll(ORDER_BY)) {
+    for (const item of m[1].split(',')) {
+      const reference = item.trim().match(new RegExp(`^${COLUMN_PATTERN}(?:\\s+(?:asc|desc))?(?:\\s+nulls\\s+(?:first|last))?$`, 'i'));
+      if (!reference) continue;
+      const { qualifier, column } = splitReference(reference[1]);
+      if (NOT_COLUMNS.has(column)) continue;
+      usages.push({ table: qualifier ? aliases[qualifier] || qualifier : null, column, role: 'order' });
+    }
+  }
+
+  return { tables: [...new Set(Object.values(aliases))], usages };
+}
+
+/**
+ * Columns a query filters, joins, sorts on or reads, from its EXPLAIN (VERBOSE, FORMAT JSON) plan
+ * Scan filters are attributed to the scanned table; join conditions and sort keys through plan aliases;
+ * a scan's Output list gives the columns it returns ('output' role)
+ * @param {Array|Object} explain - EXPLAIN (FORMAT JSON) output (the 'QUERY PLAN' value)
+ * @returns {Object} { tables: string[], usages: [{ table, column, role, value? }] }
+ */
+export function extractPlanUsage(explain) {
+  const root = Array.isArray(explain) ? explain[0]?.Plan : explain?.Plan || explain;
+  if (!root) return { tables: [], usages: [] };
+
+  const nodes = [];
+  const walk = node => {
+    nodes.push(node);
+    (node.Plans || []).forEach(walk);
+  };
+  walk(root);
+
+  const aliases = {};
+  nodes.filter(node => node['Relation Name']).forEach(node => {
+    aliases[node['Relation Name']] = node['Relation Name'];
+    if (node.Alias) aliases[node.Alias] = node['Relation Name'];
+  });
+  const tables = [...new Set(Object.values(aliases))];
+  const usages = [];
+
+  for (const node of nodes) {
+    const relation = node['Relation Name'] || null;
+    const resolve = reference => {
+      const { qualifier, column } = splitReference(reference);
+      return { table: qualifier ? aliases[qualifier] || null : relation, column };
+    };
+    const predicates = expression => {
+      const { text, literals } = simplifyExpression(expression);
+      return collectPredicates(text, literals, [], resolve);
+    };
+
+    for (const key of ['Filter', 'Recheck Cond']) {
+      if (node[key]) usages.push(...predicates(node[key]));
+    }
+    for (const key of ['Hash Cond', 'Merge Cond', 'Join Filter']) {
+      if (node[key]) {
+        usages.push(...predicates(node[key]).map(usage => (usage.role === 'equality' ? { ...usage, role: 'join' } : usage)));
+      }
+    }
+    for (const key of node['Sort Key'] || []) {
+      const reference = simplifyExpression(key).text.trim().match(new RegExp(`^${COLUMN_PATTERN}(?:\\s+(?:asc|desc))?`, 'i'));
+      if (!reference) continue;
+      const { qualifier, column } = splitReference(reference[1]);
+      usages.push({ table: qualifier ? aliases[qualifier] || null : tables.length === 1 ? tables[0] : null, column, role: 'order' });
+    }
+    if (relation) {
+      for (const output of node.Output || []) {
+        const reference = output.trim().match(new RegExp(`^${COLUMN_PATTERN}$`));
+        if (reference) usages.push({ table: relation, column: splitReference(reference[1]).column, role: 'output' });
+      }
+    }
+  }
+
+  return { tables, usages };
+}
+
+/**
+ * Parse an index definition from pg_indexes.indexdef
+ * Each key keeps its collation, operator class and ordering, which pg_get_indexdef prints only when
+ * they are not the defaults
+ * @param {string} indexdef - e.g. CREATE UNIQUE INDEX users_pkey ON public.users USING btree (id)
+ * @returns {Object} { method, keys: [{ column (null for expressions), expression, collation, opclass, ordering }], columns (key columns, null for expressions), include, partial, predicate }
+ */
+export function parseIndexDefinition(indexdef) {
+  const m = indexdef.match(/\busing\s+(\w+)\s*\(([\s\S]*)$/i);
+  if (!m) return { method: null, keys: [], columns: [], include: [], partial: false, predicate: null };
+
+  const { items, rest } = splitList(m[2]);
+  const keys = items.map(parseIndexKey);
+
+  const included = rest.match(/\binclude\s*\(([^)]*)\)/i);
+  const predicate = rest.match(/\bwhere\s+([\s\S]*)$/i);
+
+  return {
+    method: m[1].toLowerCase(),
+    keys,
+    columns: keys.map(key => key.column),
+    include: included ? included[1].split(',').map(column => parseIndexKey(column).column) : [],
+    partial: Boolean(predicate),
+    predicate: predicate ? predicate[1].trim() : null
+  };
+}
+
+/**
+ * Build index candidates from the columns each query uses
+ * @param {Array<Object>} queries - [{ weight, usages: [{ table, column, role, value? }] }] with tables resolved
+ * @param {Object} catalog - What the database already knows
+ * @param {Object} catalog.columnStats - { 'table.column': { nullFrac, distinct, dataType, correlation, avgWidth, mostCommonValues, mostCommonFreqs } } from pg_stats
+ * @param {Object} catalog.tableRows - { table: reltuples }
+ * @param {Object} catalog.existingIndexes - { table: [{ name, method, columns, include, partial, predicate }] }
+ * @param {number} [catalog.minRows] - Tables smaller than this get no candidates
+ * @returns {Object} { candidates: [{ tableName, columns, indexType, opclass?, include?, where?, extension?, selectivity, score, reason }], covered: [{ tableName, columns, indexName }] }
+ */
+export function buildCandidates(queries, { columnStats, tableRows, existingIndexes, minRows = DEFAULT_MIN_ROWS }) {
+  const byKey = new Map();
+  const rolesByColumn = {};
+
+  const add = (candidate, weight) => {
+    const key = candidateKey(candidate);
+    const entry = byKey.get(key) || { ...candidate, score: 0, queries: 0 };
+    entry.score += weight;
+    entry.queries += 1;
+    byKey.set(key, entry);
+  };
+
+  for (const { weight = 1, usages } of queries) {
+    const byTable = groupBy(usages, usage => usage.table);
+
+    for (const [table, tableUsages] of Object.entries(byTable)) {
+      if ((tableRows[table] ?? 0) < minRows) continue;
+
+      const statsOf = column => columnStats[`${table}.${column}`] || {};
+      tableUsages.forEach(u => (rolesByColumn[`${table}.${u.column}`] ||= new Set()).add(u.role));
+
+      // The rarest constant a skewed column is compared to becomes a partial index predicate
+      const where = tableUsages
+        .filter(u => u.role === 'equality' && u.value !== undefined)
+        .map(u => ({ column: u.column, value: u.value, fraction: partialFraction(statsOf(u.column), u.value) }))
+        .filter(predicate => predicate.fraction !== null)
+        .sort((a, b) => a.fraction - b.fraction)[0];
+
+      const columnsWith = (...roles) => [...new Set(tableUsages
+        .filter(u => roles.includes(u.role) && u.column !== where?.column)
+        .map(u => u.column))];
+      const bySelectivity = (a, b) => equalitySelectivity(statsOf(a)) - equalitySelectivity(statsOf(b));
+      const filters = columnsWith('equality').sort(bySelectivity);
+      const joins = columnsWith('join').filter(column => !filters.includes(column)).sort(bySelectivity);
+      const equality = [...filters, ...joins];
+      const range = columnsWith('range').filter(column => !equality.includes(column));
+      const order = columnsWith('order').filter(column => !equality.includes(column) && !range.includes(column));
+
+      const btree = (columns, extra = {}) => ({
+        tableName: table,
+        columns,
+        indexType: 'btree',
+        roles: Object.fromEntries(columns.map(column => [column, roleOf(tableUsages, column)])),
+        ...extra
+      });
+
+      equality.forEach(column => add(btree([column]), weight));
+      range.forEach(column => add(brinSuitable(statsOf(column), tableRows[table]) ? btree([column], { indexType: 'brin' }) : btree([column]), weight));
+      if (equality.length === 0 && range.length === 0 && !where) {
+        order.slice(0, 1).forEach(column => add(btree([column]), weight));
+      }
+
+      // LIKE patterns need trigrams; containment operators need GIN or GiST depending on the type
+      columnsWith('pattern').filter(column => TEXT_TYPE.test(statsOf(column).dataType || 'text')).forEach(column => {
+        add(btree([column], { indexType: 'gin', opclass: 'gin_trgm_ops', extension: 'pg_trgm' }), weight);
+      });
+      columnsWith('containment').forEach(column => {
+        const dataType = statsOf(column).dataType || '';
+        const indexType = GIN_TYPE.test(dataType) ? 'gin' : GIST_TYPE.test(dataType) ? 'gist' : null;
+        if (indexType) add(btree([column], { indexType }), weight);
+      });
+
+      // Equality columns first (most selective leading), then one range or sort column;
+      // join keys only lead when nothing is filtered by a constant
+      const leading = (filters.length > 0 ? filters : joins).slice(0, MAX_EQUALITY_COLUMNS);
+      const trailing = range[0] || order[0];
+      const composite = [...leading, ...(trailing ? [trailing] : [])].slice(0, MAX_INDEX_COLUMNS);
+
+      let main = null;
+      if (where) {
+        main = btree(composite.length > 0 ? composite : [where.column], { where });
+        add(main, weight);
+      } else if (leading.length > 0 && composite.length > 1) {
+        main = btree(composite);
+        add(main, weight);
+      } else if (equality.length > 0 || range.length > 0) {
+        main = btree([equality[0] || range[0]]);
+      }
+
+      // When the scan returns only a few more columns, INCLUDE them for index-only scans
+      if (main) {
+        const include = columnsWith('output').filter(column => !main.columns.includes(column));
+        if (include.length > 0 && include.length <= MAX_INCLUDE_COLUMNS) {
+          add({ ...main, include }, weight);
+        }
+      }
+    }
+  }
+
+  let candidates = [...byKey.values()];
+
+  // A composite index also serves queries on its leading columns, a covering one queries on its key
+  candidates = candidates.filter(candidate => candidate.indexType !== 'btree' || candidate.include || !candidates.some(other =>
+    other !== candidate && other.tableName === candidate.tableName && other.indexType === 'btree' &&
+    samePredicate(candidate.where, other.where) && isPrefix(candidate.columns, other.columns) &&
+    (other.columns.length > candidate.columns.length || other.include)
+  ));
+
+  // Long, nearly unique keys only ever compared for equality are smaller as hash indexes
+  candidates = candidates.map(candidate => {
+    const column = `${candidate.tableName}.${candidate.columns[0]}`;
+    return isPlainBtree(candidate) && candidate.columns.length === 1 &&
+      hashSuitable(columnStats[column], tableRows[candidate.tableName], rolesByColumn[column])
+      ? { ...candidate, indexType: 'hash' }
+      : candidate;
+  });
+
+  const covered = [];
+  candidates = candidates.filter(candidate => {
+    const index = (existingIndexes[candidate.tableName] || []).find(existing => servedBy(candidate, existing));
+    if (index) covered.push({ tableName: candidate.tableName, columns: candidate.columns, indexName: index.name });
+    return !index;
+  });
+
+  return {
+    candidates: candidates
+      .map(candidate => {
+        const selectivity = candidate.columns.reduce((product, column) => {
+          const role = candidate.roles[column];
+          if (candidate.where?.column === column || role === 'order') return product;
+          if (role === 'range') return product * DEFAULT_RANGE_SELECTIVITY;
+          if (role === 'pattern' || role === 'containment') return product * DEFAULT_MATCH_SELECTIVITY;
+          return product * equalitySelectivity(columnStats[`${candidate.tableName}.${column}`]);
+        }, candidate.where ? candidate.where.fraction : 1);
+
+        return {
+          tableName: candidate.tableName,
+          columns: candidate.columns,
+          indexType: candidate.indexType,
+          ...(candidate.opclass && { opclass: candidate.opclass }),
+          ...(candidate.include && { include: candidate.include }),
+          ...(candidate.where && { where: { column: candidate.where.column, value: candidate.where.value } }),
+          ...(candidate.extension && { extension: candidate.extension }),
+          selectivity: Number(selectivity.toPrecision(3)),
+          score: Number(candidate.score.toPrecision(6)),
+          reason: describeCandidate(candidate, selectivity)
+        };
+      })
+      .sort((a, b) => a.selectivity - b.selectivity || b.score - a.score),
+    covered
+  };
+}
+
+/**
+ * The ON ... clause of CREATE INDEX for a candidate: table, method, keys, INCLUDE and WHERE
+ * @param {Object} candidate - From buildCandidates
+ * @returns {string} e.g. ON "orders" USING btree ("created_at") INCLUDE ("total") WHERE "status" = 'pending'
+ */
+export function formatIndexDefinition(candidate) {
+  const keys = candidate.columns.map(column => `${quoteIdentifier(column)}${candidate.opclass ? ` ${candidate.opclass}` : ''}`);
+  const include = candidate.include?.length ? ` INCLUDE (${candidate.include.map(quoteIdentifier).join(', ')})` : '';
+  const where = candidate.where ? ` WHERE ${quoteIdentifier(candidate.where.column)} = ${quoteLiteral(candidate.where.value)}` : '';
+
+  return `ON ${quoteIdentifier(candidate.tableName)} USING ${candidate.indexType} (${keys.join(', ')})${include}${where}`;
+}
+
+/**
+ * Indexes that can be dropped: exact duplicates, B-tree prefixes of another index, and indexes never scanned
+ * Primary keys, unique indexes and indexes backing a constraint are never proposed
+ * @param {Array<Object>} indexes - [{ schemaName, tableName, indexName, indexdef, scans, sizeBytes, unique, primary, backsConstraint }], scans null when unknown
+ * @returns {Array<Object>} The droppable indexes, each with kind ('duplicate', 'redundant' or 'unused'), supersededBy and reason
+ */
+export function findRedundantIndexes(indexes) {
+  const parsed = indexes.map(index => ({ ...index, ...parseIndexDefinition(index.indexdef) }));
+  const protectedIndex = index => index.primary || index.unique || index.backsConstraint;
+  const droppable = new Map();
+
+  const drop = (index, kind, supersededBy, reason) => {
+    if (!protectedIndex(index) && !droppable.has(index)) droppable.set(index, { kind, supersededBy, reason });
+  };
+
+  for (const [, tableIndexes] of Object.entries(groupBy(parsed, index => `${index.schemaName}.${index.tableName}`))) {
+    // Keep the index that enforces something, then the busiest one
+    const ranked = [...tableIndexes].sort((a, b) =>
+      Number(protectedIndex(b)) - Number(protectedIndex(a)) || (b.scans ?? 0) - (a.scans ?? 0) || a.indexName.localeCompare(b.indexName));
+
+    // Keys must match exactly (operator class, collation and ordering included), as must the predicate
+    for (const index of ranked.filter(index => index.method === 'btree' && index.columns.every(Boolean))) {
+      // The widest such index, which is never itself a prefix of another
+      const wider = ranked
+        .filter(other => other.method === index.method && other.predicate === index.predicate && other.keys.length > index.keys.length &&
+          isPrefix(index.keys.map(keyText), other.keys.map(keyText)) &&
+          index.include.every(column => other.columns.includes(column) || other.include.includes(column)))
+        .sort((a, b) => b.keys.length - a.keys.length)[0];
+      if (wider) {
+        drop(index, 'redundant', wider.indexName,
+          `(${index.keys.map(keyText).join(', ')}) is a prefix of ${wider.indexName} (${wider.keys.map(keyText).join(', ')})`);
+      }
+    }
+
+    ranked.forEach((index, i) => {
+      const definition = normalizeIndexDefinition(index.indexdef);
+      const keeper = ranked.slice(0, i).find(other => !droppable.has(other) && normalizeIndexDefinition(other.indexdef) === definition);
+      if (keeper) drop(index, 'duplicate', keeper.indexName, `Same definition as ${keeper.indexName}`);
+    });
+
+    // An index kept in place of a dropped one takes over its scans, so it is not unused
+    const keepers = new Set([...droppable.values()].map(finding => finding.supersededBy));
+    tableIndexes.filter(index => index.scans === 0 && !keepers.has(index.indexName))
+      .forEach(index => drop(index, 'unused', null, 'Never used by a scan since statistics were reset'));
+  }
+
+  return [...droppable.entries()].map(([index, finding]) => ({
+    schemaName: index.schemaName,
+    tableName: index.tableName,
+    indexName: index.indexName,
+    indexdef: index.indexdef,
+    scans: index.scans,
+    sizeBytes: index.sizeBytes,
+    ...finding
+  }));
+}
+
+/**
+ * Selectivity of an equality predicate on a column: the fraction of rows one value matches
+ * @param {Object} [stats] - { nullFrac, distinct } for the column
+ * @returns {number} Between 0 and 1
+ */
+export function equalitySelectivity(stats) {
+  if (!stats || !(stats.distinct > 0)) return DEFAULT_EQUALITY_SELECTIVITY;
+  return Math.min(1, (1 - (stats.nullFrac || 0)) / stats.distinct);
+}
+
+/**
+ * Helper: Find `column op value` predicates in SQL (or a simplified plan expression)
+ * The constant an equality compares to is kept as `value` (literal stand-ins resolved, placeholders from params)
+ */
+function collectPredicates(text, literals, params, resolve) {
+  const usages = [];
+
+  for (const m of text.matchAll(PREDICATE)) {
+    const left = resolve(m[1]);
+    const operator = m[2].toLowerCase().replace(/\s+/g, ' ');
+    const right = m[3] && !NOT_COLUMNS.has(splitReference(m[3]).column) ? resolve(m[3]) : null;
+    if (NOT_COLUMNS.has(left.column)) continue;
+
+    if (operator === '=' && right) {
+      usages.push({ ...left, role: 'join' }, { ...right, role: 'join' });
+    } else if (operator === '=') {
+      CONSTANT.lastIndex = m.index + m[0].length;
+      const constant = CONSTANT.exec(text);
+      const value = !constant ? null
+        : constant[1] !== undefined ? literals[Number(constant[1])]
+          : constant[2] !== undefined ? params[Number(constant[2]) - 1]
+            : constant[3];
+      usages.push({ ...left, role: 'equality', ...(value !== null && value !== undefined && { value: String(value) }) });
+    } else if (operator.replace(/\s/g, '') === 'in(') {
+      usages.push({ ...left, role: 'equality' });
+    } else if (['<', '>', '<=', '>=', 'between'].includes(operator)) {
+      usages.push({ ...left, role: 'range' });
+    } else if (['like', 'ilike', '~~', '~~*'].includes(operator)) {
+      usages.push({ ...left, role: 'pattern' });
+    } else if (['@>', '<@', '&&', '@@'].includes(operator)) {
+      usages.push({ ...left, role: 'containment' });
+    }
+  }
+
+  return usages;
+}
+
+/**
+ * Helper: Swap literals for numbered stand-ins and strip casts and redundant parentheses
+ * ((status)::text = 'pending'::text) → { text: (status = '#0'), literals: ['pending'] }
+ */
+function simplifyExpression(expression) {
+  const literals = [];
+  let text = expression
+    .replace(/'((?:[^']|'')*)'/g, (_, literal) => `'#${literals.push(literal.replace(/''/g, "'")) - 1}'`)
+    .replace(/::"?[A-Za-z_][\w ]*"?(?:\[\])?/g, '');
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\(((?:[A-Za-z_][\w$]*\.)?[A-Za-z_][\w$]*)\)/g, '$1');
+  } while (text !== previous);
+  return { text, literals };
+}
+
+/**
+ * Helper: Split one index key into its expression, collation, operator class and ordering
+ * e.g. `email COLLATE "C" text_pattern_ops DESC NULLS LAST`
+ */
+function parseIndexKey(text) {
+  let rest = text.trim().replace(/\s+/g, ' ');
+  let ordering = '';
+  let opclass = null;
+  let collation = null;
+
+  const order = rest.match(/^(.*?) ((?:ASC|DESC)(?: NULLS (?:FIRST|LAST))?|NULLS (?:FIRST|LAST))$/i);
+  if (order) [, rest, ordering] = order;
+
+  // Expressions are printed in parentheses or as function calls, so a trailing name is an operator class
+  const name = rest.match(/^(.*\S) ((?:"[^"]+"|[A-Za-z_][\w$]*)(?:\.(?:"[^"]+"|[A-Za-z_][\w$]*))?)$/);
+  if (name && !/ collate$/i.test(name[1])) [, rest, opclass] = name;
+
+  const collate = rest.match(/^(.*\S) COLLATE (\S+)$/i);
+  if (collate) [, rest, collation] = collate;
+
+  const column = rest.match(/^("[^"]+"|[A-Za-z_][\w$]*)$/);
+  return {
+    column: column ? splitReference(column[1]).column : null,
+    expression: rest,
+    collation,
+    opclass,
+    ordering: ordering.toUpperCase()
+  };
+}
+
+/**
+ * Helper: An index key written out again, for comparing keys and for messages
+ */
+function keyText(key) {
+  return [key.expression, key.collation && `COLLATE ${key.collation}`, key.opclass, key.ordering].filter(Boolean).join(' ');
+}
+
+/**
+ * Helper: Split "a, lower(b)) INCLUDE (c)" on top-level commas up to the closing parenthesis
+ */
+function splitList(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '(') depth++;
+    if (char === ')') {
+      if (depth === 0) {
+        items.push(current);
+        return { items, rest: text.slice(i + 1) };
+      }
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+  return { items, rest: '' };
+}
+
+/**
+ * Helper: Fraction of rows holding `value` in a low-cardinality column, or null when a partial index would not pay
+ */
+function partialFraction(stats, value) {
+  if (!stats.mostCommonValues || !(stats.distinct > 0) || stats.distinct > PARTIAL_MAX_DISTINCT) return null;
+
+  const i = stats.mostCommonValues.indexOf(value);
+  const listed = stats.mostCommonFreqs.reduce((sum, freq) => sum + freq, 0);
+  const unlisted = stats.distinct - stats.mostCommonValues.length;
+  const fraction = i >= 0
+    ? stats.mostCommonFreqs[i]
+    : unlisted > 0 ? Math.max(0, 1 - listed - (stats.nullFrac || 0)) / unlisted : 0;
+
+  return fraction <= PARTIAL_MAX_FRACTION ? fraction : null;
+}
+
+/**
+ * Helper: Whether a range column follows row order on a table big enough for BRIN
+ */
+function brinSuitable(stats, rows) {
+  return (rows ?? 0) >= BRIN_MIN_ROWS && BRIN_TYPE.test(stats.dataType || '') &&
+    Math.abs(stats.correlation ?? 0) >= BRIN_MIN_CORRELATION;
+}
+
+/**
+ * Helper: Whether a column is a long, nearly unique key no query ranges over or sorts by
+ */
+function hashSuitable(stats, rows, roles) {
+  return Boolean(stats) && stats.avgWidth >= HASH_MIN_WIDTH && stats.distinct >= HASH_MIN_DISTINCT_RATIO * (rows || 0) &&
+    [...(roles || [])].every(role => ['equality', 'join', 'output'].includes(role));
+}
+
+/**
+ * Helper: Whether an existing index already does the candidate's job
+ * A plain B-tree leading with the same columns serves B-tree, BRIN and hash candidates alike;
+ * its keys must use the default collation and operator class
+ */
+function servedBy(candidate, existing) {
+  const leadingPlain = existing.keys.slice(0, candidate.columns.length).every(key => !key.collation && !key.opclass);
+
+  if (candidate.where) {
+    return existing.method === 'btree' && existing.partial && isPrefix(candidate.columns, existing.columns) && leadingPlain &&
+      existing.predicate.includes(candidate.where.column) && existing.predicate.includes(quoteLiteral(candidate.where.value));
+  }
+  if (existing.partial) return false;
+
+  if (['btree', 'brin', 'hash'].includes(candidate.indexType) && existing.method === 'btree') {
+    return isPrefix(candidate.columns, existing.columns) && leadingPlain &&
+      (candidate.include || []).every(column => existing.columns.includes(column) || existing.include.includes(column));
+  }
+  return existing.method === candidate.indexType && existing.columns.length === candidate.columns.length &&
+    isPrefix(candidate.columns, existing.columns) && existing.keys.every(key => !key.collation && key.opclass === (candidate.opclass || null));
+}
+
+/**
+ * Helper: An index definition without its name and UNIQUE keyword, for spotting duplicates
+ */
+function normalizeIndexDefinition(indexdef) {
+  return indexdef.replace(/^CREATE\s+(?:UNIQUE\s+)?INDEX\s+(?:CONCURRENTLY\s+)?(?:IF\s+NOT\s+EXISTS\s+)?\S+\s+/i, '');
+}
+
+/**
+ * Helper: Whether two partial index predicates (or their absence) match
+ */
+function samePredicate(a, b) {
+  return a?.column === b?.column && a?.value === b?.value;
+}
+
+/**
+ * Helper: B-tree without a predicate or INCLUDE columns
+ */
+function isPlainBtree(candidate) {
+  return candidate.indexType === 'btree' && !candidate.where && !candidate.include;
+}
+
+/**
+ * Helper: Identity of a candidate, for merging the same index across queries
+ */
+function candidateKey(candidate) {
+  return [
+    candidate.tableName, candidate.indexType, candidate.columns.join(','), candidate.opclass || '',
+    (candidate.include || []).join(','), candidate.where ? `${candidate.where.column}=${candidate.where.value}` : ''
+  ].join('|');
+}
+
+/**
+ * Helper: The strongest role a column plays in a query (equality > join > range > order)
+ */
+function roleOf(usages, column) {
+  const roles = usages.filter(u => u.column === column).map(u => u.role);
+  return ['equality', 'join', 'range', 'order', 'pattern', 'containment', 'output'].find(role => roles.includes(role));
+}
+
+/**
+ * Helper: Whether `columns` are the leading columns of `indexColumns`
+ */
+function isPrefix(columns, indexColumns) {
+  return columns.length <= indexColumns.length && columns.every((column, i) => indexColumns[i] === column);
+}
+
+/**
+ * Helper: Group items into an object of arrays
+ */
+function groupBy(items, keyOf) {
+  return items.reduce((groups, item) => {
+    (groups[keyOf(item)] ||= []).push(item);
+    return groups;
+  }, {});
+}
+
+/**
+ * Helper: Quote a value as a SQL string literal
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Helper: Human-readable reason for a candidate
+ */
+function describeCandidate(candidate, selectivity) {
+  const parts = candidate.columns.map(column => {
+    const role = candidate.roles[column];
+    if (candidate.where?.column === column) return `key ${column}`;
+    return role === 'join' ? `join on ${column}` : role === 'order' ? `sort on ${column}` : `${role} on ${column}`;
+  });
+  if (candidate.where) parts.push(`only rows where ${candidate.where.column} = ${quoteLiteral(candidate.where.value)}`);
+  if (candidate.include) parts.push(`covering ${candidate.include.join(', ')}`);
+
+  const type = candidate.indexType === 'btree' ? '' : `${candidate.indexType}${candidate.opclass ? ` ${candidate.opclass}` : ''}: `;
+  const percent = selectivity * 100;
+  const estimate = percent < 0.01 ? '<0.01%' : `${Number(percent.toPrecision(2))}%`;
+  return `${type}${parts.join(', ')} in ${candidate.queries} quer${candidate.queries !== 1 ? 'ies' : 'y'} (est. ${estimate} of rows)`;
+}
@@ -0,0 +1,364 @@
+/**
+ * Bottleneck detection on EXPLAIN (FORMAT JSON) plan trees
+ *
+ * Walks the plan and reports what usually makes a query slow: sequential scans
+ * of large relations, row estimates far from the actual counts, nested loops
+ * over big inputs, sorts that spill to disk and hash joins split into batches.
+ * Estimated plans (no ANALYZE) only show scans and loops the planner expects;
+ * misestimates, spills and batches need EXPLAIN ANALYZE.
+ * Also builds compact plan trees and diffs a baseline plan against an optimized one for display.
+ */
+
+import { isReadOnlyStatement } from './workload.js';
+
+// A sequential scan reading at least this many rows is worth an index (or a rewrite)
+const LARGE_SCAN_ROWS = 10000;
+
+// Estimates this many times too high or too low, on nodes returning at least this many rows
+const MISESTIMATE_FACTOR = 10;
+const MISESTIMATE_MIN_ROWS = 100;
+
+// A nested loop whose inner side runs this many times is costly unless each run is an index lookup
+const NESTED_LOOP_MIN_LOOPS = 1000;
+
+// Inner sides that look rows up instead of scanning
+const INDEX_LOOKUPS = new Set(['Index Scan', 'Index Only Scan', 'Bitmap Heap Scan', 'Memoize', 'Result']);
+
+const SEVERITY_SCORES = { high: 3, medium: 2, low: 1 };
+
+// Each returns a finding for one plan node, or null
+const DETECTORS = [
+  // Sequential scans of large relations
+  (node, { analyzed, tableRows }) => {
+    if (node['Node Type'] !== 'Seq Scan') return null;
+
+    const relation = node['Relation Name'];
+    const rows = analyzed
+      ? ((node['Actual Rows'] ?? 0) + (node['Rows Removed by Filter'] ?? 0)) * (node['Actual Loops'] ?? 1)
+      : tableRows[relation] ?? node['Plan Rows'];
+    if (rows < LARGE_SCAN_ROWS) return null;
+
+    const kept = analyzed ? (node['Actual Rows'] ?? 0) * (node['Actual Loops'] ?? 1) : node['Plan Rows'];
+    const selective = Boolean(node.Filter) && kept < rows / 10;
+    return {
+      type: 'seq-scan',
+      severity: selective ? 'high' : 'medium',
+      relation,
+      rows: Math.round(rows),
+      ...(node.Filter && { filter: node.Filter }),
+      message: `Sequential scan of ${relation} reads ${formatCount(rows)} rows` +
+        (selective ? ` to keep ${formatCount(kept)} (filter: ${node.Filter})` : '')
+    };
+  },
+
+  // Row estimates far from what the node actually returned
+  (node, { analyzed }) => {
+    if (!analyzed || !node['Actual Loops']) return null;
+
+    const estimated = node['Plan Rows'];
+    const actual = node['Actual Rows'];
+    const factor = Math.max(estimated, actual) / Math.max(Math.min(estimated, actual), 1);
+    if (factor < MISESTIMATE_FACTOR || Math.max(estimated, actual) < MISESTIMATE_MIN_ROWS) return null;
+
+    const relation = node['Relation Name'] || firstRelation(node);
+    return {
+      type: 'misestimate',
+      severity: factor >= MISESTIMATE_FACTOR * 10 ? 'high' : 'medium',
+      ...(relation && { relation }),
+      estimatedRows: estimated,
+      actualRows: actual,
+      factor: Math.round(factor),
+      message: `${node['Node Type']}${relation ? ` on ${relation}` : ''} estimated ${formatCount(estimated)} rows ` +
+        `but returned ${formatCount(actual)} (${Math.round(factor)}x ${actual > estimated ? 'under' : 'over'}estimate)`
+    };
+  },
+
+  // Nested loops that run their inner side many times
+  (node, { analyzed }) => {
+    if (node['Node Type'] !== 'Nested Loop' || (node.Plans || []).length < 2) return null;
+
+    const [outer, inner] = node.Plans;
+    const loops = analyzed ? (inner['Actual Loops'] ?? 0) : outer['Plan Rows'];
+    const lookup = INDEX_LOOKUPS.has(inner['Node Type']);
+    if (loops < NESTED_LOOP_MIN_LOOPS || (lookup && loops < NESTED_LOOP_MIN_LOOPS * 100)) return null;
+
+    const relation = inner['Relation Name'] || firstRelation(inner);
+    return {
+      type: 'nested-loop',
+      severity: lookup ? 'low' : 'high',
+      ...(relation && { relation }),
+      loops: Math.round(loops),
+      innerNodeType: inner['Node Type'],
+      ...(node['Join Filter'] && { joinFilter: node['Join Filter'] }),
+      message: `Nested loop runs ${inner['Node Type']}${relation ? ` on ${relation}` : ''} ${formatCount(loops)} times`
+    };
+  },
+
+  // Sorts that did not fit in work_mem
+  node => {
+    if (node['Node Type'] !== 'Sort' && node['Node Type'] !== 'Incremental Sort') return null;
+    if (node['Sort Space Type'] !== 'Disk' && !/external/i.test(node['Sort Method'] || '')) return null;
+
+    const relation = firstRelation(node);
+    return {
+      type: 'sort-spill',
+      severity: 'medium',
+      ...(relation && { relation }),
+      sortKey: node['Sort Key'] || [],
+      spilledKb: node['Sort Space Used'] ?? null,
+      message: `Sort on ${(node['Sort Key'] || []).join(', ') || 'its input'} spilled ${node['Sort Space Used'] ?? '?'} kB to disk (${node['Sort Method']})`
+    };
+  },
+
+  // Hash tables split into batches because they did not fit in work_mem
+  node => {
+    if (node['Node Type'] !== 'Hash' || !(node['Hash Batches'] > 1)) return null;
+
+    const relation = firstRelation(node);
+    return {
+      type: 'hash-batches',
+      severity: node['Hash Batches'] >= 16 ? 'high' : 'medium',
+      ...(relation && { relation }),
+      batches: node['Hash Batches'],
+      originalBatches: node['Original Hash Batches'] ?? node['Hash Batches'],
+      peakMemoryKb: node['Peak Memory Usage'] ?? null,
+      message: `Hash${relation ? ` of ${relation}` : ''} split into ${node['Hash Batches']} batches (peak ${node['Peak Memory Usage'] ?? '?'} kB)`
+    };
+  }
+];
+
+/**
+ * The EXPLAIN statement to run for a query
+ * Placeholders without parameters get a generic plan, which cannot be analyzed
+ * @param {Object} queryObj - { query, params }
+ * @param {Object} [options] - { analyze: also execute the query (read-only statements only), verbose }
+ * @returns {Object} pg query config { text, values }
+ */
+export function explainStatement({ query, params = [] }, { analyze = false, verbose = false } = {}) {
+  const generic = params.length === 0 && /\$\d/.test(query);
+  const analyzed = analyze && !generic && isReadOnlyStatement(query);
+  const options = [
+    analyzed && 'ANALYZE',
+    analyzed && 'BUFFERS',
+    verbose && 'VERBOSE',
+    'FORMAT JSON',
+    generic && 'GENERIC_PLAN'
+  ].filter(Boolean);
+
+  return { text: `EXPLAIN (${options.join(', ')}) ${query}`, values: params };
+}
+
+/**
+ * Find bottlenecks in a plan
+ * @param {Array|Object} explain - EXPLAIN (FORMAT JSON) output (the 'QUERY PLAN' value)
+ * @param {Object} [options] - { tableRows: { relation: reltuples } } to size scans in estimated plans
+ * @returns {Object} { analyzed, totalCost, planningTime?, executionTime?, findings: [{ type, severity, nodeType, relation?, message, ... }] }
+ *   most severe first
+ */
+export function analyzePlan(explain, { tableRows = {} } = {}) {
+  const top = Array.isArray(explain) ? explain[0] : explain;
+  const root = top?.Plan || top;
+  if (!root?.['Node Type']) {
+    return { analyzed: false, totalCost: null, findings: [] };
+  }
+
+  const analyzed = root['Actual Loops'] !== undefined;
+  const findings = [];
+
+  walkPlan(root, node => {
+    for (const detect of DETECTORS) {
+      const finding = detect(node, { analyzed, tableRows });
+      if (finding) {
+        findings.push({ nodeType: node['Node Type'], ...finding });
+      }
+    }
+  });
+
+  return {
+    analyzed,
+    totalCost: root['Total Cost'] ?? null,
+    ...(top['Planning Time'] !== undefined && { planningTime: top['Planning Time'] }),
+    ...(top['Execution Time'] !== undefined && { executionTime: top['Execution Time'] }),
+    findings: findings.sort((a, b) => SEVERITY_SCORES[b.severity] - SEVERITY_SCORES[a.severity])
+  };
+}
+
+/**
+ * How much a query's findings suggest it is worth optimizing, for ranking candidates
+ * @param {Array} findings - From analyzePlan()
+ * @returns {number} Sum of severity scores (high 3, medium 2, low 1)
+ */
+export function bottleneckScore(findings = []) {
+  return findings.reduce((score, finding) => score + SEVERITY_SCORES[finding.severity], 0);
+}
+
+/**
+ * Relations findings of the given types point at
+ * @param {Array} findings - From analyzePlan()
+ * @param {Array<string>} types - Finding types, e.g. ['seq-scan', 'nested-loop']
+ * @returns {Set<string>} Relation names
+ */
+export function relationsWith(findings, types) {
+  return new Set(findings.filter(finding => types.includes(finding.type) && finding.relation).map(finding => finding.relation));
+}
+
+/**
+ * Compact tree of a plan for display
+ * Times are inclusive of children and, like rows, totalled over every loop
+ * @param {Array|Object} explain - EXPLAIN (FORMAT JSON) output (the 'QUERY PLAN' value)
+ * @returns {Object|null} { analyzed, totalCost, planningTime?, executionTime?, root }, where each node is
+ *   { nodeType, relation?, alias?, index?, joinType?, condition?, filter?, estimatedRows, actualRows?, loops?, actualTimeMs?, totalCost, children }
+ */
+export function planTree(explain) {
+  const top = Array.isArray(explain) ? explain[0] : explain;
+  const root = top?.Plan || top;
+  if (!root?.['Node Type']) return null;
+
+  return {
+    analyzed: root['Actual Loops'] !== undefined,
+    totalCost: root['Total Cost'] ?? null,
+    ...(top['Planning Time'] !== undefined && { planningTime: top['Planning Time'] }),
+    ...(top['Execution Time'] !== undefined && { executionTime: top['Execution Time'] }),
+    root: toTreeNode(root)
+  };
+}
+
+/**
+ * Mark how an optimized plan differs from its baseline
+ * Scans are matched by relation (and alias) wherever they moved in the tree; other nodes by position.
+ * Matched nodes whose type or index differ are 'changed' and name their `counterpart`
+ * (e.g. Seq Scan → "Index Scan using orders_customer_id_idx"); unmatched nodes are 'removed' or 'added'
+ * @param {Object|null} before - Baseline from planTree()
+ * @param {Object|null} after - Optimized from planTree()
+ * @returns {Object} { baseline, optimized, changedNodes } - Annotated copies of both trees
+ */
+export function diffPlans(before, after) {
+  const baseline = before && structuredClone(before);
+  const optimized = after && structuredClone(after);
+  if (!baseline || !optimized) {
+    return { baseline, optimized, changedNodes: 0 };
+  }
+
+  const matches = matchPlanNodes(baseline.root, optimized.root);
+  const reverse = new Map([...matches].map(([node, counterpart]) => [counterpart, node]));
+  let changedNodes = 0;
+
+  const annotate = (node, counterparts, unmatched) => {
+    const counterpart = counterparts.get(node);
+    if (!counterpart) {
+      node.change = unmatched;
+    } else if (describeNode(counterpart) !== describeNode(node)) {
+      node.change = 'changed';
+      node.counterpart = describeNode(counterpart);
+    }
+    if (node.change && (unmatched === 'added' || node.change === 'removed')) changedNodes++;
+    node.children.forEach(child => annotate(child, counterparts, unmatched));
+  };
+  annotate(baseline.root, matches, 'removed');
+  annotate(optimized.root, reverse, 'added');
+
+  return { baseline, optimized, changedNodes };
+}
+
+/**
+ * Helper: Visit every node of a plan tree, parents first
+ */
+function walkPlan(node, visit) {
+  visit(node);
+  (node.Plans || []).forEach(child => walkPlan(child, visit));
+}
+
+/**
+ * Helper: The first relation a node or its children read
+ */
+function firstRelation(node) {
+  if (node['Relation Name']) return node['Relation Name'];
+  for (const child of node.Plans || []) {
+    const relation = firstRelation(child);
+    if (relation) return relation;
+  }
+  return null;
+}
+
+/**
+ * Helper: Display fields of an EXPLAIN node and its children
+ */
+function toTreeNode(node) {
+  const loops = node['Actual Loops'];
+  const condition = node['Index Cond'] || node['Hash Cond'] || node['Merge Cond'] || node['Recheck Cond'] || node['Join Filter'];
+
+  return {
+    nodeType: node['Node Type'],
+    ...(node['Relation Name'] && { relation: node['Relation Name'] }),
+    ...(node.Alias && node.Alias !== node['Relation Name'] && { alias: node.Alias }),
+    ...(node['Index Name'] && { index: node['Index Name'] }),
+    ...(node['Join Type'] && { joinType: node['Join Type'] }),
+    ...(condition && { condition }),
+    ...(node.Filter && { filter: node.Filter }),
+    estimatedRows: node['Plan Rows'],
+    ...(loops !== undefined && {
+      actualRows: Math.round((node['Actual Rows'] ?? 0) * loops),
+      loops,
+      actualTimeMs: Math.round((node['Actual Total Time'] ?? 0) * loops * 1000) / 1000
+    }),
+    totalCost: node['Total Cost'],
+    children: (node.Plans || []).map(toTreeNode)
+  };
+}
+
+/**
+ * Helper: Pair baseline nodes with optimized nodes
+ * Scans first, by relation and alias then by relation alone; the rest by position under matched parents
+ * @returns {Map} baseline node → optimized node
+ */
+function matchPlanNodes(before, after) {
+  const matches = new Map();
+  const used = new Set();
+  const scans = root => {
+    const nodes = [];
+    const visit = node => {
+      if (node.relation) nodes.push(node);
+      node.children.forEach(visit);
+    };
+    visit(root);
+    return nodes;
+  };
+
+  const afterScans = scans(after);
+  for (const sameAlias of [true, false]) {
+    for (const node of scans(before)) {
+      if (matches.has(node)) continue;
+      const counterpart = afterScans.find(candidate => !used.has(candidate) &&
+        candidate.relation === node.relation && (!sameAlias || candidate.alias === node.alias));
+      if (counterpart) {
+        matches.set(node, counterpart);
+        used.add(counterpart);
+      }
+    }
+  }
+
+  const align = (node, candidate) => {
+    if (!node.relation && candidate && !candidate.relation && !used.has(candidate)) {
+      matches.set(node, candidate);
+      used.add(candidate);
+    }
+    node.children.forEach((child, i) => align(child, matches.get(node)?.children[i]));
+  };
+  align(before, after);
+
+  return matches;
+}
+
+/**
+ * Helper: "Index Scan using orders_pkey", "Hash Join"
+ */
+function describeNode(node) {
+  return node.index ? `${node.nodeType} using ${node.index}` : node.nodeType;
+}
+
+/**
+ * Helper: 1234567 → "1,234,567"
+ */
+function formatCount(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
@@ -0,0 +1,112 @@
+/**
+ * Schema snapshots and the difference between two of them
+ *
+ * A snapshot maps each object type to { qualifiedName: definition }, so two snapshots
+ * of the same database (before and after a set of changes) can be compared object by object.
+ */
+
+// User schemas only; catalogs, TOAST and extension internals are left out
+const USER_SCHEMAS = `
+  n.nspname NOT IN ('pg_catalog', 'information_schema')
+  AND n.nspname NOT LIKE 'pg\\_%'
+  AND n.nspname NOT LIKE '\\_timescaledb%'
+`;
+
+const RELATION_KINDS = { r: 'table', p: 'table', v: 'view', m: 'materialized view', S: 'sequence', f: 'foreign table' };
+
+const SNAPSHOT_QUERIES = {
+  relation: `
+    SELECT quote_ident(n.nspname) || '.' || quote_ident(c.relname) as name, c.relkind as definition
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.relkind IN ('r', 'p', 'v', 'm', 'S', 'f') AND ${USER_SCHEMAS}
+  `,
+  column: `
+    SELECT quote_ident(n.nspname) || '.' || quote_ident(c.relname) || '.' || quote_ident(a.attname) as name,
+           format_type(a.atttypid, a.atttypmod)
+             || CASE WHEN a.attnotnull THEN ' NOT NULL' ELSE '' END
+             || COALESCE(' DEFAULT ' || pg_get_expr(d.adbin, d.adrelid), '') as definition
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE a.attnum > 0 AND NOT a.attisdropped AND c.relkind IN ('r', 'p', 'v', 'm', 'f') AND ${USER_SCHEMAS}
+  `,
+  index: `
+    SELECT quote_ident(n.nspname) || '.' || quote_ident(c.relname) as name, pg_get_indexdef(i.indexrelid) as definition
+    FROM pg_index i
+    JOIN pg_class c ON c.oid = i.indexrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS}
+  `,
+  constraint: `
+    SELECT quote_ident(n.nspname) || '.' || quote_ident(t.relname) || '.' || quote_ident(con.conname) as name,
+           pg_get_constraintdef(con.oid) as definition
+    FROM pg_constraint con
+    JOIN pg_class t ON t.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    WHERE ${USER_SCHEMAS}
+  `,
+  extension: `
+    SELECT quote_ident(extname) as name, extversion as definition
+    FROM pg_extension
+  `
+};
+
+/**
+ * Snapshot the user schemas visible to a client (including its uncommitted changes)
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<Object>} { relation: {...}, column: {...}, index: {...}, constraint: {...}, extension: {...} }
+ */
+export async function snapshotSchema(client) {
+  const snapshot = {};
+
+  for (const [type, sql] of Object.entries(SNAPSHOT_QUERIES)) {
+    const result = await client.query(sql);
+    snapshot[type] = Object.fromEntries(result.rows.map(row => [
+      row.name,
+      type === 'relation' ? RELATION_KINDS[row.definition] : row.definition
+    ]));
+  }
+
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots
+ * Columns and constraints of a table that was itself added or removed are folded into that table's entry
+ * @param {Object} before - Snapshot before the changes
+ * @param {Object} after - Snapshot after the changes
+ * @returns {Array} [{ type, name, change: 'added' | 'removed' | 'changed', before?, after? }]
+ */
+export function diffSchemas(before, after) {
+  const diff = [];
+
+  for (const type of Object.keys(SNAPSHOT_QUERIES)) {
+    const old = before[type] || {};
+    const current = after[type] || {};
+
+    for (const name of new Set([...Object.keys(old), ...Object.keys(current)])) {
+      if (!(name in current)) {
+        diff.push({ type, name, change: 'removed', before: old[name] });
+      } else if (!(name in old)) {
+        diff.push({ type, name, change: 'added', after: current[name] });
+      } else if (old[name] !== current[name]) {
+        diff.push({ type, name, change: 'changed', before: old[name], after: current[name] });
+      }
+    }
+  }
+
+  const relations = new Set(diff.filter(d => d.type === 'relation' && d.change !== 'changed').map(d => d.name));
+  return diff
+    .filter(d => !((d.type === 'column' || d.type === 'constraint') && relations.has(parentOf(d.name))))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Helper: "schema.table" from "schema.table.member" (names are quote_ident'ed, so dots inside quotes are skipped)
+ */
+function parentOf(name) {
+  const parts = name.match(/"(?:[^"]|"")*"|[^.]+/g);
+  return parts.slice(0, -1).join('.');
+}
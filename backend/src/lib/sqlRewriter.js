@@ -0,0 +1,1083 @@
+/**
+ * AST-based query rewriting for QueryAgent
+ *
+ * Queries are parsed with pgsql-ast-parser (Postgres dialect), rewritten rule by
+ * rule on the syntax tree and printed back to SQL. Every rule checks the shape it
+ * needs before touching the tree and leaves the query alone otherwise, so a rule
+ * that does not apply never changes the text. Rules:
+ *
+ *   expand-star         SELECT * → the table's columns (from information_schema)
+ *   remove-distinct     DISTINCT that cannot remove rows (grouped columns, a key, one aggregate row)
+ *   in-to-exists        col IN (SELECT ...) → EXISTS (SELECT 1 ... WHERE ... = col)
+ *   subquery-to-join    correlated aggregate subquery → join to a grouped derived table
+ *   predicate-pushdown  WHERE predicates on a CTE → inside the CTE
+ *   or-to-union         A OR B → branches of a UNION ALL, each excluding the rows of the ones before
+ *
+ * Rewrites must return the same rows; QueryAgent still checks each one against the
+ * original on the fork (compareQueryResults) before it is benchmarked.
+ *
+ * materializeAggregate() plans a materialized view for CacheAgent: the view holds an
+ * aggregate query's results per group, and the query is rewritten to read from it.
+ */
+
+import { parse, toSql, astVisitor } from 'pgsql-ast-parser';
+
+// Aggregate functions: a query using one returns one row per group
+const AGGREGATES = new Set([
+  'avg', 'sum', 'min', 'max', 'count', 'array_agg', 'string_agg', 'bool_and', 'bool_or', 'every',
+  'json_agg', 'jsonb_agg', 'json_object_agg', 'jsonb_object_agg', 'stddev', 'stddev_pop', 'stddev_samp',
+  'variance', 'var_pop', 'var_samp', 'bit_and', 'bit_or', 'percentile_cont', 'percentile_disc', 'mode'
+]);
+
+// Aggregates that return NULL over no rows, so a missing group reads the same as an empty subquery
+const NULL_ON_EMPTY = new Set(['avg', 'sum', 'min', 'max']);
+
+// Functions whose result changes between calls; expressions using them are never duplicated or moved
+const VOLATILE = new Set([
+  'random', 'nextval', 'setval', 'clock_timestamp', 'timeofday', 'gen_random_uuid', 'uuid_generate_v4'
+]);
+
+// Expressions made only of these can be copied or moved without changing what they mean
+const SIMPLE_TYPES = new Set([
+  'ref', 'parameter', 'integer', 'numeric', 'string', 'boolean', 'null', 'constant', 'keyword',
+  'binary', 'unary', 'ternary', 'list', 'array', 'cast', 'member'
+]);
+
+const COMPARISONS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+// or-to-union splits at most this many OR'ed conditions
+const MAX_UNION_BRANCHES = 4;
+
+// Functions that read the clock; a materialized view would freeze their value
+const TIME_DEPENDENT = new Set(['now', 'statement_timestamp', 'transaction_timestamp', 'clock_timestamp', 'timeofday']);
+
+// Subqueries inside an expression or FROM item
+const SUBQUERY_TYPES = new Set(['select', 'union', 'union all', 'with', 'with recursive', 'values']);
+
+// Longest each query may run while results are compared
+const COMPARE_TIMEOUT_MS = 30000;
+
+const RULES = [
+  { name: 'expand-star', apply: expandStar },
+  { name: 'remove-distinct', apply: removeRedundantDistinct },
+  { name: 'in-to-exists', apply: inToExists },
+  { name: 'subquery-to-join', apply: subqueryToJoin },
+  { name: 'predicate-pushdown', apply: pushPredicatesIntoCtes },
+  { name: 'or-to-union', apply: orToUnionAll } // Last: it turns the query into a UNION
+];
+
+export const REWRITE_RULES = RULES.map(rule => rule.name);
+
+/**
+ * Tables a query reads, for loading their columns and keys
+ * @param {string} sql - Query
+ * @returns {Array<Object>} { schema?, name } per table, CTE names excluded; empty if the query does not parse
+ */
+export function referencedTables(sql) {
+  const statement = parseSingle(sql);
+  if (!statement) return [];
+
+  const ctes = cteNames(statement);
+  const tables = new Map();
+  astVisitor(() => ({
+    tableRef: ({ name, schema }) => {
+      if (!schema && ctes.has(name)) return;
+      tables.set(schema ? `${schema}.${name}` : name, schema ? { schema, name } : { name });
+    }
+  })).statement(statement);
+
+  return [...tables.values()];
+}
+
+/**
+ * Rewrite a query with every rule that applies
+ * @param {string} sql - Query to rewrite
+ * @param {Object} [schema] - { tables: { 'schema.table': { columns: string[], keys: string[][] } }, searchPath: string[] }
+ * @param {Object} [options] - { rules } names of the rules to try (default: all, in order)
+ * @returns {Object} { sql (unchanged text if no rule applied), applied: [{ rule, description }], error? }
+ */
+export function rewriteQuery(sql, schema = { tables: {}, searchPath: ['public'] }, { rules = REWRITE_RULES } = {}) {
+  let statement;
+  try {
+    statement = parseSingle(sql, true);
+  } catch (error) {
+    return { sql, applied: [], error: `Could not parse query: ${error.message.split('\n')[0]}` };
+  }
+
+  if (!statement || !mainSelect(statement)) {
+    return { sql, applied: [], error: statement ? 'Only SELECT queries are rewritten' : 'Expected a single statement' };
+  }
+
+  const context = { schema, ctes: cteNames(statement) };
+  const applied = [];
+
+  for (const rule of RULES.filter(rule => rules.includes(rule.name))) {
+    const description = rule.apply(statement, context);
+    if (description) {
+      applied.push({ rule: rule.name, description });
+    }
+  }
+
+  return {
+    sql: applied.length > 0 ? formatSql(toSql.statement(statement)) : sql,
+    applied
+  };
+}
+
+/**
+ * Columns and keys of the given tables, keyed the way rewriteQuery() expects
+ * @param {Object} client - Connected pg client
+ * @param {Array<Object>} tables - From referencedTables()
+ * @returns {Promise<Object>} { tables, searchPath }
+ */
+export async function loadTableSchema(client, tables) {
+  const { rows: [{ search_path: searchPath }] } = await client.query('SELECT current_schemas(false)::text[] AS search_path');
+  if (tables.length === 0) {
+    return { tables: {}, searchPath };
+  }
+
+  const { rows } = await client.query(`
+    SELECT c.table_schema, c.table_name,
+      array_agg(c.column_name::text ORDER BY c.ordinal_position) AS columns,
+      (
+        SELECT coalesce(json_agg(k.columns), '[]')
+        FROM (
+          SELECT array_agg(a.attname::text) AS columns
+          FROM pg_index i
+          CROSS JOIN LATERAL unnest(i.indkey) AS key(attnum)
+          JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = key.attnum
+          WHERE i.indrelid = format('%I.%I', c.table_schema, c.table_name)::regclass
+            AND i.indisunique AND i.indpred IS NULL AND i.indexprs IS NULL
+          GROUP BY i.indexrelid
+          HAVING bool_and(a.attnotnull)
+        ) k
+      ) AS keys
+    FROM information_schema.columns c
+    WHERE c.table_name = ANY($1)
+      AND (c.table_schema = ANY($2) OR c.table_schema = ANY(current_schemas(false)))
+    GROUP BY c.table_schema, c.table_name
+  `, [
+    [...new Set(tables.map(table => table.name))],
+    [...new Set(tables.filter(table => table.schema).map(table => table.schema))]
+  ]);
+
+  return {
+    tables: Object.fromEntries(rows.map(row => [`${row.table_schema}.${row.table_name}`, { columns: row.columns, keys: row.keys }])),
+    searchPath
+  };
+}
+
+/**
+ * Run a rewritten query and its original on the same data and compare their results
+ * Both run in a read-only transaction that is rolled back; row counts and an order-insensitive
+ * checksum of the rows are compared
+ * @param {Object} client - Connected pg client (not in a transaction)
+ * @param {string} original - Original query
+ * @param {string} rewritten - Rewritten query
+ * @param {Array} [params] - Parameters both queries take
+ * @returns {Promise<string|null>} Why the results differ or could not be compared, or null if they match
+ */
+export async function compareQueryResults(client, original, rewritten, params = []) {
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${COMPARE_TIMEOUT_MS}`);
+
+    const before = await summarizeResults(client, original, params);
+    const after = await summarizeResults(client, rewritten, params);
+
+    if (before.rowCount !== after.rowCount) {
+      return `Changes results: ${before.rowCount} rows before, ${after.rowCount} after`;
+    }
+    if (before.checksum !== after.checksum) {
+      return `Changes results: same row count (${before.rowCount}) but different rows`;
+    }
+    return null;
+  } catch (error) {
+    return `Could not compare results: ${error.message}`;
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+  }
+}
+
+/**
+ * Plan a materialized view that answers an aggregate query, and the query rewritten to read it
+ * The view holds the query's aggregates per group. Equality predicates on a column (col = $1,
+ * col = 'x') become extra group keys, so one view answers every value; they and other predicates
+ * with parameters on group keys alone filter the view instead of the base tables. Predicates
+ * without parameters stay in the view. Subqueries, window functions and clock or volatile
+ * functions make a query unsuitable, as does a parameter anywhere the view would need it
+ * @param {string} sql - Aggregate query (GROUP BY, or aggregates over all its rows)
+ * @param {string} viewName - Name the view will be created with
+ * @returns {Object} { viewSql (the view's SELECT), querySql, uniqueKey (view columns identifying a row,
+ *   lookup keys first; empty for a one-row view), lookupKeys (view columns the query filters on), description },
+ *   or { error }
+ */
+export function materializeAggregate(sql, viewName) {
+  let select;
+  try {
+    select = parseSingle(sql, true);
+  } catch (error) {
+    return { error: `Could not parse query: ${error.message.split('\n')[0]}` };
+  }
+  if (select?.type !== 'select' || !select.from?.length) {
+    return { error: 'Only single SELECT queries over tables are materialized' };
+  }
+
+  // GROUP BY 1 → the first selected expression
+  const groupBy = (select.groupBy || []).map(expr => (expr.type === 'integer' ? select.columns[expr.value - 1]?.expr : expr));
+  if (groupBy.length === 0 && !select.columns.some(column => usesAggregate(column.expr))) {
+    return { error: 'Query does not aggregate' };
+  }
+  if (groupBy.some(expr => !expr || usesAggregate(expr))) {
+    return { error: 'GROUP BY refers to an aggregate or a missing column' };
+  }
+
+  const unsupported = unsupportedForView(select);
+  if (unsupported) return { error: unsupported };
+
+  const sameColumn = (a, b) => sameNode(a, b) || (a.type === 'ref' && b.type === 'ref' && a.name === b.name &&
+    (a.table && b.table ? a.table.name === b.table.name : select.from.length === 1));
+
+  // Equality lookups add their column to the group keys
+  const keys = [...groupBy];
+  const lookupColumns = [];
+  for (const condition of conjuncts(select.where)) {
+    const column = lookupColumn(condition);
+    if (!column) continue;
+    if (!keys.some(key => sameColumn(key, column))) keys.push(column);
+    if (!lookupColumns.some(key => sameColumn(key, column))) lookupColumns.push(column);
+  }
+
+  const used = new Set();
+  const keyNames = keys.map((key, i) => uniqueName(key.type === 'ref' ? key.name : `key_${i + 1}`, used));
+  const aggregates = [];
+  walk([select.columns, select.having, select.orderBy], node => {
+    if (node.type === 'call' && AGGREGATES.has(node.function.name) && !aggregates.some(a => sameNode(a, node))) {
+      aggregates.push(node);
+    }
+  });
+  const aggregateNames = aggregates.map(call => uniqueName(`${call.function.name}_${aggregateArgName(call)}`, used));
+
+  // One-row queries with lookups must still return their row when no group matches
+  const outerJoin = groupBy.length === 0 && lookupColumns.length > 0;
+  const viewRef = name => ({ type: 'ref', table: { name: viewName }, name });
+  const replacements = [
+    ...keys.map((key, i) => ({ matches: node => sameColumn(node, key), expr: viewRef(keyNames[i]) })),
+    ...aggregates.map((call, i) => ({
+      matches: node => sameNode(node, call),
+      expr: outerJoin && call.function.name === 'count'
+        ? { type: 'call', function: { name: 'coalesce' }, args: [viewRef(aggregateNames[i]), { type: 'integer', value: 0 }] }
+        : viewRef(aggregateNames[i])
+    }))
+  ];
+
+  // Predicates on keys alone that take a parameter or look a key up filter the view; the rest stay inside it
+  const filters = [];
+  const kept = [];
+  for (const condition of conjuncts(select.where)) {
+    const onView = !usesAggregate(condition) && (hasParameter(condition) || lookupColumn(condition))
+      ? toViewExpression(condition, replacements)
+      : null;
+    if (onView) {
+      filters.push(onView);
+    } else if (hasParameter(condition)) {
+      return { error: 'A parameter is used in a predicate that cannot filter the view' };
+    } else {
+      kept.push(condition);
+    }
+  }
+
+  const viewSelect = {
+    type: 'select',
+    columns: [
+      ...keys.map((expr, i) => ({ expr, ...(implicitName(expr) !== keyNames[i] && { alias: { name: keyNames[i] } }) })),
+      ...aggregates.map((expr, i) => ({ expr, alias: { name: aggregateNames[i] } }))
+    ],
+    from: select.from,
+    ...(kept.length > 0 && { where: andAll(kept) }),
+    ...(keys.length > 0 && { groupBy: keys })
+  };
+  if (hasParameter(viewSelect)) {
+    return { error: 'Joins, group keys or aggregates use a parameter' };
+  }
+
+  const columns = [];
+  for (const column of select.columns) {
+    const expr = toViewExpression(column.expr, replacements);
+    if (!expr) return { error: 'Every selected column must be grouped or aggregated' };
+    const name = column.alias?.name ?? implicitName(column.expr) ?? '?column?';
+    columns.push({ expr, ...(name !== implicitName(expr) && { alias: { name } }) });
+  }
+  const outputNames = columns.map((column, i) => column.alias?.name ?? implicitName(column.expr) ?? implicitName(select.columns[i].expr));
+
+  const having = select.having && toViewExpression(select.having, replacements);
+  if (select.having && !having) return { error: 'HAVING must only use group keys and aggregates' };
+
+  const orderBy = [];
+  for (const item of select.orderBy || []) {
+    let by;
+    if (item.by.type === 'integer') {
+      const name = outputNames[item.by.value - 1];
+      by = name && name !== '?column?' ? { type: 'ref', name } : null;
+    } else if (item.by.type === 'ref' && !item.by.table && outputNames.includes(item.by.name)) {
+      by = item.by;
+    } else {
+      by = toViewExpression(item.by, replacements);
+    }
+    if (!by) return { error: 'ORDER BY must only use selected columns, group keys and aggregates' };
+    orderBy.push({ ...item, by });
+  }
+
+  const viewItem = { type: 'table', name: { name: viewName } };
+  const where = andAll(outerJoin ? [having] : [...filters, having]);
+  const rewritten = {
+    type: 'select',
+    ...(select.distinct && { distinct: select.distinct }),
+    columns,
+    from: outerJoin
+      ? [
+        { type: 'statement', statement: { type: 'select', columns: null }, alias: 'one' },
+        { ...viewItem, join: { type: 'LEFT JOIN', on: andAll(filters) } }
+      ]
+      : [viewItem],
+    ...(where && { where }),
+    ...(orderBy.length > 0 && { orderBy }),
+    ...(select.limit && { limit: select.limit })
+  };
+
+  const lookupKeys = lookupColumns.map(column => keyNames[keys.findIndex(key => sameColumn(key, column))]);
+  const tables = [...new Set(referencedTables(sql).map(table => table.name))];
+  return {
+    viewSql: formatSql(toSql.statement(viewSelect)),
+    querySql: formatSql(toSql.statement(rewritten)),
+    uniqueKey: [...lookupKeys, ...keyNames.filter(name => !lookupKeys.includes(name))],
+    lookupKeys,
+    description: `${[...new Set(aggregates.map(call => `${call.function.name}()`))].join(', ')} over ${tables.join(', ')}` +
+      (keyNames.length > 0 ? ` by ${keyNames.join(', ')}` : '') +
+      (lookupKeys.length > 0 ? `, looked up by ${lookupKeys.join(', ')}` : '')
+  };
+}
+
+/**
+ * Rule: SELECT * and t.* → the columns they stand for, in table order
+ * Applies to the main query and each CTE; joins with USING or NATURAL merge columns and are left alone
+ */
+function expandStar(statement, context) {
+  const selects = [...(statement.type === 'with' ? statement.bind.map(bind => bind.statement) : []), mainSelect(statement)];
+  const sources = new Set();
+
+  for (const select of selects.filter(s => s.type === 'select' && s.from)) {
+    const expansion = expandColumns(select, context, statement);
+    if (expansion) {
+      select.columns = expansion.columns;
+      expansion.sources.forEach(source => sources.add(source));
+    }
+  }
+
+  return sources.size > 0 ? `Expanded SELECT * into the columns of ${[...sources].join(', ')}` : null;
+}
+
+/**
+ * Rule: drop DISTINCT when rows are already unique
+ * True when every GROUP BY expression is selected, when the selected columns include a
+ * non-null unique key of the only table, or when the query is a single aggregate row
+ */
+function removeRedundantDistinct(statement, context) {
+  const select = mainSelect(statement);
+  if (select.distinct !== 'distinct') return null;
+
+  const exprs = select.columns.map(column => column.expr);
+  let reason = null;
+
+  if (select.groupBy?.length > 0) {
+    if (select.groupBy.every(group => exprs.some(expr => sameNode(expr, group)))) {
+      reason = 'every GROUP BY column is selected';
+    }
+  } else if (exprs.length > 0 && exprs.every(expr => expr.type === 'call' && AGGREGATES.has(expr.function.name) && !expr.over)) {
+    reason = 'the query returns a single aggregate row';
+  } else if (select.from?.length === 1 && select.from[0].type === 'table') {
+    const item = select.from[0];
+    const table = resolveTable(context, item.name);
+    const qualifier = qualifierOf(item);
+    const selected = new Set(exprs
+      .filter(expr => expr.type === 'ref' && (!expr.table || expr.table.name === qualifier))
+      .map(expr => expr.name));
+    const key = table?.keys.find(columns => columns.every(column => selected.has(column)));
+    if (key) {
+      reason = `the selected columns include the unique key (${key.join(', ')})`;
+    }
+  }
+
+  if (!reason) return null;
+
+  delete select.distinct;
+  return `Removed redundant DISTINCT: ${reason}`;
+}
+
+/**
+ * Rule: WHERE col IN (SELECT x FROM ...) → WHERE EXISTS (SELECT 1 FROM ... WHERE x = col)
+ * Only top-level conditions; NOT IN is left alone because it treats NULLs differently
+ */
+function inToExists(statement) {
+  const select = mainSelect(statement);
+  if (!select.where) return null;
+
+  let rewritten = 0;
+  const conditions = conjuncts(select.where).map(condition => {
+    if (condition.type !== 'binary' || condition.op !== 'IN' || condition.right.type !== 'select') return condition;
+
+    const subquery = condition.right;
+    const [column] = subquery.columns || [];
+    if (subquery.columns?.length !== 1 || column.expr.type !== 'ref' || column.expr.name === '*') return condition;
+    if (!subquery.from || hasAny(subquery, ['groupBy', 'having', 'distinct', 'limit', 'orderBy'])) return condition;
+    if (condition.left.type !== 'ref') return condition;
+
+    // The outer column is qualified so the subquery's own tables cannot capture it
+    const outer = qualifyRef(condition.left, select);
+    const innerQualifiers = new Set(subquery.from.map(qualifierOf));
+    if (!outer || innerQualifiers.has(outer.table.name)) return condition;
+
+    rewritten += 1;
+    return {
+      type: 'call',
+      function: { name: 'exists' },
+      args: [{
+        ...subquery,
+        columns: [{ expr: { type: 'integer', value: 1 } }],
+        where: andAll([subquery.where, { type: 'binary', op: '=', left: column.expr, right: outer }])
+      }]
+    };
+  });
+
+  if (rewritten === 0) return null;
+
+  select.where = andAll(conditions);
+  return `Rewrote ${plural(rewritten, 'IN (subquery) condition')} as EXISTS`;
+}
+
+/**
+ * Rule: correlated aggregate subquery → join to a derived table grouped by the correlated columns
+ * e.g. WHERE o.total > (SELECT avg(total) FROM orders o2 WHERE o2.customer_id = o.customer_id)
+ * becomes a join to (SELECT customer_id, avg(total) FROM orders GROUP BY customer_id)
+ * Subqueries compared in WHERE become inner joins (a missing group filters the row, as the NULL did);
+ * subqueries in the select list become left joins. Only avg/sum/min/max, which are NULL over no rows
+ */
+function subqueryToJoin(statement, context) {
+  const select = mainSelect(statement);
+  if (!select.from || select.from.some((item, i) => i > 0 && !item.join)) return null; // Comma joins scope ON clauses
+  if (select.columns.some(column => column.expr.type === 'ref' && column.expr.name === '*' && !column.expr.table)) return null;
+
+  const joined = [];
+  const decorrelate = (subquery, joinType) => {
+    const join = buildDerivedJoin(subquery, select, context, joinType, joined.length + 1);
+    if (!join) return null;
+    select.from.push(join.item);
+    joined.push(join.description);
+    return join.ref;
+  };
+
+  if (select.where) {
+    select.where = andAll(conjuncts(select.where).map(condition => {
+      if (condition.type !== 'binary' || !COMPARISONS.has(condition.op)) return condition;
+      for (const side of ['left', 'right']) {
+        if (condition[side].type === 'select') {
+          const ref = decorrelate(condition[side], 'INNER JOIN');
+          if (ref) return { ...condition, [side]: ref };
+        }
+      }
+      return condition;
+    }));
+  }
+
+  if (!select.groupBy) {
+    select.columns = select.columns.map(column => {
+      if (column.expr.type !== 'select') return column;
+      const ref = decorrelate(column.expr, 'LEFT JOIN');
+      // The subquery's column was unnamed; keep the name Postgres gave it
+      return ref ? { ...column, expr: ref, alias: column.alias || { name: column.expr.columns[0].expr.function.name } } : column;
+    });
+  }
+
+  return joined.length > 0 ? `Rewrote correlated subqueries as joins to grouped derived tables (${joined.join(', ')})` : null;
+}
+
+/**
+ * Rule: move WHERE conditions on a CTE's columns into the CTE, so it reads fewer rows
+ * Only for CTEs referenced once, through inner joins, whose body is a plain SELECT;
+ * conditions are rewritten in terms of the CTE's own expressions
+ */
+function pushPredicatesIntoCtes(statement) {
+  const select = mainSelect(statement);
+  if (statement.type !== 'with' || !select.where || !select.from) return null;
+  if (select.from.some(item => item.join && item.join.type !== 'INNER JOIN')) return null;
+
+  const pushed = [];
+  let conditions = conjuncts(select.where);
+
+  for (const bind of statement.bind) {
+    const body = bind.statement;
+    const name = bind.alias.name;
+    if (body.type !== 'select' || !body.from || hasAny(body, ['groupBy', 'having', 'distinct', 'limit', 'offset', 'orderBy'])) continue;
+    if (body.columns.some(column => usesAggregate(column.expr) || isVolatile(column.expr))) continue;
+
+    const references = tableReferences(statement, name);
+    const item = select.from.find(from => from.type === 'table' && !from.name.schema && from.name.name === name);
+    if (references !== 1 || !item) continue;
+
+    const outputs = outputColumns(body);
+    if (!outputs) continue;
+
+    const qualifier = qualifierOf(item);
+    const alone = select.from.length === 1;
+    const movable = conditions.filter(condition => isSimple(condition) && refsOf(condition).length > 0 && refsOf(condition).every(ref => (
+      (ref.table ? ref.table.name === qualifier && !ref.table.schema : alone) &&
+      outputs.has(ref.name) && isSimple(outputs.get(ref.name))
+    )));
+    if (movable.length === 0) continue;
+
+    body.where = andAll([body.where, ...movable.map(condition => substituteRefs(condition, ref => outputs.get(ref.name)))]);
+    conditions = conditions.filter(condition => !movable.includes(condition));
+    pushed.push(`${plural(movable.length, 'condition')} into ${name}`);
+  }
+
+  if (pushed.length === 0) return null;
+
+  select.where = andAll(conditions);
+  return `Pushed predicates into CTEs: ${pushed.join(', ')}`;
+}
+
+/**
+ * Rule: WHERE A OR B → (... WHERE A) UNION ALL (... WHERE B AND (A) IS NOT TRUE)
+ * Lets each branch use its own index. A row matching several conditions is returned
+ * once, by the first branch it matches; IS NOT TRUE keeps rows where an earlier
+ * condition is NULL. Only when the conditions read different columns, and never for
+ * grouped, DISTINCT, ordered or limited queries
+ */
+function orToUnionAll(statement) {
+  const select = mainSelect(statement);
+  if (select.type !== 'select' || !select.where || !select.from) return null;
+  if (hasAny(select, ['groupBy', 'having', 'distinct', 'limit', 'offset', 'orderBy', 'for'])) return null;
+  if (select.columns.some(column => usesAggregate(column.expr) || isVolatile(column.expr))) return null;
+
+  const conditions = conjuncts(select.where);
+  const split = conditions.find(condition => condition.type === 'binary' && condition.op === 'OR');
+  if (!split) return null;
+
+  const branches = disjuncts(split);
+  const rest = conditions.filter(condition => condition !== split);
+  if (branches.length > MAX_UNION_BRANCHES || !branches.every(isSimple) || rest.some(isVolatile)) return null;
+
+  // Conditions on the same columns are better served by one index scan (BitmapOr, = ANY)
+  const columnSets = branches.map(branch => JSON.stringify([...new Set(refsOf(branch).map(refKey))].sort()));
+  if (columnSets.includes('[]') || new Set(columnSets).size !== branches.length) return null;
+
+  const union = branches
+    .map((branch, i) => ({
+      ...structuredClone(select),
+      where: andAll([
+        ...structuredClone(rest),
+        branch,
+        i > 0 && { type: 'unary', op: 'IS NOT TRUE', operand: orAll(structuredClone(branches.slice(0, i))) }
+      ])
+    }))
+    .reduce((left, right) => ({ type: 'union all', left, right }));
+
+  if (statement.type === 'with') {
+    statement.in = union;
+  } else {
+    Object.keys(statement).forEach(key => delete statement[key]);
+    Object.assign(statement, union);
+  }
+
+  return `Split ${branches.length} OR'ed conditions into UNION ALL branches`;
+}
+
+/**
+ * Helper: Why a query's FROM items or expressions cannot be materialized, or null
+ */
+function unsupportedForView(select) {
+  if (Array.isArray(select.distinct)) return 'DISTINCT ON is not materialized';
+  if (select.from.some(item => item.type !== 'table')) return 'Only tables and joins of tables are materialized';
+
+  let reason = null;
+  walk([select.columns, select.from, select.where, select.groupBy, select.having, select.orderBy], node => {
+    if (reason) return;
+    if (SUBQUERY_TYPES.has(node.type)) {
+      reason = 'Subqueries are not materialized';
+    } else if (node.type === 'call' && node.over) {
+      reason = 'Window functions are not materialized';
+    } else if (node.type === 'keyword' || (node.type === 'call' && (VOLATILE.has(node.function.name) || TIME_DEPENDENT.has(node.function.name)))) {
+      reason = 'Query reads the clock, the session or a volatile function, which a materialized view would freeze';
+    }
+  });
+  return reason;
+}
+
+/**
+ * Helper: The column of an equality lookup (col = $1, 'x' = col), or null
+ */
+function lookupColumn(condition) {
+  if (condition.type !== 'binary' || condition.op !== '=') return null;
+
+  const isValue = side => refsOf(side).length === 0 && isSimple(side);
+  const { left, right } = condition;
+  if (left.type === 'ref' && left.name !== '*' && isValue(right)) return left;
+  if (right.type === 'ref' && right.name !== '*' && isValue(left)) return right;
+  return null;
+}
+
+/**
+ * Helper: Copy an expression onto a materialized view's columns
+ * @param {Array} replacements - [{ matches(node), expr }] for group keys and aggregates
+ * @returns {Object|null} The copy, or null if it reads a column the view does not have
+ */
+function toViewExpression(expr, replacements) {
+  let resolved = true;
+  const copy = node => {
+    if (Array.isArray(node)) return node.map(copy);
+    if (!node || typeof node !== 'object') return node;
+
+    const replacement = node.type && replacements.find(r => r.matches(node));
+    if (replacement) return structuredClone(replacement.expr);
+    if (node.type === 'ref') resolved = false;
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, copy(value)]));
+  };
+
+  const result = copy(expr);
+  return resolved ? result : null;
+}
+
+/**
+ * Helper: Whether an expression uses a $n parameter
+ */
+function hasParameter(expr) {
+  let found = false;
+  walk(expr, node => {
+    if (node.type === 'parameter') found = true;
+  });
+  return found;
+}
+
+/**
+ * Helper: The name Postgres gives an unaliased output column, or null for "?column?"
+ */
+function implicitName(expr) {
+  if (expr.type === 'ref') return expr.name === '*' ? null : expr.name;
+  if (expr.type === 'call') return expr.function.name;
+  if (expr.type === 'cast') return implicitName(expr.operand);
+  if (expr.type === 'case') return 'case';
+  return null;
+}
+
+/**
+ * Helper: What an aggregate is over, for naming its view column: count(*) → "all", sum(amount) → "amount"
+ */
+function aggregateArgName(call) {
+  const [arg] = call.args;
+  if (call.args.length === 1 && arg.type === 'ref') return arg.name === '*' ? 'all' : arg.name;
+  return call.args.length === 0 ? 'all' : 'value';
+}
+
+/**
+ * Helper: A name not yet in `used` (base, base_2, base_3...), added to it
+ */
+function uniqueName(base, used) {
+  let name = base;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}_${n}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Helper: Row count and order-insensitive checksum of a query's results
+ * Rows are hashed as text and the hashes summed, so the same rows in any order match
+ * @returns {Promise<Object>} { rowCount, checksum }
+ */
+async function summarizeResults(client, query, params) {
+  const { rows: [row] } = await client.query({
+    text: `
+      SELECT count(*) AS row_count, coalesce(sum(hashtextextended(r::text, 0)::numeric), 0) AS checksum
+      FROM (
+        ${query.trim().replace(/;\s*$/, '')}
+      ) r
+    `,
+    values: params
+  });
+  return { rowCount: Number(row.row_count), checksum: row.checksum };
+}
+
+/**
+ * Helper: Parse exactly one statement; null otherwise (or throw, if asked)
+ */
+function parseSingle(sql, throwOnError = false) {
+  try {
+    const statements = parse(sql);
+    return statements.length === 1 ? statements[0] : null;
+  } catch (error) {
+    if (throwOnError) throw error;
+    return null;
+  }
+}
+
+/**
+ * Helper: The outermost SELECT of a query (the body of a WITH), or null
+ */
+function mainSelect(statement) {
+  const select = statement.type === 'with' ? statement.in : statement;
+  return select.type === 'select' ? select : null;
+}
+
+/**
+ * Helper: Names of the CTEs a query defines
+ */
+function cteNames(statement) {
+  return new Set(statement.type === 'with' ? statement.bind.map(bind => bind.alias.name) : []);
+}
+
+/**
+ * Helper: How many times a query reads a CTE
+ */
+function tableReferences(statement, name) {
+  let count = 0;
+  astVisitor(() => ({
+    tableRef: table => {
+      if (!table.schema && table.name === name) count += 1;
+    }
+  })).statement(statement);
+  return count;
+}
+
+/**
+ * Helper: Columns and keys of a table by the name it was written with
+ * An unqualified name resolves through the search path, as Postgres would
+ */
+function resolveTable({ schema, ctes }, name) {
+  if (name.schema) return schema.tables[`${name.schema}.${name.name}`] || null;
+  if (ctes.has(name.name)) return null;
+
+  const found = schema.searchPath.find(path => schema.tables[`${path}.${name.name}`]);
+  return found ? schema.tables[`${found}.${name.name}`] : null;
+}
+
+/**
+ * Helper: The name a FROM item's columns are qualified with
+ */
+function qualifierOf(item) {
+  if (item.type === 'table') return item.name.alias || item.name.name;
+  return typeof item.alias === 'string' ? item.alias : item.alias?.name;
+}
+
+/**
+ * Helper: Column names a FROM item exposes, in order; null if unknown
+ */
+function columnsOfItem(item, context, statement) {
+  if (item.type === 'table') {
+    if (!item.name.schema && context.ctes.has(item.name.name)) {
+      const bind = statement.bind.find(b => b.alias.name === item.name.name);
+      const outputs = bind.columnNames ? null : outputColumns(bind.statement);
+      return outputs ? [...outputs.keys()] : null;
+    }
+    return resolveTable(context, item.name)?.columns || null;
+  }
+  if (item.type === 'statement' && !item.columnNames) {
+    const outputs = outputColumns(item.statement);
+    return outputs ? [...outputs.keys()] : null;
+  }
+  return null;
+}
+
+/**
+ * Helper: A SELECT's output columns by name → expression; null if any is unnamed, starred or repeated
+ */
+function outputColumns(select) {
+  if (select.type !== 'select') return null;
+
+  const outputs = new Map();
+  for (const { expr, alias } of select.columns) {
+    const name = alias?.name || (expr.type === 'ref' && expr.name !== '*' ? expr.name : null);
+    if (!name || outputs.has(name)) return null;
+    outputs.set(name, expr);
+  }
+  return outputs;
+}
+
+/**
+ * Helper: A SELECT's column list with every * expanded, or null if nothing was or could be expanded
+ * @returns {Object|null} { columns, sources (names of the expanded FROM items) }
+ */
+function expandColumns(select, context, statement) {
+  if (countStars(select) === 0) return null;
+  if (select.from.some(item => item.join?.using || item.join?.natural)) return null;
+
+  const single = select.from.length === 1;
+  const expansions = new Map();
+  for (const item of select.from) {
+    const columns = columnsOfItem(item, context, statement);
+    if (!columns) continue;
+    const table = single
+      ? undefined
+      : item.type === 'table' && !item.name.alias
+        ? { name: item.name.name, ...(item.name.schema && { schema: item.name.schema }) }
+        : { name: qualifierOf(item) };
+    expansions.set(item, columns.map(name => ({ expr: { type: 'ref', ...(table && { table }), name } })));
+  }
+
+  const expanded = [];
+  const sources = [];
+  for (const column of select.columns) {
+    const { expr } = column;
+    if (expr.type !== 'ref' || expr.name !== '*') {
+      expanded.push(column);
+      continue;
+    }
+
+    const items = expr.table
+      ? select.from.filter(item => qualifierOf(item) === expr.table.name && (!expr.table.schema || item.name?.schema === expr.table.schema))
+      : select.from;
+    if (items.length === 0 || items.some(item => !expansions.has(item))) return null;
+    items.forEach(item => {
+      expanded.push(...expansions.get(item));
+      sources.push(item.type === 'table' ? item.name.name : qualifierOf(item));
+    });
+  }
+
+  return { columns: expanded, sources };
+}
+
+/**
+ * Helper: Number of * and t.* entries in a select list
+ */
+function countStars(select) {
+  return select.columns.filter(column => column.expr.type === 'ref' && column.expr.name === '*').length;
+}
+
+/**
+ * Helper: Build the derived-table join that replaces one correlated aggregate subquery
+ * @returns {Object|null} { item (FROM entry), ref (to the aggregate), description }
+ */
+function buildDerivedJoin(subquery, outer, context, joinType, n) {
+  if (subquery.type !== 'select' || subquery.columns.length !== 1) return null;
+  if (hasAny(subquery, ['groupBy', 'having', 'distinct', 'limit', 'offset', 'orderBy'])) return null;
+  if (subquery.from?.length !== 1 || subquery.from[0].type !== 'table') return null;
+
+  const [{ expr: aggregate }] = subquery.columns;
+  if (aggregate.type !== 'call' || !NULL_ON_EMPTY.has(aggregate.function.name) || aggregate.over || aggregate.filter) return null;
+
+  const source = subquery.from[0];
+  const inner = qualifierOf(source);
+  const innerColumns = resolveTable(context, source.name)?.columns;
+  const outerQualifiers = new Set(outer.from.map(qualifierOf));
+  const alias = `sq_${n}`;
+  if (outerQualifiers.has(inner) || outerQualifiers.has(alias)) return null;
+
+  // Refs the derived table can evaluate on its own
+  const isInner = ref => (ref.table ? ref.table.name === inner : Boolean(innerColumns?.includes(ref.name)));
+  const isOuter = ref => Boolean(ref.table) && ref.table.name !== inner && outerQualifiers.has(ref.table.name);
+
+  const keys = [];
+  const local = [];
+  for (const condition of conjuncts(subquery.where)) {
+    const sides = condition.type === 'binary' && condition.op === '=' ? [condition.left, condition.right] : [];
+    const innerSide = sides.find(side => side.type === 'ref' && isInner(side));
+    const outerSide = sides.find(side => side !== innerSide && side.type === 'ref' && isOuter(side));
+
+    if (innerSide && outerSide) {
+      keys.push({ inner: innerSide, outer: outerSide });
+    } else if (isSimple(condition) && refsOf(condition).every(isInner)) {
+      local.push(condition);
+    } else {
+      return null;
+    }
+  }
+  if (keys.length === 0 || !aggregate.args.every(arg => isSimple(arg) && refsOf(arg).every(isInner))) return null;
+
+  const derived = {
+    type: 'select',
+    columns: [
+      ...keys.map((key, i) => ({ expr: key.inner, alias: { name: `key_${i + 1}` } })),
+      { expr: aggregate, alias: { name: 'value' } }
+    ],
+    from: [source],
+    where: andAll(local),
+    groupBy: keys.map(key => key.inner)
+  };
+  if (!derived.where) delete derived.where;
+
+  return {
+    item: {
+      type: 'statement',
+      statement: derived,
+      alias,
+      join: {
+        type: joinType,
+        on: andAll(keys.map((key, i) => ({
+          type: 'binary', op: '=', left: { type: 'ref', table: { name: alias }, name: `key_${i + 1}` }, right: key.outer
+        })))
+      }
+    },
+    ref: { type: 'ref', table: { name: alias }, name: 'value' },
+    description: `${aggregate.function.name}() over ${source.name.name}`
+  };
+}
+
+/**
+ * Helper: A column ref qualified with its table, if the outer query has only one
+ */
+function qualifyRef(ref, select) {
+  if (ref.table) return ref;
+  if (select.from?.length !== 1) return null;
+  const item = select.from[0];
+  const table = item.type === 'table' && !item.name.alias
+    ? { name: item.name.name, ...(item.name.schema && { schema: item.name.schema }) }
+    : { name: qualifierOf(item) };
+  return table.name ? { ...ref, table } : null;
+}
+
+/**
+ * Helper: Copy an expression, replacing each column ref
+ */
+function substituteRefs(expr, replace) {
+  if (Array.isArray(expr)) return expr.map(e => substituteRefs(e, replace));
+  if (!expr || typeof expr !== 'object') return expr;
+  if (expr.type === 'ref') return structuredClone(replace(expr));
+  return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, substituteRefs(value, replace)]));
+}
+
+/**
+ * Helper: Every column ref in an expression, subqueries included
+ */
+function refsOf(expr) {
+  const refs = [];
+  walk(expr, node => {
+    if (node.type === 'ref' && node.name !== '*') refs.push(node);
+  });
+  return refs;
+}
+
+/**
+ * Helper: Whether an expression is built only from columns, constants and operators
+ */
+function isSimple(expr) {
+  let simple = true;
+  walk(expr, node => {
+    if (!SIMPLE_TYPES.has(node.type)) simple = false;
+  });
+  return simple;
+}
+
+/**
+ * Helper: Whether an expression calls an aggregate
+ */
+function usesAggregate(expr) {
+  let found = false;
+  walk(expr, node => {
+    if (node.type === 'call' && (AGGREGATES.has(node.function.name) || node.over)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Helper: Whether an expression calls a volatile function
+ */
+function isVolatile(expr) {
+  let found = false;
+  walk(expr, node => {
+    if (node.type === 'call' && VOLATILE.has(node.function.name)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Helper: Visit every AST node (object with a `type`) in a tree
+ */
+function walk(node, visit) {
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit));
+  } else if (node && typeof node === 'object') {
+    if (node.type) visit(node);
+    Object.values(node).forEach(child => walk(child, visit));
+  }
+}
+
+/**
+ * Helper: Conditions AND'ed together in an expression
+ */
+function conjuncts(expr) {
+  if (!expr) return [];
+  return expr.type === 'binary' && expr.op === 'AND' ? [...conjuncts(expr.left), ...conjuncts(expr.right)] : [expr];
+}
+
+/**
+ * Helper: Conditions OR'ed together in an expression
+ */
+function disjuncts(expr) {
+  return expr.type === 'binary' && expr.op === 'OR' ? [...disjuncts(expr.left), ...disjuncts(expr.right)] : [expr];
+}
+
+/**
+ * Helper: AND conditions together (falsy entries skipped); undefined if none
+ */
+function andAll(conditions) {
+  return combine(conditions, 'AND');
+}
+
+/**
+ * Helper: OR conditions together
+ */
+function orAll(conditions) {
+  return combine(conditions, 'OR');
+}
+
+/**
+ * Helper: Join conditions with AND or OR
+ */
+function combine(conditions, op) {
+  const present = conditions.filter(Boolean);
+  return present.length > 0 ? present.reduce((left, right) => ({ type: 'binary', op, left, right })) : undefined;
+}
+
+/**
+ * Helper: Whether a SELECT uses any of the given clauses
+ */
+function hasAny(select, clauses) {
+  return clauses.some(clause => select[clause] !== undefined && select[clause] !== null &&
+    !(Array.isArray(select[clause]) && select[clause].length === 0));
+}
+
+/**
+ * Helper: Structural equality of two AST nodes
+ */
+function sameNode(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Helper: A column ref as text, for comparing which columns conditions read
+ */
+function refKey(ref) {
+  return ref.table ? `${ref.table.name}.${ref.name}` : ref.name;
+}
+
+/**
+ * Helper: "1 condition", "2 conditions"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Helper: Tidy the printer's spacing outside string literals and quoted identifiers
+ */
+function formatSql(sql) {
+  return sql
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part
+      .replace(/\s+/g, ' ')
+      .replace(/ \./g, '.')
+      .replace(/\( /g, '(')
+      .replace(/ ([),])/g, '$1')))
+    .join('')
+    .trim();
+}
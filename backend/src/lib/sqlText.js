@@ -0,0 +1,89 @@
+/**
+ * Text-level SQL helpers shared by workload parsing and index candidate detection
+ *
+ * These work on the SQL text with regular expressions, not a parser: good enough
+ * for the flat SELECT / INSERT / UPDATE / DELETE statements pg_stat_statements
+ * records, and they never throw on SQL they do not understand.
+ */
+
+// Words that can follow a table name in FROM/JOIN/UPDATE but are not aliases
+const NOT_ALIASES = new Set([
+  'where', 'join', 'inner', 'left', 'right', 'full', 'cross', 'natural', 'on', 'using', 'group', 'order',
+  'limit', 'offset', 'having', 'window', 'union', 'intersect', 'except', 'set', 'returning', 'for', 'tablesample', 'lateral'
+]);
+
+// Quoted text (E'' and '' literals, "identifiers", $tag$ bodies) as group 1, or a comment
+const QUOTED_OR_COMMENT = /((?<![\w$])[Ee]'(?:[^'\\]|\\[\s\S]|'')*'|'(?:[^']|'')*'|"(?:[^"]|"")*"|\$([A-Za-z_]\w*)?\$[\s\S]*?\$\2\$)|--[^\n]*|\/\*[\s\S]*?\*\//g;
+
+// A column reference, optionally qualified (u.email, "Users"."Email"), as one capture group
+export const COLUMN_PATTERN = '((?:"[^"]+"|[A-Za-z_][\\w$]*)(?:\\.(?:"[^"]+"|[A-Za-z_][\\w$]*))?)';
+
+/**
+ * Drop -- and /* *\/ comments; string literals, quoted identifiers and dollar-quoted bodies
+ * are kept as they are, so a `--` inside them is not a comment
+ * @param {string} sql - SQL text
+ * @returns {string}
+ */
+export function stripComments(sql) {
+  return sql.replace(QUOTED_OR_COMMENT, (match, quoted) => quoted ?? ' ');
+}
+
+/**
+ * Replace string literals with '' so their contents are never matched as SQL
+ * @param {string} sql - SQL text
+ * @returns {string}
+ */
+export function blankLiterals(sql) {
+  return sql.replace(/'(?:[^']|'')*'/g, "''");
+}
+
+/**
+ * Unquote a "Quoted" identifier; unquoted identifiers fold to lower case
+ * @param {string} identifier - Identifier as written
+ * @returns {string}
+ */
+export function unquoteIdentifier(identifier) {
+  return identifier.startsWith('"') ? identifier.slice(1, -1).replace(/""/g, '"') : identifier.toLowerCase();
+}
+
+/**
+ * Quote an identifier for interpolation into SQL
+ * @param {string} identifier - Identifier
+ * @returns {string}
+ */
+export function quoteIdentifier(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Split a (possibly qualified) column reference
+ * @param {string} reference - e.g. u.email, "Users"."Email", email
+ * @returns {Object} { qualifier (alias or table, or null), column }
+ */
+export function splitReference(reference) {
+  const parts = reference.split('.').map(unquoteIdentifier);
+  return parts.length > 1
+    ? { qualifier: parts[0], column: parts[1] }
+    : { qualifier: null, column: parts[0] };
+}
+
+/**
+ * Map every table alias (and table name) in FROM / JOIN / UPDATE / INTO clauses to its table
+ * @param {string} text - SQL without comments or literals
+ * @returns {Object} alias → table name (schema dropped)
+ */
+export function findTableAliases(text) {
+  const aliases = {};
+  const pattern = /\b(?:from|join|update|into)\s+((?:"[^"]+"|[A-Za-z_][\w$]*)(?:\.(?:"[^"]+"|[A-Za-z_][\w$]*))?)(?:\s+(?:as\s+)?("[^"]+"|[A-Za-z_][\w$]*))?/gi;
+
+  for (const m of text.matchAll(pattern)) {
+    const table = m[1].split('.').map(unquoteIdentifier).pop();
+    if (table === 'select' || table === 'lateral') continue;
+    aliases[table] = table;
+
+    const alias = m[2] && unquoteIdentifier(m[2]);
+    if (alias && !NOT_ALIASES.has(alias)) aliases[alias] = table;
+  }
+
+  return aliases;
+}
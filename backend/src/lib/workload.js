@@ -0,0 +1,360 @@
+/**
+ * Workloads: the query set a run is benchmarked against
+ *
+ * By default agents benchmark the slow queries they find in pg_stat_statements.
+ * A workload replaces that with the queries the caller actually cares about:
+ * SQL statements with bind parameters and a weight (relative call frequency).
+ * Every agent times the same workload, so universes are scored on equal terms.
+ */
+
+import { COLUMN_PATTERN, stripComments, blankLiterals, unquoteIdentifier, findTableAliases } from './sqlText.js';
+
+// Most statements a workload may hold
+export const MAX_STATEMENTS = 200;
+const MAX_STATEMENT_LENGTH = 20000;
+
+// Statements that only read can be replayed as-is; anything else runs in a rolled-back transaction
+const READ_ONLY_KEYWORDS = ['select', 'with', 'values', 'table', 'show', 'explain'];
+
+// Comparison operators a placeholder can be compared with
+const COMPARISON = '(?:=|<>|!=|<=|>=|<|>|(?:not\\s+)?i?like)';
+
+// Opening tag of a dollar-quoted string ($$ or $tag$), matched at a given position
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+/**
+ * Normalize a workload from the request body
+ * Accepts a workload object ({ name, queries }), a bare array of statements, or an
+ * uploaded file ({ filename, content }) in .sql or .json format
+ * @param {Object} input - { workload, workloadFile } from the request
+ * @returns {Object|null} { name, source, queries: [{ query, params, weight }] }, or null when none was given
+ * @throws {Error} Describing what is wrong with the workload
+ */
+export function parseWorkload({ workload, workloadFile } = {}) {
+  if (workload !== undefined && workload !== null && workloadFile !== undefined && workloadFile !== null) {
+    throw new Error('Send either workload or workloadFile, not both');
+  }
+
+  if (workloadFile !== undefined && workloadFile !== null) {
+    return parseWorkloadFile(workloadFile);
+  }
+
+  if (workload === undefined || workload === null) {
+    return null;
+  }
+
+  const entries = Array.isArray(workload) ? workload : workload.queries;
+  return normalizeWorkload(entries, { name: workload.name, source: 'request' });
+}
+
+/**
+ * Parse an uploaded workload file
+ * .json files hold the same shape as the `workload` field; anything else is read as SQL
+ * @param {Object} file - { filename, content }
+ * @returns {Object} Normalized workload
+ */
+export function parseWorkloadFile(file) {
+  if (typeof file !== 'object' || typeof file.content !== 'string') {
+    throw new Error('workloadFile must be an object with a string content field');
+  }
+
+  const filename = typeof file.filename === 'string' ? file.filename : 'workload.sql';
+  const name = filename.replace(/\.[^.]+$/, '');
+
+  if (filename.toLowerCase().endsWith('.json')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(file.content);
+    } catch (error) {
+      throw new Error(`${filename} is not valid JSON: ${error.message}`);
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed?.queries;
+    return normalizeWorkload(entries, { name: parsed?.name || name, source: filename });
+  }
+
+  return normalizeWorkload(parseSqlWorkload(file.content), { name, source: filename });
+}
+
+/**
+ * Split a SQL script into workload statements
+ * Comment directives immediately before a statement set its weight and bind parameters:
+ *   -- weight: 25
+ *   -- params: [42, "alice@example.com"]
+ * @param {string} script - SQL separated by semicolons
+ * @returns {Array<Object>} [{ query, weight, params }]
+ */
+export function parseSqlWorkload(script) {
+  return splitStatements(script).map(({ sql, directives }, i) => {
+    const entry = { query: sql };
+
+    if (directives.weight !== undefined) {
+      entry.weight = Number(directives.weight);
+    }
+    if (directives.params !== undefined) {
+      try {
+        entry.params = JSON.parse(directives.params);
+      } catch (error) {
+        throw new Error(`Statement ${i + 1}: params directive is not a JSON array`);
+      }
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Validate workload entries and fill in defaults (weight 1, no params)
+ * @param {Array<Object|string>} entries - Statements as strings or { sql | query, params, weight }
+ * @param {Object} [meta] - { name, source }
+ * @returns {Object} { name, source, queries: [{ query, params, weight }] }
+ */
+export function normalizeWorkload(entries, { name, source = 'request' } = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Workload must contain at least one statement');
+  }
+  if (entries.length > MAX_STATEMENTS) {
+    throw new Error(`Workload has ${entries.length} statements; at most ${MAX_STATEMENTS} are allowed`);
+  }
+
+  const queries = entries.map((entry, i) => {
+    const label = `Statement ${i + 1}`;
+    const { sql, query, params = [], weight = 1 } = typeof entry === 'string' ? { sql: entry } : (entry || {});
+    const text = typeof sql === 'string' ? sql : query;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error(`${label}: sql must be a non-empty string`);
+    }
+    if (text.length > MAX_STATEMENT_LENGTH) {
+      throw new Error(`${label}: sql is longer than ${MAX_STATEMENT_LENGTH} characters`);
+    }
+    if (splitStatements(text).length > 1) {
+      throw new Error(`${label}: must be a single SQL statement`);
+    }
+    if (!Array.isArray(params) || params.some(p => p !== null && typeof p === 'object')) {
+      throw new Error(`${label}: params must be an array of scalar values`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`${label}: weight must be a positive number`);
+    }
+
+    return { query: stripTrailingSemicolon(text.trim()), params, weight };
+  });
+
+  return {
+    name: typeof name === 'string' && name.trim() ? name.trim() : 'custom workload',
+    source,
+    queries
+  };
+}
+
+/**
+ * Whether a statement can be replayed without changing data
+ * @param {string} sql - SQL statement
+ * @returns {boolean}
+ */
+export function isReadOnlyStatement(sql) {
+  const keyword = stripComments(sql).replace(/^[\s(]+/, '').split(/[\s(]/, 1)[0].toLowerCase();
+  return READ_ONLY_KEYWORDS.includes(keyword) && !/\b(insert|update|delete|merge)\b/i.test(stripComments(sql));
+}
+
+/**
+ * Work out what each $n placeholder in a normalized query stands for
+ * Placeholders compared to a column (col = $1, $2 < t.col, col IN ($3, $4), col BETWEEN $5 AND $6),
+ * assigned to one (SET col = $1, INSERT (col) VALUES ($1)) or used for LIMIT / OFFSET are recognized
+ * @param {string} sql - Normalized query, as stored by pg_stat_statements
+ * @returns {Object} { placeholders: number[], bindings: { [n]: { kind: 'column', column, tables, upperBound? } | { kind: 'limit' | 'offset' } } }
+ *   `upperBound` marks the lower bound of a BETWEEN and names the placeholder of its upper bound
+ */
+export function inferPlaceholders(sql) {
+  const text = blankLiterals(stripComments(sql));
+  const placeholders = [...new Set([...text.matchAll(/\$(\d+)/g)].map(m => Number(m[1])))].sort((a, b) => a - b);
+  const aliases = findTableAliases(text);
+  const tables = [...new Set(Object.values(aliases))];
+  const bindings = {};
+
+  const bindColumn = (reference, n) => {
+    if (bindings[n]) return;
+    const parts = reference.split('.').map(unquoteIdentifier);
+    const column = parts[parts.length - 1];
+    const owner = parts.length > 1 ? aliases[parts[0]] || parts[0] : null;
+    bindings[n] = { kind: 'column', column, tables: owner ? [owner] : tables };
+  };
+
+  for (const m of text.matchAll(new RegExp(`${COLUMN_PATTERN}\\s*${COMPARISON}\\s*\\$(\\d+)`, 'gi'))) bindColumn(m[1], m[2]);
+  for (const m of text.matchAll(new RegExp(`\\$(\\d+)(?:::\\w+)?\\s*${COMPARISON}\\s*${COLUMN_PATTERN}`, 'gi'))) bindColumn(m[2], m[1]);
+  for (const m of text.matchAll(new RegExp(`${COLUMN_PATTERN}\\s+(?:not\\s+)?in\\s*\\(([^()]*)\\)`, 'gi'))) {
+    [...m[2].matchAll(/\$(\d+)/g)].forEach(p => bindColumn(m[1], p[1]));
+  }
+  for (const m of text.matchAll(new RegExp(`${COLUMN_PATTERN}\\s+(?:not\\s+)?between\\s+\\$(\\d+)\\s+and\\s+\\$(\\d+)`, 'gi'))) {
+    bindColumn(m[1], m[2]);
+    bindColumn(m[1], m[3]);
+    bindings[m[2]].upperBound = Number(m[3]);
+  }
+  for (const m of text.matchAll(/insert\s+into\s+([\w."]+)\s*\(([^)]*)\)\s*values\s*\(([^)]*)\)/gi)) {
+    const columns = m[2].split(',').map(c => unquoteIdentifier(c.trim()));
+    const table = m[1].split('.').map(unquoteIdentifier).pop();
+    m[3].split(',').forEach((value, i) => {
+      const p = value.trim().match(/^\$(\d+)/);
+      if (p && columns[i] && !bindings[p[1]]) bindings[p[1]] = { kind: 'column', column: columns[i], tables: [table] };
+    });
+  }
+  for (const m of text.matchAll(/\b(limit|offset)\s+\$(\d+)/gi)) bindings[m[2]] = { kind: m[1].toLowerCase() };
+
+  return { placeholders, bindings };
+}
+
+/**
+ * Calls (and time) per statement between two pg_stat_statements snapshots
+ * Statements first seen after the window opened count in full
+ * @param {Map} before - queryid → { query, calls, totalTime } when the window opened
+ * @param {Map} after - The same when it closed
+ * @returns {Array<Object>} [{ queryid, query, calls, meanTime }] for statements called in the window
+ */
+export function diffSnapshots(before, after) {
+  const statements = [];
+
+  for (const [queryid, stats] of after) {
+    const previous = before.get(queryid);
+    const calls = stats.calls - (previous?.calls || 0);
+    if (calls <= 0) continue;
+
+    statements.push({
+      queryid,
+      query: stats.query,
+      calls,
+      meanTime: (stats.totalTime - (previous?.totalTime || 0)) / calls
+    });
+  }
+
+  return statements;
+}
+
+/**
+ * The i-th parameter set for a statement
+ * Placeholders on the same column (IN lists, BETWEEN) get different samples, and BETWEEN bounds are kept in order
+ * @param {number[]} placeholders - From inferPlaceholders()
+ * @param {Object} bindings - From inferPlaceholders()
+ * @param {Object} values - Sampled values per placeholder, { [n]: [...] }
+ * @param {number} i - Which parameter set
+ * @returns {Array} Values for $1..$n, in placeholder order
+ */
+export function buildParams(placeholders, bindings, values, i) {
+  const chosen = Object.fromEntries(placeholders.map((n, j) => [n, values[n][(i + j) % values[n].length]]));
+
+  for (const n of placeholders) {
+    const upper = bindings[n].upperBound;
+    if (upper !== undefined && compareValues(chosen[n], chosen[upper]) > 0) {
+      [chosen[n], chosen[upper]] = [chosen[upper], chosen[n]];
+    }
+  }
+
+  return placeholders.map(n => chosen[n]);
+}
+
+/**
+ * Public summary of a workload for events and job status
+ * @param {Object|null} workload - Normalized workload
+ * @returns {Object|null} { name, source, statements, totalWeight }
+ */
+export function describeWorkload(workload) {
+  if (!workload) return null;
+  return {
+    name: workload.name,
+    source: workload.source,
+    statements: workload.queries.length,
+    totalWeight: Math.round(workload.queries.reduce((sum, q) => sum + q.weight, 0) * 1e6) / 1e6
+  };
+}
+
+/**
+ * Helper: Split SQL on top-level semicolons, keeping track of `-- key: value` directives
+ * Quotes, dollar-quoted bodies and comments are skipped so their semicolons do not split
+ */
+function splitStatements(script) {
+  const statements = [];
+  let current = '';
+  let directives = {};
+  let i = 0;
+
+  const flush = () => {
+    const sql = current.trim();
+    if (sql) statements.push({ sql, directives });
+    current = '';
+    directives = {};
+  };
+
+  while (i < script.length) {
+    const char = script[i];
+
+    if (script.startsWith('--', i)) {
+      const end = script.indexOf('\n', i);
+      const comment = script.slice(i + 2, end === -1 ? script.length : end);
+      const directive = comment.match(/^\s*(weight|params)\s*:\s*(.+?)\s*$/i);
+      if (directive && !current.trim()) {
+        directives[directive[1].toLowerCase()] = directive[2];
+      }
+      i = end === -1 ? script.length : end + 1;
+      current += '\n';
+      continue;
+    }
+
+    if (script.startsWith('/*', i)) {
+      const end = script.indexOf('*/', i + 2);
+      i = end === -1 ? script.length : end + 2;
+      current += ' ';
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let j = i + 1;
+      while (j < script.length) {
+        if (script[j] === char && script[j + 1] === char) j += 2;
+        else if (script[j] === char) break;
+        else j++;
+      }
+      current += script.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    // A $ inside an identifier (e.g. col$1) does not open a dollar quote
+    DOLLAR_TAG.lastIndex = i;
+    const dollarTag = char === '$' && !/\w/.test(script[i - 1] || '') && DOLLAR_TAG.exec(script);
+    if (dollarTag) {
+      const end = script.indexOf(dollarTag[0], i + dollarTag[0].length);
+      const stop = end === -1 ? script.length : end + dollarTag[0].length;
+      current += script.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (char === ';') {
+      flush();
+      i++;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  flush();
+  return statements;
+}
+
+/**
+ * Helper: Order sampled values numerically when both are numbers, otherwise as text (ISO dates sort as text)
+ */
+function compareValues(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Helper: Remove a single trailing semicolon
+ */
+function stripTrailingSemicolon(sql) {
+  return sql.replace(/;\s*$/, '');
+}
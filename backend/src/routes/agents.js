@@ -0,0 +1,16 @@
+import express from 'express';
+import agentRegistry from '../agents/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/agents
+ * Registered agents with their display metadata and config schema
+ */
+router.get('/', (req, res) => {
+  res.json({
+    agents: agentRegistry.list()
+  });
+});
+
+export default router;
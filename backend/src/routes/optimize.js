@@ -1,18 +1,23 @@
 import express from 'express';
 import tigerService from '../services/tigerService.js';
-import IndexAgent from '../agents/IndexAgent.js';
-import QueryAgent from '../agents/QueryAgent.js';
-import CacheAgent from '../agents/CacheAgent.js';
-import SchemaAgent from '../agents/SchemaAgent.js';
+import jobService from '../services/jobService.js';
+import historyService from '../services/historyService.js';
+import recommendationService from '../services/recommendationService.js';
+import workloadService from '../services/workloadService.js';
+import promotionService from '../services/promotionService.js';
+import agentRegistry from '../agents/index.js';
+import { parseWorkload } from '../lib/workload.js';
 
 const router = express.Router();
 
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * POST /api/optimize
- * Main optimization endpoint - spawns parallel universes and runs agents
+ * Main optimization endpoint - starts an optimization job and returns its ID immediately
  */
 router.post('/', async (req, res) => {
-  const { problemDescription, strategies = ['index', 'query', 'cache', 'schema'] } = req.body;
+  const { problemDescription, strategies = agentRegistry.names(), agentConfig = {}, concurrency, workload, workloadFile, workloadName } = req.body;
 
   if (!problemDescription) {
     return res.status(400).json({
@@ -20,151 +25,207 @@ router.post('/', async (req, res) => {
     });
   }
 
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    return res.status(400).json({
+      error: 'Concurrency must be a positive integer'
+    });
+  }
+
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    return res.status(400).json({
+      error: 'Strategies must be a non-empty array'
+    });
+  }
+
+  const unknown = strategies.filter(strategy => !agentRegistry.has(strategy));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown strateg${unknown.length !== 1 ? 'ies' : 'y'}: ${unknown.join(', ')}`,
+      available: agentRegistry.names()
+    });
+  }
+
   try {
-    console.log('[Optimize] Starting parallel universe optimization...');
-    console.log('[Optimize] Problem:', problemDescription);
-    console.log('[Optimize] Strategies:', strategies);
-    console.log('[Optimize] Mode: Sequential (free tier compatible)');
-
-    // Step 1: Run agents sequentially to work with free tier limits
-    const universeNames = ['alpha', 'beta', 'gamma', 'delta'];
-    const strategyMap = {
-      'index': IndexAgent,
-      'query': QueryAgent,
-      'cache': CacheAgent,
-      'schema': SchemaAgent
-    };
-
-    const selectedStrategies = strategies.slice(0, 4);
-    const universes = [];
-
-    // Run each agent sequentially: create fork → run agent → delete fork → repeat
-    for (let i = 0; i < selectedStrategies.length; i++) {
-      const strategy = selectedStrategies[i];
-      const universeName = universeNames[i];
-      const symbol = getUniverseSymbol(universeName);
-      let fork = null;
-      let agent = null;
-
-      try {
-        // Step A: Create fork
-        console.log(`\n[Optimize] === Universe ${universeName.toUpperCase()} (${strategy}) ===`);
-        console.log(`[Optimize] Creating fork for ${universeName}...`);
-        fork = await tigerService.createFork(`universe-${universeName}`);
-
-        if (fork.isDemoMode) {
-          console.log(`[Optimize] Running in demo mode (using main database)`);
-        } else {
-          console.log(`[Optimize] Fork created: ${fork.id}`);
-        }
-
-        // Step B: Run agent
-        console.log(`[Optimize] Running ${strategy} agent...`);
-        const AgentClass = strategyMap[strategy];
-        agent = new AgentClass(fork.connectionString, fork.id);
-
-        const result = await agent.optimize(problemDescription);
-        await agent.cleanup();
-
-        console.log(`[Optimize] ${universeName} completed: ${result.improvement}% improvement`);
-
-        universes.push({
-          id: universeName,
-          symbol,
-          ...result,
-          forkId: fork.id
-        });
-
-        // Step C: Delete fork immediately (unless in demo mode)
-        if (!fork.isDemoMode) {
-          console.log(`[Optimize] Deleting fork ${fork.id}...`);
-          await tigerService.deleteFork(fork.id);
-          console.log(`[Optimize] Fork ${fork.id} deleted successfully`);
-        }
-
-      } catch (error) {
-        console.error(`[Optimize] Error in ${universeName}:`, error);
-
-        // Clean up agent if it was created
-        if (agent) {
-          try {
-            await agent.cleanup();
-          } catch (cleanupError) {
-            console.error(`[Optimize] Error cleaning up agent:`, cleanupError);
-          }
-        }
-
-        // Try to clean up fork on error (if it exists and not demo mode)
-        if (fork && !fork.isDemoMode) {
-          try {
-            console.log(`[Optimize] Cleaning up fork ${fork.id} after error...`);
-            await tigerService.deleteFork(fork.id);
-            console.log(`[Optimize] Fork ${fork.id} cleaned up`);
-          } catch (cleanupError) {
-            console.error(`[Optimize] Failed to cleanup fork ${fork.id}:`, cleanupError);
-          }
-        }
-
-        universes.push({
-          id: universeName,
-          symbol,
-          agent: strategy,
-          forkId: fork?.id || 'unknown',
-          status: 'failed',
-          error: error.message,
-          improvement: 0,
-          executionTime: -1
-        });
-      }
+    strategies.forEach(strategy => agentRegistry.resolveConfig(strategy, agentConfig?.[strategy]));
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid agent config',
+      message: error.message
+    });
+  }
+
+  let parsedWorkload;
+  try {
+    parsedWorkload = parseWorkload({ workload, workloadFile });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid workload',
+      message: error.message
+    });
+  }
+
+  // A saved workload (captured or uploaded earlier) is replayed by name
+  if (workloadName !== undefined) {
+    if (parsedWorkload) {
+      return res.status(400).json({
+        error: 'Send only one of workload, workloadFile or workloadName'
+      });
     }
 
-    console.log('\n[Optimize] All agents completed');
+    try {
+      parsedWorkload = await workloadService.get(workloadName);
+    } catch (error) {
+      console.error('[Optimize] Could not load workload:', error);
+      return res.status(500).json({
+        error: 'Failed to load workload',
+        message: error.message
+      });
+    }
 
-    // Step 2: Determine winner
-    const winner = universes.reduce((best, current) =>
-      current.improvement > best.improvement ? current : best
-    );
+    if (!parsedWorkload) {
+      return res.status(404).json({
+        error: `Workload not found: ${workloadName}`
+      });
+    }
+  }
 
-    console.log(`[Optimize] Winner: ${winner.id} with ${winner.improvement}% improvement`);
+  const job = jobService.createJob({ problemDescription, strategies, agentConfig, concurrency, workload: parsedWorkload });
+  console.log(`[Optimize] Started job ${job.id}`);
 
-    // Step 3: Calculate cost savings
-    const costSavings = calculateCostSavings(selectedStrategies.length);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/optimize/jobs/${job.id}`,
+    eventsUrl: `/api/optimize/jobs/${job.id}/events`
+  });
+});
 
-    // Return results
-    res.json({
-      success: true,
-      universes,
-      winner: winner.id,
-      costSavings,
-      timestamp: new Date().toISOString()
+/**
+ * GET /api/optimize/jobs/:id
+ * Job status with per-universe partial results
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
     });
+  }
 
-  } catch (error) {
-    console.error('[Optimize] Error:', error);
-    res.status(500).json({
-      error: 'Optimization failed',
-      message: error.message
+  res.json(jobService.serialize(job));
+});
+
+/**
+ * GET /api/optimize/jobs/:id/events
+ * Live progress events for a job as Server-Sent Events
+ * Past events are replayed, honouring Last-Event-ID on reconnect
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
     });
   }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+  });
+
+  const lastEventId = parseInt(req.headers['last-event-id'], 10);
+  let unsubscribe = () => {};
+
+  const send = (record) => {
+    res.write(`id: ${record.id}\nevent: ${record.event}\ndata: ${JSON.stringify(record.data)}\n\n`);
+
+    if (jobService.isTerminalEvent(record.event)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+
+  unsubscribe = jobService.subscribe(job, send, Number.isNaN(lastEventId) ? -1 : lastEventId);
+
+  // A finished job emits nothing more, even when the client already had its terminal event
+  if (jobService.isFinished(job)) {
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+    return;
+  }
+
+  res.on('close', () => unsubscribe());
 });
 
 /**
- * POST /api/promote
- * Promote winning universe changes to production
+ * DELETE /api/optimize/jobs/:id
+ * Cancel a running job, tearing down any live forks
  */
-router.post('/promote', async (req, res) => {
-  const { forkId, changes } = req.body;
+router.delete('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
 
-  if (!forkId || !changes) {
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found'
+    });
+  }
+
+  if (jobService.isFinished(job)) {
+    return res.status(409).json({
+      error: `Job already ${job.status}`
+    });
+  }
+
+  jobService.cancelJob(job.id);
+
+  res.json({
+    success: true,
+    job: jobService.serialize(job)
+  });
+});
+
+/**
+ * POST /api/optimize/recommend
+ * Suggest and rank strategies from similar past optimizations
+ */
+router.post('/recommend', async (req, res) => {
+  const { problemDescription } = req.body;
+
+  if (!problemDescription) {
     return res.status(400).json({
-      error: 'Fork ID and changes are required'
+      error: 'Problem description is required'
     });
   }
 
   try {
-    console.log(`[Promote] Promoting fork ${forkId} to production...`);
+    res.json(await recommendationService.recommend(problemDescription));
+  } catch (error) {
+    console.error('[Recommend] Error:', error);
+    res.status(500).json({
+      error: 'Recommendation failed',
+      message: error.message
+    });
+  }
+});
 
-    const result = await tigerService.promoteFork(forkId, changes);
+/**
+ * POST /api/optimize/promote
+ * Promote a run's winning universe to production
+ * Only the change set the server recorded for that universe is applied; clients never send SQL
+ */
+router.post('/promote', async (req, res) => {
+  const changeSet = await loadChangeSet(req, res);
+  if (!changeSet) return;
+
+  try {
+    console.log(`[Promote] Promoting universe ${changeSet.universeId} of run ${changeSet.runId} (fork ${changeSet.forkId}) to production...`);
+
+    const result = await promotionService.promote(changeSet, { onProgress: logPromotionProgress });
 
     console.log('[Promote] Promotion successful');
 
@@ -174,42 +235,170 @@ router.post('/promote', async (req, res) => {
       message: 'Changes promoted to production successfully'
     });
   } catch (error) {
+    if (error.conflict) {
+      return res.status(409).json({
+        error: 'Universe cannot be promoted',
+        message: error.message
+      });
+    }
+
     console.error('[Promote] Error:', error);
     res.status(500).json({
       error: 'Promotion failed',
+      message: error.message,
+      statements: error.statements,
+      promotionId: error.promotionId
+    });
+  }
+});
+
+/**
+ * POST /api/optimize/promote/preview
+ * Dry-run a promotion: validate each recorded change in a rolled-back transaction on a fork of
+ * production (on the main database in demo mode), estimate locks and duration, flag destructive
+ * statements and diff the schema
+ */
+router.post('/promote/preview', async (req, res) => {
+  const changeSet = await loadChangeSet(req, res);
+  if (!changeSet) return;
+
+  try {
+    const preview = await tigerService.previewPromotion(changeSet.changes);
+    const count = changeSet.changes.length;
+
+    console.log(`[Promote] Preview of ${count} change${count !== 1 ? 's' : ''}: ${preview.valid ? 'valid' : 'invalid'}, ${preview.destructive.length} destructive`);
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('[Promote] Preview error:', error);
+    res.status(500).json({
+      error: 'Promotion preview failed',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/history
- * Get optimization history for hybrid search
+ * GET /api/optimize/promotions
+ * Recorded promotions, newest first, with each statement's inverse
+ * Query: limit
  */
-router.get('/history', async (req, res) => {
+router.get('/promotions', async (req, res) => {
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+  if (Number.isNaN(limit)) {
+    return res.status(400).json({
+      error: 'limit must be an integer'
+    });
+  }
+
   try {
-    // This would query the optimization_history table
-    // For now, return sample data
+    res.json({ promotions: await promotionService.list({ limit }) });
+  } catch (error) {
+    console.error('[Promote] Could not list promotions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/optimize/promotions/:id/rollback
+ * Revert a promotion by running the inverse of each applied statement, newest first
+ */
+router.post('/promotions/:id/rollback', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(id)) {
+    return res.status(400).json({
+      error: 'Promotion ID must be an integer'
+    });
+  }
+
+  try {
+    const promotion = await promotionService.get(id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        error: 'Promotion not found'
+      });
+    }
+
+    if (promotion.status === 'rolled_back') {
+      return res.status(409).json({
+        error: 'Promotion already rolled back'
+      });
+    }
+
+    console.log(`[Promote] Rolling back promotion ${id}...`);
+
+    const result = await promotionService.rollback(promotion, { onProgress: logPromotionProgress });
+
+    console.log(`[Promote] Rolled back promotion ${id}`);
+
     res.json({
-      history: [
-        {
-          id: 1,
-          problemDescription: 'Slow queries on users table',
-          strategy: 'index',
-          improvement: 84,
-          executionTime: 38,
-          createdAt: new Date(Date.now() - 86400000).toISOString()
-        },
-        {
-          id: 2,
-          problemDescription: 'High CPU usage on order queries',
-          strategy: 'query',
-          improvement: 67,
-          executionTime: 52,
-          createdAt: new Date(Date.now() - 172800000).toISOString()
-        }
-      ]
+      success: true,
+      promotion: result,
+      message: 'Promotion rolled back'
     });
+  } catch (error) {
+    if (error.conflict) {
+      return res.status(409).json({
+        error: 'Promotion cannot be rolled back',
+        message: error.message
+      });
+    }
+
+    console.error('[Promote] Rollback error:', error);
+    res.status(500).json({
+      error: 'Rollback failed',
+      message: error.message,
+      statements: error.statements
+    });
+  }
+});
+
+/**
+ * GET /api/optimize/history
+ * Page through recorded optimization runs
+ * Query: page, pageSize, strategy, from, to (ISO dates), minImprovement
+ */
+router.get('/history', async (req, res) => {
+  const { page, pageSize, strategy, from, to, minImprovement } = req.query;
+
+  const filters = {
+    page: page !== undefined ? parseInt(page, 10) : 1,
+    pageSize: pageSize !== undefined ? parseInt(pageSize, 10) : 20,
+    strategy: strategy || undefined,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    minImprovement: minImprovement !== undefined ? parseFloat(minImprovement) : undefined
+  };
+
+  if (Number.isNaN(filters.page) || Number.isNaN(filters.pageSize)) {
+    return res.status(400).json({
+      error: 'page and pageSize must be integers'
+    });
+  }
+
+  if ([filters.from, filters.to].some(date => date && Number.isNaN(date.getTime()))) {
+    return res.status(400).json({
+      error: 'from and to must be valid dates'
+    });
+  }
+
+  if (Number.isNaN(filters.minImprovement)) {
+    return res.status(400).json({
+      error: 'minImprovement must be a number'
+    });
+  }
+
+  try {
+    res.json(await historyService.listHistory(filters));
   } catch (error) {
     console.error('[History] Error:', error);
     res.status(500).json({
@@ -220,36 +409,105 @@ router.get('/history', async (req, res) => {
 });
 
 /**
- * Helper: Get universe symbol
+ * GET /api/optimize/history/search
+ * Hybrid search over past optimizations: full-text rank + vector similarity (RRF)
+ * Query: q (required), limit, strategy
  */
-function getUniverseSymbol(name) {
-  const symbols = {
-    alpha: 'α',
-    beta: 'β',
-    gamma: 'γ',
-    delta: 'δ'
-  };
-  return symbols[name] || '⊗';
-}
+router.get('/history/search', async (req, res) => {
+  const { q, limit, strategy } = req.query;
+
+  if (!q || !q.trim()) {
+    return res.status(400).json({
+      error: 'Search query (q) is required'
+    });
+  }
+
+  const parsedLimit = limit !== undefined ? parseInt(limit, 10) : 10;
+  if (Number.isNaN(parsedLimit)) {
+    return res.status(400).json({
+      error: 'limit must be an integer'
+    });
+  }
+
+  try {
+    const results = await historyService.searchHistory(q.trim(), {
+      limit: parsedLimit,
+      strategy: strategy || undefined
+    });
+
+    res.json({
+      query: q.trim(),
+      results
+    });
+  } catch (error) {
+    console.error('[History] Search error:', error);
+    res.status(500).json({
+      error: 'History search failed',
+      message: error.message
+    });
+  }
+});
 
 /**
- * Helper: Calculate cost savings vs traditional approach
+ * Helper: Look up the recorded change set for `{ runId, universeId }` in the request body
+ * Sends the error response and returns null when it is missing or may not be promoted
  */
-function calculateCostSavings(forkCount) {
-  // Traditional approach: Full database clones
-  const traditionalCost = forkCount * 11.88; // $11.88 per clone
+async function loadChangeSet(req, res) {
+  const { runId, universeId } = req.body;
 
-  // Agentic Postgres: Zero-copy forks
-  const agenticCost = 0.02; // Essentially free
+  if (!runId || !universeId) {
+    res.status(400).json({
+      error: 'Run ID and universe ID are required'
+    });
+    return null;
+  }
 
-  const savings = traditionalCost / agenticCost;
+  if (!UUID.test(runId)) {
+    res.status(400).json({
+      error: 'Run ID must be a UUID'
+    });
+    return null;
+  }
 
-  return {
-    traditional: traditionalCost.toFixed(2),
-    agentic: agenticCost.toFixed(2),
-    savingsMultiplier: Math.round(savings),
-    forkCount
-  };
+  let changeSet;
+  try {
+    changeSet = await promotionService.getChangeSet(runId, universeId);
+  } catch (error) {
+    console.error('[Promote] Could not load change set:', error);
+    res.status(500).json({
+      error: 'Failed to load change set',
+      message: error.message
+    });
+    return null;
+  }
+
+  if (!changeSet) {
+    res.status(404).json({
+      error: `Universe ${universeId} of run ${runId} not found`
+    });
+    return null;
+  }
+
+  const problem = promotionService.checkPromotable(changeSet);
+  if (problem) {
+    res.status(409).json({
+      error: 'Universe cannot be promoted',
+      message: problem
+    });
+    return null;
+  }
+
+  return changeSet;
+}
+
+/**
+ * Helper: Log one statement's progress while promoting or rolling back
+ */
+function logPromotionProgress(update) {
+  const progress = update.progress
+    ? ` (${update.progress.phase}${update.progress.percent !== null ? `, ${update.progress.percent}%` : ''})`
+    : '';
+  console.log(`[Promote] ${update.index + 1}/${update.total} ${update.status}${progress} [${update.lockLevel}] attempt ${update.attempts}: ${update.sql.slice(0, 80)}`);
 }
 
 export default router;
@@ -0,0 +1,180 @@
+import express from 'express';
+import workloadService from '../services/workloadService.js';
+import { parseWorkload, MAX_STATEMENTS } from '../lib/workload.js';
+
+const router = express.Router();
+
+const WORKLOAD_NAME = /^[\w.-]{1,100}$/;
+
+/**
+ * GET /api/workloads
+ * Saved workloads, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      workloads: await workloadService.list()
+    });
+  } catch (error) {
+    console.error('[Workloads] Error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workloads',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/workloads
+ * Save a workload (same `workload` / `workloadFile` shapes as POST /api/optimize) under a name
+ */
+router.post('/', async (req, res) => {
+  const { name, workload, workloadFile } = req.body;
+
+  if (!WORKLOAD_NAME.test(name || '')) {
+    return res.status(400).json({
+      error: 'Name must be 1-100 letters, digits, dots, dashes or underscores'
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseWorkload({ workload, workloadFile });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid workload',
+      message: error.message
+    });
+  }
+
+  if (!parsed) {
+    return res.status(400).json({
+      error: 'workload or workloadFile is required'
+    });
+  }
+
+  try {
+    const saved = await workloadService.save({ ...parsed, name });
+    res.status(201).json({
+      success: true,
+      workload: saved
+    });
+  } catch (error) {
+    console.error('[Workloads] Save error:', error);
+    res.status(500).json({
+      error: 'Failed to save workload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/workloads/capture
+ * Snapshot pg_stat_statements on the main database over a time window and save the result
+ * as a replayable workload; returns the capture ID immediately (202)
+ * Body: name, durationSeconds (default 60, 0 = statistics so far), maxStatements, samplesPerQuery
+ */
+router.post('/capture', (req, res) => {
+  const { name, durationSeconds = 60, maxStatements = 50, samplesPerQuery = 3 } = req.body;
+
+  if (!WORKLOAD_NAME.test(name || '')) {
+    return res.status(400).json({
+      error: 'Name must be 1-100 letters, digits, dots, dashes or underscores'
+    });
+  }
+
+  if (!Number.isInteger(durationSeconds) || durationSeconds < 0 || durationSeconds > 3600) {
+    return res.status(400).json({
+      error: 'durationSeconds must be an integer between 0 and 3600'
+    });
+  }
+
+  if (!Number.isInteger(maxStatements) || !Number.isInteger(samplesPerQuery) || maxStatements < 1 || samplesPerQuery < 1) {
+    return res.status(400).json({
+      error: 'maxStatements and samplesPerQuery must be positive integers'
+    });
+  }
+
+  if (maxStatements * samplesPerQuery > MAX_STATEMENTS) {
+    return res.status(400).json({
+      error: `maxStatements × samplesPerQuery must be at most ${MAX_STATEMENTS}`
+    });
+  }
+
+  const capture = workloadService.startCapture({ name, durationSeconds, maxStatements, samplesPerQuery });
+  console.log(`[Workloads] Started capture ${capture.id}`);
+
+  res.status(202).json({
+    success: true,
+    captureId: capture.id,
+    status: capture.status,
+    endsAt: capture.endsAt,
+    statusUrl: `/api/workloads/captures/${capture.id}`
+  });
+});
+
+/**
+ * GET /api/workloads/captures/:id
+ * Capture progress: capturing → sampling → complete | failed
+ */
+router.get('/captures/:id', (req, res) => {
+  const capture = workloadService.getCapture(req.params.id);
+
+  if (!capture) {
+    return res.status(404).json({
+      error: 'Capture not found'
+    });
+  }
+
+  res.json(workloadService.serializeCapture(capture));
+});
+
+/**
+ * GET /api/workloads/:name
+ * A saved workload with its statements, parameters and weights
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const workload = await workloadService.get(req.params.name);
+
+    if (!workload) {
+      return res.status(404).json({
+        error: 'Workload not found'
+      });
+    }
+
+    res.json(workload);
+  } catch (error) {
+    console.error('[Workloads] Error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/workloads/:name
+ * Delete a saved workload
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    if (!(await workloadService.remove(req.params.name))) {
+      return res.status(404).json({
+        error: 'Workload not found'
+      });
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('[Workloads] Delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete workload',
+      message: error.message
+    });
+  }
+});
+
+export default router;
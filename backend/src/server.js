@@ -4,6 +4,9 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import optimizeRouter from './routes/optimize.js';
+import agentsRouter from './routes/agents.js';
+import workloadsRouter from './routes/workloads.js';
+import { loadAgentModules } from './agents/index.js';
 
 // Get directory name in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -17,6 +20,9 @@ console.log('[Server] Environment variables loaded:');
 console.log(`[Server] TIGER_SERVICE_ID: ${process.env.TIGER_SERVICE_ID}`);
 console.log(`[Server] TIGER_CLI_AVAILABLE: ${process.env.TIGER_CLI_AVAILABLE}`);
 console.log(`[Server] DATABASE_URL: ${process.env.DATABASE_URL ? 'Set' : 'Not set'}`);
+if (process.env.TIGER_CLI_AVAILABLE !== 'true' && process.env.FAST_MODE !== 'true') {
+  console.warn('[Server] Demo mode without FAST_MODE: agents that change the schema will refuse to run against the main database');
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -47,7 +53,7 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Room for uploaded workload files
 
 // Request logging
 app.use((req, res, next) => {
@@ -67,6 +73,8 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/optimize', optimizeRouter);
+app.use('/api/agents', agentsRouter);
+app.use('/api/workloads', workloadsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -76,7 +84,13 @@ app.get('/', (req, res) => {
     description: 'AI agents optimizing databases across instant forks',
     endpoints: {
       health: 'GET /health',
+      agents: 'GET /api/agents',
+      workloads: 'GET /api/workloads',
+      captureWorkload: 'POST /api/workloads/capture',
       optimize: 'POST /api/optimize',
+      job: 'GET /api/optimize/jobs/:id',
+      jobEvents: 'GET /api/optimize/jobs/:id/events',
+      cancelJob: 'DELETE /api/optimize/jobs/:id',
       promote: 'POST /api/optimize/promote',
       history: 'GET /api/optimize/history'
     },
@@ -101,6 +115,9 @@ app.use((req, res) => {
   });
 });
 
+// Register in-house agents before accepting requests
+await loadAgentModules();
+
 // Start server
 app.listen(PORT, () => {
   console.log('╔════════════════════════════════════════════════╗');
@@ -113,7 +130,13 @@ app.listen(PORT, () => {
   console.log('');
   console.log('Endpoints:');
   console.log(`  - GET  http://localhost:${PORT}/health`);
+  console.log(`  - GET  http://localhost:${PORT}/api/agents`);
+  console.log(`  - GET  http://localhost:${PORT}/api/workloads`);
+  console.log(`  - POST http://localhost:${PORT}/api/workloads/capture`);
   console.log(`  - POST http://localhost:${PORT}/api/optimize`);
+  console.log(`  - GET  http://localhost:${PORT}/api/optimize/jobs/:id`);
+  console.log(`  - GET  http://localhost:${PORT}/api/optimize/jobs/:id/events`);
+  console.log(`  - DEL  http://localhost:${PORT}/api/optimize/jobs/:id`);
   console.log(`  - POST http://localhost:${PORT}/api/optimize/promote`);
   console.log(`  - GET  http://localhost:${PORT}/api/optimize/history`);
   console.log('');
@@ -0,0 +1,173 @@
+// Must match optimization_history.embedding VECTOR(1536) in database/schema.sql
+export const EMBEDDING_DIMENSIONS = 1536;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'were', 'with'
+]);
+
+/**
+ * HashingEmbedder - Deterministic local embeddings via feature hashing
+ * Unigrams and bigrams are hashed into a fixed number of signed buckets, so
+ * the same text always yields the same vector without any network access
+ */
+export class HashingEmbedder {
+  constructor(dimensions = EMBEDDING_DIMENSIONS) {
+    this.name = 'hashing';
+    this.dimensions = dimensions;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+
+    const counts = new Map();
+    features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const bucket = hash % this.dimensions;
+      const sign = (hash >>> 31) === 0 ? 1 : -1; // Signed hashing keeps collisions unbiased
+      vector[bucket] += sign * (1 + Math.log(count));
+    }
+
+    return normalize(vector);
+  }
+}
+
+/**
+ * OpenAIEmbedder - Embeddings from an OpenAI-compatible /embeddings endpoint
+ * Requires OPENAI_API_KEY; EMBEDDING_API_URL and EMBEDDING_MODEL are optional
+ */
+export class OpenAIEmbedder {
+  constructor(dimensions = EMBEDDING_DIMENSIONS) {
+    this.name = 'openai';
+    this.dimensions = dimensions;
+    this.apiUrl = process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1/embeddings';
+    this.model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  }
+
+  async embed(text) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is required for the openai embedding provider');
+    }
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: text,
+        dimensions: this.dimensions
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const { data } = await response.json();
+    return data[0].embedding;
+  }
+}
+
+/**
+ * EmbeddingService - Pluggable embedding providers for hybrid history search
+ * The provider is chosen with EMBEDDING_PROVIDER (default: 'hashing', works offline)
+ */
+class EmbeddingService {
+  constructor() {
+    this.factories = new Map([
+      ['hashing', () => new HashingEmbedder()],
+      ['openai', () => new OpenAIEmbedder()]
+    ]);
+    this.provider = null;
+  }
+
+  /**
+   * Register an embedding provider
+   * @param {string} name - Name used in EMBEDDING_PROVIDER
+   * @param {Function} factory - Returns an object with `name`, `dimensions` and `async embed(text)`
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+    if (this.provider?.name === name) {
+      this.provider = null;
+    }
+  }
+
+  /**
+   * Get the configured provider (created once, on first use)
+   */
+  getProvider() {
+    const name = process.env.EMBEDDING_PROVIDER || 'hashing';
+
+    if (!this.provider || this.provider.name !== name) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}`);
+      }
+      this.provider = factory();
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Embed text with the configured provider
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} Embedding of EMBEDDING_DIMENSIONS floats
+   */
+  async embed(text) {
+    const vector = await this.getProvider().embed(text);
+
+    if (vector.length !== EMBEDDING_DIMENSIONS) {
+      throw new Error(`Embedding has ${vector.length} dimensions, expected ${EMBEDDING_DIMENSIONS}`);
+    }
+
+    return vector;
+  }
+
+  /**
+   * Format an embedding as a pgvector literal, e.g. '[0.1,0.2]'
+   */
+  toSqlVector(vector) {
+    return `[${vector.join(',')}]`;
+  }
+}
+
+/**
+ * Helper: Lowercase word tokens without stop words
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Helper: 32-bit FNV-1a hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Helper: Scale a vector to unit length (cosine distance then reflects direction only)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+export default new EmbeddingService();
@@ -0,0 +1,336 @@
+import tigerService from './tigerService.js';
+import embeddingService from './embeddingService.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reciprocal rank fusion constant (k = 60 is the value from the original RRF paper)
+const RRF_K = 60;
+
+// How many candidates each ranker contributes before fusion
+const SEARCH_CANDIDATES = 50;
+
+/**
+ * HistoryService - Persists optimization runs to the optimization_history table
+ * One row per universe, so every strategy's outcome is searchable later
+ */
+class HistoryService {
+  constructor() {
+    this.backfill = null;
+  }
+
+  /**
+   * Record a completed run: one row per universe, winner flagged
+   * @param {Object} run - Run to record
+   * @param {string} run.runId - Job ID of the run
+   * @param {string} run.problemDescription - User's description of the performance issue
+   * @param {Array} run.universes - Universe results from optimizationService.run
+   * @param {string} run.winner - ID of the winning universe
+   * @returns {Promise<number>} Number of rows written
+   */
+  async recordRun({ runId, problemDescription, universes, winner }) {
+    const embedding = await this.embedText(problemDescription);
+    const client = await this.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const universe of universes) {
+        await client.query(`
+          INSERT INTO optimization_history (
+            run_id, universe_id, problem_description, strategy, agent, status, summary,
+            improvement, execution_time, baseline_time, applied_changes, is_winner, simulated, fork_id, embedding
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15::vector)
+        `, [
+          runId,
+          universe.id,
+          problemDescription,
+          universe.strategyKey,
+          universe.agent,
+          universe.status,
+          universe.status === 'failed' ? universe.error : universe.strategy,
+          universe.improvement ?? 0,
+          toMilliseconds(universe.executionTime),
+          toMilliseconds(universe.baselineTime),
+          JSON.stringify(universe.details?.appliedChanges || []),
+          universe.id === winner,
+          Boolean(universe.simulated),
+          universe.forkId || null,
+          embedding
+        ]);
+      }
+
+      await client.query('COMMIT');
+      console.log(`[History] Recorded run ${runId} (${universes.length} universes)`);
+
+      return universes.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Page through recorded universes, newest first
+   * @param {Object} filters - Query filters
+   * @param {number} [filters.page] - 1-based page number
+   * @param {number} [filters.pageSize] - Rows per page (max 100)
+   * @param {string} [filters.strategy] - Strategy key (e.g. 'index')
+   * @param {Date} [filters.from] - Earliest created_at (inclusive)
+   * @param {Date} [filters.to] - Latest created_at (inclusive)
+   * @param {number} [filters.minImprovement] - Minimum improvement percentage
+   * @returns {Promise<Object>} History rows and pagination info
+   */
+  async listHistory({ page = 1, pageSize = DEFAULT_PAGE_SIZE, strategy, from, to, minImprovement } = {}) {
+    const limit = Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE);
+    const offset = (Math.max(page, 1) - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (strategy) addCondition('strategy = ?', strategy);
+    if (from) addCondition('created_at >= ?', from);
+    if (to) addCondition('created_at <= ?', to);
+    if (minImprovement !== undefined) addCondition('improvement >= ?', minImprovement);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const client = await this.connect();
+
+    try {
+      const { rows: [{ total }] } = await client.query(
+        `SELECT COUNT(*)::int AS total FROM optimization_history ${where}`,
+        params
+      );
+
+      const { rows } = await client.query(`
+        SELECT
+          id, run_id, universe_id, problem_description, strategy, agent, status, summary,
+          improvement, execution_time, baseline_time, applied_changes, is_winner, simulated, fork_id, created_at
+        FROM optimization_history
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]);
+
+      return {
+        history: rows.map(toHistoryEntry),
+        pagination: {
+          page: Math.max(page, 1),
+          pageSize: limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Hybrid search: BM25-style full-text rank fused with vector similarity
+   * Each ranker contributes its top candidates; scores are combined with
+   * reciprocal rank fusion, so rows found by both rankers rise to the top
+   * @param {string} query - Free-text problem description
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum results (default 10)
+   * @param {string} [options.strategy] - Only return rows for this strategy key
+   * @returns {Promise<Array>} History entries with score, lexicalRank, semanticRank and similarity
+   */
+  async searchHistory(query, { limit = 10, strategy } = {}) {
+    // Rows written before embeddings existed (e.g. seed data) are embedded once per process;
+    // a failed backfill is retried by the next search
+    if (!this.backfill) {
+      this.backfill = this.backfillEmbeddings().catch(error => {
+        console.warn('[History] Embedding backfill failed:', error.message);
+        this.backfill = null;
+      });
+    }
+    await this.backfill;
+
+    const embedding = await this.embedText(query);
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        WITH lexical AS (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY text_rank DESC) AS rank
+          FROM (
+            SELECT id, ts_rank_cd(to_tsvector('english', problem_description), terms.query) AS text_rank
+            FROM optimization_history,
+              -- OR the terms together: rows matching more of them rank higher
+              (SELECT replace(plainto_tsquery('english', $1)::text, '&', '|')::tsquery AS query) terms
+            WHERE to_tsvector('english', problem_description) @@ terms.query
+              AND ($4::text IS NULL OR strategy = $4)
+            ORDER BY text_rank DESC
+            LIMIT $3
+          ) matches
+        ),
+        semantic AS (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY distance) AS rank
+          FROM (
+            SELECT id, embedding <=> $2::vector AS distance
+            FROM optimization_history
+            WHERE $2::vector IS NOT NULL
+              AND embedding IS NOT NULL
+              AND ($4::text IS NULL OR strategy = $4)
+            ORDER BY embedding <=> $2::vector
+            LIMIT $3
+          ) nearest
+        )
+        SELECT
+          h.id, h.run_id, h.universe_id, h.problem_description, h.strategy, h.agent, h.status, h.summary,
+          h.improvement, h.execution_time, h.baseline_time, h.applied_changes, h.is_winner, h.simulated, h.fork_id, h.created_at,
+          lexical.rank AS lexical_rank,
+          semantic.rank AS semantic_rank,
+          1 - (h.embedding <=> $2::vector) AS similarity,
+          COALESCE(1.0 / ($5 + lexical.rank), 0) + COALESCE(1.0 / ($5 + semantic.rank), 0) AS score
+        FROM lexical
+        FULL OUTER JOIN semantic USING (id)
+        JOIN optimization_history h USING (id)
+        ORDER BY score DESC, h.created_at DESC
+        LIMIT $6
+      `, [query, embedding, SEARCH_CANDIDATES, strategy || null, RRF_K, Math.min(Math.max(limit, 1), MAX_PAGE_SIZE)]);
+
+      return rows.map(row => ({
+        ...toHistoryEntry(row),
+        score: Number(row.score),
+        lexicalRank: row.lexical_rank === null ? null : Number(row.lexical_rank),
+        semanticRank: row.semantic_rank === null ? null : Number(row.semantic_rank),
+        similarity: row.similarity === null ? null : Number(row.similarity)
+      }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * One recorded universe of a run
+   * @param {string} runId - Job ID of the run
+   * @param {string} universeId - Universe ID (e.g. 'alpha')
+   * @returns {Promise<Object|null>} History entry, or null if not recorded
+   */
+  async getUniverse(runId, universeId) {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT
+          id, run_id, universe_id, problem_description, strategy, agent, status, summary,
+          improvement, execution_time, baseline_time, applied_changes, is_winner, simulated, fork_id, created_at
+        FROM optimization_history
+        WHERE run_id = $1 AND universe_id = $2
+        ORDER BY id DESC
+        LIMIT 1
+      `, [runId, universeId]);
+      return rows.length > 0 ? toHistoryEntry(rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Compute embeddings for rows that do not have one yet
+   * @returns {Promise<number>} Number of rows updated
+   */
+  async backfillEmbeddings() {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT DISTINCT problem_description
+        FROM optimization_history
+        WHERE embedding IS NULL
+      `);
+
+      let updated = 0;
+      for (const row of rows) {
+        const embedding = await this.embedText(row.problem_description);
+        if (!embedding) continue;
+
+        const result = await client.query(`
+          UPDATE optimization_history
+          SET embedding = $1::vector
+          WHERE problem_description = $2 AND embedding IS NULL
+        `, [embedding, row.problem_description]);
+        updated += result.rowCount;
+      }
+
+      if (updated > 0) {
+        console.log(`[History] Backfilled embeddings for ${updated} rows`);
+      }
+      return updated;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Embed text for the embedding column, or null if no embedding is available
+   * (search then falls back to full-text rank alone)
+   * @private
+   */
+  async embedText(text) {
+    try {
+      const vector = await embeddingService.embed(text);
+      if (vector.every(v => v === 0)) {
+        return null;
+      }
+      return embeddingService.toSqlVector(vector);
+    } catch (error) {
+      console.warn('[History] Could not compute embedding:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Connect to the main database, where history is stored
+   * @private
+   */
+  async connect() {
+    const mainPool = tigerService.getMainPool();
+    if (!mainPool) {
+      throw new Error('Main database pool not initialized');
+    }
+    return mainPool.connect();
+  }
+}
+
+/**
+ * Helper: Timings are stored as whole milliseconds; -1 / missing means not measured
+ */
+function toMilliseconds(value) {
+  return typeof value === 'number' && value >= 0 ? Math.round(value) : null;
+}
+
+/**
+ * Helper: Map a database row to the API shape
+ */
+function toHistoryEntry(row) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    universeId: row.universe_id,
+    problemDescription: row.problem_description,
+    strategy: row.strategy,
+    agent: row.agent,
+    status: row.status,
+    summary: row.summary,
+    improvement: row.improvement,
+    executionTime: row.execution_time,
+    baselineTime: row.baseline_time,
+    appliedChanges: row.applied_changes || [],
+    isWinner: row.is_winner,
+    simulated: row.simulated,
+    forkId: row.fork_id,
+    createdAt: row.created_at
+  };
+}
+
+export default new HistoryService();
@@ -0,0 +1,249 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import optimizationService from './optimizationService.js';
+import historyService from './historyService.js';
+import { describeWorkload } from '../lib/workload.js';
+
+// Finished jobs are kept in memory for an hour so clients can still poll them
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const TERMINAL_EVENTS = ['done', 'run-failed', 'run-cancelled'];
+
+/**
+ * JobService - Runs optimizations in the background and tracks their progress
+ * Each job buffers its events so late subscribers can replay the full stream
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Create a job and start running it in the background
+   * @param {Object} options - Options passed to optimizationService.run
+   * @returns {Object} The created job
+   */
+  createJob(options) {
+    this.pruneJobs();
+
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      problemDescription: options.problemDescription,
+      strategies: options.strategies,
+      workload: describeWorkload(options.workload),
+      universes: {},
+      events: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      finishedAt: null,
+      controller: new AbortController(),
+      emitter: new EventEmitter()
+    };
+
+    this.jobs.set(job.id, job);
+    this.runJob(job, options);
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} The job, if it exists
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Cancel a running job: live forks are deleted and agents cleaned up
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} The job, or null if it does not exist
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (!this.isFinished(job)) {
+      console.log(`[Jobs] Cancelling job ${job.id}...`);
+      job.status = 'cancelling';
+      job.updatedAt = new Date().toISOString();
+      job.controller.abort();
+    }
+
+    return job;
+  }
+
+  /**
+   * Subscribe to a job's events, replaying everything after `lastEventId`
+   * @param {Object} job - Job to subscribe to
+   * @param {Function} listener - Called with each event record
+   * @param {number} [lastEventId] - ID of the last event the client already received
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(job, listener, lastEventId = -1) {
+    job.events
+      .filter(record => record.id > lastEventId)
+      .forEach(listener);
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  /**
+   * Whether a job has reached a terminal state
+   */
+  isFinished(job) {
+    return ['complete', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  /**
+   * Whether an event ends a job's stream
+   */
+  isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event);
+  }
+
+  /**
+   * Public view of a job for the status endpoint
+   */
+  serialize(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      problemDescription: job.problemDescription,
+      strategies: job.strategies,
+      workload: job.workload,
+      universes: Object.values(job.universes),
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Run the optimization and record its progress on the job
+   * @private
+   */
+  async runJob(job, options) {
+    const emit = (event, payload) => this.recordEvent(job, event, payload);
+    const { signal } = job.controller;
+
+    job.status = 'running';
+
+    try {
+      const result = await optimizationService.run(options, emit, signal);
+
+      job.result = result;
+      if (signal.aborted) {
+        job.status = 'cancelled';
+        emit('run-cancelled', result);
+      } else {
+        await this.persistRun(job, result);
+        job.status = 'complete';
+        emit('done', result);
+      }
+    } catch (error) {
+      console.error(`[Jobs] Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      emit('run-failed', {
+        error: 'Optimization failed',
+        message: error.message
+      });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.updatedAt = job.finishedAt;
+      job.emitter.removeAllListeners();
+    }
+  }
+
+  /**
+   * Write a completed run to optimization_history
+   * A history failure is logged but never fails the run itself
+   * @private
+   */
+  async persistRun(job, result) {
+    try {
+      await historyService.recordRun({
+        runId: job.id,
+        problemDescription: job.problemDescription,
+        universes: result.universes,
+        winner: result.winner
+      });
+    } catch (error) {
+      console.error(`[Jobs] Could not record run ${job.id} in history:`, error.message);
+    }
+  }
+
+  /**
+   * Buffer an event, update per-universe partial results and notify subscribers
+   * @private
+   */
+  recordEvent(job, event, payload) {
+    const record = {
+      id: job.events.length,
+      event,
+      data: { ...payload, timestamp: new Date().toISOString() }
+    };
+
+    job.events.push(record);
+    job.updatedAt = record.data.timestamp;
+    this.applyEvent(job, event, payload);
+    job.emitter.emit('event', record);
+  }
+
+  /**
+   * Fold an event into the job's per-universe state
+   * @private
+   */
+  applyEvent(job, event, payload) {
+    switch (event) {
+      case 'run-started':
+        payload.universes.forEach(u => {
+          job.universes[u.id] = { ...u, status: 'pending' };
+        });
+        break;
+      case 'fork-created':
+        job.universes[payload.universeId] = {
+          ...job.universes[payload.universeId],
+          status: 'running',
+          forkId: payload.forkId
+        };
+        break;
+      case 'universe-complete':
+      case 'universe-failed':
+      case 'universe-cancelled':
+        job.universes[payload.universeId] = {
+          ...job.universes[payload.universeId],
+          ...payload.universe
+        };
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   * @private
+   */
+  pruneJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+
+    for (const [id, job] of this.jobs) {
+      if (this.isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export default new JobService();
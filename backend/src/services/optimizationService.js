@@ -0,0 +1,317 @@
+import tigerService from './tigerService.js';
+import agentRegistry from '../agents/index.js';
+import { describeWorkload } from '../lib/workload.js';
+import { resolveConcurrency, mapWithConcurrency } from '../lib/concurrency.js';
+import { selectWinner } from '../lib/benchmark.js';
+
+// Universes are named after Greek letters; past omega the names repeat with a suffix (alpha-2, ...)
+const GREEK_LETTERS = [
+  ['alpha', 'α'], ['beta', 'β'], ['gamma', 'γ'], ['delta', 'δ'], ['epsilon', 'ε'], ['zeta', 'ζ'],
+  ['eta', 'η'], ['theta', 'θ'], ['iota', 'ι'], ['kappa', 'κ'], ['lambda', 'λ'], ['mu', 'μ'],
+  ['nu', 'ν'], ['xi', 'ξ'], ['omicron', 'ο'], ['pi', 'π'], ['rho', 'ρ'], ['sigma', 'σ'],
+  ['tau', 'τ'], ['upsilon', 'υ'], ['phi', 'φ'], ['chi', 'χ'], ['psi', 'ψ'], ['omega', 'ω']
+];
+
+/**
+ * OptimizationService - Orchestrates universes: fork → agent → delete
+ * Runs universes sequentially or in parallel, and emits progress events for every step
+ */
+class OptimizationService {
+  constructor() {
+    // Universes whose fork fell back to the main database take turns on it (see onMainDatabase)
+    this.mainDatabaseQueue = Promise.resolve();
+  }
+
+  /**
+   * Run the selected strategies, one universe per strategy
+   * @param {Object} options - Run options
+   * @param {string} options.problemDescription - User's description of the performance issue
+   * @param {Array<string>} [options.strategies] - Registered strategy names to run (default: all)
+   * @param {Object} [options.agentConfig] - Per-strategy options, e.g. { index: { maxIndexes: 5 } }
+   * @param {number} [options.concurrency] - Max live forks at once (capped by MAX_CONCURRENT_FORKS)
+   * @param {Object} [options.workload] - Normalized workload every agent benchmarks (see lib/workload.js)
+   * @param {Function} emit - Progress callback, called as emit(eventName, payload)
+   * @param {AbortSignal} [signal] - Aborting tears down live forks and skips remaining universes
+   * @returns {Promise<Object>} Universes, winner and cost savings
+   */
+  async run({ problemDescription, strategies = agentRegistry.names(), agentConfig = {}, concurrency, workload = null }, emit = () => {}, signal = null) {
+    const selectedStrategies = [...new Set(strategies)];
+    const configs = Object.fromEntries(selectedStrategies.map(strategy =>
+      [strategy, agentRegistry.resolveConfig(strategy, agentConfig[strategy])]
+    ));
+    const limit = resolveConcurrency(concurrency, selectedStrategies.length);
+    const mode = limit === 1 ? 'sequential' : 'parallel';
+
+    console.log('[Optimize] Starting parallel universe optimization...');
+    console.log('[Optimize] Problem:', problemDescription);
+    console.log('[Optimize] Strategies:', strategies);
+    if (workload) {
+      console.log(`[Optimize] Workload: ${workload.name} (${workload.queries.length} statements)`);
+    }
+    console.log(limit === 1
+      ? '[Optimize] Mode: Sequential (free tier compatible)'
+      : `[Optimize] Mode: Parallel (up to ${limit} live forks)`);
+
+    emit('run-started', {
+      problemDescription,
+      strategies: selectedStrategies,
+      mode,
+      concurrency: limit,
+      workload: describeWorkload(workload),
+      universes: selectedStrategies.map((strategy, i) => ({
+        id: getUniverseName(i),
+        symbol: getUniverseSymbol(getUniverseName(i)),
+        strategyKey: strategy,
+        agent: agentRegistry.get(strategy).Agent.name,
+        icon: agentRegistry.get(strategy).icon
+      }))
+    });
+
+    // Each worker runs create fork → run agent → delete fork, so at most `limit` forks are live.
+    // With limit = 1 this is the original sequential path.
+    const universes = await mapWithConcurrency(selectedStrategies, limit, (strategy, i) =>
+      this.runUniverse(getUniverseName(i), strategy, configs[strategy], { problemDescription, workload }, emit, signal)
+    );
+
+    const cancelled = Boolean(signal?.aborted);
+    console.log(cancelled ? '\n[Optimize] Run cancelled' : '\n[Optimize] All agents completed');
+
+    const winner = selectWinner(universes);
+
+    if (winner) {
+      console.log(`[Optimize] Winner: ${winner.id} with ${winner.improvement}% improvement${winner.simulated ? ' (simulated)' : ''}`);
+      emit('winner', {
+        universeId: winner.id,
+        agent: winner.agent,
+        improvement: winner.improvement,
+        simulated: Boolean(winner.simulated)
+      });
+    } else if (!cancelled) {
+      console.log('[Optimize] No universe improved significantly - no winner');
+    }
+
+    return {
+      success: !cancelled,
+      cancelled,
+      universes,
+      winner: winner?.id || null,
+      costSavings: calculateCostSavings(selectedStrategies.length),
+      mode,
+      concurrency: limit,
+      workload: describeWorkload(workload),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run a single universe, isolating any failure to that universe
+   * @private
+   */
+  async runUniverse(universeName, strategy, config, { problemDescription, workload }, emit, signal) {
+    const symbol = getUniverseSymbol(universeName);
+    const emitForUniverse = (event, payload = {}) => emit(event, { universeId: universeName, ...payload });
+    let fork = null;
+    let agent = null;
+
+    if (signal?.aborted) {
+      return this.cancelledUniverse(universeName, strategy, null, emitForUniverse);
+    }
+
+    // Release is idempotent: it runs once, whether triggered by completion, failure or cancellation
+    let releasing = null;
+    const release = () => {
+      if (!releasing) {
+        releasing = this.releaseUniverse(fork, agent, emitForUniverse);
+      }
+      return releasing;
+    };
+    const onAbort = () => {
+      console.log(`[Optimize] Cancelling universe ${universeName}...`);
+      // A fork still being created is released once createFork returns
+      if (fork) release();
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      // Step A: Create fork
+      console.log(`\n[Optimize] === Universe ${universeName.toUpperCase()} (${strategy}) ===`);
+      console.log(`[Optimize] Creating fork for ${universeName}...`);
+      fork = await tigerService.createFork(`universe-${universeName}`);
+
+      if (fork.isDemoMode) {
+        console.log(`[Optimize] Running in demo mode (using main database)`);
+      } else {
+        console.log(`[Optimize] Fork created: ${fork.id}`);
+      }
+      emitForUniverse('fork-created', {
+        forkId: fork.id,
+        isDemoMode: Boolean(fork.isDemoMode),
+        creationTime: fork.creationTime
+      });
+
+      // The run may have been cancelled while the fork was being created
+      if (signal?.aborted) {
+        await release();
+        return this.cancelledUniverse(universeName, strategy, fork, emitForUniverse);
+      }
+
+      // Step B: Run agent
+      console.log(`[Optimize] Running ${strategy} agent...`);
+      const definition = agentRegistry.get(strategy);
+      if (!definition) {
+        throw new Error(`Unknown strategy: ${strategy}`);
+      }
+      agent = new definition.Agent(fork.connectionString, fork.id, emitForUniverse, config, { isDemoMode: Boolean(fork.isDemoMode) });
+
+      // A fork that fell back to DATABASE_URL is shared with every other fallen-back universe
+      const result = fork.isDemoMode
+        ? await this.onMainDatabase(universeName, () => agent.optimize(problemDescription, { workload }))
+        : await agent.optimize(problemDescription, { workload });
+
+      if (signal?.aborted) {
+        await release();
+        return this.cancelledUniverse(universeName, strategy, fork, emitForUniverse);
+      }
+
+      console.log(`[Optimize] ${universeName} completed: ${result.improvement}% improvement`);
+
+      // Step C: Clean up agent and delete fork immediately (unless in demo mode)
+      await release();
+
+      const universe = {
+        id: universeName,
+        symbol,
+        strategyKey: strategy,
+        icon: agentRegistry.get(strategy).icon,
+        ...result,
+        forkId: fork.id
+      };
+
+      emitForUniverse(universe.status === 'failed' ? 'universe-failed' : 'universe-complete', { universe });
+      return universe;
+    } catch (error) {
+      console.error(`[Optimize] Error in ${universeName}:`, error);
+
+      await release();
+
+      if (signal?.aborted) {
+        return this.cancelledUniverse(universeName, strategy, fork, emitForUniverse);
+      }
+
+      const universe = {
+        id: universeName,
+        symbol,
+        strategyKey: strategy,
+        icon: agentRegistry.get(strategy)?.icon,
+        agent: agentRegistry.get(strategy)?.Agent.name || strategy,
+        forkId: fork?.id || 'unknown',
+        status: 'failed',
+        error: error.message,
+        improvement: 0,
+        executionTime: -1
+      };
+
+      emitForUniverse('universe-failed', { universe });
+      return universe;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Run a task once no other universe is using the main database
+   * @private
+   */
+  onMainDatabase(universeName, task) {
+    console.log(`[Optimize] ${universeName} runs on the main database once no other universe is using it`);
+    const run = this.mainDatabaseQueue.then(task);
+    this.mainDatabaseQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Clean up the agent's pool and delete the universe's fork (unless in demo mode)
+   * @private
+   */
+  async releaseUniverse(fork, agent, emitForUniverse) {
+    if (agent) {
+      try {
+        await agent.cleanup();
+      } catch (cleanupError) {
+        console.error(`[Optimize] Error cleaning up agent:`, cleanupError);
+      }
+    }
+
+    if (fork && !fork.isDemoMode) {
+      try {
+        console.log(`[Optimize] Deleting fork ${fork.id}...`);
+        await tigerService.deleteFork(fork.id);
+        console.log(`[Optimize] Fork ${fork.id} deleted successfully`);
+        emitForUniverse('fork-deleted', { forkId: fork.id });
+      } catch (cleanupError) {
+        console.error(`[Optimize] Failed to cleanup fork ${fork.id}:`, cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Build the result for a universe that was cancelled before it finished
+   * @private
+   */
+  cancelledUniverse(universeName, strategy, fork, emitForUniverse) {
+    const universe = {
+      id: universeName,
+      symbol: getUniverseSymbol(universeName),
+      strategyKey: strategy,
+      icon: agentRegistry.get(strategy)?.icon,
+      agent: agentRegistry.get(strategy)?.Agent.name || strategy,
+      forkId: fork?.id || 'unknown',
+      status: 'cancelled',
+      improvement: 0,
+      executionTime: -1
+    };
+
+    emitForUniverse('universe-cancelled', { universe });
+    return universe;
+  }
+}
+
+/**
+ * Helper: Get universe name for the i-th selected strategy
+ */
+function getUniverseName(i) {
+  const [name] = GREEK_LETTERS[i % GREEK_LETTERS.length];
+  const round = Math.floor(i / GREEK_LETTERS.length);
+  return round === 0 ? name : `${name}-${round + 1}`;
+}
+
+/**
+ * Helper: Get universe symbol
+ */
+function getUniverseSymbol(name) {
+  const [letter, round = ''] = name.split('-');
+  const entry = GREEK_LETTERS.find(([greek]) => greek === letter);
+  return entry ? `${entry[1]}${round}` : '⊗';
+}
+
+/**
+ * Helper: Calculate cost savings vs traditional approach
+ */
+function calculateCostSavings(forkCount) {
+  // Traditional approach: Full database clones
+  const traditionalCost = forkCount * 11.88; // $11.88 per clone
+
+  // Agentic Postgres: Zero-copy forks
+  const agenticCost = 0.02; // Essentially free
+
+  const savings = traditionalCost / agenticCost;
+
+  return {
+    traditional: traditionalCost.toFixed(2),
+    agentic: agenticCost.toFixed(2),
+    savingsMultiplier: Math.round(savings),
+    forkCount
+  };
+}
+
+export default new OptimizationService();
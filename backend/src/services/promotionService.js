@@ -0,0 +1,440 @@
+import tigerService from './tigerService.js';
+import jobService from './jobService.js';
+import historyService from './historyService.js';
+import { snapshotSchema } from '../lib/schemaDiff.js';
+import { inverseOf } from '../lib/ddlInverse.js';
+import { getPromotionSettings } from '../lib/ddlPlanner.js';
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// Statuses a promotion can be rolled back from
+const REVERTIBLE_STATUSES = ['promoted', 'failed', 'rollback_failed'];
+
+// Attempts at recording a promotion's outcome, and the pause between them
+const RECORD_ATTEMPTS = 3;
+const RECORD_RETRY_MS = 500;
+
+/**
+ * PromotionService - Promotes changes to production and keeps a way back
+ * Only change sets the server recorded for a run's winning universe are promoted, never SQL
+ * sent by a client. Before promoting, the schema is snapshotted and an inverse is generated
+ * for every statement; the promotion is stored in the promotions table so it can be rolled back.
+ * A universe has at most one live promotion, and a promotion rolls back at most once at a time:
+ * both claim their row ('promoting', 'rolling_back') before touching production.
+ * A row left 'promoting' by an interrupted promotion becomes stale after PROMOTE_STALE_AFTER_MS
+ * and can then be rolled back, which frees the universe
+ */
+class PromotionService {
+  constructor() {
+    this.active = new Set(); // IDs of promotions running in this process
+  }
+
+  /**
+   * The changes a universe applied on its fork, as recorded by the server
+   * Looks at the in-memory job first, then at optimization_history once the job has expired
+   * @param {string} runId - Job ID of the run
+   * @param {string} universeId - Universe ID (e.g. 'alpha')
+   * @returns {Promise<Object|null>} { runId, universeId, forkId, runStatus, status, simulated, isWinner, changes }, or null if unknown
+   */
+  async getChangeSet(runId, universeId) {
+    const job = jobService.getJob(runId);
+
+    if (job) {
+      const universe = job.result?.universes.find(u => u.id === universeId) || job.universes[universeId];
+      return universe ? {
+        runId,
+        universeId,
+        forkId: universe.forkId,
+        runStatus: job.status,
+        status: universe.status,
+        simulated: Boolean(universe.simulated),
+        isWinner: job.result?.winner === universeId,
+        changes: universe.details?.appliedChanges || []
+      } : null;
+    }
+
+    const entry = await historyService.getUniverse(runId, universeId);
+    return entry ? {
+      runId,
+      universeId,
+      forkId: entry.forkId || 'unknown',
+      runStatus: 'complete',
+      status: entry.status,
+      simulated: Boolean(entry.simulated),
+      isWinner: Boolean(entry.isWinner),
+      changes: entry.appliedChanges
+    } : null;
+  }
+
+  /**
+   * Why a change set may not be promoted
+   * Only the winner of a completed run, measured on a real fork, with changes to apply qualifies
+   * @param {Object} changeSet - From getChangeSet()
+   * @returns {string|null} Reason, or null if it can be promoted
+   */
+  checkPromotable(changeSet) {
+    const { runId, universeId } = changeSet;
+
+    if (changeSet.runStatus !== 'complete') return `Run ${runId} is ${changeSet.runStatus}`;
+    if (changeSet.status !== 'complete') return `Universe ${universeId} did not complete (${changeSet.status})`;
+    if (!changeSet.isWinner) return `Universe ${universeId} did not win run ${runId}`;
+    if (changeSet.simulated) return `Universe ${universeId} was simulated (FAST_MODE); its changes were never applied to a fork`;
+    if (changeSet.changes.length === 0) return `Universe ${universeId} applied no changes`;
+    return null;
+  }
+
+  /**
+   * Promote a recorded change set and record the promotion with its inverse statements
+   * The promotion is claimed first, so the same universe is never promoted twice (until rolled back);
+   * one that fails part way is recorded too, so what was applied can be rolled back
+   * @param {Object} changeSet - From getChangeSet(), already checked with checkPromotable()
+   * @param {Object} [options] - { onProgress(update) }, see tigerService.promoteFork
+   * @returns {Promise<Object>} Promotion result with `promotionId` and per-statement inverses
+   * @throws {Error} With `conflict: true` when the universe already has a live promotion
+   */
+  async promote(changeSet, { onProgress } = {}) {
+    const { runId, universeId, forkId, changes } = changeSet;
+
+    const mainPool = tigerService.getMainPool();
+    if (!mainPool) {
+      throw new Error('Main database pool not initialized');
+    }
+
+    const promotionId = await this.claim({ runId, universeId, forkId });
+    this.active.add(promotionId);
+
+    try {
+      let result = null;
+      let failure = null;
+      let statements;
+      try {
+        const snapshot = await snapshotSchema(mainPool);
+        const inverses = changes.map(change => inverseOf(change, snapshot));
+
+        try {
+          result = await tigerService.promoteFork(forkId, changes, { onProgress });
+        } catch (error) {
+          failure = error;
+        }
+
+        statements = ((result || failure).statements || []).map(statement => ({
+          ...statement,
+          ...inverses[statement.index]
+        }));
+      } catch (error) {
+        await this.unclaim(promotionId);
+        throw error;
+      }
+
+      if (failure && !statements.some(statement => statement.status === 'applied')) {
+        await this.unclaim(promotionId);
+        throw failure;
+      }
+
+      const warnings = result ? [...result.warnings] : [];
+      const status = failure ? 'failed' : 'promoted';
+      try {
+        await this.record(promotionId, { status, statements, warnings });
+        console.log(`[Promote] Recorded promotion ${promotionId} of fork ${forkId}`);
+      } catch (error) {
+        console.error('[Promote] Could not record promotion:', error);
+        const marked = await this.markFailed(promotionId);
+        warnings.push(marked
+          ? `Promotion statements were not recorded, so it cannot be rolled back automatically: ${error.message}`
+          : `Promotion was not recorded and stays promoting until it goes stale: ${error.message}`);
+      }
+
+      if (failure) {
+        failure.statements = statements;
+        failure.promotionId = promotionId;
+        throw failure;
+      }
+
+      return { ...result, statements, warnings, promotionId };
+    } finally {
+      this.active.delete(promotionId);
+    }
+  }
+
+  /**
+   * Roll back a promotion: run the inverses of its applied statements, newest first
+   * Statements without an automatic inverse are skipped and reported. The promotion moves to
+   * 'rolling_back' first, so concurrent rollbacks of the same promotion are refused. A stale
+   * promotion recorded no statements, so nothing is reverted; it is only released
+   * @param {Object} promotion - Promotion from get()
+   * @param {Object} [options] - { onProgress(update) }
+   * @returns {Promise<Object>} The promotion, updated with its rollback result
+   * @throws {Error} With `conflict: true` when the promotion is not in a state to roll back
+   */
+  async rollback(promotion, { onProgress } = {}) {
+    const claimed = await this.claimRollback(promotion.id);
+    const applied = claimed.statements.filter(statement => statement.status === 'applied');
+    const inverses = applied.filter(statement => statement.inverse).map(statement => statement.inverse).reverse();
+    const skipped = applied
+      .filter(statement => !statement.reversible)
+      .map(statement => ({ sql: statement.sql, note: statement.note }));
+    const note = claimed.statements.length === 0
+      ? 'The promotion was interrupted before its statements were recorded; check production for changes it may have applied'
+      : undefined;
+
+    let statements = [];
+    try {
+      if (inverses.length > 0) {
+        ({ statements } = await tigerService.applyChanges(inverses, { onProgress }));
+      }
+    } catch (error) {
+      console.error(`Error rolling back promotion ${promotion.id}:`, error);
+      await this.updateRollback(promotion.id, 'rollback_failed', { statements: error.statements || [], skipped, error: error.message })
+        .catch(updateError => console.error('[Promote] Could not record rollback failure:', updateError));
+
+      const failure = new Error(`Failed to roll back promotion ${promotion.id}: ${error.message}`);
+      failure.statements = error.statements;
+      throw failure;
+    }
+
+    return this.updateRollback(promotion.id, 'rolled_back', { statements, skipped, note });
+  }
+
+  /**
+   * Recorded promotions, newest first
+   * @param {Object} [options] - { limit } (max 100)
+   * @returns {Promise<Array>} Promotions
+   */
+  async list({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT id, run_id, universe_id, fork_id, status, statements, warnings, rollback, promoted_at, rolled_back_at
+        FROM promotions
+        ORDER BY promoted_at DESC, id DESC
+        LIMIT $1
+      `, [Math.min(Math.max(limit, 1), MAX_LIST_LIMIT)]);
+      return rows.map(row => toPromotion(row, this.active));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a promotion by ID
+   * @param {number} id - Promotion ID
+   * @returns {Promise<Object|null>} The promotion, or null if not found
+   */
+  async get(id) {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT id, run_id, universe_id, fork_id, status, statements, warnings, rollback, promoted_at, rolled_back_at
+        FROM promotions
+        WHERE id = $1
+      `, [id]);
+      return rows.length > 0 ? toPromotion(rows[0], this.active) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim a universe for promotion: refuse if it has a promotion that was not rolled back,
+   * otherwise insert one in 'promoting'
+   * @private
+   * @returns {Promise<number>} Promotion ID
+   */
+  async claim({ runId, universeId, forkId }) {
+    const client = await this.connect();
+
+    try {
+      await client.query('BEGIN');
+      // Two requests for a universe with no promotion yet have no row to lock, so they queue here
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`promotion:${runId}:${universeId}`]);
+
+      const { rows: live } = await client.query(`
+        SELECT id, status
+        FROM promotions
+        WHERE run_id = $1 AND universe_id = $2 AND status <> 'rolled_back'
+        ORDER BY id DESC
+        LIMIT 1
+        FOR UPDATE
+      `, [runId, universeId]);
+      if (live.length > 0) {
+        throw conflict(`Universe ${universeId} of run ${runId} already has promotion ${live[0].id} (${live[0].status.replace('_', ' ')}); roll it back before promoting again`);
+      }
+
+      const { rows: [{ id }] } = await client.query(`
+        INSERT INTO promotions (run_id, universe_id, fork_id, status, statements, warnings)
+        VALUES ($1, $2, $3, 'promoting', '[]', '[]')
+        RETURNING id
+      `, [runId, universeId, forkId]);
+
+      await client.query('COMMIT');
+      return id;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Drop a claim when nothing was applied to production
+   * @private
+   */
+  async unclaim(id) {
+    const client = await this.connect();
+
+    try {
+      await client.query(`DELETE FROM promotions WHERE id = $1 AND status = 'promoting'`, [id]);
+    } catch (error) {
+      console.error(`[Promote] Could not release promotion ${id}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Store the outcome of a claimed promotion, retrying up to RECORD_ATTEMPTS times
+   * @private
+   */
+  async record(id, { status, statements, warnings }) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const client = await this.connect();
+        try {
+          await client.query(`
+            UPDATE promotions
+            SET status = $2, statements = $3, warnings = $4
+            WHERE id = $1
+          `, [id, status, JSON.stringify(statements), JSON.stringify(warnings)]);
+          return;
+        } finally {
+          client.release();
+        }
+      } catch (error) {
+        if (attempt >= RECORD_ATTEMPTS) throw error;
+        console.warn(`[Promote] Recording promotion ${id} failed (attempt ${attempt}), retrying: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, RECORD_RETRY_MS * attempt));
+      }
+    }
+  }
+
+  /**
+   * Mark a promotion failed without its statements, when recording its outcome did not succeed
+   * @private
+   * @returns {Promise<boolean>} Whether the row was updated
+   */
+  async markFailed(id) {
+    try {
+      const client = await this.connect();
+      try {
+        await client.query(`UPDATE promotions SET status = 'failed' WHERE id = $1`, [id]);
+        return true;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error(`[Promote] Could not mark promotion ${id} failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Move a promotion to 'rolling_back' if its status allows a rollback,
+   * or if it was left 'promoting' longer than PROMOTE_STALE_AFTER_MS by a promotion no longer running
+   * @private
+   * @returns {Promise<Object>} The promotion as claimed
+   */
+  async claimRollback(id) {
+    if (this.active.has(id)) {
+      throw conflict(`Promotion ${id} is still promoting and cannot be rolled back now`);
+    }
+
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        UPDATE promotions
+        SET status = 'rolling_back'
+        WHERE id = $1
+          AND (status = ANY($2) OR (status = 'promoting' AND promoted_at < NOW() - make_interval(secs => $3 / 1000.0)))
+        RETURNING id, run_id, universe_id, fork_id, status, statements, warnings, rollback, promoted_at, rolled_back_at
+      `, [id, REVERTIBLE_STATUSES, getPromotionSettings().staleAfterMs]);
+      if (rows.length > 0) return toPromotion(rows[0]);
+
+      const { rows: [current] } = await client.query('SELECT status FROM promotions WHERE id = $1', [id]);
+      throw conflict(current
+        ? `Promotion ${id} is ${current.status.replace('_', ' ')} and cannot be rolled back now`
+        : `Promotion ${id} not found`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Store the outcome of a rollback
+   * @private
+   * @returns {Promise<Object>} The updated promotion
+   */
+  async updateRollback(id, status, rollback) {
+    const client = await this.connect();
+
+    try {
+      const { rows: [row] } = await client.query(`
+        UPDATE promotions
+        SET status = $2, rollback = $3, rolled_back_at = $4
+        WHERE id = $1
+        RETURNING id, run_id, universe_id, fork_id, status, statements, warnings, rollback, promoted_at, rolled_back_at
+      `, [id, status, JSON.stringify(rollback), status === 'rolled_back' ? new Date() : null]);
+      return toPromotion(row);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Connect to the main database, where promotions are stored
+   * @private
+   */
+  async connect() {
+    const mainPool = tigerService.getMainPool();
+    if (!mainPool) {
+      throw new Error('Main database pool not initialized');
+    }
+    return mainPool.connect();
+  }
+}
+
+/**
+ * Helper: An error the API reports as 409 Conflict
+ */
+function conflict(message) {
+  const error = new Error(message);
+  error.conflict = true;
+  return error;
+}
+
+/**
+ * Helper: Map a database row to the API shape
+ * `stale` marks a row left 'promoting' by a promotion that is not running in this process
+ */
+function toPromotion(row, active = new Set()) {
+  return {
+    id: row.id,
+    runId: row.run_id,
+    universeId: row.universe_id,
+    forkId: row.fork_id,
+    status: row.status,
+    statements: row.statements,
+    warnings: row.warnings || [],
+    rollback: row.rollback,
+    promotedAt: row.promoted_at,
+    rolledBackAt: row.rolled_back_at,
+    stale: row.status === 'promoting' && !active.has(row.id) &&
+      Date.now() - new Date(row.promoted_at).getTime() > getPromotionSettings().staleAfterMs
+  };
+}
+
+export default new PromotionService();
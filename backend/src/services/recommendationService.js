@@ -0,0 +1,133 @@
+import historyService from './historyService.js';
+import agentRegistry from '../agents/index.js';
+
+// How many similar past universes to learn from
+const SIMILAR_LIMIT = 25;
+
+// Win-rate smoothing: behave as if every strategy had already won PRIOR_WINS of PRIOR_RUNS runs,
+// so one lucky win on a single similar run does not outrank a consistent track record
+const PRIOR_RUNS = 2;
+const PRIOR_WINS = 0.5;
+
+// Besides the top strategy, suggest any whose win rate is within this share of the top one
+const SUGGEST_RELATIVE = 0.8;
+
+/**
+ * RecommendationService - Suggests strategies from similar past optimizations
+ * Uses hybrid history search to find similar problems, then ranks strategies by
+ * how often they won on those problems (weighted by how similar each problem is)
+ */
+class RecommendationService {
+  /**
+   * Recommend and rank strategies for a problem
+   * @param {string} problemDescription - User's description of the performance issue
+   * @returns {Promise<Object>} Suggested strategy keys and per-strategy reasoning
+   */
+  async recommend(problemDescription) {
+    const similar = await historyService.searchHistory(problemDescription, { limit: SIMILAR_LIMIT });
+    const strategies = agentRegistry.names();
+
+    if (similar.length === 0) {
+      return {
+        problemDescription,
+        basedOn: 0,
+        suggested: strategies,
+        recommendations: strategies.map((strategy, i) => ({
+          strategy,
+          rank: i + 1,
+          suggested: true,
+          runs: 0,
+          wins: 0,
+          winRate: null,
+          averageImprovement: null,
+          reasoning: 'No similar past optimizations yet - worth testing',
+          examples: []
+        }))
+      };
+    }
+
+    // Weight each past universe by its relevance relative to the best match
+    const topScore = similar[0].score || 1;
+    const stats = new Map(strategies.map(strategy => [strategy, {
+      strategy,
+      weight: 0,
+      winWeight: 0,
+      runs: 0,
+      wins: 0,
+      improvementSum: 0,
+      examples: []
+    }]));
+
+    for (const entry of similar) {
+      const stat = stats.get(entry.strategy);
+      // Simulated (FAST_MODE) outcomes say nothing about which strategy works
+      if (!stat || entry.status === 'failed' || entry.simulated) continue;
+
+      const weight = entry.score / topScore;
+      stat.weight += weight;
+      stat.runs += 1;
+      stat.improvementSum += entry.improvement || 0;
+
+      if (entry.isWinner) {
+        stat.winWeight += weight;
+        stat.wins += 1;
+        if (stat.examples.length < 2) {
+          stat.examples.push({
+            problemDescription: entry.problemDescription,
+            improvement: entry.improvement,
+            createdAt: entry.createdAt
+          });
+        }
+      }
+    }
+
+    const ranked = [...stats.values()]
+      .map(stat => ({
+        ...stat,
+        winRate: (stat.winWeight + PRIOR_WINS) / (stat.weight + PRIOR_RUNS),
+        averageImprovement: stat.runs > 0 ? stat.improvementSum / stat.runs : null
+      }))
+      .sort((a, b) => b.winRate - a.winRate || (b.averageImprovement ?? 0) - (a.averageImprovement ?? 0));
+
+    const topWinRate = ranked[0].winRate;
+    const recommendations = ranked.map((stat, i) => ({
+      strategy: stat.strategy,
+      rank: i + 1,
+      // Always suggest the top strategy, plus any others with a comparable record
+      suggested: i === 0 || (stat.wins > 0 && stat.winRate >= topWinRate * SUGGEST_RELATIVE),
+      runs: stat.runs,
+      wins: stat.wins,
+      winRate: Math.round(stat.winRate * 100) / 100,
+      averageImprovement: stat.averageImprovement === null ? null : Math.round(stat.averageImprovement),
+      reasoning: explain(stat),
+      examples: stat.examples
+    }));
+
+    return {
+      problemDescription,
+      basedOn: similar.length,
+      suggested: recommendations.filter(r => r.suggested).map(r => r.strategy),
+      recommendations
+    };
+  }
+}
+
+/**
+ * Helper: Human-readable reasoning for a strategy's rank
+ */
+function explain(stat) {
+  if (stat.runs === 0) {
+    return 'Not tried on similar problems yet';
+  }
+
+  const record = `Won ${stat.wins} of ${stat.runs} similar run${stat.runs !== 1 ? 's' : ''}`;
+  const improvement = stat.averageImprovement !== null ? ` (avg +${Math.round(stat.averageImprovement)}%)` : '';
+
+  if (stat.examples.length > 0) {
+    return `${record}${improvement}, e.g. "${stat.examples[0].problemDescription}"`;
+  }
+
+  return `${record}${improvement}`;
+}
+
+export default new RecommendationService();
@@ -1,10 +1,29 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import pg from 'pg';
+import { planPromotion, getPromotionSettings, indexNameOf, transactionalForm, parseError } from '../lib/ddlPlanner.js';
+import { snapshotSchema, diffSchemas } from '../lib/schemaDiff.js';
+import { analyzePlan } from '../lib/planAnalyzer.js';
 const { Pool } = pg;
 
 const execAsync = promisify(exec);
 
+// SQLSTATE for "could not obtain lock" (lock_timeout expired)
+const LOCK_NOT_AVAILABLE = '55P03';
+const LOCK_RETRY_BASE_MS = 1000;
+
+// How often a running index build's progress is read
+const PROGRESS_POLL_MS = 1000;
+
+// SQLSTATE for statement_timeout
+const QUERY_CANCELED = '57014';
+
+// A concurrent index build scans the table twice, so it takes about twice the plain build measured in a dry run
+const CONCURRENT_BUILD_FACTOR = 2;
+
+// A preview on the main database (demo mode) gives up on a lock quickly, so it never queues ahead of other sessions
+const MAIN_PREVIEW_LOCK_TIMEOUT_MS = 1000;
+
 /**
  * TigerService - Wrapper around Tiger CLI for zero-copy fork management
  * Handles creation, deletion, promotion, and metrics for database forks
@@ -12,6 +31,9 @@ const execAsync = promisify(exec);
 class TigerService {
   constructor() {
     this.mainPool = null;
+    this.previewFork = null; // { fork, pool, timer } reused by previews until idle for PROMOTE_PREVIEW_FORK_TTL_MS
+    this.previewQueue = Promise.resolve(); // Previews and preview fork teardown run one at a time
+    this.previews = new Map(); // Previews in flight, by change set
   }
 
   get mainServiceId() {
@@ -153,45 +175,407 @@ class TigerService {
 
   /**
    * Promote fork changes to main database
+   * Statements are planned by lock level (see lib/ddlPlanner.js): index builds and drops run
+   * CONCURRENTLY outside any transaction, the rest in transactions, all under lock_timeout and
+   * statement_timeout; a step that times out waiting for a lock is retried with backoff
    * @param {string} forkId - Fork to promote
    * @param {Array} changes - SQL statements to apply
-   * @returns {Promise<Object>} Promotion result
+   * @param {Object} [options] - { onProgress(update) } called as each statement starts, reports build progress, retries, finishes or fails
+   * @returns {Promise<Object>} Promotion result with per-statement status
+   */
+  async promoteFork(forkId, changes, { onProgress } = {}) {
+    try {
+      const { statements, warnings } = await this.applyChanges(changes, { onProgress });
+
+      return {
+        success: true,
+        appliedChanges: changes.length,
+        statements,
+        warnings,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`Error promoting fork ${forkId}:`, error);
+      const failure = new Error(`Failed to promote fork: ${error.message}`);
+      failure.statements = error.statements;
+      throw failure;
+    }
+  }
+
+  /**
+   * Apply changes to the main database, lock-safe (see promoteFork)
+   * Also used to run the inverse statements when a promotion is rolled back
+   * @param {Array} changes - SQL statements to apply, in order
+   * @param {Object} [options] - { onProgress(update) }
+   * @returns {Promise<Object>} { statements: per-statement status, warnings }; a failure carries `statements` too
    */
-  async promoteFork(forkId, changes) {
+  async applyChanges(changes, { onProgress = () => {} } = {}) {
+    const mainPool = this.getMainPool();
+    if (!mainPool) {
+      throw new Error('Main database pool not initialized');
+    }
+
+    // Production is about to change, so the preview fork no longer matches it
+    this.discardPreviewFork();
+
+    const settings = getPromotionSettings();
+    const plan = planPromotion(changes);
+    const statements = plan.steps.flatMap(step => step.statements);
+    const results = statements.map((statement, index) => ({
+      index,
+      sql: statement.sql,
+      original: statement.original,
+      kind: statement.kind,
+      lockLevel: statement.lockLevel,
+      transactional: statement.transactional,
+      status: 'pending',
+      attempts: 0
+    }));
+    const report = (result, update = {}) => onProgress({ ...result, ...update, total: results.length });
+
+    plan.warnings.forEach(warning => console.warn(`[Promote] ${warning}`));
+
+    // Execute changes on main database
+    const client = await mainPool.connect();
     try {
-      const mainPool = this.getMainPool();
-      if (!mainPool) {
-        throw new Error('Main database pool not initialized');
+      const { rows: [{ pid }] } = await client.query('SELECT pg_backend_pid() as pid');
+      let offset = 0;
+
+      for (const step of plan.steps) {
+        const stepResults = results.slice(offset, offset + step.statements.length);
+        offset += step.statements.length;
+
+        for (let attempt = 1; ; attempt++) {
+          const started = Date.now();
+          stepResults.forEach(result => {
+            result.attempts = attempt;
+          });
+
+          try {
+            await this.runPromotionStep(client, pid, step, stepResults, settings, report);
+            stepResults.forEach(result => {
+              result.status = 'applied';
+              result.durationMs = Date.now() - started;
+              delete result.error;
+              report(result);
+            });
+            break;
+          } catch (error) {
+            const retry = error.code === LOCK_NOT_AVAILABLE && attempt <= settings.lockRetries;
+            stepResults.forEach(result => {
+              result.status = retry ? 'retrying' : 'failed';
+              result.error = error.message;
+              report(result);
+            });
+
+            if (!retry) throw error;
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_BASE_MS * 2 ** (attempt - 1)));
+          }
+        }
       }
 
-      // Execute changes on main database
-      const client = await mainPool.connect();
+      return { statements: results, warnings: plan.warnings };
+    } catch (error) {
+      error.statements = results;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run one promotion step: a transaction of statements, or one statement that cannot run in a transaction
+   * A failed concurrent index build leaves an INVALID index behind, which is dropped before any retry
+   */
+  async runPromotionStep(client, pid, step, stepResults, settings, report) {
+    if (step.transactional) {
+      await client.query('BEGIN');
       try {
-        await client.query('BEGIN');
+        await client.query(`SET LOCAL lock_timeout = ${settings.lockTimeoutMs}`);
+        await client.query(`SET LOCAL statement_timeout = ${settings.statementTimeoutMs}`);
 
-        for (const change of changes) {
-          await client.query(change);
+        for (const [i, statement] of step.statements.entries()) {
+          stepResults[i].status = 'running';
+          report(stepResults[i]);
+          await client.query(statement.sql);
         }
 
         await client.query('COMMIT');
-
-        return {
-          success: true,
-          appliedChanges: changes.length,
-          timestamp: new Date().toISOString()
-        };
       } catch (error) {
         await client.query('ROLLBACK');
         throw error;
-      } finally {
-        client.release();
+      }
+      return;
+    }
+
+    const [statement] = step.statements;
+    const [result] = stepResults;
+    const timeout = statement.kind === 'create-index' || statement.kind === 'reindex' ? settings.indexTimeoutMs : settings.statementTimeoutMs;
+
+    await client.query(`SET lock_timeout = ${settings.lockTimeoutMs}`);
+    await client.query(`SET statement_timeout = ${timeout}`);
+    result.status = 'running';
+    report(result);
+
+    const stopWatching = statement.kind === 'create-index' || statement.kind === 'reindex'
+      ? this.watchIndexBuild(pid, progress => report(result, { progress }))
+      : () => {};
+
+    try {
+      await client.query(statement.sql);
+    } catch (error) {
+      const indexName = statement.kind === 'create-index' ? indexNameOf(statement.sql) : null;
+      if (indexName) {
+        await this.dropInvalidIndex(client, indexName);
+      }
+      throw error;
+    } finally {
+      stopWatching();
+      await client.query('RESET lock_timeout');
+      await client.query('RESET statement_timeout');
+    }
+  }
+
+  /**
+   * Poll pg_stat_progress_create_index for a backend while it builds an index
+   * @returns {Function} Stops polling
+   */
+  watchIndexBuild(pid, onProgress) {
+    const timer = setInterval(async () => {
+      try {
+        const { rows } = await this.getMainPool().query(`
+          SELECT phase, blocks_done, blocks_total, tuples_done, tuples_total, lockers_done, lockers_total
+          FROM pg_stat_progress_create_index
+          WHERE pid = $1
+        `, [pid]);
+        if (rows.length === 0) return;
+
+        const row = rows[0];
+        const [done, total] = Number(row.blocks_total) > 0
+          ? [Number(row.blocks_done), Number(row.blocks_total)]
+          : [Number(row.tuples_done), Number(row.tuples_total)];
+        onProgress({
+          phase: row.phase,
+          percent: total > 0 ? Math.round(done / total * 1000) / 10 : null,
+          lockersWaiting: Number(row.lockers_total) - Number(row.lockers_done)
+        });
+      } catch (error) {
+        console.warn(`[Promote] Could not read index build progress: ${error.message}`);
+      }
+    }, PROGRESS_POLL_MS);
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Drop the INVALID index a failed CREATE INDEX CONCURRENTLY leaves behind
+   */
+  async dropInvalidIndex(client, indexName) {
+    try {
+      const { rows } = await client.query(`
+        SELECT 1
+        FROM pg_index
+        WHERE indexrelid = to_regclass($1) AND NOT indisvalid
+      `, [indexName]);
+
+      if (rows.length > 0) {
+        await client.query(`DROP INDEX CONCURRENTLY IF EXISTS ${indexName}`);
+        console.log(`[Promote] Dropped invalid index ${indexName} left by a failed build`);
       }
     } catch (error) {
-      console.error(`Error promoting fork ${forkId}:`, error);
-      throw new Error(`Failed to promote fork: ${error.message}`);
+      console.warn(`[Promote] Could not drop invalid index ${indexName}: ${error.message}`);
     }
   }
 
+  /**
+   * Dry-run a promotion; production itself is never locked when a fork is available
+   * Every statement runs (in its transactional form) inside one transaction that is always rolled back,
+   * under lock_timeout and PROMOTE_PREVIEW_TIMEOUT_MS, and the schema is snapshotted before and after.
+   * Previews share one fork of the main database, kept until idle for PROMOTE_PREVIEW_FORK_TTL_MS, and
+   * run one at a time; concurrent previews of the same changes share one result. Without a real fork
+   * (demo mode) the transaction runs on the main database with a short lock_timeout, and without a main
+   * database statements are only parsed
+   * @param {Array} changes - SQL statements to promote
+   * @returns {Promise<Object>} { valid, validation ('fork', 'main' or 'parse'), statements, warnings, destructive, schemaDiff (null when parsed), estimatedDurationMs, timestamp }
+   */
+  previewPromotion(changes) {
+    const key = JSON.stringify(changes);
+
+    if (!this.previews.has(key)) {
+      const preview = this.previewQueue.then(() => this.runPreview(changes));
+      this.previewQueue = preview.catch(() => {});
+      this.previews.set(key, preview);
+      preview.catch(() => {}).finally(() => this.previews.delete(key));
+    }
+
+    return this.previews.get(key);
+  }
+
+  /**
+   * Run one preview (see previewPromotion) on the preview fork, the main database or the parser
+   * @private
+   */
+  async runPreview(changes) {
+    const plan = planPromotion(changes);
+    const statements = plan.steps.flatMap(step => step.statements);
+    const settings = getPromotionSettings();
+    const previewFork = await this.getPreviewFork();
+
+    if (previewFork) {
+      try {
+        const { results, schemaDiff } = await this.dryRun(previewFork.pool, statements, {
+          lockTimeoutMs: settings.lockTimeoutMs,
+          statementTimeoutMs: settings.previewTimeoutMs
+        });
+        return previewResult('fork', plan, results, schemaDiff);
+      } catch (error) {
+        // The fork may be unreachable; the next preview starts from a new one
+        await this.releasePreviewFork();
+        throw error;
+      } finally {
+        this.schedulePreviewForkRelease(settings.previewForkTtlMs);
+      }
+    }
+
+    const mainPool = this.getMainPool();
+    if (mainPool) {
+      console.log('[Promote] No fork available for the preview, dry-running on the main database');
+      const { results, schemaDiff } = await this.dryRun(mainPool, statements, {
+        lockTimeoutMs: Math.min(settings.lockTimeoutMs, MAIN_PREVIEW_LOCK_TIMEOUT_MS),
+        statementTimeoutMs: settings.previewTimeoutMs
+      });
+      return previewResult('main', plan, results, schemaDiff);
+    }
+
+    console.log('[Promote] No database available for the preview, checking statements by parsing only');
+    return previewResult('parse', plan, statements.map((statement, index) => {
+      const error = parseError(statement.sql);
+      return {
+        ...describeStatement(statement, index),
+        status: error ? 'unverified' : 'parsed',
+        message: error ? `Could not be checked: ${error}` : undefined
+      };
+    }), null);
+  }
+
+  /**
+   * Run planned statements in one transaction that is always rolled back, timing each and diffing the schema
+   * @private
+   * @returns {Promise<Object>} { results (per statement), schemaDiff }
+   */
+  async dryRun(pool, statements, { lockTimeoutMs, statementTimeoutMs }) {
+    const client = await pool.connect();
+    const results = [];
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL lock_timeout = ${lockTimeoutMs}`);
+      await client.query(`SET LOCAL statement_timeout = ${statementTimeoutMs}`);
+
+      const before = await snapshotSchema(client);
+
+      for (const [index, statement] of statements.entries()) {
+        const result = describeStatement(statement, index);
+        results.push(result);
+
+        const sql = transactionalForm(statement);
+        if (!sql) {
+          result.status = 'skipped';
+          result.message = 'Cannot run inside a transaction; not validated';
+          continue;
+        }
+
+        // A savepoint per statement lets the remaining statements still be checked after one fails
+        await client.query('SAVEPOINT preview_statement');
+        const started = Date.now();
+        try {
+          await client.query(sql);
+          await client.query('RELEASE SAVEPOINT preview_statement');
+          result.status = 'valid';
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT preview_statement');
+          result.status = error.code === LOCK_NOT_AVAILABLE ? 'lock-timeout' : error.code === QUERY_CANCELED ? 'timeout' : 'invalid';
+          result.error = error.message;
+        }
+
+        result.durationMs = Date.now() - started;
+        result.estimatedDurationMs = statement.kind === 'create-index' && !statement.transactional
+          ? result.durationMs * CONCURRENT_BUILD_FACTOR
+          : result.durationMs;
+      }
+
+      const after = await snapshotSchema(client);
+      return { results, schemaDiff: diffSchemas(before, after) };
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * The fork previews run on, created on first use
+   * @private
+   * @returns {Promise<Object|null>} { fork, pool }, or null when no real fork can be created (demo mode)
+   */
+  async getPreviewFork() {
+    if (this.previewFork) {
+      clearTimeout(this.previewFork.timer);
+      return this.previewFork;
+    }
+
+    if (process.env.TIGER_CLI_AVAILABLE !== 'true') return null;
+
+    const fork = await this.createFork(`promotion-preview-${Date.now()}`);
+    if (fork.isDemoMode) return null;
+
+    console.log(`[Promote] Created preview fork ${fork.id}`);
+    this.previewFork = {
+      fork,
+      pool: new Pool({
+        connectionString: fork.connectionString,
+        ssl: { rejectUnauthorized: false }
+      }),
+      timer: null
+    };
+    return this.previewFork;
+  }
+
+  /**
+   * Delete the preview fork once it has been idle for `ttlMs`
+   * @private
+   */
+  schedulePreviewForkRelease(ttlMs) {
+    if (!this.previewFork) return;
+
+    clearTimeout(this.previewFork.timer);
+    this.previewFork.timer = setTimeout(() => this.discardPreviewFork(), ttlMs);
+    this.previewFork.timer.unref();
+  }
+
+  /**
+   * Delete the preview fork after any preview still running on it
+   * @private
+   */
+  discardPreviewFork() {
+    this.previewQueue = this.previewQueue.then(() => this.releasePreviewFork());
+  }
+
+  /**
+   * Close the preview fork's pool and delete the fork
+   * @private
+   */
+  async releasePreviewFork() {
+    const previewFork = this.previewFork;
+    if (!previewFork) return;
+
+    this.previewFork = null;
+    clearTimeout(previewFork.timer);
+    await previewFork.pool.end().catch(() => {});
+    await this.deleteFork(previewFork.fork.id)
+      .then(() => console.log(`[Promote] Deleted preview fork ${previewFork.fork.id}`))
+      .catch(error => console.error(`[Promote] Failed to delete preview fork ${previewFork.fork.id}:`, error.message));
+  }
+
   /**
    * Get performance metrics for a fork
    * @param {string} connectionString - Fork connection string
@@ -269,7 +653,7 @@ class TigerService {
    * Execute a query on a fork and measure performance
    * @param {string} connectionString - Fork connection string
    * @param {string} query - SQL query to execute
-   * @returns {Promise<Object>} Query result with timing
+   * @returns {Promise<Object>} { executionTime, plan (EXPLAIN ANALYZE JSON), analysis (see lib/planAnalyzer.js), success }
    */
   async executeQuery(connectionString, query) {
     const pool = new Pool({
@@ -283,16 +667,18 @@ class TigerService {
       const startTime = Date.now();
 
       // Get execution plan
-      const explainResult = await client.query(`EXPLAIN ANALYZE ${query}`);
+      const explainResult = await client.query(`EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ${query}`);
 
       const endTime = Date.now();
       const executionTime = endTime - startTime;
 
       client.release();
 
+      const plan = explainResult.rows[0]['QUERY PLAN'];
       return {
         executionTime,
-        plan: explainResult.rows,
+        plan,
+        analysis: analyzePlan(plan),
         success: true
       };
     } catch (error) {
@@ -399,4 +785,36 @@ class TigerService {
   }
 }
 
+/**
+ * Helper: A planned statement as listed in a promotion preview
+ */
+function describeStatement(statement, index) {
+  return {
+    index,
+    sql: statement.sql,
+    kind: statement.kind,
+    lockLevel: statement.lockLevel,
+    blocksWrites: statement.blocksWrites,
+    transactional: statement.transactional,
+    destructive: statement.destructive
+  };
+}
+
+/**
+ * Helper: Assemble a promotion preview from its checked statements
+ */
+function previewResult(validation, plan, results, schemaDiff) {
+  return {
+    // Only statements that ran (or, without a database, parsed) count; a timeout or a skipped statement proves nothing
+    valid: results.every(result => result.status === 'valid' || result.status === 'parsed'),
+    validation,
+    statements: results,
+    warnings: plan.warnings,
+    destructive: results.filter(result => result.destructive).map(result => ({ index: result.index, sql: result.sql, reason: result.destructive })),
+    schemaDiff,
+    estimatedDurationMs: results.reduce((sum, result) => sum + (result.estimatedDurationMs || 0), 0),
+    timestamp: new Date().toISOString()
+  };
+}
+
 export default new TigerService();
@@ -0,0 +1,456 @@
+import { v4 as uuidv4 } from 'uuid';
+import tigerService from './tigerService.js';
+import { normalizeWorkload, inferPlaceholders, describeWorkload, diffSnapshots, buildParams } from '../lib/workload.js';
+import { quoteIdentifier } from '../lib/sqlText.js';
+
+const DEFAULT_CAPTURE_SECONDS = 60;
+const DEFAULT_MAX_STATEMENTS = 50;
+const DEFAULT_SAMPLES_PER_QUERY = 3;
+
+// Placeholder values for LIMIT / OFFSET, which have no column to sample from
+const DEFAULT_LIMIT = 10;
+const DEFAULT_OFFSET = 0;
+
+// Rows read per table when sampling placeholder values (via TABLESAMPLE, so large tables are not scanned)
+const SAMPLE_ROWS = 1000;
+
+// Finished captures are kept in memory for an hour so clients can still poll them
+const CAPTURE_TTL_MS = 60 * 60 * 1000;
+
+// Only statements an application sends are replayed; our own bookkeeping tables are left out
+const CAPTURABLE_KEYWORDS = ['select', 'with', 'insert', 'update', 'delete', 'values', 'table'];
+const EXCLUDED_REFERENCES = /\b(pg_catalog|pg_stat\w*|information_schema|optimization_history|workloads|promotions)\b/i;
+
+/**
+ * WorkloadService - Captures production traffic as replayable workloads and stores them by name
+ * A capture diffs two pg_stat_statements snapshots of the main database, fills the
+ * normalized $n placeholders with values sampled from the referenced columns, and
+ * weights every statement by its share of calls in the window
+ */
+class WorkloadService {
+  constructor() {
+    this.captures = new Map();
+  }
+
+  /**
+   * Start capturing a workload from the main database
+   * Runs in the background; poll getCapture() for progress
+   * @param {Object} options - Capture options
+   * @param {string} options.name - Name to save the workload under
+   * @param {number} [options.durationSeconds] - Window to observe; 0 uses the statistics accumulated so far
+   * @param {number} [options.maxStatements] - Most distinct statements to keep (by calls)
+   * @param {number} [options.samplesPerQuery] - Parameter sets to sample per statement
+   * @returns {Object} The capture record
+   */
+  startCapture({ name, durationSeconds = DEFAULT_CAPTURE_SECONDS, maxStatements = DEFAULT_MAX_STATEMENTS, samplesPerQuery = DEFAULT_SAMPLES_PER_QUERY }) {
+    this.pruneCaptures();
+
+    const startedAt = new Date();
+    const capture = {
+      id: uuidv4(),
+      name,
+      status: 'capturing',
+      durationSeconds,
+      startedAt: startedAt.toISOString(),
+      endsAt: new Date(startedAt.getTime() + durationSeconds * 1000).toISOString(),
+      finishedAt: null,
+      workload: null,
+      skipped: [],
+      error: null
+    };
+
+    this.captures.set(capture.id, capture);
+    this.runCapture(capture, { maxStatements, samplesPerQuery });
+
+    return capture;
+  }
+
+  /**
+   * Get a capture by ID
+   * @param {string} captureId - Capture ID
+   * @returns {Object|undefined} The capture, if it exists
+   */
+  getCapture(captureId) {
+    return this.captures.get(captureId);
+  }
+
+  /**
+   * Saved workloads, newest first (without their statements)
+   * @returns {Promise<Array>} [{ name, source, statements, totalWeight, windowStart, windowEnd, createdAt, updatedAt }]
+   */
+  async list() {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT name, source, statements, window_start, window_end, metadata, created_at, updated_at
+        FROM workloads
+        ORDER BY updated_at DESC
+      `);
+      return rows.map(toWorkloadSummary);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load a saved workload in the shape agents replay (see lib/workload.js)
+   * @param {string} name - Workload name
+   * @returns {Promise<Object|null>} { name, source, queries, windowStart, windowEnd, metadata }, or null if not found
+   */
+  async get(name) {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT name, source, queries, window_start, window_end, metadata
+        FROM workloads
+        WHERE name = $1
+      `, [name]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const [row] = rows;
+      return {
+        ...normalizeWorkload(row.queries, { name: row.name, source: row.source }),
+        windowStart: row.window_start,
+        windowEnd: row.window_end,
+        metadata: row.metadata
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Save a workload under its name, replacing any workload with the same name
+   * @param {Object} workload - Normalized workload ({ name, source, queries })
+   * @param {Object} [capture] - { windowStart, windowEnd, metadata } for captured workloads
+   * @returns {Promise<Object>} Summary of the saved workload
+   */
+  async save(workload, { windowStart = null, windowEnd = null, metadata = {} } = {}) {
+    const client = await this.connect();
+
+    try {
+      const { rows: [row] } = await client.query(`
+        INSERT INTO workloads (name, source, queries, statements, window_start, window_end, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (name) DO UPDATE SET
+          source = EXCLUDED.source,
+          queries = EXCLUDED.queries,
+          statements = EXCLUDED.statements,
+          window_start = EXCLUDED.window_start,
+          window_end = EXCLUDED.window_end,
+          metadata = EXCLUDED.metadata,
+          updated_at = NOW()
+        RETURNING name, source, statements, window_start, window_end, metadata, created_at, updated_at
+      `, [
+        workload.name,
+        workload.source,
+        JSON.stringify(workload.queries),
+        workload.queries.length,
+        windowStart,
+        windowEnd,
+        JSON.stringify({ ...metadata, totalWeight: describeWorkload(workload).totalWeight })
+      ]);
+
+      console.log(`[Workloads] Saved ${workload.name} (${workload.queries.length} statements)`);
+      return toWorkloadSummary(row);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a saved workload
+   * @param {string} name - Workload name
+   * @returns {Promise<boolean>} Whether a workload was deleted
+   */
+  async remove(name) {
+    const client = await this.connect();
+
+    try {
+      const { rowCount } = await client.query('DELETE FROM workloads WHERE name = $1', [name]);
+      return rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Public view of a capture for the status endpoint
+   */
+  serializeCapture(capture) {
+    return {
+      id: capture.id,
+      name: capture.name,
+      status: capture.status,
+      durationSeconds: capture.durationSeconds,
+      startedAt: capture.startedAt,
+      endsAt: capture.endsAt,
+      finishedAt: capture.finishedAt,
+      workload: capture.workload,
+      skipped: capture.skipped,
+      error: capture.error
+    };
+  }
+
+  /**
+   * Snapshot, wait, snapshot again, then build and save the workload
+   * @private
+   */
+  async runCapture(capture, { maxStatements, samplesPerQuery }) {
+    try {
+      console.log(`[Workloads] Capturing ${capture.name} for ${capture.durationSeconds}s...`);
+      const before = capture.durationSeconds > 0 ? await this.snapshot() : new Map();
+      const windowStart = new Date();
+
+      if (capture.durationSeconds > 0) {
+        await new Promise(resolve => setTimeout(resolve, capture.durationSeconds * 1000));
+      }
+
+      const after = await this.snapshot();
+      const windowEnd = new Date();
+      capture.status = 'sampling';
+
+      const statements = diffSnapshots(before, after)
+        .filter(statement => isCapturable(statement.query))
+        .sort((a, b) => b.calls - a.calls)
+        .slice(0, maxStatements);
+
+      if (statements.length === 0) {
+        throw new Error('No application statements were executed during the capture window');
+      }
+
+      const { queries, skipped } = await this.fillPlaceholders(statements, samplesPerQuery);
+      capture.skipped = skipped;
+
+      if (queries.length === 0) {
+        throw new Error(`None of the ${statements.length} captured statements could be replayed`);
+      }
+
+      const workload = normalizeWorkload(queries, { name: capture.name, source: 'capture' });
+      capture.workload = await this.save(workload, {
+        windowStart: capture.durationSeconds > 0 ? windowStart : null,
+        windowEnd,
+        metadata: {
+          statementsSeen: statements.length,
+          totalCalls: statements.reduce((sum, s) => sum + s.calls, 0),
+          skipped: skipped.length
+        }
+      });
+      capture.status = 'complete';
+      console.log(`[Workloads] Capture ${capture.name} complete: ${queries.length} statements, ${skipped.length} skipped`);
+    } catch (error) {
+      console.error(`[Workloads] Capture ${capture.name} failed:`, error.message);
+      capture.status = 'failed';
+      capture.error = error.message;
+    } finally {
+      capture.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Read pg_stat_statements for the current database
+   * @private
+   * @returns {Promise<Map>} queryid → { query, calls, totalTime }
+   */
+  async snapshot() {
+    const client = await this.connect();
+
+    try {
+      const { rows } = await client.query(`
+        SELECT queryid::text AS queryid, query, calls, total_exec_time
+        FROM pg_stat_statements
+        WHERE dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+          AND queryid IS NOT NULL
+      `);
+
+      return new Map(rows.map(row => [row.queryid, {
+        query: row.query,
+        calls: Number(row.calls),
+        totalTime: row.total_exec_time
+      }]));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Turn captured statements into replayable queries with concrete parameters
+   * Each statement gets up to `samplesPerQuery` parameter sets that share its weight;
+   * statements whose placeholders cannot be resolved, or that fail to plan, are skipped
+   * @private
+   * @returns {Promise<Object>} { queries: [{ query, params, weight, calls }], skipped: [{ query, reason }] }
+   */
+  async fillPlaceholders(statements, samplesPerQuery) {
+    const totalCalls = statements.reduce((sum, s) => sum + s.calls, 0);
+    const client = await this.connect();
+    const columnSamples = new Map();
+    const queries = [];
+    const skipped = [];
+
+    try {
+      for (const statement of statements) {
+        const { placeholders, bindings } = inferPlaceholders(statement.query);
+        const unresolved = placeholders.filter(n => !bindings[n]);
+
+        if (unresolved.length > 0) {
+          skipped.push({ query: statement.query, reason: `Could not tell what $${unresolved.join(', $')} stand${unresolved.length === 1 ? 's' : ''} for` });
+          continue;
+        }
+
+        const values = {};
+        let missing = null;
+        for (const n of placeholders) {
+          const binding = bindings[n];
+          if (binding.kind === 'limit') values[n] = [DEFAULT_LIMIT];
+          else if (binding.kind === 'offset') values[n] = [DEFAULT_OFFSET];
+          else values[n] = await this.sampleColumn(client, binding, samplesPerQuery, columnSamples);
+
+          if (values[n].length === 0) {
+            missing = `No values found for $${n} (${binding.column})`;
+            break;
+          }
+        }
+
+        if (missing) {
+          skipped.push({ query: statement.query, reason: missing });
+          continue;
+        }
+
+        const variants = placeholders.length === 0 ? 1 : samplesPerQuery;
+        const paramSets = Array.from({ length: variants }, (_, i) =>
+          buildParams(placeholders, bindings, values, i)
+        );
+
+        // EXPLAIN without ANALYZE plans the statement without running it
+        try {
+          await client.query({ text: `EXPLAIN ${statement.query}`, values: paramSets[0] });
+        } catch (error) {
+          skipped.push({ query: statement.query, reason: error.message });
+          continue;
+        }
+
+        const share = statement.calls / totalCalls;
+        paramSets.forEach(params => queries.push({
+          query: statement.query,
+          params,
+          weight: round(share / variants),
+          calls: statement.calls
+        }));
+      }
+
+      return { queries, skipped };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Sample distinct non-null values of a column, as text, from whichever candidate table has it
+   * @private
+   */
+  async sampleColumn(client, { column, tables }, count, cache) {
+    const { rows: [target] } = await client.query(`
+      SELECT c.table_schema, c.table_name, COALESCE(s.reltuples, 0) AS reltuples
+      FROM information_schema.columns c
+      LEFT JOIN pg_class s ON s.oid = (quote_ident(c.table_schema) || '.' || quote_ident(c.table_name))::regclass
+      WHERE c.column_name = $1
+        AND c.table_name = ANY($2)
+        AND c.table_schema NOT IN ('pg_catalog', 'information_schema')
+      ORDER BY c.table_schema = 'public' DESC
+      LIMIT 1
+    `, [column, tables]);
+
+    if (!target) {
+      return [];
+    }
+
+    const key = `${target.table_schema}.${target.table_name}.${column}`;
+    if (!cache.has(key)) {
+      const percent = Math.min(100, Math.max(0.01, (SAMPLE_ROWS * 100) / Math.max(Number(target.reltuples), 1)));
+      const { rows } = await client.query(`
+        SELECT DISTINCT ${quoteIdentifier(column)}::text AS value
+        FROM ${quoteIdentifier(target.table_schema)}.${quoteIdentifier(target.table_name)} TABLESAMPLE SYSTEM (${percent})
+        WHERE ${quoteIdentifier(column)} IS NOT NULL
+        LIMIT ${SAMPLE_ROWS}
+      `);
+      cache.set(key, shuffle(rows.map(row => row.value)));
+    }
+
+    return cache.get(key).slice(0, count);
+  }
+
+  /**
+   * Drop finished captures older than the TTL
+   * @private
+   */
+  pruneCaptures() {
+    const cutoff = Date.now() - CAPTURE_TTL_MS;
+    for (const [id, capture] of this.captures) {
+      if (capture.finishedAt && new Date(capture.finishedAt).getTime() < cutoff) {
+        this.captures.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Connect to the main database, where workloads are captured and stored
+   * @private
+   */
+  async connect() {
+    const mainPool = tigerService.getMainPool();
+    if (!mainPool) {
+      throw new Error('Main database pool not initialized');
+    }
+    return mainPool.connect();
+  }
+}
+
+/**
+ * Helper: Whether a captured statement is application traffic worth replaying
+ */
+function isCapturable(query) {
+  const keyword = query.trim().split(/[\s(]/, 1)[0].toLowerCase();
+  return CAPTURABLE_KEYWORDS.includes(keyword) && !EXCLUDED_REFERENCES.test(query);
+}
+
+/**
+ * Helper: Fisher-Yates shuffle (returns the same array)
+ */
+function shuffle(values) {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return values;
+}
+
+/**
+ * Helper: Round weights to 6 decimals, never down to 0
+ */
+function round(value) {
+  return Math.max(Math.round(value * 1e6) / 1e6, 1e-6);
+}
+
+/**
+ * Helper: Map a database row to the API shape
+ */
+function toWorkloadSummary(row) {
+  return {
+    name: row.name,
+    source: row.source,
+    statements: row.statements,
+    totalWeight: row.metadata?.totalWeight ?? null,
+    windowStart: row.window_start,
+    windowEnd: row.window_end,
+    metadata: row.metadata,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default new WorkloadService();
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBenchmark, pairSamples, summarize, compareSamples, getBenchmarkSettings, selectWinner } from '../src/lib/benchmark.js';
+
+/**
+ * Helper: A pg client stand-in that records every query and fails the ones `fails` matches
+ */
+function fakeClient(fails = () => false) {
+  const log = [];
+  return {
+    log,
+    async query(config) {
+      const text = typeof config === 'string' ? config : config.text;
+      log.push(text);
+      if (fails(text)) throw new Error(`relation in "${text}" does not exist`);
+      return { rows: [] };
+    }
+  };
+}
+
+/**
+ * Helper: A runBenchmark result with per-query pass timings
+ */
+function benchmarkResult(queries, failed = []) {
+  const runs = queries[0]?.samples.length ?? 0;
+  const samples = Array.from({ length: runs }, (_, pass) => queries.reduce((sum, q) => sum + q.samples[pass] * (q.weight ?? 1), 0));
+  return {
+    samples,
+    queries: queries.map(q => ({ weight: 1, ...q })),
+    failedQueries: failed.map(index => ({ index, query: `q${index}`, error: 'failed' }))
+  };
+}
+
+test('getBenchmarkSettings reads overrides and rejects invalid values', () => {
+  const saved = { ...process.env };
+  try {
+    Object.assign(process.env, { BENCHMARK_WARMUP_RUNS: '0', BENCHMARK_RUNS: '5', BENCHMARK_ALPHA: '0.01' });
+    assert.deepEqual(getBenchmarkSettings(), { warmupRuns: 0, runs: 5, alpha: 0.01 });
+
+    Object.assign(process.env, { BENCHMARK_WARMUP_RUNS: '-1', BENCHMARK_RUNS: '1', BENCHMARK_ALPHA: '2' });
+    assert.deepEqual(getBenchmarkSettings(), { warmupRuns: 2, runs: 10, alpha: 0.05 });
+  } finally {
+    process.env = saved;
+  }
+});
+
+test('summarize reports percentiles and a confidence interval around the mean', () => {
+  const summary = summarize([10, 20, 30, 40, 50]);
+  assert.equal(summary.runs, 5);
+  assert.equal(summary.mean, 30);
+  assert.equal(summary.min, 10);
+  assert.equal(summary.max, 50);
+  assert.equal(summary.p50, 30);
+  assert.equal(summary.p95, 48);
+  assert.ok(summary.ci95[0] < 30 && summary.ci95[1] > 30);
+
+  assert.deepEqual(summarize([]).ci95, [0, 0]);
+  assert.deepEqual(summarize([7]).ci95, [7, 7]);
+});
+
+test('compareSamples finds a clear speed-up significant', () => {
+  const comparison = compareSamples([100, 102, 98, 101, 99], [50, 51, 49, 50, 50]);
+  assert.equal(comparison.significant, true);
+  assert.ok(comparison.pValue < 0.001);
+  assert.ok(comparison.improvement > 49 && comparison.improvement < 51);
+});
+
+test('compareSamples never calls noise or a slowdown significant', () => {
+  assert.equal(compareSamples([100, 80, 120, 90, 110], [95, 115, 85, 105, 100]).significant, false);
+  assert.equal(compareSamples([50, 50, 51], [100, 101, 99]).significant, false);
+  assert.equal(compareSamples([100], [50]).significant, false);
+});
+
+test('compareSamples treats an exact difference without noise as significant', () => {
+  const comparison = compareSamples([10, 10, 10], [5, 5, 5]);
+  assert.equal(comparison.significant, true);
+  assert.equal(comparison.pValue, 0);
+  assert.equal(comparison.improvement, 50);
+});
+
+test('runBenchmark leaves queries that fail during warmup out of every pass', async () => {
+  const client = fakeClient(text => text.includes('missing'));
+  const result = await runBenchmark(client, ['SELECT 1', 'SELECT * FROM missing', { query: 'SELECT 2', weight: 3 }], { warmupRuns: 1, runs: 3 });
+
+  assert.equal(result.samples.length, 3);
+  assert.deepEqual(result.queries.map(q => [q.index, q.query, q.weight]), [[0, 'SELECT 1', 1], [2, 'SELECT 2', 3]]);
+  assert.deepEqual(result.failedQueries.map(q => q.index), [1]);
+  assert.equal(client.log.filter(text => text.includes('missing')).length, 1);
+});
+
+test('runBenchmark drops a query that fails in a measured pass from every pass', async () => {
+  let calls = 0;
+  const client = fakeClient(text => text.includes('flaky') && ++calls === 3);
+  const result = await runBenchmark(client, [{ query: 'SELECT 1', weight: 2 }, 'SELECT * FROM flaky'], { warmupRuns: 1, runs: 3 });
+
+  assert.deepEqual(result.queries.map(q => q.index), [0]);
+  assert.deepEqual(result.failedQueries.map(q => q.index), [1]);
+  assert.deepEqual(result.samples, result.queries[0].samples.map(time => time * 2));
+  assert.equal(client.log.filter(text => text.includes('flaky')).length, 3);
+});
+
+test('runBenchmark times writes inside a rolled-back transaction', async () => {
+  const client = fakeClient();
+  await runBenchmark(client, ['UPDATE t SET a = 1'], { warmupRuns: 0, runs: 2 });
+
+  // One warmup pass always runs to weed out failing statements
+  assert.deepEqual(client.log, Array(3).fill(['BEGIN', 'UPDATE t SET a = 1', 'ROLLBACK']).flat());
+});
+
+test('pairSamples keeps the pass totals when nothing failed', () => {
+  const baseline = benchmarkResult([{ index: 0, samples: [10, 12] }]);
+  const optimized = benchmarkResult([{ index: 0, samples: [5, 6] }]);
+  assert.deepEqual(pairSamples(baseline, optimized), { baseline: [10, 12], optimized: [5, 6], excluded: 0, comparable: true });
+});
+
+test('pairSamples compares only statements measured in both phases', () => {
+  // Statement 1 failed in the optimized phase, statement 2 in the baseline
+  const baseline = benchmarkResult([{ index: 0, samples: [10, 12] }, { index: 1, samples: [100, 100] }], [2]);
+  const optimized = benchmarkResult([{ index: 0, samples: [5, 6] }, { index: 2, samples: [1, 1] }], [1]);
+
+  assert.deepEqual(pairSamples(baseline, optimized), { baseline: [10, 12], optimized: [5, 6], excluded: 2, comparable: true });
+});
+
+test('pairSamples weights the statements it keeps', () => {
+  const baseline = benchmarkResult([{ index: 0, samples: [10, 10], weight: 2 }, { index: 1, samples: [1, 1] }]);
+  const optimized = benchmarkResult([{ index: 0, samples: [4, 4], weight: 2 }], [1]);
+  assert.deepEqual(pairSamples(baseline, optimized).baseline, [20, 20]);
+  assert.deepEqual(pairSamples(baseline, optimized).optimized, [8, 8]);
+});
+
+test('pairSamples has nothing to compare when no statement ran in both phases', () => {
+  const baseline = benchmarkResult([{ index: 0, samples: [10, 12] }], [1]);
+  const optimized = benchmarkResult([{ index: 1, samples: [5, 6] }], [0]);
+  const paired = pairSamples(baseline, optimized);
+
+  assert.deepEqual([paired.baseline, paired.optimized], [[], []]);
+  assert.equal(compareSamples(paired.baseline, paired.optimized).significant, false);
+});
+
+test('pairSamples cannot pair lists of different lengths once something failed', () => {
+  const baseline = benchmarkResult([{ index: 0, samples: [10, 12] }, { index: 1, samples: [3, 3] }]);
+  const optimized = benchmarkResult([{ index: 0, samples: [5, 6] }], [1, 2]);
+  assert.equal(pairSamples(baseline, optimized).comparable, false);
+});
+
+test('selectWinner picks the biggest significant improvement among completed universes', () => {
+  const winner = selectWinner([
+    { id: 'alpha', status: 'complete', improvement: 30, significant: true },
+    { id: 'beta', status: 'complete', improvement: 55, significant: false },
+    { id: 'gamma', status: 'complete', improvement: 40, significant: true },
+    { id: 'delta', status: 'failed', improvement: 90 }
+  ]);
+  assert.equal(winner.id, 'gamma');
+});
+
+test('selectWinner prefers any measured universe over simulated ones', () => {
+  assert.equal(selectWinner([
+    { id: 'alpha', status: 'complete', improvement: 80, simulated: true },
+    { id: 'beta', status: 'complete', improvement: 10, significant: true }
+  ]).id, 'beta');
+
+  assert.equal(selectWinner([
+    { id: 'alpha', status: 'complete', improvement: 80, simulated: true },
+    { id: 'beta', status: 'complete', improvement: 60, simulated: true }
+  ]).id, 'alpha');
+});
+
+test('selectWinner has no winner when no measured improvement is significant', () => {
+  assert.equal(selectWinner([
+    { id: 'alpha', status: 'complete', improvement: 80, simulated: true },
+    { id: 'beta', status: 'complete', improvement: 10, significant: false }
+  ]), null);
+  assert.equal(selectWinner([]), null);
+});
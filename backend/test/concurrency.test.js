@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConcurrency, mapWithConcurrency } from '../src/lib/concurrency.js';
+
+/**
+ * Helper: Run `fn` with environment overrides, restoring the environment afterwards
+ */
+function withEnv(overrides, fn) {
+  const saved = { ...process.env };
+  try {
+    Object.assign(process.env, overrides);
+    return fn();
+  } finally {
+    process.env = saved;
+  }
+}
+
+test('resolveConcurrency runs one universe at a time without forks', () => {
+  withEnv({ TIGER_CLI_AVAILABLE: 'false', MAX_CONCURRENT_FORKS: '4' }, () => {
+    assert.equal(resolveConcurrency(4, 4), 1);
+  });
+});
+
+test('resolveConcurrency lets a request ask for fewer forks than the maximum, never more', () => {
+  withEnv({ TIGER_CLI_AVAILABLE: 'true', MAX_CONCURRENT_FORKS: '4' }, () => {
+    assert.equal(resolveConcurrency(undefined, 6), 4);
+    assert.equal(resolveConcurrency(2, 6), 2);
+    assert.equal(resolveConcurrency('8', 6), 4);
+    assert.equal(resolveConcurrency(4, 3), 3);
+    assert.equal(resolveConcurrency(-2, 3), 1);
+  });
+  withEnv({ TIGER_CLI_AVAILABLE: 'true', MAX_CONCURRENT_FORKS: 'x' }, () => {
+    assert.equal(resolveConcurrency(3, 3), 1);
+  });
+});
+
+test('mapWithConcurrency keeps at most `limit` workers in flight and the results in order', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return `${i}:${delay}`;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:1', '4:10']);
+});
+
+test('mapWithConcurrency with a limit of 1 runs the items one after another', async () => {
+  const order = [];
+  await mapWithConcurrency(['a', 'b', 'c'], 1, async item => {
+    order.push(`start ${item}`);
+    await new Promise(resolve => setImmediate(resolve));
+    order.push(`end ${item}`);
+  });
+
+  assert.deepEqual(order, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  assert.deepEqual(await mapWithConcurrency([], 3, () => assert.fail('no items, no calls')), []);
+});
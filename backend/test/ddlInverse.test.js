@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inverseOf } from '../src/lib/ddlInverse.js';
+
+const snapshot = {
+  relation: { 'public.orders': 'table', 'public.mv_cache_abc': 'materialized view' },
+  column: { 'public.orders.id': 'integer NOT NULL', 'public.orders.total': 'numeric' },
+  index: {
+    'public.orders_pkey': 'CREATE UNIQUE INDEX orders_pkey ON public.orders USING btree (id)',
+    'public.idx_orders_total': 'CREATE INDEX idx_orders_total ON public.orders USING btree (total)',
+    'sales."Idx Region"': 'CREATE INDEX "Idx Region" ON sales.orders USING btree (region)'
+  },
+  constraint: { 'public.orders.orders_total_check': 'CHECK ((total >= (0)::numeric))' },
+  extension: { plpgsql: '1.0' }
+};
+
+test('inverseOf drops an index the promotion created, in its table\'s schema', () => {
+  assert.deepEqual(inverseOf('CREATE INDEX CONCURRENTLY idx_orders_user ON orders (user_id);', snapshot), {
+    reversible: true,
+    inverse: 'DROP INDEX CONCURRENTLY IF EXISTS idx_orders_user'
+  });
+  assert.deepEqual(inverseOf('CREATE INDEX idx_region ON sales.orders (region)', snapshot), {
+    reversible: true,
+    inverse: 'DROP INDEX CONCURRENTLY IF EXISTS sales.idx_region'
+  });
+});
+
+test('inverseOf leaves an index alone that existed before IF NOT EXISTS skipped it', () => {
+  assert.deepEqual(inverseOf('CREATE INDEX IF NOT EXISTS idx_orders_total ON orders (total)', snapshot), {
+    reversible: true,
+    inverse: null,
+    note: 'index already existed'
+  });
+  assert.equal(inverseOf('CREATE INDEX "Idx Region" ON sales.orders (region)', snapshot).inverse, null);
+});
+
+test('inverseOf recreates a dropped index from its definition', () => {
+  assert.equal(
+    inverseOf('DROP INDEX CONCURRENTLY idx_orders_total', snapshot).inverse,
+    'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_orders_total ON public.orders USING btree (total)'
+  );
+  assert.equal(
+    inverseOf('DROP INDEX orders_pkey', snapshot).inverse,
+    'CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS orders_pkey ON public.orders USING btree (id)'
+  );
+  assert.equal(inverseOf('DROP INDEX IF EXISTS idx_missing', snapshot).note, 'index did not exist');
+});
+
+test('inverseOf cannot undo a DROP INDEX with CASCADE or several names', () => {
+  for (const sql of ['DROP INDEX idx_orders_total CASCADE', 'DROP INDEX idx_orders_total, orders_pkey']) {
+    assert.deepEqual(inverseOf(sql, snapshot), { inverse: null, reversible: false, note: 'no automatic inverse; revert manually' });
+  }
+});
+
+test('inverseOf reverses added and dropped constraints', () => {
+  assert.equal(
+    inverseOf('ALTER TABLE orders ADD CONSTRAINT orders_user_fk FOREIGN KEY (user_id) REFERENCES users (id) NOT VALID', snapshot).inverse,
+    'ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_fk'
+  );
+  assert.equal(
+    inverseOf('ALTER TABLE orders DROP CONSTRAINT orders_total_check', snapshot).inverse,
+    'ALTER TABLE orders ADD CONSTRAINT orders_total_check CHECK ((total >= (0)::numeric))'
+  );
+  assert.equal(inverseOf('ALTER TABLE orders ADD CONSTRAINT orders_total_check CHECK (total >= 0)', snapshot).inverse, null);
+});
+
+test('inverseOf drops an added column but not one that already existed', () => {
+  assert.equal(inverseOf('ALTER TABLE orders ADD COLUMN note text', snapshot).inverse, 'ALTER TABLE orders DROP COLUMN IF EXISTS note');
+  assert.equal(inverseOf('ALTER TABLE orders ADD COLUMN IF NOT EXISTS total numeric', snapshot).note, 'column already existed');
+  assert.equal(inverseOf('ALTER TABLE orders ADD PRIMARY KEY (id)', snapshot).reversible, false);
+});
+
+test('inverseOf drops created relations and extensions', () => {
+  assert.equal(
+    inverseOf('CREATE MATERIALIZED VIEW mv_cache_def AS SELECT 1', snapshot).inverse,
+    'DROP MATERIALIZED VIEW IF EXISTS mv_cache_def'
+  );
+  assert.equal(inverseOf('CREATE MATERIALIZED VIEW mv_cache_abc AS SELECT 1', snapshot).note, 'materialized view already existed');
+  assert.equal(inverseOf('CREATE EXTENSION IF NOT EXISTS pg_trgm', snapshot).inverse, 'DROP EXTENSION IF EXISTS pg_trgm');
+  assert.equal(inverseOf('CREATE EXTENSION plpgsql', snapshot).note, 'extension already installed');
+});
+
+test('inverseOf has nothing to undo for statements that change no schema', () => {
+  assert.deepEqual(inverseOf('-- refresh statistics\nANALYZE orders', snapshot), { inverse: null, reversible: true, note: 'changes no schema' });
+  assert.equal(inverseOf('VACUUM orders', snapshot).inverse, null);
+});
+
+test('inverseOf marks anything else irreversible', () => {
+  assert.equal(inverseOf('ALTER TABLE orders ALTER COLUMN total TYPE numeric(12,2)', snapshot).reversible, false);
+  assert.equal(inverseOf('DROP TABLE orders', snapshot).reversible, false);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStatement, planPromotion, indexNameOf, transactionalForm, parseError, getPromotionSettings } from '../src/lib/ddlPlanner.js';
+
+test('classifyStatement rewrites CREATE INDEX to build concurrently outside a transaction', () => {
+  const statement = classifyStatement('CREATE INDEX idx_orders_user ON orders (user_id);');
+
+  assert.equal(statement.sql, 'CREATE INDEX CONCURRENTLY idx_orders_user ON orders (user_id)');
+  assert.equal(statement.original, 'CREATE INDEX idx_orders_user ON orders (user_id)');
+  assert.equal(statement.kind, 'create-index');
+  assert.equal(statement.lockLevel, 'SHARE UPDATE EXCLUSIVE');
+  assert.equal(statement.blocksWrites, false);
+  assert.equal(statement.transactional, false);
+  assert.equal(statement.rewritten, true);
+  assert.equal(statement.destructive, null);
+});
+
+test('classifyStatement leaves a statement already built concurrently alone', () => {
+  const statement = classifyStatement('CREATE UNIQUE INDEX CONCURRENTLY idx_users_email ON users (email)');
+  assert.equal(statement.sql, 'CREATE UNIQUE INDEX CONCURRENTLY idx_users_email ON users (email)');
+  assert.equal(statement.rewritten, false);
+});
+
+test('classifyStatement keeps leading comments and splices CONCURRENTLY after the keywords', () => {
+  const statement = classifyStatement('-- speeds up the order lookup\n/* user-017 */ CREATE INDEX idx_orders_user ON orders (user_id)');
+  assert.equal(statement.sql, '-- speeds up the order lookup\n/* user-017 */ CREATE INDEX CONCURRENTLY idx_orders_user ON orders (user_id)');
+  assert.equal(statement.transactional, false);
+});
+
+test('classifyStatement keeps a literal that contains -- in a partial index predicate', () => {
+  const statement = classifyStatement("CREATE INDEX idx_notes ON notes (id) WHERE body <> '--draft--'");
+  assert.equal(statement.sql, "CREATE INDEX CONCURRENTLY idx_notes ON notes (id) WHERE body <> '--draft--'");
+});
+
+test('classifyStatement falls back to the comment-free text when a comment sits between the keywords', () => {
+  const statement = classifyStatement('CREATE /* unique? */ INDEX idx_orders_user ON orders (user_id)');
+  assert.equal(statement.sql, 'CREATE   INDEX CONCURRENTLY idx_orders_user ON orders (user_id)');
+});
+
+test('classifyStatement drops one index concurrently but several or CASCADE in a transaction', () => {
+  const single = classifyStatement('DROP INDEX idx_orders_user');
+  assert.equal(single.sql, 'DROP INDEX CONCURRENTLY idx_orders_user');
+  assert.equal(single.transactional, false);
+
+  for (const sql of ['DROP INDEX idx_a, idx_b', 'DROP INDEX idx_a CASCADE']) {
+    const statement = classifyStatement(sql);
+    assert.equal(statement.sql, sql);
+    assert.equal(statement.lockLevel, 'ACCESS EXCLUSIVE');
+    assert.equal(statement.transactional, true);
+    assert.equal(statement.blocksWrites, true);
+  }
+});
+
+test('classifyStatement rewrites REINDEX and keeps its options', () => {
+  assert.equal(classifyStatement('REINDEX (VERBOSE) INDEX idx_a').sql, 'REINDEX (VERBOSE) INDEX CONCURRENTLY idx_a');
+  assert.equal(classifyStatement('REINDEX TABLE CONCURRENTLY orders').rewritten, false);
+});
+
+test('classifyStatement reads lock levels for maintenance and ALTER TABLE', () => {
+  assert.deepEqual(
+    ['VACUUM orders', 'VACUUM (FULL) orders', 'ANALYZE orders', 'ALTER TABLE orders ALTER COLUMN total SET STATISTICS 500', 'ALTER TABLE orders ADD COLUMN note text']
+      .map(sql => [classifyStatement(sql).lockLevel, classifyStatement(sql).transactional]),
+    [
+      ['SHARE UPDATE EXCLUSIVE', false],
+      ['ACCESS EXCLUSIVE', false],
+      ['SHARE UPDATE EXCLUSIVE', true],
+      ['SHARE UPDATE EXCLUSIVE', true],
+      ['ACCESS EXCLUSIVE', true]
+    ]
+  );
+});
+
+test('classifyStatement treats unknown statements as ACCESS EXCLUSIVE', () => {
+  const statement = classifyStatement('LOCK TABLE orders');
+  assert.equal(statement.kind, 'other');
+  assert.equal(statement.lockLevel, 'ACCESS EXCLUSIVE');
+  assert.equal(statement.transactional, true);
+});
+
+test('classifyStatement flags destructive statements', () => {
+  assert.equal(classifyStatement('DROP TABLE orders').destructive, 'drops a table');
+  assert.equal(classifyStatement('DROP INDEX idx_a').destructive, 'drops an index');
+  assert.equal(classifyStatement('DROP MATERIALIZED VIEW mv_cache_1').destructive, 'drops a materialized view');
+  assert.equal(classifyStatement('ALTER TABLE orders DROP COLUMN note').destructive, 'drops a column');
+  assert.equal(classifyStatement('ALTER TABLE orders ALTER COLUMN total TYPE numeric').destructive, 'changes a column type');
+  assert.equal(classifyStatement('DELETE FROM orders').destructive, 'deletes every row');
+  assert.equal(classifyStatement('DELETE FROM orders WHERE id = 1').destructive, null);
+});
+
+test('planPromotion groups consecutive transactional statements and runs the rest alone', () => {
+  const { steps, warnings } = planPromotion([
+    'ANALYZE orders',
+    'ALTER TABLE orders ADD COLUMN note text',
+    'CREATE INDEX idx_a ON orders (user_id)',
+    'CREATE INDEX idx_b ON orders (created_at)',
+    'ANALYZE orders'
+  ]);
+
+  assert.deepEqual(steps.map(step => [step.transactional, step.statements.length]), [[true, 2], [false, 1], [false, 1], [true, 1]]);
+  assert.deepEqual(warnings, ['ALTER TABLE orders ADD COLUMN note text takes ACCESS EXCLUSIVE and blocks writes to the table while it runs']);
+});
+
+test('indexNameOf reads the name as written', () => {
+  assert.equal(indexNameOf('CREATE INDEX IF NOT EXISTS idx_a ON orders (id)'), 'idx_a');
+  assert.equal(indexNameOf('/* note */ CREATE UNIQUE INDEX CONCURRENTLY public."Idx A" ON orders (id)'), 'public."Idx A"');
+  assert.equal(indexNameOf('CREATE INDEX ON orders (id)'), null);
+  assert.equal(indexNameOf('DROP INDEX idx_a'), null);
+});
+
+test('transactionalForm drops CONCURRENTLY and keeps leading comments', () => {
+  assert.equal(
+    transactionalForm(classifyStatement('-- concurrently, of course\nCREATE INDEX idx_a ON orders (id)')),
+    '-- concurrently, of course\nCREATE INDEX idx_a ON orders (id)'
+  );
+  assert.equal(transactionalForm(classifyStatement('DROP INDEX idx_a')), 'DROP INDEX idx_a');
+  assert.equal(transactionalForm(classifyStatement('ALTER TABLE orders ADD COLUMN note text')), 'ALTER TABLE orders ADD COLUMN note text');
+  assert.equal(transactionalForm(classifyStatement('VACUUM orders')), null);
+});
+
+test('parseError accepts statements the parser knows and explains the rest', () => {
+  assert.equal(parseError('CREATE INDEX idx_a ON orders (user_id)'), null);
+  assert.match(parseError('CREATE INDEX idx_a ON orders (user_id'), /\S/);
+});
+
+test('getPromotionSettings reads overrides and keeps 0 where it means no timeout', () => {
+  const saved = { ...process.env };
+  try {
+    Object.assign(process.env, { PROMOTE_LOCK_TIMEOUT_MS: '0', PROMOTE_STATEMENT_TIMEOUT_MS: '0', PROMOTE_LOCK_RETRIES: '0', PROMOTE_INDEX_TIMEOUT_MS: 'x' });
+    assert.deepEqual(getPromotionSettings(), {
+      lockTimeoutMs: 5000,
+      statementTimeoutMs: 0,
+      indexTimeoutMs: 0,
+      lockRetries: 0,
+      previewTimeoutMs: 60000,
+      previewForkTtlMs: 600000,
+      staleAfterMs: 3600000
+    });
+  } finally {
+    process.env = saved;
+  }
+});
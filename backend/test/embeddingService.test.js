@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import embeddingService, { HashingEmbedder, EMBEDDING_DIMENSIONS } from '../src/services/embeddingService.js';
+
+/**
+ * Helper: Cosine similarity of two unit vectors
+ */
+function similarity(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+test('HashingEmbedder gives the same text the same unit vector', async () => {
+  const embedder = new HashingEmbedder();
+  const first = await embedder.embed('Slow queries on the orders table');
+  const second = await embedder.embed('slow QUERIES on the orders table!');
+
+  assert.equal(first.length, EMBEDDING_DIMENSIONS);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(similarity(first, first) - 1) < 1e-9);
+});
+
+test('HashingEmbedder places related problems closer than unrelated ones', async () => {
+  const embedder = new HashingEmbedder();
+  const [query, related, unrelated] = await Promise.all([
+    embedder.embed('slow orders query filtering by user_id'),
+    embedder.embed('orders query by user_id is slow'),
+    embedder.embed('materialized view refresh takes too long')
+  ]);
+
+  assert.ok(similarity(query, related) > similarity(query, unrelated));
+});
+
+test('HashingEmbedder returns a zero vector when only stop words remain', async () => {
+  const vector = await new HashingEmbedder(8).embed('the and of');
+  assert.deepEqual(vector, new Array(8).fill(0));
+});
+
+test('embed rejects a provider with the wrong number of dimensions', async () => {
+  const saved = process.env.EMBEDDING_PROVIDER;
+  embeddingService.registerProvider('tiny', () => new HashingEmbedder(8));
+  try {
+    process.env.EMBEDDING_PROVIDER = 'tiny';
+    await assert.rejects(embeddingService.embed('slow orders'), /has 8 dimensions, expected 1536/);
+
+    process.env.EMBEDDING_PROVIDER = 'missing';
+    await assert.rejects(embeddingService.embed('slow orders'), /Unknown embedding provider: missing/);
+  } finally {
+    if (saved === undefined) delete process.env.EMBEDDING_PROVIDER;
+    else process.env.EMBEDDING_PROVIDER = saved;
+  }
+});
+
+test('toSqlVector formats a pgvector literal', () => {
+  assert.equal(embeddingService.toSqlVector([0.5, -1, 0]), '[0.5,-1,0]');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import historyService from '../src/services/historyService.js';
+import tigerService from '../src/services/tigerService.js';
+
+/**
+ * Helper: Point the services at a pool whose one client records every query
+ */
+function fakePool(fails = () => false) {
+  const log = [];
+  tigerService.mainPool = {
+    async connect() {
+      return {
+        async query(sql, params) {
+          log.push({ sql: sql.trim().split(/\s+/)[0], params });
+          if (fails(sql)) throw new Error('insert failed');
+          return { rows: [], rowCount: 0 };
+        },
+        release() {}
+      };
+    }
+  };
+  return log;
+}
+
+const universes = [
+  {
+    id: 'alpha',
+    strategyKey: 'index',
+    agent: 'IndexAgent',
+    status: 'complete',
+    strategy: 'Created 2 indexes',
+    improvement: 42.5,
+    executionTime: 1234.6,
+    baselineTime: 2000,
+    details: { appliedChanges: ['CREATE INDEX idx_a ON orders (user_id)'] },
+    forkId: 'fork-a'
+  },
+  {
+    id: 'beta',
+    strategyKey: 'query',
+    agent: 'QueryAgent',
+    status: 'failed',
+    error: 'fork unreachable',
+    improvement: 0,
+    executionTime: -1,
+    simulated: true
+  }
+];
+
+test('recordRun writes one row per universe in a transaction and flags the winner', async () => {
+  const log = fakePool();
+  const written = await historyService.recordRun({ runId: 'run-1', problemDescription: 'slow orders page', universes, winner: 'alpha' });
+
+  assert.equal(written, 2);
+  assert.deepEqual(log.map(q => q.sql), ['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+
+  const [alpha, beta] = log.filter(q => q.sql === 'INSERT').map(q => q.params);
+  assert.deepEqual(alpha.slice(0, 14), [
+    'run-1', 'alpha', 'slow orders page', 'index', 'IndexAgent', 'complete', 'Created 2 indexes',
+    42.5, 1235, 2000, '["CREATE INDEX idx_a ON orders (user_id)"]', true, false, 'fork-a'
+  ]);
+  assert.match(alpha[14], /^\[-?\d/);
+  assert.deepEqual(beta.slice(0, 14), [
+    'run-1', 'beta', 'slow orders page', 'query', 'QueryAgent', 'failed', 'fork unreachable',
+    0, null, null, '[]', false, true, null
+  ]);
+});
+
+test('recordRun rolls back the whole run when a row cannot be written', async () => {
+  let inserts = 0;
+  const log = fakePool(sql => sql.includes('INSERT') && ++inserts === 2);
+
+  await assert.rejects(
+    historyService.recordRun({ runId: 'run-2', problemDescription: 'slow orders page', universes, winner: null }),
+    /insert failed/
+  );
+  assert.deepEqual(log.map(q => q.sql), ['BEGIN', 'INSERT', 'INSERT', 'ROLLBACK']);
+});
+
+test('recordRun stores no embedding for text without words to embed', async () => {
+  const log = fakePool();
+  await historyService.recordRun({ runId: 'run-3', problemDescription: 'the', universes: universes.slice(0, 1), winner: null });
+
+  assert.equal(log.find(q => q.sql === 'INSERT').params[14], null);
+});
+
+test('searchHistory backfills embeddings first and maps ranks missing from one ranker to null', async () => {
+  const log = [];
+  tigerService.mainPool = {
+    async connect() {
+      return {
+        async query(sql, params) {
+          log.push(params);
+          if (!sql.includes('WITH lexical')) return { rows: [], rowCount: 0 };
+          return {
+            rows: [{
+              id: 7, run_id: 'run-1', universe_id: 'alpha', problem_description: 'slow orders page', strategy: 'index',
+              is_winner: true, lexical_rank: null, semantic_rank: '1', similarity: '0.83', score: '0.0163934'
+            }]
+          };
+        },
+        release() {}
+      };
+    }
+  };
+  historyService.backfill = null;
+
+  const [entry] = await historyService.searchHistory('orders page is slow', { limit: 500, strategy: 'index' });
+
+  assert.equal(log.length, 2);
+  assert.deepEqual(log[1].slice(2), [50, 'index', 60, 100]);
+  assert.deepEqual(
+    { id: entry.id, isWinner: entry.isWinner, lexicalRank: entry.lexicalRank, semanticRank: entry.semanticRank, similarity: entry.similarity, score: entry.score },
+    { id: 7, isWinner: true, lexicalRank: null, semanticRank: 1, similarity: 0.83, score: 0.0163934 }
+  );
+});
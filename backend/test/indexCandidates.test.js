@@ -0,0 +1,217 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractColumnUsage,
+  extractPlanUsage,
+  parseIndexDefinition,
+  buildCandidates,
+  formatIndexDefinition,
+  findRedundantIndexes,
+  equalitySelectivity
+} from '../src/lib/indexCandidates.js';
+
+/**
+ * Helper: A pg_indexes row for findRedundantIndexes
+ */
+function index(indexName, keys, { scans = 10, ...rest } = {}) {
+  return {
+    schemaName: 'public',
+    tableName: 'users',
+    indexName,
+    indexdef: `CREATE INDEX ${indexName} ON public.users USING btree (${keys})${rest.tail || ''}`,
+    scans,
+    sizeBytes: 8192,
+    unique: false,
+    primary: false,
+    backsConstraint: false,
+    ...rest
+  };
+}
+
+/**
+ * Helper: An existing index as buildCandidates expects it
+ */
+function existing(name, indexdef) {
+  return { name, ...parseIndexDefinition(indexdef) };
+}
+
+const catalog = {
+  tableRows: { orders: 50000 },
+  columnStats: {
+    'orders.customer_id': { distinct: 5000, dataType: 'integer' },
+    'orders.created_at': { distinct: 40000, dataType: 'timestamp without time zone', correlation: 0.2 }
+  },
+  existingIndexes: {}
+};
+
+test('extractColumnUsage resolves aliases and reads predicate roles', () => {
+  const { tables, usages } = extractColumnUsage(
+    "SELECT * FROM orders o JOIN users u ON u.id = o.user_id WHERE o.status = 'paid' AND o.total > $1 ORDER BY o.created_at DESC"
+  );
+
+  assert.deepEqual(tables.sort(), ['orders', 'users']);
+  assert.deepEqual(usages, [
+    { table: 'users', column: 'id', role: 'join' },
+    { table: 'orders', column: 'user_id', role: 'join' },
+    { table: 'orders', column: 'status', role: 'equality', value: 'paid' },
+    { table: 'orders', column: 'total', role: 'range' },
+    { table: 'orders', column: 'created_at', role: 'order' }
+  ]);
+});
+
+test('extractColumnUsage takes equality values from params and ignores commented-out predicates', () => {
+  const { usages } = extractColumnUsage('SELECT * FROM users WHERE plan = $1 -- AND email = $2', ['pro', 'a@b.c']);
+  assert.deepEqual(usages, [{ table: null, column: 'plan', role: 'equality', value: 'pro' }]);
+});
+
+test('extractPlanUsage reads filters, casts stripped, and output columns from a plan', () => {
+  const { tables, usages } = extractPlanUsage([{
+    Plan: {
+      'Node Type': 'Seq Scan',
+      'Relation Name': 'orders',
+      Alias: 'orders',
+      Filter: "((status)::text = 'pending'::text)",
+      Output: ['id', 'total']
+    }
+  }]);
+
+  assert.deepEqual(tables, ['orders']);
+  assert.deepEqual(usages, [
+    { table: 'orders', column: 'status', role: 'equality', value: 'pending' },
+    { table: 'orders', column: 'id', role: 'output' },
+    { table: 'orders', column: 'total', role: 'output' }
+  ]);
+});
+
+test('parseIndexDefinition keeps collation, operator class and ordering per key', () => {
+  const parsed = parseIndexDefinition(
+    'CREATE INDEX users_email_idx ON public.users USING btree (email COLLATE "C" text_pattern_ops DESC NULLS LAST, created_at)'
+  );
+
+  assert.equal(parsed.method, 'btree');
+  assert.deepEqual(parsed.keys, [
+    { column: 'email', expression: 'email', collation: '"C"', opclass: 'text_pattern_ops', ordering: 'DESC NULLS LAST' },
+    { column: 'created_at', expression: 'created_at', collation: null, opclass: null, ordering: '' }
+  ]);
+  assert.deepEqual(parsed.columns, ['email', 'created_at']);
+});
+
+test('parseIndexDefinition reads expressions, INCLUDE columns and predicates', () => {
+  const parsed = parseIndexDefinition(
+    "CREATE INDEX users_lower_email_idx ON public.users USING btree (lower((email)::text), \"Plan\") INCLUDE (name, id) WHERE (status = 'active'::text)"
+  );
+
+  assert.deepEqual(parsed.columns, [null, 'Plan']);
+  assert.equal(parsed.keys[0].expression, 'lower((email)::text)');
+  assert.equal(parsed.keys[0].opclass, null);
+  assert.deepEqual(parsed.include, ['name', 'id']);
+  assert.equal(parsed.partial, true);
+  assert.equal(parsed.predicate, "(status = 'active'::text)");
+});
+
+test('parseIndexDefinition reads a GIN operator class', () => {
+  const parsed = parseIndexDefinition('CREATE INDEX users_name_trgm ON public.users USING gin (name gin_trgm_ops)');
+  assert.equal(parsed.method, 'gin');
+  assert.deepEqual(parsed.keys[0], { column: 'name', expression: 'name', collation: null, opclass: 'gin_trgm_ops', ordering: '' });
+});
+
+test('findRedundantIndexes drops a B-tree prefix of a wider index', () => {
+  const findings = findRedundantIndexes([index('users_email', 'email'), index('users_email_name', 'email, name')]);
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].indexName, 'users_email');
+  assert.equal(findings[0].kind, 'redundant');
+  assert.equal(findings[0].supersededBy, 'users_email_name');
+});
+
+test('findRedundantIndexes keeps a prefix with a different operator class, collation or ordering', () => {
+  assert.deepEqual(findRedundantIndexes([index('users_email_pattern', 'email text_pattern_ops'), index('users_email_name', 'email, name')]), []);
+  assert.deepEqual(findRedundantIndexes([index('users_email_c', 'email COLLATE "C"'), index('users_email_name', 'email, name')]), []);
+  assert.deepEqual(findRedundantIndexes([index('users_email_desc', 'email DESC'), index('users_email_name', 'email, name')]), []);
+});
+
+test('findRedundantIndexes compares partial indexes only when their predicates match', () => {
+  const active = { tail: " WHERE (status = 'active'::text)" };
+  assert.deepEqual(findRedundantIndexes([index('users_email_active', 'email', active), index('users_email_name', 'email, name')]), []);
+
+  const findings = findRedundantIndexes([index('users_email_active', 'email', active), index('users_email_name_active', 'email, name', active)]);
+  assert.deepEqual(findings.map(f => [f.indexName, f.supersededBy]), [['users_email_active', 'users_email_name_active']]);
+});
+
+test('findRedundantIndexes keeps a unique index over its duplicates, however busy they are', () => {
+  const findings = findRedundantIndexes([
+    index('users_email_a', 'email', { scans: 1 }),
+    index('users_email_b', 'email', { scans: 50 }),
+    index('users_email_key', 'email', { unique: true, scans: 0 })
+  ]);
+
+  assert.deepEqual(findings.map(f => [f.indexName, f.kind, f.supersededBy]), [
+    ['users_email_b', 'duplicate', 'users_email_key'],
+    ['users_email_a', 'duplicate', 'users_email_key']
+  ]);
+});
+
+test('findRedundantIndexes calls an index unused only when its scans are known to be zero', () => {
+  const findings = findRedundantIndexes([
+    index('users_name', 'name', { scans: 0 }),
+    index('users_plan', 'plan', { scans: null })
+  ]);
+  assert.deepEqual(findings.map(f => [f.indexName, f.kind]), [['users_name', 'unused']]);
+});
+
+test('buildCandidates puts the equality column before the range column in a composite', () => {
+  const { candidates } = buildCandidates([{
+    weight: 2,
+    usages: [
+      { table: 'orders', column: 'customer_id', role: 'equality' },
+      { table: 'orders', column: 'created_at', role: 'range' }
+    ]
+  }], catalog);
+
+  assert.deepEqual(candidates.map(c => [c.columns, c.indexType]), [
+    [['customer_id', 'created_at'], 'btree'],
+    [['created_at'], 'btree']
+  ]);
+  assert.equal(candidates[0].score, 2);
+  assert.equal(candidates[0].selectivity, Number(((1 / 5000) * (1 / 3)).toPrecision(3)));
+});
+
+test('buildCandidates skips small tables and candidates an existing index serves', () => {
+  const usages = [{ table: 'orders', column: 'customer_id', role: 'equality' }];
+  assert.deepEqual(buildCandidates([{ usages }], { ...catalog, tableRows: { orders: 10 } }).candidates, []);
+
+  const served = buildCandidates([{ usages }], {
+    ...catalog,
+    existingIndexes: { orders: [existing('orders_customer_created', 'CREATE INDEX orders_customer_created ON public.orders USING btree (customer_id, created_at)')] }
+  });
+  assert.deepEqual(served.candidates, []);
+  assert.deepEqual(served.covered, [{ tableName: 'orders', columns: ['customer_id'], indexName: 'orders_customer_created' }]);
+});
+
+test('buildCandidates is not served by an index with a non-default collation', () => {
+  const { candidates } = buildCandidates([{ usages: [{ table: 'orders', column: 'status', role: 'equality' }] }], {
+    ...catalog,
+    existingIndexes: { orders: [existing('orders_status_c', 'CREATE INDEX orders_status_c ON public.orders USING btree (status COLLATE "C")')] }
+  });
+  assert.deepEqual(candidates.map(c => c.columns), [['status']]);
+});
+
+test('buildCandidates proposes a trigram GIN index for LIKE patterns', () => {
+  const { candidates } = buildCandidates([{ usages: [{ table: 'orders', column: 'note', role: 'pattern' }] }], catalog);
+  assert.deepEqual(candidates.map(c => [c.indexType, c.opclass, c.extension]), [['gin', 'gin_trgm_ops', 'pg_trgm']]);
+});
+
+test('formatIndexDefinition quotes identifiers and literals', () => {
+  assert.equal(
+    formatIndexDefinition({ tableName: 'orders', columns: ['created_at'], indexType: 'btree', include: ['total'], where: { column: 'status', value: "it's" } }),
+    `ON "orders" USING btree ("created_at") INCLUDE ("total") WHERE "status" = 'it''s'`
+  );
+  assert.equal(
+    formatIndexDefinition({ tableName: 'users', columns: ['name'], indexType: 'gin', opclass: 'gin_trgm_ops' }),
+    'ON "users" USING gin ("name" gin_trgm_ops)'
+  );
+});
+
+test('equalitySelectivity falls back to the planner default without statistics', () => {
+  assert.equal(equalitySelectivity(undefined), 0.005);
+  assert.equal(equalitySelectivity({ distinct: 4, nullFrac: 0.2 }), 0.2);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jobService from '../src/services/jobService.js';
+import optimizationService from '../src/services/optimizationService.js';
+import historyService from '../src/services/historyService.js';
+
+/**
+ * Helper: Run a job whose optimization is `run`, with history writes stubbed out
+ */
+function startJob(run) {
+  optimizationService.run = run;
+  historyService.recordRun = async () => 0;
+  return jobService.createJob({ problemDescription: 'slow orders page', strategies: ['index'] });
+}
+
+/**
+ * Helper: Resolve once a job has reached a terminal state
+ */
+function finished(job) {
+  return new Promise(resolve => {
+    const check = () => (jobService.isFinished(job) ? resolve(job) : setImmediate(check));
+    check();
+  });
+}
+
+/**
+ * Helper: An optimization that emits two universe events, then completes
+ */
+async function twoUniverses(options, emit) {
+  emit('run-started', { universes: [{ id: 'alpha' }, { id: 'beta' }] });
+  emit('fork-created', { universeId: 'alpha', forkId: 'fork-a' });
+  emit('universe-complete', { universeId: 'alpha', universe: { id: 'alpha', status: 'complete', improvement: 40 } });
+  return { universes: [], winner: 'alpha' };
+}
+
+test('subscribe replays every buffered event, then only the ones after Last-Event-ID', async () => {
+  const job = await finished(startJob(twoUniverses));
+  const events = lastEventId => {
+    const seen = [];
+    jobService.subscribe(job, record => seen.push(`${record.id}:${record.event}`), lastEventId);
+    return seen;
+  };
+
+  assert.deepEqual(events(), ['0:run-started', '1:fork-created', '2:universe-complete', '3:done']);
+  assert.deepEqual(events(1), ['2:universe-complete', '3:done']);
+  assert.deepEqual(events(3), []);
+  assert.equal(jobService.isTerminalEvent('done'), true);
+});
+
+test('a job folds universe events into its status', async () => {
+  const job = await finished(startJob(twoUniverses));
+
+  assert.equal(job.status, 'complete');
+  assert.deepEqual(jobService.serialize(job).universes, [
+    { id: 'alpha', status: 'complete', forkId: 'fork-a', improvement: 40 },
+    { id: 'beta', status: 'pending' }
+  ]);
+  assert.ok(job.finishedAt);
+});
+
+test('a live subscriber gets new events as they are recorded and nothing after the job ends', async () => {
+  let proceed;
+  const job = startJob(async (options, emit) => {
+    emit('run-started', { universes: [] });
+    await new Promise(resolve => { proceed = resolve; });
+    return { universes: [], winner: null };
+  });
+
+  const seen = [];
+  jobService.subscribe(job, record => seen.push(record.event));
+  assert.deepEqual(seen, ['run-started']);
+
+  proceed();
+  await finished(job);
+  assert.deepEqual(seen, ['run-started', 'done']);
+  assert.equal(job.emitter.listenerCount('event'), 0);
+});
+
+test('cancelJob aborts the run and the job ends cancelled', async () => {
+  const job = startJob((options, emit, signal) => new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve({ universes: [], winner: null, cancelled: true }));
+  }));
+
+  assert.equal(jobService.cancelJob(job.id).status, 'cancelling');
+  await finished(job);
+
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.events.at(-1).event, 'run-cancelled');
+  assert.equal(jobService.cancelJob(job.id).status, 'cancelled');
+  assert.equal(jobService.cancelJob('no-such-job'), null);
+});
+
+test('a run that throws fails the job with its message', async () => {
+  const job = await finished(startJob(async () => {
+    throw new Error('fork quota exceeded');
+  }));
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'fork quota exceeded');
+  assert.equal(job.events.at(-1).data.message, 'fork quota exceeded');
+});
@@ -0,0 +1,218 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { explainStatement, analyzePlan, bottleneckScore, relationsWith, planTree, diffPlans } from '../src/lib/planAnalyzer.js';
+
+/**
+ * Helper: EXPLAIN ANALYZE output around one plan node
+ */
+function analyzed(plan, times = { 'Planning Time': 0.2, 'Execution Time': 42.5 }) {
+  return [{ Plan: plan, ...times }];
+}
+
+const selectiveSeqScan = {
+  'Node Type': 'Seq Scan',
+  'Relation Name': 'orders',
+  Alias: 'orders',
+  Filter: "(status = 'pending'::text)",
+  'Total Cost': 1900,
+  'Plan Rows': 450,
+  'Actual Rows': 500,
+  'Actual Loops': 1,
+  'Rows Removed by Filter': 49500
+};
+
+test('explainStatement analyzes read-only queries that have their parameters', () => {
+  assert.deepEqual(explainStatement({ query: 'SELECT * FROM orders WHERE id = $1', params: [1] }, { analyze: true }), {
+    text: 'EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) SELECT * FROM orders WHERE id = $1',
+    values: [1]
+  });
+});
+
+test('explainStatement only estimates writes and placeholders without parameters', () => {
+  assert.equal(explainStatement({ query: 'DELETE FROM orders WHERE id = 1' }, { analyze: true }).text, 'EXPLAIN (FORMAT JSON) DELETE FROM orders WHERE id = 1');
+  assert.equal(
+    explainStatement({ query: 'SELECT * FROM orders WHERE id = $1' }, { analyze: true, verbose: true }).text,
+    'EXPLAIN (VERBOSE, FORMAT JSON, GENERIC_PLAN) SELECT * FROM orders WHERE id = $1'
+  );
+});
+
+test('analyzePlan flags a selective sequential scan of a large table as high severity', () => {
+  const result = analyzePlan(analyzed(selectiveSeqScan));
+
+  assert.equal(result.analyzed, true);
+  assert.equal(result.totalCost, 1900);
+  assert.equal(result.planningTime, 0.2);
+  assert.equal(result.executionTime, 42.5);
+  assert.deepEqual(result.findings, [{
+    nodeType: 'Seq Scan',
+    type: 'seq-scan',
+    severity: 'high',
+    relation: 'orders',
+    rows: 50000,
+    filter: "(status = 'pending'::text)",
+    message: "Sequential scan of orders reads 50,000 rows to keep 500 (filter: (status = 'pending'::text))"
+  }]);
+});
+
+test('analyzePlan sizes scans in estimated plans from the table row counts', () => {
+  const estimated = [{ Plan: { 'Node Type': 'Seq Scan', 'Relation Name': 'orders', 'Plan Rows': 50, 'Total Cost': 10 } }];
+
+  assert.deepEqual(analyzePlan(estimated).findings, []);
+  assert.deepEqual(analyzePlan(estimated, { tableRows: { orders: 20000 } }).findings.map(f => [f.type, f.severity, f.rows]), [['seq-scan', 'medium', 20000]]);
+});
+
+test('analyzePlan reports misestimates only when the plan was executed', () => {
+  const plan = { 'Node Type': 'Index Scan', 'Relation Name': 'orders', 'Plan Rows': 5, 'Actual Rows': 5000, 'Actual Loops': 1 };
+  const [finding] = analyzePlan(analyzed(plan)).findings;
+
+  assert.equal(finding.type, 'misestimate');
+  assert.equal(finding.severity, 'high');
+  assert.equal(finding.factor, 1000);
+  assert.equal(finding.message, 'Index Scan on orders estimated 5 rows but returned 5,000 (1000x underestimate)');
+
+  assert.deepEqual(analyzePlan({ Plan: { 'Node Type': 'Index Scan', 'Relation Name': 'orders', 'Plan Rows': 5 } }).findings, []);
+});
+
+test('analyzePlan flags nested loops that scan their inner side, and tolerates index lookups', () => {
+  const loop = inner => analyzed({
+    'Node Type': 'Nested Loop',
+    'Plan Rows': 2000,
+    'Actual Rows': 2000,
+    'Actual Loops': 1,
+    Plans: [
+      { 'Node Type': 'Seq Scan', 'Relation Name': 'users', 'Plan Rows': 2000, 'Actual Rows': 2000, 'Actual Loops': 1 },
+      { 'Relation Name': 'orders', 'Plan Rows': 1, 'Actual Rows': 1, 'Actual Loops': 2000, ...inner }
+    ]
+  });
+
+  const scanned = analyzePlan(loop({ 'Node Type': 'Seq Scan' })).findings.find(f => f.type === 'nested-loop');
+  assert.deepEqual([scanned.severity, scanned.loops, scanned.message], ['high', 2000, 'Nested loop runs Seq Scan on orders 2,000 times']);
+  assert.equal(analyzePlan(loop({ 'Node Type': 'Index Scan' })).findings.some(f => f.type === 'nested-loop'), false);
+});
+
+test('analyzePlan reports sorts that spill and hashes split into batches', () => {
+  const result = analyzePlan(analyzed({
+    'Node Type': 'Sort',
+    'Sort Key': ['created_at'],
+    'Sort Method': 'external merge',
+    'Sort Space Type': 'Disk',
+    'Sort Space Used': 2048,
+    'Plan Rows': 10,
+    'Actual Rows': 10,
+    'Actual Loops': 1,
+    Plans: [{
+      'Node Type': 'Hash',
+      'Hash Batches': 32,
+      'Peak Memory Usage': 4096,
+      'Plan Rows': 10,
+      'Actual Rows': 10,
+      'Actual Loops': 1,
+      Plans: [{ 'Node Type': 'Index Scan', 'Relation Name': 'orders', 'Plan Rows': 10, 'Actual Rows': 10, 'Actual Loops': 1 }]
+    }]
+  }));
+
+  assert.deepEqual(result.findings.map(f => [f.type, f.severity, f.relation]), [['hash-batches', 'high', 'orders'], ['sort-spill', 'medium', 'orders']]);
+  assert.equal(result.findings[1].message, 'Sort on created_at spilled 2048 kB to disk (external merge)');
+});
+
+test('analyzePlan returns no findings for output that is not a plan', () => {
+  assert.deepEqual(analyzePlan(null), { analyzed: false, totalCost: null, findings: [] });
+  assert.deepEqual(analyzePlan([{}]), { analyzed: false, totalCost: null, findings: [] });
+});
+
+test('bottleneckScore sums severities and relationsWith filters by type', () => {
+  const findings = [
+    { type: 'seq-scan', severity: 'high', relation: 'orders' },
+    { type: 'misestimate', severity: 'medium', relation: 'users' },
+    { type: 'nested-loop', severity: 'low' }
+  ];
+
+  assert.equal(bottleneckScore(findings), 6);
+  assert.equal(bottleneckScore(), 0);
+  assert.deepEqual(relationsWith(findings, ['seq-scan', 'nested-loop']), new Set(['orders']));
+});
+
+test('planTree keeps display fields and totals rows and time over loops', () => {
+  const tree = planTree(analyzed({
+    'Node Type': 'Nested Loop',
+    'Join Type': 'Inner',
+    'Total Cost': 120,
+    'Plan Rows': 100,
+    'Actual Rows': 100,
+    'Actual Loops': 1,
+    'Actual Total Time': 3.5,
+    Plans: [
+      { 'Node Type': 'Seq Scan', 'Relation Name': 'users', Alias: 'u', 'Total Cost': 20, 'Plan Rows': 10, 'Actual Rows': 10, 'Actual Loops': 1, 'Actual Total Time': 0.5 },
+      {
+        'Node Type': 'Index Scan',
+        'Relation Name': 'orders',
+        Alias: 'orders',
+        'Index Name': 'orders_user_id_idx',
+        'Index Cond': '(user_id = u.id)',
+        'Total Cost': 8,
+        'Plan Rows': 10,
+        'Actual Rows': 10,
+        'Actual Loops': 10,
+        'Actual Total Time': 0.25
+      }
+    ]
+  }));
+
+  assert.equal(tree.analyzed, true);
+  assert.equal(tree.executionTime, 42.5);
+  assert.deepEqual(tree.root.children[0], {
+    nodeType: 'Seq Scan', relation: 'users', alias: 'u', estimatedRows: 10, actualRows: 10, loops: 1, actualTimeMs: 0.5, totalCost: 20, children: []
+  });
+  assert.deepEqual(tree.root.children[1], {
+    nodeType: 'Index Scan',
+    relation: 'orders',
+    index: 'orders_user_id_idx',
+    condition: '(user_id = u.id)',
+    estimatedRows: 10,
+    actualRows: 100,
+    loops: 10,
+    actualTimeMs: 2.5,
+    totalCost: 8,
+    children: []
+  });
+  assert.equal(planTree([{}]), null);
+});
+
+test('diffPlans matches scans by relation wherever they moved and names what replaced them', () => {
+  const before = planTree([{
+    Plan: {
+      'Node Type': 'Hash Join',
+      'Plan Rows': 10,
+      Plans: [
+        { 'Node Type': 'Seq Scan', 'Relation Name': 'orders', 'Plan Rows': 10 },
+        { 'Node Type': 'Hash', 'Plan Rows': 10, Plans: [{ 'Node Type': 'Seq Scan', 'Relation Name': 'users', 'Plan Rows': 10 }] }
+      ]
+    }
+  }]);
+  const after = planTree([{
+    Plan: {
+      'Node Type': 'Nested Loop',
+      'Plan Rows': 10,
+      Plans: [
+        { 'Node Type': 'Seq Scan', 'Relation Name': 'users', 'Plan Rows': 10 },
+        { 'Node Type': 'Index Scan', 'Relation Name': 'orders', 'Index Name': 'orders_user_id_idx', 'Plan Rows': 1 }
+      ]
+    }
+  }]);
+
+  const { baseline, optimized, changedNodes } = diffPlans(before, after);
+
+  assert.equal(baseline.root.change, 'changed');
+  assert.equal(baseline.root.counterpart, 'Nested Loop');
+  assert.equal(baseline.root.children[0].counterpart, 'Index Scan using orders_user_id_idx');
+  assert.equal(baseline.root.children[1].change, 'removed');
+  assert.equal(baseline.root.children[1].children[0].change, undefined);
+  assert.equal(optimized.root.children[1].counterpart, 'Seq Scan');
+  assert.equal(changedNodes, 3);
+  assert.equal(before.root.change, undefined);
+});
+
+test('diffPlans leaves the trees alone when one side is missing', () => {
+  const tree = planTree([{ Plan: { 'Node Type': 'Result', 'Plan Rows': 1 } }]);
+  assert.deepEqual(diffPlans(tree, null), { baseline: tree, optimized: null, changedNodes: 0 });
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import recommendationService from '../src/services/recommendationService.js';
+import historyService from '../src/services/historyService.js';
+
+/**
+ * Helper: A history search result
+ */
+function entry(strategy, { score = 0.03, isWinner = false, improvement = 20, ...rest } = {}) {
+  return { strategy, score, isWinner, improvement, status: 'complete', simulated: false, problemDescription: `${strategy} problem`, ...rest };
+}
+
+/**
+ * Helper: Recommend with history search answering `similar`
+ */
+function recommendFrom(similar) {
+  historyService.searchHistory = async () => similar;
+  return recommendationService.recommend('orders page is slow');
+}
+
+test('recommend suggests every strategy when there is no similar history', async () => {
+  const result = await recommendFrom([]);
+
+  assert.equal(result.basedOn, 0);
+  assert.deepEqual(result.suggested, ['index', 'query', 'cache', 'schema']);
+  assert.ok(result.recommendations.every(r => r.suggested && r.winRate === null));
+});
+
+test('recommend ranks strategies by their smoothed win rate on similar problems', async () => {
+  const result = await recommendFrom([
+    entry('index', { isWinner: true, improvement: 60 }),
+    entry('query', { improvement: 10 }),
+    entry('index', { isWinner: true, improvement: 40 }),
+    entry('query', { isWinner: true, improvement: 30, score: 0.015 }),
+    entry('cache')
+  ]);
+
+  assert.deepEqual(result.recommendations.map(r => [r.strategy, r.rank, r.runs, r.wins]), [
+    ['index', 1, 2, 2],
+    ['query', 2, 2, 1],
+    ['schema', 3, 0, 0],
+    ['cache', 4, 1, 0]
+  ]);
+  assert.equal(result.recommendations[0].winRate, 0.63);
+  assert.equal(result.recommendations[0].averageImprovement, 50);
+  assert.match(result.recommendations[0].reasoning, /^Won 2 of 2 similar runs \(avg \+50%\), e\.g\. "index problem"$/);
+  assert.deepEqual(result.suggested, ['index']);
+});
+
+test('recommend learns nothing from failed or simulated universes', async () => {
+  const result = await recommendFrom([
+    entry('cache', { isWinner: true, simulated: true }),
+    entry('cache', { isWinner: true, status: 'failed' }),
+    entry('query', { isWinner: true })
+  ]);
+
+  const cache = result.recommendations.find(r => r.strategy === 'cache');
+  assert.equal(result.basedOn, 3);
+  assert.deepEqual([cache.runs, cache.wins, cache.reasoning], [0, 0, 'Not tried on similar problems yet']);
+  assert.equal(result.recommendations[0].strategy, 'query');
+});
+
+test('recommend also suggests a strategy whose record is close to the top one', async () => {
+  const result = await recommendFrom([
+    entry('index', { isWinner: true }),
+    entry('query', { isWinner: true })
+  ]);
+
+  assert.deepEqual(result.suggested, ['index', 'query']);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotSchema, diffSchemas } from '../src/lib/schemaDiff.js';
+
+const before = {
+  relation: { 'public.orders': 'table', 'public.legacy': 'table' },
+  column: {
+    'public.orders.id': 'integer NOT NULL',
+    'public.orders.total': 'numeric',
+    'public.legacy.id': 'integer'
+  },
+  index: { 'public.orders_pkey': 'CREATE UNIQUE INDEX orders_pkey ON public.orders USING btree (id)' },
+  constraint: { 'public.legacy.legacy_pkey': 'PRIMARY KEY (id)' },
+  extension: { plpgsql: '1.0' }
+};
+
+test('diffSchemas reports added, removed and changed objects sorted by name', () => {
+  const after = {
+    ...before,
+    column: { ...before.column, 'public.orders.total': 'numeric(12,2)', 'public.orders.note': 'text' },
+    index: { ...before.index, 'public.idx_orders_total': 'CREATE INDEX idx_orders_total ON public.orders USING btree (total)' },
+    extension: {}
+  };
+
+  assert.deepEqual(diffSchemas(before, after), [
+    { type: 'extension', name: 'plpgsql', change: 'removed', before: '1.0' },
+    { type: 'index', name: 'public.idx_orders_total', change: 'added', after: 'CREATE INDEX idx_orders_total ON public.orders USING btree (total)' },
+    { type: 'column', name: 'public.orders.note', change: 'added', after: 'text' },
+    { type: 'column', name: 'public.orders.total', change: 'changed', before: 'numeric', after: 'numeric(12,2)' }
+  ]);
+});
+
+test('diffSchemas folds the columns and constraints of a dropped or created table into it', () => {
+  const after = {
+    ...before,
+    relation: { 'public.orders': 'table', 'public."Audit.Log"': 'table' },
+    column: { 'public.orders.id': 'integer NOT NULL', 'public.orders.total': 'numeric', 'public."Audit.Log".id': 'bigint' },
+    constraint: {}
+  };
+
+  assert.deepEqual(diffSchemas(before, after), [
+    { type: 'relation', name: 'public."Audit.Log"', change: 'added', after: 'table' },
+    { type: 'relation', name: 'public.legacy', change: 'removed', before: 'table' }
+  ]);
+});
+
+test('diffSchemas keeps column changes when only the relation kind changed', () => {
+  const after = { ...before, relation: { ...before.relation, 'public.legacy': 'view' }, column: { ...before.column, 'public.legacy.id': 'bigint' } };
+
+  assert.deepEqual(diffSchemas(before, after).map(d => [d.type, d.name, d.change]), [
+    ['relation', 'public.legacy', 'changed'],
+    ['column', 'public.legacy.id', 'changed']
+  ]);
+});
+
+test('diffSchemas treats missing object types as empty', () => {
+  assert.deepEqual(diffSchemas({}, { extension: { vector: '0.7.0' } }), [
+    { type: 'extension', name: 'vector', change: 'added', after: '0.7.0' }
+  ]);
+});
+
+test('snapshotSchema maps relation kinds to their names', async () => {
+  const client = {
+    async query(sql) {
+      if (sql.includes('c.relkind as definition')) return { rows: [{ name: 'public.orders', definition: 'r' }, { name: 'public.mv_cache_1', definition: 'm' }] };
+      return { rows: [] };
+    }
+  };
+
+  const snapshot = await snapshotSchema(client);
+  assert.deepEqual(snapshot.relation, { 'public.orders': 'table', 'public.mv_cache_1': 'materialized view' });
+  assert.deepEqual(Object.keys(snapshot), ['relation', 'column', 'index', 'constraint', 'extension']);
+});
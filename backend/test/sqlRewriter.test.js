@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rewriteQuery, referencedTables, materializeAggregate, REWRITE_RULES } from '../src/lib/sqlRewriter.js';
+
+const schema = {
+  tables: {
+    'public.users': { columns: ['id', 'email', 'name'], keys: [['id']] },
+    'public.orders': { columns: ['id', 'user_id', 'total', 'status'], keys: [['id']] }
+  },
+  searchPath: ['public']
+};
+
+/**
+ * Helper: Rewrite with one rule only
+ */
+function rewriteWith(rule, sql) {
+  return rewriteQuery(sql, schema, { rules: [rule] });
+}
+
+test('referencedTables lists tables but not CTEs', () => {
+  assert.deepEqual(
+    referencedTables('WITH recent AS (SELECT * FROM orders) SELECT * FROM recent JOIN sales.users u ON true'),
+    [{ name: 'orders' }, { schema: 'sales', name: 'users' }]
+  );
+  assert.deepEqual(referencedTables('not sql'), []);
+});
+
+test('rewriteQuery returns the text unchanged when no rule applies', () => {
+  const sql = 'SELECT DISTINCT email FROM users';
+  assert.deepEqual(rewriteQuery(sql, schema), { sql, applied: [] });
+});
+
+test('rewriteQuery explains why it cannot rewrite a statement', () => {
+  assert.equal(rewriteQuery('UPDATE users SET name = 1', schema).error, 'Only SELECT queries are rewritten');
+  assert.equal(rewriteQuery('SELECT 1; SELECT 2', schema).error, 'Expected a single statement');
+  assert.match(rewriteQuery('SELEC x', schema).error, /^Could not parse query: /);
+});
+
+test('expand-star lists the table\'s columns', () => {
+  assert.deepEqual(rewriteWith('expand-star', 'SELECT * FROM users'), {
+    sql: 'SELECT id, email, name FROM users',
+    applied: [{ rule: 'expand-star', description: 'Expanded SELECT * into the columns of users' }]
+  });
+  assert.deepEqual(rewriteWith('expand-star', 'SELECT * FROM missing').applied, []);
+});
+
+test('remove-distinct drops DISTINCT only when a unique key is selected', () => {
+  assert.equal(rewriteWith('remove-distinct', 'SELECT DISTINCT id, email FROM users').sql, 'SELECT id, email FROM users');
+  assert.equal(rewriteWith('remove-distinct', 'SELECT DISTINCT count(*) FROM users').sql, 'SELECT (count (*)) FROM users');
+  assert.deepEqual(rewriteWith('remove-distinct', 'SELECT DISTINCT email FROM users').applied, []);
+});
+
+test('in-to-exists correlates the subquery on the qualified outer column', () => {
+  assert.equal(
+    rewriteWith('in-to-exists', 'SELECT id FROM users WHERE id IN (SELECT user_id FROM orders WHERE total > 100)').sql,
+    'SELECT id FROM users WHERE (exists ((SELECT (1) FROM orders WHERE ((total > (100)) AND (user_id = users.id)))))'
+  );
+});
+
+test('in-to-exists leaves NOT IN alone, since it treats NULLs differently', () => {
+  assert.deepEqual(rewriteWith('in-to-exists', 'SELECT id FROM users WHERE id NOT IN (SELECT user_id FROM orders)').applied, []);
+});
+
+test('subquery-to-join joins a correlated aggregate as a grouped derived table', () => {
+  const result = rewriteWith('subquery-to-join',
+    'SELECT o.id FROM orders o WHERE o.total > (SELECT avg(o2.total) FROM orders o2 WHERE o2.user_id = o.user_id)');
+
+  assert.equal(result.sql,
+    'SELECT o.id FROM orders AS o INNER JOIN (SELECT o2.user_id AS key_1, (avg (o2.total)) AS value FROM orders AS o2 GROUP BY o2.user_id) AS sq_1 ' +
+    'ON (sq_1.key_1 = o.user_id) WHERE (o.total > sq_1.value)');
+});
+
+test('subquery-to-join leaves count() alone, which is 0 rather than NULL over no rows', () => {
+  const sql = 'SELECT o.id FROM orders o WHERE o.total > (SELECT count(*) FROM orders o2 WHERE o2.user_id = o.user_id)';
+  assert.deepEqual(rewriteWith('subquery-to-join', sql).applied, []);
+});
+
+test('predicate-pushdown moves a condition into the CTE it reads', () => {
+  assert.equal(
+    rewriteWith('predicate-pushdown', 'WITH big AS (SELECT id, total FROM orders) SELECT id FROM big WHERE total > 100').sql,
+    'WITH big AS (SELECT id, total FROM orders WHERE (total > (100))) SELECT id FROM big'
+  );
+  assert.deepEqual(
+    rewriteWith('predicate-pushdown', 'WITH big AS (SELECT id, total FROM orders LIMIT 10) SELECT id FROM big WHERE total > 100').applied,
+    []
+  );
+});
+
+test('or-to-union excludes rows an earlier branch already returned', () => {
+  assert.equal(
+    rewriteWith('or-to-union', "SELECT id FROM users WHERE email = 'a' OR name = 'b'").sql,
+    "(SELECT id FROM users WHERE (email = ('a'))) UNION ALL (SELECT id FROM users WHERE ((name = ('b')) AND ((email = ('a')) IS NOT TRUE)))"
+  );
+});
+
+test('or-to-union leaves conditions on the same column to one index scan', () => {
+  assert.deepEqual(rewriteWith('or-to-union', "SELECT id FROM users WHERE email = 'a' OR email = 'b'").applied, []);
+  assert.deepEqual(rewriteWith('or-to-union', "SELECT id FROM users WHERE email = 'a' OR name = 'b' ORDER BY id").applied, []);
+});
+
+test('rewriteQuery applies the rules in order', () => {
+  const { applied } = rewriteQuery('SELECT * FROM users WHERE id IN (SELECT user_id FROM orders)', schema);
+  assert.deepEqual(applied.map(a => a.rule), ['expand-star', 'in-to-exists']);
+  assert.equal(REWRITE_RULES.at(-1), 'or-to-union');
+});
+
+test('materializeAggregate groups by the lookup column and filters the view with the parameter', () => {
+  assert.deepEqual(materializeAggregate('SELECT status, count(*) FROM orders WHERE user_id = $1 GROUP BY status', 'mv_orders'), {
+    viewSql: 'SELECT status, user_id, (count (*)) AS count_all FROM orders GROUP BY status, user_id',
+    querySql: 'SELECT mv_orders.status, mv_orders.count_all AS count FROM mv_orders WHERE (mv_orders.user_id = ($1))',
+    uniqueKey: ['user_id', 'status'],
+    lookupKeys: ['user_id'],
+    description: 'count() over orders by status, user_id, looked up by user_id'
+  });
+});
+
+test('materializeAggregate keeps the one row of an ungrouped lookup with a left join', () => {
+  assert.equal(
+    materializeAggregate('SELECT sum(total) FROM orders WHERE user_id = $1', 'mv_orders').querySql,
+    'SELECT mv_orders.sum_total AS sum FROM (SELECT) AS one LEFT JOIN mv_orders ON (mv_orders.user_id = ($1))'
+  );
+});
+
+test('materializeAggregate defines the same view whatever it is named', () => {
+  const sql = 'SELECT status, count(*) FROM orders WHERE user_id = $1 GROUP BY status';
+  const draft = materializeAggregate(sql, 'mv_cache');
+  const named = materializeAggregate(sql, 'mv_cache_0123456789ab');
+
+  assert.equal(named.viewSql, draft.viewSql);
+  assert.match(named.querySql, /FROM mv_cache_0123456789ab WHERE/);
+});
+
+test('materializeAggregate refuses queries a view would answer wrongly', () => {
+  assert.deepEqual(materializeAggregate('SELECT id FROM orders', 'mv'), { error: 'Query does not aggregate' });
+  assert.match(materializeAggregate('SELECT status, count(*) FROM orders WHERE created_at > now() GROUP BY status', 'mv').error, /freeze/);
+  assert.deepEqual(
+    materializeAggregate('SELECT status, count(*) FROM orders WHERE total > $1 GROUP BY status', 'mv'),
+    { error: 'A parameter is used in a predicate that cannot filter the view' }
+  );
+  assert.deepEqual(
+    materializeAggregate('SELECT status, count(*) FROM (SELECT * FROM orders) o GROUP BY status', 'mv'),
+    { error: 'Only tables and joins of tables are materialized' }
+  );
+});
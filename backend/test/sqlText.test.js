@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripComments, blankLiterals, unquoteIdentifier, quoteIdentifier, splitReference, findTableAliases } from '../src/lib/sqlText.js';
+
+test('stripComments replaces line and block comments with a space', () => {
+  assert.equal(stripComments('SELECT 1 -- one\nFROM t /* the\ntable */ WHERE a = 1'), 'SELECT 1  \nFROM t   WHERE a = 1');
+});
+
+test('stripComments keeps comment markers inside quoted text', () => {
+  const sql = `SELECT '--not a comment', "a--b", E'it\\'s -- still', $$ /* body */ $$, $fn$ -- $fn$ FROM t`;
+  assert.equal(stripComments(sql), sql);
+});
+
+test('stripComments reads doubled quotes as part of the literal', () => {
+  assert.equal(stripComments("SELECT 'it''s -- fine' -- gone"), "SELECT 'it''s -- fine'  ");
+});
+
+test('stripComments does not read an identifier ending in e as an E-string', () => {
+  assert.equal(stripComments("SELECT * FROM t WHERE name='a\\' -- gone"), "SELECT * FROM t WHERE name='a\\'  ");
+});
+
+test('blankLiterals empties string literals', () => {
+  assert.equal(blankLiterals("WHERE a = 'x' AND b = 'it''s'"), "WHERE a = '' AND b = ''");
+});
+
+test('identifiers fold, quote and split the way PostgreSQL reads them', () => {
+  assert.equal(unquoteIdentifier('Email'), 'email');
+  assert.equal(unquoteIdentifier('"Email"'), 'Email');
+  assert.equal(quoteIdentifier('say "hi"'), '"say ""hi"""');
+  assert.deepEqual(splitReference('"Users"."Email"'), { qualifier: 'Users', column: 'Email' });
+  assert.deepEqual(splitReference('email'), { qualifier: null, column: 'email' });
+});
+
+test('findTableAliases maps aliases to tables and skips keywords', () => {
+  assert.deepEqual(
+    findTableAliases('SELECT * FROM public.orders o JOIN users AS u ON u.id = o.user_id LEFT JOIN items WHERE true'),
+    { orders: 'orders', o: 'orders', users: 'users', u: 'users', items: 'items' }
+  );
+});
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseWorkload,
+  parseWorkloadFile,
+  parseSqlWorkload,
+  normalizeWorkload,
+  isReadOnlyStatement,
+  describeWorkload,
+  inferPlaceholders,
+  diffSnapshots,
+  buildParams,
+  MAX_STATEMENTS
+} from '../src/lib/workload.js';
+
+test('parseSqlWorkload reads weight and params directives placed right before a statement', () => {
+  const entries = parseSqlWorkload(`
+    -- weight: 25
+    -- params: [42, "alice@example.com"]
+    SELECT * FROM users WHERE id = $1 AND email = $2;
+
+    SELECT count(*) FROM orders;
+    -- weight: 3
+  `);
+
+  assert.deepEqual(entries, [
+    { query: 'SELECT * FROM users WHERE id = $1 AND email = $2', weight: 25, params: [42, 'alice@example.com'] },
+    { query: 'SELECT count(*) FROM orders' }
+  ]);
+});
+
+test('parseSqlWorkload ignores directives inside a statement and semicolons inside quotes', () => {
+  const entries = parseSqlWorkload(`
+    SELECT 'a;b' AS "x;y", $body$ ; $body$
+    -- weight: 9
+    FROM users;
+    /* ; */ SELECT 1
+  `);
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].weight, undefined);
+  assert.match(entries[0].query, /^SELECT 'a;b' AS "x;y", \$body\$ ; \$body\$\s+FROM users$/);
+  assert.equal(entries[1].query, 'SELECT 1');
+});
+
+test('parseSqlWorkload names the statement whose params are not JSON', () => {
+  assert.throws(() => parseSqlWorkload('SELECT 1;\n-- params: [1,\nSELECT $1'), /^Error: Statement 2: params directive is not a JSON array$/);
+});
+
+test('normalizeWorkload fills in defaults and trims a trailing semicolon', () => {
+  assert.deepEqual(normalizeWorkload(['SELECT 1;', { sql: 'SELECT $1', params: [5], weight: 2.5 }], { name: '  nightly  ' }), {
+    name: 'nightly',
+    source: 'request',
+    queries: [
+      { query: 'SELECT 1', params: [], weight: 1 },
+      { query: 'SELECT $1', params: [5], weight: 2.5 }
+    ]
+  });
+});
+
+test('normalizeWorkload accepts at most MAX_STATEMENTS statements', () => {
+  const statements = n => Array.from({ length: n }, (_, i) => `SELECT ${i}`);
+
+  assert.equal(normalizeWorkload(statements(MAX_STATEMENTS)).queries.length, 200);
+  assert.throws(() => normalizeWorkload(statements(MAX_STATEMENTS + 1)), /Workload has 201 statements; at most 200 are allowed/);
+  assert.throws(() => normalizeWorkload([]), /at least one statement/);
+});
+
+test('normalizeWorkload rejects malformed statements with their position', () => {
+  assert.throws(() => normalizeWorkload(['SELECT 1', '  ']), /^Error: Statement 2: sql must be a non-empty string$/);
+  assert.throws(() => normalizeWorkload(['SELECT 1; SELECT 2']), /must be a single SQL statement/);
+  assert.throws(() => normalizeWorkload([{ sql: 'SELECT $1', params: [{ id: 1 }] }]), /params must be an array of scalar values/);
+  assert.throws(() => normalizeWorkload([{ sql: 'SELECT 1', weight: 0 }]), /weight must be a positive number/);
+});
+
+test('parseWorkload takes a workload object, a bare array or a file, but not two at once', () => {
+  assert.equal(parseWorkload({}), null);
+  assert.equal(parseWorkload({ workload: ['SELECT 1'] }).name, 'custom workload');
+  assert.deepEqual(parseWorkload({ workload: { name: 'api', queries: ['SELECT 1'] } }).queries, [{ query: 'SELECT 1', params: [], weight: 1 }]);
+  assert.throws(() => parseWorkload({ workload: ['SELECT 1'], workloadFile: { content: 'SELECT 1' } }), /not both/);
+});
+
+test('parseWorkloadFile reads .json as a workload and anything else as SQL', () => {
+  const json = parseWorkloadFile({ filename: 'api.json', content: JSON.stringify({ queries: [{ sql: 'SELECT 1', weight: 4 }] }) });
+  assert.deepEqual([json.name, json.source, json.queries[0].weight], ['api', 'api.json', 4]);
+
+  const sql = parseWorkloadFile({ filename: 'nightly.sql', content: '-- weight: 2\nSELECT 1;' });
+  assert.deepEqual([sql.name, sql.source, sql.queries[0].weight], ['nightly', 'nightly.sql', 2]);
+
+  assert.throws(() => parseWorkloadFile({ filename: 'bad.json', content: '{' }), /^Error: bad\.json is not valid JSON/);
+});
+
+test('isReadOnlyStatement tells reads from writes, including writes inside a CTE', () => {
+  assert.equal(isReadOnlyStatement('SELECT * FROM users'), true);
+  assert.equal(isReadOnlyStatement('/* report */ (SELECT 1) UNION (SELECT 2)'), true);
+  assert.equal(isReadOnlyStatement('-- nightly\nWITH recent AS (SELECT 1) SELECT * FROM recent'), true);
+  assert.equal(isReadOnlyStatement('WITH gone AS (DELETE FROM orders RETURNING *) SELECT count(*) FROM gone'), false);
+  assert.equal(isReadOnlyStatement('UPDATE users SET name = $1'), false);
+  assert.equal(isReadOnlyStatement('CREATE INDEX idx ON users (email)'), false);
+});
+
+test('describeWorkload summarizes statements and total weight', () => {
+  assert.equal(describeWorkload(null), null);
+  assert.deepEqual(describeWorkload(normalizeWorkload([{ sql: 'SELECT 1', weight: 0.1 }, { sql: 'SELECT 2', weight: 0.2 }], { name: 'api' })), {
+    name: 'api',
+    source: 'request',
+    statements: 2,
+    totalWeight: 0.3
+  });
+});
+
+test('inferPlaceholders binds comparisons, IN lists and qualified columns through aliases', () => {
+  const { placeholders, bindings } = inferPlaceholders(
+    'SELECT * FROM orders o JOIN users u ON u.id = o.user_id WHERE o.status = $1 AND $2 < u.created_at AND o.id IN ($3, $4)'
+  );
+
+  assert.deepEqual(placeholders, [1, 2, 3, 4]);
+  assert.deepEqual(bindings, {
+    1: { kind: 'column', column: 'status', tables: ['orders'] },
+    2: { kind: 'column', column: 'created_at', tables: ['users'] },
+    3: { kind: 'column', column: 'id', tables: ['orders'] },
+    4: { kind: 'column', column: 'id', tables: ['orders'] }
+  });
+});
+
+test('inferPlaceholders marks the lower bound of a BETWEEN and reads INSERT, LIMIT and OFFSET', () => {
+  assert.deepEqual(inferPlaceholders('SELECT id FROM orders WHERE total BETWEEN $1 AND $2 LIMIT $3 OFFSET $4').bindings, {
+    1: { kind: 'column', column: 'total', tables: ['orders'], upperBound: 2 },
+    2: { kind: 'column', column: 'total', tables: ['orders'] },
+    3: { kind: 'limit' },
+    4: { kind: 'offset' }
+  });
+  assert.deepEqual(inferPlaceholders('INSERT INTO public.users ("Email", name) VALUES ($1, $2)').bindings, {
+    1: { kind: 'column', column: 'Email', tables: ['users'] },
+    2: { kind: 'column', column: 'name', tables: ['users'] }
+  });
+});
+
+test('inferPlaceholders leaves placeholders it cannot place unbound and ignores those in comments', () => {
+  const { placeholders, bindings } = inferPlaceholders("SELECT coalesce($1, 'x') FROM users -- WHERE id = $2");
+  assert.deepEqual(placeholders, [1]);
+  assert.deepEqual(bindings, {});
+});
+
+test('diffSnapshots counts calls made in the window, in full for statements first seen in it', () => {
+  const before = new Map([['1', { query: 'SELECT 1', calls: 10, totalTime: 50 }], ['2', { query: 'SELECT 2', calls: 4, totalTime: 8 }]]);
+  const after = new Map([
+    ['1', { query: 'SELECT 1', calls: 14, totalTime: 70 }],
+    ['2', { query: 'SELECT 2', calls: 4, totalTime: 8 }],
+    ['3', { query: 'SELECT 3', calls: 2, totalTime: 3 }]
+  ]);
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    { queryid: '1', query: 'SELECT 1', calls: 4, meanTime: 5 },
+    { queryid: '3', query: 'SELECT 3', calls: 2, meanTime: 1.5 }
+  ]);
+});
+
+test('buildParams varies samples across sets and keeps BETWEEN bounds in order', () => {
+  const { placeholders, bindings } = inferPlaceholders('SELECT id FROM orders WHERE total BETWEEN $1 AND $2 AND status = $3');
+  const values = { 1: ['90', '5', '30'], 2: ['90', '5', '30'], 3: ['paid'] };
+
+  const sets = [0, 1, 2].map(i => buildParams(placeholders, bindings, values, i));
+  assert.deepEqual(sets, [['5', '90', 'paid'], ['5', '30', 'paid'], ['30', '90', 'paid']]);
+  sets.forEach(([low, high]) => assert.ok(Number(low) <= Number(high)));
+});
+
+test('buildParams orders non-numeric BETWEEN bounds as text, so ISO dates stay in order', () => {
+  const { placeholders, bindings } = inferPlaceholders('SELECT id FROM orders WHERE created_at BETWEEN $1 AND $2');
+  const values = { 1: ['2024-03-01', '2024-01-15'], 2: ['2024-03-01', '2024-01-15'] };
+
+  assert.deepEqual(buildParams(placeholders, bindings, values, 0), ['2024-01-15', '2024-03-01']);
+});
@@ -3,7 +3,7 @@
 
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS pg_stat_statements;
-CREATE EXTENSION IF NOT EXISTS pgvector;
+CREATE EXTENSION IF NOT EXISTS vector; -- pgvector
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -54,18 +54,77 @@ CREATE TABLE IF NOT EXISTS optimization_history (
     execution_time INT,
     baseline_time INT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    embedding VECTOR(1536)
+    embedding VECTOR(1536),
+    run_id UUID,
+    universe_id VARCHAR(50),
+    agent VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'complete',
+    summary TEXT,
+    applied_changes JSONB DEFAULT '[]'::jsonb,
+    is_winner BOOLEAN DEFAULT FALSE,
+    simulated BOOLEAN DEFAULT FALSE,
+    fork_id VARCHAR(100)
 );
 
+-- Upgrade databases created before runs were persisted
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS run_id UUID;
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS universe_id VARCHAR(50);
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS agent VARCHAR(100);
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'complete';
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS applied_changes JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS is_winner BOOLEAN DEFAULT FALSE;
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS simulated BOOLEAN DEFAULT FALSE;
+ALTER TABLE optimization_history ADD COLUMN IF NOT EXISTS fork_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_history_created_at
+    ON optimization_history (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_optimization_history_run_id
+    ON optimization_history (run_id);
+
 -- Create indexes for hybrid search
 CREATE INDEX IF NOT EXISTS idx_optimization_history_bm25
     ON optimization_history
     USING GIN(to_tsvector('english', problem_description));
 
-CREATE INDEX IF NOT EXISTS idx_optimization_history_vector
+-- HNSW builds its graph as rows arrive, so it works on an empty table (an ivfflat index built
+-- before there is data has unusable lists); replaces the ivfflat index of earlier schemas
+DROP INDEX IF EXISTS idx_optimization_history_vector;
+CREATE INDEX IF NOT EXISTS idx_optimization_history_embedding
     ON optimization_history
-    USING ivfflat(embedding vector_cosine_ops)
-    WITH (lists = 100);
+    USING hnsw(embedding vector_cosine_ops);
+
+-- Saved workloads (captured from pg_stat_statements or uploaded) that agents replay on every fork
+CREATE TABLE IF NOT EXISTS workloads (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    source VARCHAR(100) NOT NULL,
+    queries JSONB NOT NULL,
+    statements INT NOT NULL,
+    window_start TIMESTAMPTZ,
+    window_end TIMESTAMPTZ,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Promotions applied to production, with the inverse of every statement so they can be rolled back
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    run_id UUID,
+    universe_id VARCHAR(50),
+    fork_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    statements JSONB NOT NULL,
+    warnings JSONB DEFAULT '[]'::jsonb,
+    rollback JSONB,
+    promoted_at TIMESTAMPTZ DEFAULT NOW(),
+    rolled_back_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_promoted_at
+    ON promotions (promoted_at DESC);
 
 -- Comments explaining intentional design choices
 COMMENT ON TABLE users IS 'User accounts - intentionally missing index on email for demo';
@@ -108,7 +167,7 @@ SELECT pg_stat_statements_reset();
 DO $$
 BEGIN
     RAISE NOTICE 'Parallel Universe Database schema created successfully!';
-    RAISE NOTICE 'Tables: users, orders, order_items, products, optimization_history';
+    RAISE NOTICE 'Tables: users, orders, order_items, products, optimization_history, workloads, promotions';
     RAISE NOTICE 'Extensions: pg_stat_statements, pgvector';
     RAISE NOTICE 'Ready for optimization testing 🚀';
 END $$;
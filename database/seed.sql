@@ -42,16 +42,17 @@ SELECT
 FROM generate_series(1, 1000000) i;
 
 -- Seed optimization history (for hybrid search demo)
-INSERT INTO optimization_history (problem_description, strategy, improvement, execution_time, baseline_time)
+-- Each row is the strategy that won for that problem
+INSERT INTO optimization_history (problem_description, strategy, improvement, execution_time, baseline_time, is_winner)
 VALUES
-    ('Slow queries on users table with email lookups', 'index', 84, 38, 234),
-    ('High CPU usage on order aggregation queries', 'query', 67, 52, 158),
-    ('Frequent access to product catalog data', 'cache', 73, 31, 115),
-    ('Large table scans on orders table', 'schema', 56, 68, 155),
-    ('Join performance issues between users and orders', 'index', 78, 42, 192),
-    ('Slow dashboard queries for user statistics', 'cache', 82, 28, 156),
-    ('Complex filtering on order status and dates', 'query', 61, 71, 182),
-    ('Product search performance degradation', 'index', 89, 19, 172)
+    ('Slow queries on users table with email lookups', 'index', 84, 38, 234, TRUE),
+    ('High CPU usage on order aggregation queries', 'query', 67, 52, 158, TRUE),
+    ('Frequent access to product catalog data', 'cache', 73, 31, 115, TRUE),
+    ('Large table scans on orders table', 'schema', 56, 68, 155, TRUE),
+    ('Join performance issues between users and orders', 'index', 78, 42, 192, TRUE),
+    ('Slow dashboard queries for user statistics', 'cache', 82, 28, 156, TRUE),
+    ('Complex filtering on order status and dates', 'query', 61, 71, 182, TRUE),
+    ('Product search performance degradation', 'index', 89, 19, 172, TRUE)
 ON CONFLICT DO NOTHING;
 
 -- Create some known slow queries for testing
@@ -25,12 +25,13 @@ import {
 } from 'lucide-react';
 
 function App() {
-  const { optimize, promote, loading, error, results } = useOptimization();
+  const { optimize, cancel, promote, recommend, loading, error, results } = useOptimization();
   const { addToHistory } = useOptimizationHistory();
-  const { logs, isActive, addLog, startStreaming, stopStreaming } = useStreamingLogs();
+  const { logs, isActive, addLog, handleEvent, startStreaming, stopStreaming } = useStreamingLogs();
   const [universes, setUniverses] = useState([]);
   const [showResults, setShowResults] = useState(false);
   const [winner, setWinner] = useState(null);
+  const [runId, setRunId] = useState(null);
   const [toasts, setToasts] = useState([]);
   const [selectedPrompt, setSelectedPrompt] = useState('');
 
@@ -105,54 +106,30 @@ function App() {
   };
 
   // Handle optimization
-  const handleOptimize = async (problemDescription, strategies) => {
+  const handleOptimize = async (problemDescription, strategies, options) => {
     setShowResults(false);
     setUniverses([]);
     setWinner(null);
+    setRunId(null);
 
     // Start streaming logs
     startStreaming();
     addLog('System', 'Starting optimization...', 'info');
 
     try {
-      // Simulate agent logs (in real implementation, these would come from backend via WebSocket)
-      const agentNames = strategies.map(s => {
-        const nameMap = { index: 'IndexAgent', query: 'QueryAgent', cache: 'CacheAgent', schema: 'SchemaAgent' };
-        return nameMap[s];
-      });
-
-      // Initial logs
-      agentNames.forEach(agent => {
-        setTimeout(() => addLog(agent, 'Analyzing database schema...'), Math.random() * 500);
-        setTimeout(() => addLog(agent, 'Examining pg_stat_statements...'), Math.random() * 1000 + 500);
-      });
-
-      const result = await optimize(problemDescription, strategies);
+      // Agent progress arrives live from the backend event stream
+      const result = await optimize(problemDescription, strategies, handleEvent, options);
 
       if (result && result.universes) {
-        // Add completion logs
-        result.universes.forEach((universe, idx) => {
-          setTimeout(() => {
-            if (universe.status === 'complete') {
-              addLog(universe.agent, `✓ Optimization complete: +${universe.improvement}% improvement`, 'success');
-            } else if (universe.status === 'failed') {
-              addLog(universe.agent, `✗ Optimization failed: ${universe.error}`, 'error');
-            }
-          }, idx * 200);
-        });
+        if (result.cancelled) {
+          addLog('System', 'Optimization cancelled - live forks were torn down', 'warning');
+        }
 
         setUniverses(result.universes);
         setWinner(result.winner);
+        setRunId(result.runId);
         setShowResults(true);
-
-        // Final log
-        setTimeout(() => {
-          const winningUniverse = result.universes.find(u => u.id === result.winner);
-          if (winningUniverse) {
-            addLog('System', `🏆 Winner: ${winningUniverse.agent} with ${winningUniverse.improvement}% improvement`, 'success');
-          }
-          stopStreaming();
-        }, result.universes.length * 200 + 500);
+        stopStreaming();
 
         // Add to history
         addToHistory({
@@ -171,10 +148,10 @@ function App() {
   // Handle promotion
   useEffect(() => {
     const handlePromotion = async (event) => {
-      const { universe } = event.detail;
+      const { runId, universe } = event.detail;
 
       try {
-        await promote(universe.forkId, universe.details?.appliedChanges || []);
+        await promote(runId, universe.id);
 
         // Trigger confetti celebration
         triggerConfetti();
@@ -284,6 +261,8 @@ function App() {
         <div className="max-w-7xl mx-auto mb-12">
           <UniverseSpawner
             onOptimize={handleOptimize}
+            onCancel={cancel}
+            onRecommend={recommend}
             loading={loading}
             selectedPrompt={selectedPrompt}
             onPromptChange={setSelectedPrompt}
@@ -339,6 +318,7 @@ function App() {
                 {universes.map((universe, index) => (
                   <UniverseCard
                     key={universe.id}
+                    runId={runId}
                     universe={universe}
                     isWinner={universe.id === winner}
                     index={index}
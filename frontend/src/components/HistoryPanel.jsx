@@ -1,12 +1,47 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { History, X, TrendingUp, Clock, Trophy, Trash2, BarChart3 } from 'lucide-react';
-import { useState } from 'react';
+import { History, X, TrendingUp, Clock, Trophy, Trash2, BarChart3, ArrowUpRight, RotateCcw, Loader } from 'lucide-react';
+import { useState, useEffect } from 'react';
 import { useOptimizationHistory } from '../hooks/useOptimizationHistory';
+import { usePromotions } from '../hooks/usePromotions';
+
+const PROMOTION_STATUS_STYLES = {
+  promoting: 'vercel-badge-warning',
+  promoted: 'vercel-badge-success',
+  failed: 'vercel-badge-error',
+  rolling_back: 'vercel-badge-warning',
+  rolled_back: 'vercel-badge',
+  rollback_failed: 'vercel-badge-error'
+};
+
+// Statuses a promotion can be reverted from (a stale 'promoting' row too)
+const REVERTIBLE_STATUSES = ['promoted', 'failed', 'rollback_failed'];
 
 export default function HistoryPanel() {
   const [isOpen, setIsOpen] = useState(false);
   const { history, clearHistory, deleteEntry, getStats } = useOptimizationHistory();
   const stats = getStats();
+  const { promotions, error: promotionsError, revertingId, refresh: refreshPromotions, rollback } = usePromotions();
+
+  // Promotions happen outside this panel, so reload them whenever it opens
+  useEffect(() => {
+    if (isOpen) refreshPromotions();
+  }, [isOpen, refreshPromotions]);
+
+  const handleRevert = async (promotion) => {
+    const applied = promotion.statements.filter(statement => statement.status === 'applied').length;
+    const message = promotion.statements.length === 0
+      ? `Release promotion #${promotion.id}? Its statements were never recorded, so nothing runs on production; check production for changes it may have applied.`
+      : `Revert promotion #${promotion.id}? The inverse of ${applied} statement${applied !== 1 ? 's' : ''} will run on production.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await rollback(promotion.id);
+    } catch {
+      // The error is shown in the promotions list
+    }
+  };
 
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
@@ -149,6 +184,59 @@ export default function HistoryPanel() {
 
               {/* History List */}
               <div className="flex-1 overflow-y-auto p-6">
+                {/* Promotions */}
+                {(promotions.length > 0 || promotionsError) && (
+                  <div className="mb-6">
+                    <h3 className="text-sm font-medium text-vercel-900 dark:text-vercel-50 mb-3">Promotions</h3>
+                    {promotionsError && (
+                      <p className="text-xs text-red-600 dark:text-red-400 mb-2">{promotionsError}</p>
+                    )}
+                    <div className="space-y-2">
+                      {promotions.map(promotion => {
+                        const applied = promotion.statements.filter(statement => statement.status === 'applied');
+                        const irreversible = applied.filter(statement => !statement.reversible).length;
+                        const unrecorded = promotion.statements.length === 0;
+                        const canRevert = (REVERTIBLE_STATUSES.includes(promotion.status) || promotion.stale) && (applied.length > 0 || unrecorded);
+
+                        return (
+                          <div key={promotion.id} className="vercel-card p-3 flex items-center justify-between gap-3">
+                            <div className="min-w-0">
+                              <div className="flex items-center gap-2 mb-1">
+                                <ArrowUpRight className="w-3 h-3 text-vercel-500 dark:text-vercel-400" />
+                                <span className="text-sm text-vercel-900 dark:text-vercel-50">#{promotion.id}</span>
+                                <span className={PROMOTION_STATUS_STYLES[promotion.status]}>{promotion.status.replace('_', ' ')}</span>
+                                <span className="text-xs text-vercel-600 dark:text-vercel-400">{formatDate(promotion.promotedAt)}</span>
+                              </div>
+                              <p className="text-xs text-vercel-600 dark:text-vercel-400 truncate">
+                                {applied.length} statement{applied.length !== 1 ? 's' : ''} from {promotion.forkId}
+                                {irreversible > 0 && ` - ${irreversible} without an automatic inverse`}
+                                {promotion.stale && ' - interrupted'}
+                                {unrecorded && promotion.status === 'failed' && ' - statements not recorded'}
+                              </p>
+                            </div>
+
+                            {canRevert && (
+                              <button
+                                onClick={() => handleRevert(promotion)}
+                                disabled={revertingId !== null}
+                                className="vercel-btn-secondary text-xs flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                                aria-label={`Revert promotion ${promotion.id}`}
+                              >
+                                {revertingId === promotion.id ? (
+                                  <Loader className="w-3 h-3 animate-spin" />
+                                ) : (
+                                  <RotateCcw className="w-3 h-3" />
+                                )}
+                                <span>Revert</span>
+                              </button>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
                 {history.length === 0 ? (
                   <div className="text-center py-12">
                     <History className="w-12 h-12 text-vercel-300 dark:text-vercel-700 mx-auto mb-3" />
@@ -188,7 +276,7 @@ export default function HistoryPanel() {
                         </div>
 
                         <div className="grid grid-cols-2 gap-2 mb-3">
-                          {entry.universes.slice(0, 4).map(universe => {
+                          {entry.universes.map(universe => {
                             const isWinner = universe.id === entry.winner;
                             return (
                               <div
@@ -18,7 +18,7 @@ export default function HowItWorks() {
     {
       icon: Zap,
       title: "3. Agents Compete",
-      description: "Four AI agents run in parallel - IndexAgent creates indexes, QueryAgent rewrites queries, CacheAgent adds materialized views, SchemaAgent optimizes structure.",
+      description: "AI agents run in parallel - IndexAgent creates indexes, QueryAgent rewrites queries, CacheAgent adds materialized views, SchemaAgent optimizes structure. Your own agents plug in alongside them.",
       color: "from-amber-500 to-orange-500"
     },
     {
@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { GitCompare, ChevronDown, ChevronUp } from 'lucide-react';
+
+// Node highlight per change between the baseline and optimized plan
+const CHANGE_STYLES = {
+  changed: 'border-amber-500/60 bg-amber-500/10',
+  added: 'border-emerald-500/60 bg-emerald-500/10',
+  removed: 'border-red-500/60 bg-red-500/10'
+};
+
+const CHANGE_LABELS = { added: 'new', removed: 'gone' };
+
+/**
+ * PlanViewer - Expandable before/after EXPLAIN ANALYZE trees for a universe's slowest queries
+ * Nodes that changed between the baseline and optimized plan are highlighted (see details.plans)
+ */
+export default function PlanViewer({ plans }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [selected, setSelected] = useState(0);
+  const plan = plans[Math.min(selected, plans.length - 1)];
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-xs font-medium text-vercel-900 dark:text-vercel-50"
+        aria-expanded={isExpanded}
+      >
+        <span className="flex items-center gap-1.5">
+          <GitCompare className="w-3.5 h-3.5" />
+          Query Plans
+          <span className="font-normal text-vercel-700 dark:text-vercel-300">
+            · {plans.length} quer{plans.length !== 1 ? 'ies' : 'y'}
+          </span>
+        </span>
+        {isExpanded ? (
+          <ChevronUp className="w-4 h-4 text-vercel-600 dark:text-vercel-400" />
+        ) : (
+          <ChevronDown className="w-4 h-4 text-vercel-600 dark:text-vercel-400" />
+        )}
+      </button>
+
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            initial={{ height: 0 }}
+            animate={{ height: 'auto' }}
+            exit={{ height: 0 }}
+            transition={{ duration: 0.2 }}
+            className="overflow-hidden"
+          >
+            <div className="pt-3 space-y-3">
+              {/* Query picker */}
+              {plans.length > 1 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {plans.map((entry, idx) => (
+                    <button
+                      key={idx}
+                      onClick={() => setSelected(idx)}
+                      className={`px-2 py-0.5 rounded-vercel text-xs border transition-colors ${
+                        idx === selected
+                          ? 'border-vercel-900 dark:border-vercel-50 text-vercel-900 dark:text-vercel-50'
+                          : 'border-vercel-200 dark:border-vercel-700 text-vercel-700 dark:text-vercel-300'
+                      }`}
+                    >
+                      #{idx + 1}
+                      {entry.changedNodes > 0 && (
+                        <span className="ml-1 text-amber-600 dark:text-amber-400">{entry.changedNodes} changed</span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="vercel-code-block text-xs p-2 bg-vercel-900/80 dark:bg-black/60 border border-vercel-800/50 dark:border-vercel-700/30 break-all">
+                {plan.query.length > 200 ? plan.query.substring(0, 200) + '...' : plan.query}
+              </div>
+              {plan.optimizedQuery && (
+                <div className="text-xs text-vercel-700 dark:text-vercel-300">
+                  Optimized plan is for the rewritten query
+                </div>
+              )}
+
+              {/* Side-by-side trees */}
+              <div className="grid grid-cols-2 gap-3">
+                <PlanColumn title="Baseline" side="baseline" tree={plan.baseline} />
+                <PlanColumn title="Optimized" side="optimized" tree={plan.optimized} />
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/**
+ * Helper: One side of the comparison, with its total execution time
+ */
+function PlanColumn({ title, side, tree }) {
+  return (
+    <div className="min-w-0">
+      <div className="flex items-baseline justify-between text-xs mb-1.5">
+        <span className="font-medium text-vercel-900 dark:text-vercel-50">{title}</span>
+        {tree?.executionTime !== undefined && (
+          <span className="font-mono text-vercel-700 dark:text-vercel-300">{formatMs(tree.executionTime)} ms</span>
+        )}
+      </div>
+      {tree ? (
+        <div className="overflow-x-auto">
+          {!tree.analyzed && (
+            <div className="text-xs text-vercel-600 dark:text-vercel-400 mb-1">Estimated plan (not executed)</div>
+          )}
+          <PlanNode node={tree.root} side={side} />
+        </div>
+      ) : (
+        <div className="text-xs text-vercel-600 dark:text-vercel-400">Plan not available</div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Helper: A plan node with its actual time and rows, then its children indented
+ */
+function PlanNode({ node, side }) {
+  const target = [node.relation, node.alias].filter(Boolean).join(' ');
+
+  return (
+    <div className="text-xs">
+      <div className={`rounded-vercel border px-1.5 py-1 mb-1 ${CHANGE_STYLES[node.change] || 'border-transparent'}`}>
+        <div className="text-vercel-900 dark:text-vercel-50 whitespace-nowrap">
+          <span className="font-medium">{node.nodeType}</span>
+          {target && <span className="text-vercel-700 dark:text-vercel-300"> on {target}</span>}
+          {node.index && <span className="text-vercel-700 dark:text-vercel-300"> using {node.index}</span>}
+        </div>
+        <div className="font-mono text-vercel-700 dark:text-vercel-300 whitespace-nowrap">
+          {node.actualTimeMs !== undefined
+            ? `${formatMs(node.actualTimeMs)} ms · ${node.actualRows.toLocaleString()} rows${node.loops > 1 ? ` · ${node.loops.toLocaleString()} loops` : ''}`
+            : `~${node.estimatedRows.toLocaleString()} rows est.`}
+        </div>
+        {node.change === 'changed' && (
+          <div className="text-amber-600 dark:text-amber-400 whitespace-nowrap">
+            {side === 'baseline' ? `→ ${node.counterpart}` : `was ${node.counterpart}`}
+          </div>
+        )}
+        {CHANGE_LABELS[node.change] && (
+          <div className={`whitespace-nowrap ${node.change === 'added' ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}`}>
+            {CHANGE_LABELS[node.change]}
+          </div>
+        )}
+      </div>
+      {node.children.length > 0 && (
+        <div className="ml-2 pl-2 border-l border-vercel-200 dark:border-vercel-700">
+          {node.children.map((child, idx) => (
+            <PlanNode key={idx} node={child} side={side} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Helper: Sub-10ms times keep two decimals
+ */
+function formatMs(value) {
+  return value < 10 ? value.toFixed(2) : Math.round(value).toLocaleString();
+}
@@ -0,0 +1,209 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Loader, AlertCircle, AlertTriangle, CheckCircle, Lock, ArrowUpRight } from 'lucide-react';
+import { usePromotionPreview } from '../hooks/usePromotionPreview';
+
+const STATUS_STYLES = {
+  valid: 'vercel-badge-success',
+  invalid: 'vercel-badge-error',
+  'lock-timeout': 'vercel-badge-warning',
+  timeout: 'vercel-badge-warning',
+  skipped: 'vercel-badge',
+  parsed: 'vercel-badge',
+  unverified: 'vercel-badge-warning'
+};
+
+const CHANGE_STYLES = {
+  added: 'text-emerald-600 dark:text-emerald-400',
+  removed: 'text-red-600 dark:text-red-400',
+  changed: 'text-amber-600 dark:text-amber-400'
+};
+
+const CHANGE_MARKERS = { added: '+', removed: '-', changed: '~' };
+
+/**
+ * PromotePreview - Dry run of a promotion, shown before it is confirmed
+ * Lists each statement's lock and estimated duration, destructive operations and the schema diff
+ */
+export default function PromotePreview({ runId, universe, isOpen, onConfirm, onClose }) {
+  const { preview, loading, error } = usePromotionPreview(runId, universe.id, isOpen);
+  const formatDuration = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50"
+          />
+
+          {/* Dialog */}
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            transition={{ duration: 0.2 }}
+            className="fixed inset-x-4 top-[10vh] mx-auto max-w-2xl max-h-[80vh] bg-white dark:bg-vercel-900 rounded-vercel shadow-vercel-lg z-50 overflow-hidden flex flex-col"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="promote-preview-title"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between border-b border-vercel-200 dark:border-vercel-800 p-6">
+              <div>
+                <h2 id="promote-preview-title" className="text-xl font-semibold text-vercel-900 dark:text-vercel-50">
+                  Promote Universe {universe.id.charAt(0).toUpperCase() + universe.id.slice(1)}
+                </h2>
+                <p className="text-sm text-vercel-600 dark:text-vercel-400">
+                  {preview?.validation === 'parse'
+                    ? 'No database available - changes were only parsed, nothing was run'
+                    : preview?.validation === 'main'
+                      ? 'No fork available - dry run on the main database, every change was rolled back'
+                      : 'Dry run on a fork of production - every change was rolled back'}
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="p-2 rounded-vercel hover:bg-vercel-100 dark:hover:bg-vercel-800 text-vercel-600 dark:text-vercel-400 transition-colors"
+                aria-label="Close preview"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-6 space-y-6">
+              {loading && (
+                <div className="flex items-center justify-center py-12">
+                  <Loader className="w-6 h-6 text-vercel-600 animate-spin mr-3" />
+                  <span className="text-sm text-vercel-600">Dry-running changes in a rolled-back transaction...</span>
+                </div>
+              )}
+
+              {error && (
+                <div className="flex items-start gap-2 text-sm text-red-600 dark:text-red-400">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+
+              {preview && !loading && (
+                <>
+                  {/* Summary */}
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    {preview.valid ? (
+                      <span className="vercel-badge-success">
+                        <CheckCircle className="w-3 h-3" />
+                        {preview.validation === 'parse' ? 'No syntax errors found' : 'All changes valid'}
+                      </span>
+                    ) : (
+                      <span className="vercel-badge-error">
+                        <AlertCircle className="w-3 h-3" />
+                        Some changes failed or were not checked
+                      </span>
+                    )}
+                    {preview.validation !== 'parse' && (
+                      <span className="text-vercel-700 dark:text-vercel-300">
+                        Estimated duration {formatDuration(preview.estimatedDurationMs)}
+                      </span>
+                    )}
+                  </div>
+
+                  {/* Destructive operations */}
+                  {preview.destructive.length > 0 && (
+                    <div className="rounded-vercel border border-red-200/50 dark:border-red-700/50 p-3 space-y-1">
+                      <div className="flex items-center gap-2 text-sm font-medium text-red-600 dark:text-red-400">
+                        <AlertTriangle className="w-4 h-4" />
+                        Destructive operations
+                      </div>
+                      {preview.destructive.map(item => (
+                        <div key={item.index} className="text-xs text-vercel-700 dark:text-vercel-300">
+                          #{item.index + 1} {item.reason}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Lock warnings */}
+                  {preview.warnings.length > 0 && (
+                    <div className="space-y-1">
+                      {preview.warnings.map((warning, idx) => (
+                        <div key={idx} className="flex items-start gap-2 text-xs text-amber-600 dark:text-amber-400">
+                          <Lock className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                          <span>{warning}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Statements */}
+                  <div>
+                    <div className="text-xs font-medium text-vercel-900 dark:text-vercel-50 mb-2">Statements</div>
+                    <div className="space-y-2">
+                      {preview.statements.map(statement => (
+                        <div key={statement.index} className="space-y-1">
+                          <div className="flex flex-wrap items-center gap-2 text-xs">
+                            <span className={STATUS_STYLES[statement.status]}>{statement.status}</span>
+                            <span className="text-vercel-700 dark:text-vercel-300">{statement.lockLevel}</span>
+                            {statement.estimatedDurationMs !== undefined && (
+                              <span className="text-vercel-600 dark:text-vercel-400">~{formatDuration(statement.estimatedDurationMs)}</span>
+                            )}
+                          </div>
+                          <div className="vercel-code-block text-xs p-2 bg-vercel-900/80 dark:bg-black/60 backdrop-blur-xl border border-vercel-800/50 dark:border-vercel-700/30 break-all">
+                            {statement.sql}
+                          </div>
+                          {(statement.error || statement.message) && (
+                            <div className="text-xs text-red-600 dark:text-red-400">{statement.error || statement.message}</div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Schema diff */}
+                  <div>
+                    <div className="text-xs font-medium text-vercel-900 dark:text-vercel-50 mb-2">Schema Changes</div>
+                    {!preview.schemaDiff ? (
+                      <div className="text-xs text-vercel-600 dark:text-vercel-400">Not available when changes are only parsed</div>
+                    ) : preview.schemaDiff.length === 0 ? (
+                      <div className="text-xs text-vercel-600 dark:text-vercel-400">No schema changes</div>
+                    ) : (
+                      <div className="font-mono text-xs space-y-1">
+                        {preview.schemaDiff.map(entry => (
+                          <div key={`${entry.type}:${entry.name}`} className={CHANGE_STYLES[entry.change]}>
+                            {CHANGE_MARKERS[entry.change]} {entry.type} {entry.name}
+                            {entry.change === 'changed'
+                              ? `: ${entry.before} -> ${entry.after}`
+                              : entry.type !== 'relation' && `: ${entry.after || entry.before}`}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Actions */}
+            <div className="flex justify-end gap-2 border-t border-vercel-200 dark:border-vercel-800 p-4">
+              <button onClick={onClose} className="vercel-btn-secondary">
+                Cancel
+              </button>
+              <button
+                onClick={onConfirm}
+                disabled={loading || !preview || !preview.valid}
+                className="vercel-btn-accent disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <span>{preview?.destructive.length > 0 ? 'Promote Anyway' : 'Confirm Promotion'}</span>
+                <ArrowUpRight className="w-4 h-4" />
+              </button>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
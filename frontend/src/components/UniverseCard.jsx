@@ -1,35 +1,44 @@
+import { useState } from 'react';
 import { motion } from 'framer-motion';
 import {
-  Zap,
-  Database,
-  Settings,
   CheckCircle,
   AlertCircle,
   Loader,
   Trophy,
   ArrowUpRight,
   TrendingUp,
-  Clock
+  Clock,
+  FlaskConical,
+  Gauge
 } from 'lucide-react';
 import CountingNumber from './CountingNumber';
+import PromotePreview from './PromotePreview';
+import PlanViewer from './PlanViewer';
+import { getAgentIcon } from './agentIcons';
 
-const agentIcons = {
-  IndexAgent: Database,
-  QueryAgent: Zap,
-  CacheAgent: TrendingUp,
-  SchemaAgent: Settings,
+// Dot color per plan finding severity
+const SEVERITY_COLORS = {
+  high: 'bg-red-500',
+  medium: 'bg-amber-500',
+  low: 'bg-vercel-400'
 };
 
 /**
  * UniverseCard - Displays individual universe optimization progress
  * Vercel-inspired minimal design
  */
-export default function UniverseCard({ universe, isWinner, index }) {
-  const AgentIcon = agentIcons[universe.agent] || Database;
+export default function UniverseCard({ runId, universe, isWinner, index }) {
+  const AgentIcon = getAgentIcon(universe.icon);
+  const benchmark = universe.details?.benchmark;
+  const isMeasured = typeof universe.significant === 'boolean' && benchmark?.comparison;
+  const formatMs = (value) => (value < 10 ? value.toFixed(2) : Math.round(value));
+  const [showPreview, setShowPreview] = useState(false);
+  const bottlenecks = (universe.details?.planFindings || []).flatMap(entry => entry.findings);
 
   const handlePromote = () => {
+    setShowPreview(false);
     const event = new CustomEvent('promoteUniverse', {
-      detail: { universe }
+      detail: { runId, universe }
     });
     window.dispatchEvent(event);
   };
@@ -74,10 +83,18 @@ export default function UniverseCard({ universe, isWinner, index }) {
 
         {/* Status */}
         {universe.status === 'complete' && (
-          <span className="vercel-badge-success">
-            <CheckCircle className="w-3 h-3" />
-            Complete
-          </span>
+          <div className="flex items-center gap-2">
+            {universe.simulated && (
+              <span className="vercel-badge-warning" title="FAST_MODE result - not measured on a fork">
+                <FlaskConical className="w-3 h-3" />
+                Simulated
+              </span>
+            )}
+            <span className="vercel-badge-success">
+              <CheckCircle className="w-3 h-3" />
+              Complete
+            </span>
+          </div>
         )}
         {universe.status === 'failed' && (
           <span className="vercel-badge-error">
@@ -133,13 +150,64 @@ export default function UniverseCard({ universe, isWinner, index }) {
               <div className="text-xs text-vercel-700 dark:text-vercel-300 mb-1">Execution Time</div>
               <div className="flex items-baseline gap-1">
                 <span className="text-2xl font-semibold text-vercel-900 dark:text-vercel-50">
-                  <CountingNumber value={Math.round(universe.executionTime)} duration={1.5} suffix="ms" decimals={0} />
+                  <CountingNumber value={universe.executionTime} duration={1.5} suffix="ms" decimals={universe.executionTime < 10 ? 2 : 0} />
                 </span>
                 <Clock className="w-4 h-4 text-vercel-600 dark:text-vercel-400" />
               </div>
             </div>
           </div>
 
+          {/* Benchmark Statistics */}
+          {isMeasured && (
+            <div className="text-xs text-vercel-700 dark:text-vercel-300 space-y-1">
+              <div className="flex justify-between">
+                <span>Baseline p50 / p95 / p99</span>
+                <span className="font-mono">
+                  {formatMs(benchmark.baseline.p50)} / {formatMs(benchmark.baseline.p95)} / {formatMs(benchmark.baseline.p99)} ms
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span>Optimized p50 / p95 / p99</span>
+                <span className="font-mono">
+                  {formatMs(benchmark.optimized.p50)} / {formatMs(benchmark.optimized.p95)} / {formatMs(benchmark.optimized.p99)} ms
+                </span>
+              </div>
+              <div className={universe.significant ? 'text-emerald-600 dark:text-emerald-400' : 'text-amber-600 dark:text-amber-400'}>
+                {universe.significant
+                  ? `Significant over ${benchmark.optimized.runs} runs (p = ${benchmark.comparison.pValue})`
+                  : `Not statistically significant (p = ${benchmark.comparison.pValue}) - not eligible to win`}
+              </div>
+            </div>
+          )}
+
+          {/* Plan Bottlenecks */}
+          {bottlenecks.length > 0 && (
+            <div>
+              <div className="flex items-center gap-1.5 text-xs font-medium text-vercel-900 dark:text-vercel-50 mb-2">
+                <Gauge className="w-3.5 h-3.5" />
+                Plan Bottlenecks
+              </div>
+              <ul className="space-y-1 text-xs text-vercel-700 dark:text-vercel-300">
+                {bottlenecks.slice(0, 3).map((finding, idx) => (
+                  <li key={idx} className="flex items-start gap-2">
+                    <span className={`mt-1 w-1.5 h-1.5 rounded-full flex-shrink-0 ${SEVERITY_COLORS[finding.severity]}`} />
+                    <span>{finding.message}</span>
+                  </li>
+                ))}
+              </ul>
+              {bottlenecks.length > 3 && (
+                <div className="text-xs text-vercel-700 dark:text-vercel-300 mt-1">
+                  +{bottlenecks.length - 3} more finding{bottlenecks.length - 3 > 1 ? 's' : ''}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Baseline vs Optimized Plans */}
+          {universe.details?.plans?.length > 0 && (
+            <PlanViewer plans={universe.details.plans} />
+          )}
+
           {/* Changes Applied */}
           {universe.details?.appliedChanges && universe.details.appliedChanges.length > 0 && (
             <div>
@@ -165,13 +233,21 @@ export default function UniverseCard({ universe, isWinner, index }) {
               initial={{ opacity: 0, y: 10 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: 0.5 }}
-              onClick={handlePromote}
+              onClick={() => setShowPreview(true)}
               className="vercel-btn-accent w-full mt-2"
             >
               <span>Promote to Production</span>
               <ArrowUpRight className="w-4 h-4" />
             </motion.button>
           )}
+
+          <PromotePreview
+            runId={runId}
+            universe={universe}
+            isOpen={showPreview}
+            onConfirm={handlePromote}
+            onClose={() => setShowPreview(false)}
+          />
         </div>
       )}
     </motion.article>
@@ -3,60 +3,53 @@ import { motion, AnimatePresence } from 'framer-motion';
 import {
   Play,
   AlertCircle,
-  Database,
-  Zap,
-  TrendingUp,
-  Settings,
-  CheckCircle
+  CheckCircle,
+  XCircle,
+  Lightbulb,
+  Upload,
+  Radio
 } from 'lucide-react';
+import { useAgents } from '../hooks/useAgents';
+import { useWorkloads } from '../hooks/useWorkloads';
+import { getAgentIcon } from './agentIcons';
 
 /**
  * UniverseSpawner - Main UI for launching parallel optimization universes
  * Vercel-inspired minimal design
  */
-export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, onPromptChange }) {
+export default function UniverseSpawner({ onOptimize, onCancel, onRecommend, loading, selectedPrompt, onPromptChange }) {
   const [problemDescription, setProblemDescription] = useState('');
-  const [selectedStrategies, setSelectedStrategies] = useState([
-    'index',
-    'query',
-    'cache',
-    'schema'
-  ]);
+  const { agents, loading: agentsLoading, error: agentsError } = useAgents();
+  const [selectedStrategies, setSelectedStrategies] = useState([]);
   const [error, setError] = useState('');
+  const [recommendation, setRecommendation] = useState(null);
+  const [recommending, setRecommending] = useState(false);
+  const [workloadText, setWorkloadText] = useState('');
+  const [workloadFilename, setWorkloadFilename] = useState('');
+  const { workloads, capture, startCapture } = useWorkloads();
+  const [savedWorkload, setSavedWorkload] = useState('');
+  const [captureName, setCaptureName] = useState('');
+  const [captureSeconds, setCaptureSeconds] = useState(60);
 
   // Update problem description when selectedPrompt changes
   useEffect(() => {
     if (selectedPrompt) {
       setProblemDescription(selectedPrompt);
+      setRecommendation(null);
     }
   }, [selectedPrompt]);
 
-  const strategies = [
-    {
-      id: 'index',
-      name: 'Index Optimization',
-      description: 'Create optimal indexes for faster queries',
-      Icon: Database,
-    },
-    {
-      id: 'query',
-      name: 'Query Rewriting',
-      description: 'Optimize SQL query structure and execution',
-      Icon: Zap,
-    },
-    {
-      id: 'cache',
-      name: 'Caching Strategy',
-      description: 'Implement materialized views and caching',
-      Icon: TrendingUp,
-    },
-    {
-      id: 'schema',
-      name: 'Schema Optimization',
-      description: 'Improve database schema and constraints',
-      Icon: Settings,
-    }
-  ];
+  // Every registered agent is selected by default
+  useEffect(() => {
+    setSelectedStrategies(agents.map(agent => agent.name));
+  }, [agents]);
+
+  const strategies = agents.map(agent => ({
+    id: agent.name,
+    name: agent.label,
+    description: agent.description,
+    Icon: getAgentIcon(agent.icon),
+  }));
 
   const handleStrategyToggle = (strategyId) => {
     setSelectedStrategies(prev =>
@@ -66,6 +59,52 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
     );
   };
 
+  const getRecommendation = (strategyId) =>
+    recommendation?.recommendations.find(r => r.strategy === strategyId);
+
+  const handleRecommend = async () => {
+    setError('');
+
+    if (!problemDescription.trim()) {
+      setError('Describe the performance issue to get suggestions');
+      return;
+    }
+
+    setRecommending(true);
+    try {
+      const result = await onRecommend(problemDescription);
+      setRecommendation(result);
+      setSelectedStrategies(result.suggested);
+    } catch (err) {
+      setError(err.message || 'Could not fetch suggestions');
+    } finally {
+      setRecommending(false);
+    }
+  };
+
+  // Uploaded files are read in the browser and sent as text; the backend parses .sql and .json
+  const handleWorkloadFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setWorkloadText(await file.text());
+    setWorkloadFilename(file.name);
+    e.target.value = '';
+  };
+
+  const handleCapture = async () => {
+    setError('');
+    const name = captureName.trim() || `capture-${new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '')}`;
+
+    try {
+      const workload = await startCapture(name, captureSeconds);
+      setSavedWorkload(workload.name);
+      setCaptureName('');
+    } catch (err) {
+      setError(err.message || 'Capture failed');
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     setError('');
@@ -81,7 +120,19 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
       return;
     }
 
-    onOptimize(problemDescription, selectedStrategies);
+    // Run suggested strategies in order of past win rate
+    const orderedStrategies = recommendation
+      ? [...selectedStrategies].sort((a, b) => (getRecommendation(a)?.rank ?? 99) - (getRecommendation(b)?.rank ?? 99))
+      : selectedStrategies;
+
+    let options = {};
+    if (savedWorkload) {
+      options = { workloadName: savedWorkload };
+    } else if (workloadText.trim()) {
+      options = { workloadFile: { filename: workloadFilename || 'workload.sql', content: workloadText } };
+    }
+
+    onOptimize(problemDescription, orderedStrategies, options);
   };
 
   return (
@@ -112,7 +163,10 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
           <textarea
             id="problem-description"
             value={problemDescription}
-            onChange={(e) => setProblemDescription(e.target.value)}
+            onChange={(e) => {
+              setProblemDescription(e.target.value);
+              setRecommendation(null);
+            }}
             placeholder="e.g., Slow queries on users table with email lookups taking over 200ms..."
             className="vercel-textarea h-40"
             disabled={loading}
@@ -124,12 +178,39 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
         {/* Strategy Selection */}
         <div>
           <fieldset>
-            <legend className="block text-sm font-medium text-vercel-900 dark:text-vercel-50 mb-3">
-              Select Optimization Strategies
-            </legend>
+            <div className="flex items-center justify-between mb-3">
+              <legend className="block text-sm font-medium text-vercel-900 dark:text-vercel-50">
+                Select Optimization Strategies
+              </legend>
+              {onRecommend && (
+                <button
+                  type="button"
+                  onClick={handleRecommend}
+                  disabled={loading || recommending}
+                  className="inline-flex items-center gap-1.5 text-xs font-medium text-vercel-700 dark:text-vercel-300 hover:text-vercel-900 dark:hover:text-vercel-50 transition-colors disabled:opacity-50"
+                >
+                  <Lightbulb className="w-3.5 h-3.5" aria-hidden="true" />
+                  {recommending ? 'Checking history...' : 'Suggest from history'}
+                </button>
+              )}
+            </div>
+            {recommendation && (
+              <p className="text-xs text-vercel-700 dark:text-vercel-300 mb-3">
+                {recommendation.basedOn > 0
+                  ? `Based on ${recommendation.basedOn} similar past universe${recommendation.basedOn !== 1 ? 's' : ''}, ranked by win rate`
+                  : 'No similar past optimizations found - all strategies suggested'}
+              </p>
+            )}
+            {agentsLoading && (
+              <p className="text-sm text-vercel-600 dark:text-vercel-400">Loading agents...</p>
+            )}
+            {agentsError && (
+              <p className="text-sm text-red-600 dark:text-red-400">{agentsError}</p>
+            )}
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
               {strategies.map((strategy) => {
                 const isSelected = selectedStrategies.includes(strategy.id);
+                const suggestion = getRecommendation(strategy.id);
                 const { Icon } = strategy;
 
                 return (
@@ -158,12 +239,22 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
                           <Icon className="w-5 h-5" aria-hidden="true" />
                         </div>
                         <div className="flex-1 min-w-0">
-                          <div className="font-medium text-vercel-900 dark:text-vercel-50 text-sm mb-0.5">
+                          <div className="flex items-center gap-2 font-medium text-vercel-900 dark:text-vercel-50 text-sm mb-0.5">
                             {strategy.name}
+                            {suggestion && (
+                              <span className={suggestion.suggested ? 'vercel-badge-accent' : 'vercel-badge'}>
+                                #{suggestion.rank}{suggestion.suggested ? ' Suggested' : ''}
+                              </span>
+                            )}
                           </div>
                           <div className="text-xs text-vercel-700 dark:text-vercel-300">
                             {strategy.description}
                           </div>
+                          {suggestion && (
+                            <div className="text-xs text-vercel-600 dark:text-vercel-400 mt-1 italic">
+                              {suggestion.reasoning}
+                            </div>
+                          )}
                         </div>
                         {isSelected && (
                           <CheckCircle
@@ -180,6 +271,109 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
           </fieldset>
         </div>
 
+        {/* Workload */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label
+              htmlFor="workload"
+              className="block text-sm font-medium text-vercel-900 dark:text-vercel-50"
+            >
+              Benchmark Workload <span className="font-normal text-vercel-600 dark:text-vercel-400">(optional)</span>
+            </label>
+            {!savedWorkload && (
+              <label className={`inline-flex items-center gap-1.5 text-xs font-medium text-vercel-700 dark:text-vercel-300 hover:text-vercel-900 dark:hover:text-vercel-50 transition-colors ${loading ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                <Upload className="w-3.5 h-3.5" aria-hidden="true" />
+                {workloadFilename || 'Upload .sql or .json'}
+                <input
+                  type="file"
+                  accept=".sql,.json,text/plain,application/json"
+                  onChange={handleWorkloadFile}
+                  disabled={loading}
+                  className="sr-only"
+                />
+              </label>
+            )}
+          </div>
+          <select
+            value={savedWorkload}
+            onChange={(e) => setSavedWorkload(e.target.value)}
+            disabled={loading}
+            className="vercel-input text-sm mb-2"
+            aria-label="Saved workload"
+          >
+            <option value="">Custom statements (paste or upload)</option>
+            {workloads.map(workload => (
+              <option key={workload.name} value={workload.name}>
+                {workload.name} - {workload.statements} statement{workload.statements !== 1 ? 's' : ''} ({workload.source === 'capture' ? 'captured' : 'uploaded'})
+              </option>
+            ))}
+          </select>
+          {savedWorkload ? (
+            <p className="text-xs text-vercel-600 dark:text-vercel-400">
+              Every strategy replays the saved workload <strong>{savedWorkload}</strong> on its fork, weighted by call frequency.
+            </p>
+          ) : (
+            <>
+              <textarea
+                id="workload"
+                value={workloadText}
+                onChange={(e) => {
+                  setWorkloadText(e.target.value);
+                  if (!e.target.value) setWorkloadFilename('');
+                }}
+                placeholder={'-- weight: 10\n-- params: ["alice@example.com"]\nSELECT * FROM users WHERE email = $1;'}
+                className="vercel-textarea h-28 font-mono text-xs"
+                disabled={loading}
+                aria-describedby="workload-help"
+              />
+              <p id="workload-help" className="text-xs text-vercel-600 dark:text-vercel-400 mt-1">
+                Every strategy is benchmarked against these statements instead of pg_stat_statements. Use <code>-- weight:</code> and <code>-- params:</code> comments before a statement to set its call frequency and bind parameters.
+              </p>
+            </>
+          )}
+
+          {/* Capture production traffic as a new saved workload */}
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <input
+              type="text"
+              value={captureName}
+              onChange={(e) => setCaptureName(e.target.value)}
+              placeholder="capture name"
+              disabled={loading || Boolean(capture)}
+              className="vercel-input text-xs flex-1 min-w-[8rem]"
+              aria-label="Capture name"
+            />
+            <select
+              value={captureSeconds}
+              onChange={(e) => setCaptureSeconds(Number(e.target.value))}
+              disabled={loading || Boolean(capture)}
+              className="vercel-input text-xs w-auto"
+              aria-label="Capture window"
+            >
+              <option value={30}>30 seconds</option>
+              <option value={60}>1 minute</option>
+              <option value={300}>5 minutes</option>
+              <option value={0}>Stats so far</option>
+            </select>
+            <button
+              type="button"
+              onClick={handleCapture}
+              disabled={loading || Boolean(capture)}
+              className="inline-flex items-center gap-1.5 text-xs font-medium text-vercel-700 dark:text-vercel-300 hover:text-vercel-900 dark:hover:text-vercel-50 transition-colors disabled:opacity-50"
+            >
+              <Radio className="w-3.5 h-3.5" aria-hidden="true" />
+              Capture from production
+            </button>
+          </div>
+          {capture && (
+            <p className="text-xs text-vercel-600 dark:text-vercel-400 mt-1" role="status">
+              {capture.status === 'sampling'
+                ? `Sampling parameter values for ${capture.name}...`
+                : `Capturing pg_stat_statements as ${capture.name} until ${new Date(capture.endsAt).toLocaleTimeString()}...`}
+            </p>
+          )}
+        </div>
+
         {/* Error Message */}
         <AnimatePresence>
           {error && (
@@ -198,7 +392,7 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
         </AnimatePresence>
 
         {/* Launch Button */}
-        <div className="flex justify-center">
+        <div className="flex justify-center gap-3">
           <button
             type="submit"
             disabled={loading}
@@ -222,6 +416,18 @@ export default function UniverseSpawner({ onOptimize, loading, selectedPrompt, o
               </div>
             )}
           </button>
+          {loading && onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="vercel-btn-secondary px-6 py-4 text-lg font-semibold"
+            >
+              <div className="flex items-center gap-2">
+                <XCircle className="w-5 h-5" aria-hidden="true" />
+                <span>Cancel</span>
+              </div>
+            </button>
+          )}
         </div>
 
         {/* Selected Count */}
@@ -0,0 +1,31 @@
+import {
+  Bot,
+  Database,
+  Zap,
+  TrendingUp,
+  Settings,
+  Search,
+  Layers,
+  HardDrive,
+  Gauge
+} from 'lucide-react';
+
+// Icon keys agents register with (see backend/src/agents/index.js)
+const agentIcons = {
+  bot: Bot,
+  database: Database,
+  zap: Zap,
+  'trending-up': TrendingUp,
+  settings: Settings,
+  search: Search,
+  layers: Layers,
+  'hard-drive': HardDrive,
+  gauge: Gauge,
+};
+
+/**
+ * Map an agent's icon key to a lucide icon, falling back to a generic bot
+ */
+export function getAgentIcon(key) {
+  return agentIcons[key] || Bot;
+}
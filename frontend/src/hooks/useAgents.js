@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+/**
+ * Registered agents from GET /api/agents (name, label, description, icon key, config schema)
+ */
+export function useAgents() {
+  const [agents, setAgents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAgents = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/agents`);
+
+        if (!response.ok) {
+          throw new Error(`Could not load agents: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!cancelled) setAgents(data.agents);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadAgents();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { agents, loading, error };
+}
@@ -2,6 +2,21 @@ import { useState } from 'react';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
+const JOB_EVENTS = [
+  'run-started',
+  'fork-created',
+  'agent-step',
+  'benchmark',
+  'fork-deleted',
+  'universe-complete',
+  'universe-failed',
+  'universe-cancelled',
+  'winner',
+  'done',
+  'run-failed',
+  'run-cancelled',
+];
+
 /**
  * Custom hook for managing optimization operations
  */
@@ -9,8 +24,9 @@ export function useOptimization() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [results, setResults] = useState(null);
+  const [jobId, setJobId] = useState(null);
 
-  const optimize = async (problemDescription, strategies) => {
+  const optimize = async (problemDescription, strategies, onEvent = () => {}, options = {}) => {
     setLoading(true);
     setError(null);
     setResults(null);
@@ -24,25 +40,59 @@ export function useOptimization() {
         body: JSON.stringify({
           problemDescription,
           strategies,
+          ...options,
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`Optimization failed: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message ? `${body.error}: ${body.message}` : `Optimization failed: ${response.statusText}`);
       }
 
-      const data = await response.json();
+      const job = await response.json();
+      setJobId(job.jobId);
+
+      // The run ID is what a winning universe is later promoted by
+      const data = { ...await followJob(job.jobId, onEvent), runId: job.jobId };
       setResults(data);
       return data;
     } catch (err) {
       setError(err.message);
       throw err;
     } finally {
+      setJobId(null);
       setLoading(false);
     }
   };
 
-  const promote = async (forkId, changes) => {
+  const cancel = async () => {
+    if (!jobId) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/api/optimize/jobs/${jobId}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok && response.status !== 409) {
+        throw new Error(`Cancel failed: ${response.statusText}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getJob = async (id) => {
+    const response = await fetch(`${API_BASE}/api/optimize/jobs/${id}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch job: ${response.statusText}`);
+    }
+
+    return await response.json();
+  };
+
+  // The server promotes the change set it recorded for this universe; no SQL is sent
+  const promote = async (runId, universeId) => {
     try {
       const response = await fetch(`${API_BASE}/api/optimize/promote`, {
         method: 'POST',
@@ -50,13 +100,14 @@ export function useOptimization() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          forkId,
-          changes,
+          runId,
+          universeId,
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`Promotion failed: ${response.statusText}`);
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || `Promotion failed: ${response.statusText}`);
       }
 
       return await response.json();
@@ -66,9 +117,12 @@ export function useOptimization() {
     }
   };
 
-  const getHistory = async () => {
+  const getHistory = async (filters = {}) => {
     try {
-      const response = await fetch(`${API_BASE}/api/optimize/history`);
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== '')
+      );
+      const response = await fetch(`${API_BASE}/api/optimize/history?${params}`);
 
       if (!response.ok) {
         throw new Error(`Failed to fetch history: ${response.statusText}`);
@@ -81,12 +135,82 @@ export function useOptimization() {
     }
   };
 
+  const recommend = async (problemDescription) => {
+    const response = await fetch(`${API_BASE}/api/optimize/recommend`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ problemDescription }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Recommendation failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  };
+
+  const searchHistory = async (query, limit = 10) => {
+    try {
+      const params = new URLSearchParams({ q: query, limit: String(limit) });
+      const response = await fetch(`${API_BASE}/api/optimize/history/search?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`History search failed: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (err) {
+      setError(err.message);
+      return { query, results: [] };
+    }
+  };
+
   return {
     optimize,
+    cancel,
+    getJob,
     promote,
     getHistory,
+    searchHistory,
+    recommend,
+    jobId,
     loading,
     error,
     results,
   };
 }
+
+/**
+ * Follow a job's event stream until it finishes
+ * Resolves with the final (or, when cancelled, partial) result; rejects if the job fails
+ */
+function followJob(jobId, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE}/api/optimize/jobs/${jobId}/events`);
+
+    JOB_EVENTS.forEach(event => {
+      source.addEventListener(event, (message) => {
+        const payload = JSON.parse(message.data);
+        onEvent(event, payload);
+
+        if (event === 'done' || event === 'run-cancelled') {
+          source.close();
+          resolve(payload);
+        } else if (event === 'run-failed') {
+          source.close();
+          reject(new Error(payload.message || payload.error));
+        }
+      });
+    });
+
+    // EventSource reconnects on its own (resuming via Last-Event-ID);
+    // give up only once the browser has closed the connection for good
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to optimization job'));
+      }
+    };
+  });
+}
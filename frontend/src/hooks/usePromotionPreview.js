@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+/**
+ * Dry run of promoting a run's universe from POST /api/optimize/promote/preview
+ * The server previews the change set it recorded for that universe; loads while `enabled`
+ */
+export function usePromotionPreview(runId, universeId, enabled) {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setPreview(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(`${API_BASE}/api/optimize/promote/preview`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ runId, universeId }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || data.error || `Preview failed: ${response.statusText}`);
+        }
+
+        if (!cancelled) setPreview(data.preview);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [runId, universeId, enabled]);
+
+  return { preview, loading, error };
+}
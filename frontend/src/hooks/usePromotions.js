@@ -0,0 +1,58 @@
+import { useState, useCallback } from 'react';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+/**
+ * Promotions recorded by the backend (GET /api/optimize/promotions), with one-click rollback
+ */
+export function usePromotions() {
+  const [promotions, setPromotions] = useState([]);
+  const [error, setError] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/optimize/promotions`);
+
+      if (!response.ok) {
+        throw new Error(`Could not load promotions: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setPromotions(data.promotions);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Revert a promotion; resolves with the updated promotion
+   */
+  const rollback = useCallback(async (id) => {
+    setRevertingId(id);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/optimize/promotions/${id}/rollback`, {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Rollback failed: ${response.statusText}`);
+      }
+
+      setPromotions(prev => prev.map(promotion => (promotion.id === id ? data.promotion : promotion)));
+      setError(null);
+      return data.promotion;
+    } catch (err) {
+      setError(err.message);
+      await refresh();
+      throw err;
+    } finally {
+      setRevertingId(null);
+    }
+  }, [refresh]);
+
+  return { promotions, error, revertingId, refresh, rollback };
+}
@@ -1,8 +1,9 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 
 export function useStreamingLogs() {
   const [logs, setLogs] = useState([]);
   const [isActive, setIsActive] = useState(false);
+  const universeAgents = useRef({});
 
   const addLog = useCallback((agent, message, level = 'info') => {
     const timestamp = new Date().toLocaleTimeString('en-US', {
@@ -23,6 +24,55 @@ export function useStreamingLogs() {
     setLogs(prev => [...prev, log]);
   }, []);
 
+  /**
+   * Turn a backend progress event (see GET /api/optimize/jobs/:id/events) into a log line
+   */
+  const handleEvent = useCallback((event, payload) => {
+    const agentFor = (universeId) => universeAgents.current[universeId] || 'System';
+
+    switch (event) {
+      case 'run-started':
+        universeAgents.current = Object.fromEntries(
+          payload.universes.map(u => [u.id, u.agent || u.strategyKey])
+        );
+        addLog('System', `Spawning ${payload.universes.length} universe${payload.universes.length !== 1 ? 's' : ''} (${payload.mode === 'parallel' ? `parallel, up to ${payload.concurrency} live forks` : 'sequential'})...`);
+        if (payload.workload) {
+          addLog('System', `Benchmarking workload "${payload.workload.name}" (${payload.workload.statements} statement${payload.workload.statements !== 1 ? 's' : ''})`);
+        }
+        break;
+      case 'fork-created':
+        addLog(agentFor(payload.universeId), payload.isDemoMode
+          ? `Universe ${payload.universeId} running in demo mode (main database)`
+          : `Fork ${payload.forkId} created for universe ${payload.universeId}`);
+        break;
+      case 'agent-step':
+        addLog(payload.agent, payload.message, payload.level);
+        break;
+      case 'benchmark':
+        addLog(payload.agent, payload.runs
+          ? `Benchmark (${payload.phase}): ${payload.averageTime.toFixed(2)}ms mean, p95 ${payload.p95.toFixed(2)}ms over ${payload.runs} runs`
+          : `Benchmark (${payload.phase}): no queries could be measured`);
+        break;
+      case 'fork-deleted':
+        addLog(agentFor(payload.universeId), `Fork ${payload.forkId} deleted`);
+        break;
+      case 'universe-complete':
+        addLog(payload.universe.agent, `✓ Optimization complete: +${payload.universe.improvement}% improvement${payload.universe.simulated ? ' (simulated)' : ''}`, payload.universe.simulated ? 'warning' : 'success');
+        break;
+      case 'universe-failed':
+        addLog(agentFor(payload.universeId), `✗ Optimization failed: ${payload.universe.error}`, 'error');
+        break;
+      case 'universe-cancelled':
+        addLog(agentFor(payload.universeId), 'Cancelled', 'warning');
+        break;
+      case 'winner':
+        addLog('System', `🏆 Winner: ${payload.agent} with ${payload.improvement}% improvement${payload.simulated ? ' (simulated)' : ''}`, 'success');
+        break;
+      default:
+        break;
+    }
+  }, [addLog]);
+
   const clearLogs = useCallback(() => {
     setLogs([]);
   }, []);
@@ -40,6 +90,7 @@ export function useStreamingLogs() {
     logs,
     isActive,
     addLog,
+    handleEvent,
     clearLogs,
     startStreaming,
     stopStreaming
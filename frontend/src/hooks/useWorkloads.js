@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+// How often a running capture is polled
+const CAPTURE_POLL_MS = 2000;
+
+/**
+ * Saved workloads from GET /api/workloads, plus capturing new ones from production traffic
+ */
+export function useWorkloads() {
+  const [workloads, setWorkloads] = useState([]);
+  const [error, setError] = useState(null);
+  const [capture, setCapture] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/workloads`);
+
+      if (!response.ok) {
+        throw new Error(`Could not load workloads: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setWorkloads(data.workloads);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Capture pg_stat_statements over `durationSeconds` and save it as `name`
+   * Resolves with the saved workload once the capture finishes
+   */
+  const startCapture = useCallback(async (name, durationSeconds) => {
+    const response = await fetch(`${API_BASE}/api/workloads/capture`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name, durationSeconds }),
+    });
+
+    const started = await response.json();
+    if (!response.ok) {
+      throw new Error(started.error || `Capture failed: ${response.statusText}`);
+    }
+
+    setCapture({ id: started.captureId, name, status: started.status, endsAt: started.endsAt });
+
+    try {
+      while (true) {
+        await new Promise(resolve => setTimeout(resolve, CAPTURE_POLL_MS));
+
+        const statusResponse = await fetch(`${API_BASE}${started.statusUrl}`);
+        if (!statusResponse.ok) {
+          throw new Error(`Could not fetch capture status: ${statusResponse.statusText}`);
+        }
+
+        const status = await statusResponse.json();
+        setCapture(status);
+
+        if (status.status === 'failed') {
+          throw new Error(status.error);
+        }
+        if (status.status === 'complete') {
+          await refresh();
+          return status.workload;
+        }
+      }
+    } finally {
+      setCapture(null);
+    }
+  }, [refresh]);
+
+  return { workloads, error, capture, refresh, startCapture };
+}